@@ -7,10 +7,13 @@ module.exports = {
     'plugin:react/jsx-runtime',
     'plugin:react-hooks/recommended',
   ],
-  ignorePatterns: ['dist', '.eslintrc.cjs'],
+  ignorePatterns: ['dist', 'dist-lib', '.eslintrc.cjs'],
   parserOptions: { ecmaVersion: 'latest', sourceType: 'module' },
   settings: { react: { version: '18.2' } },
   plugins: ['react-refresh'],
+  overrides: [
+    { files: ['scripts/**/*.js', 'server/**/*.js', 'test/**/*.js'], env: { node: true, browser: false } },
+  ],
   rules: {
     'react/jsx-no-target-blank': 'off',
     'react/prop-types': 'off',
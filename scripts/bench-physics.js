@@ -0,0 +1,39 @@
+// bench-physics.js — Headless PhysicsSimulator benchmark (no browser, no WebGL)
+// Runs the simulator in Node with a synthetic orbiting camera and reports ms per step.
+// Usage: npm run bench            (80, 500 and 2,000 balls)
+//        npm run bench -- 1000 4000
+
+import * as THREE from 'three'
+import { PhysicsSimulator, DEFAULT_BALL_RADIUS, ballScaleForCount } from '../src/physics.js'
+
+const WARMUP_STEPS = 60
+const MEASURE_STEPS = 300
+const CAMERA_DISTANCE = 45 // inside the OrbitControls zoom range, so the forcefield brushes the pile
+
+const counts = process.argv.slice(2).map(Number).filter(n => n > 0)
+if (counts.length === 0) counts.push(80, 500, 2000)
+
+const camera = new THREE.Vector3()
+const orbit = (t) => camera.set(Math.cos(t) * CAMERA_DISTANCE, Math.sin(t) * CAMERA_DISTANCE, 10)
+
+const rows = []
+for (const count of counts) {
+    // Same density rule as the app: balls shrink once the count exceeds the reference pile
+    const radius = DEFAULT_BALL_RADIUS * ballScaleForCount(count)
+    const physics = new PhysicsSimulator(count, radius, { seed: 1 })
+
+    for (let i = 0; i < WARMUP_STEPS; i++) physics.step(orbit(i * 0.01))
+
+    const start = performance.now()
+    for (let i = 0; i < MEASURE_STEPS; i++) physics.step(orbit((WARMUP_STEPS + i) * 0.01))
+    const msPerStep = (performance.now() - start) / MEASURE_STEPS
+
+    rows.push({
+        balls: count,
+        radius: Number(radius.toFixed(2)),
+        'ms/step': Number(msPerStep.toFixed(3)),
+        'steps/s': Math.round(1000 / msPerStep),
+    })
+}
+
+console.table(rows)
@@ -0,0 +1,75 @@
+// index.js — Local multiplayer server: one shared scene over WebSocket
+// Usage: npm run server                       (80 balls on ws://127.0.0.1:8787)
+//        npm run server -- --port 9000 --count 200 --seed 7 --mode court --boundary box
+//        npm run server -- --host 0.0.0.0 --origin http://192.168.1.20:5173   (pages on other hosts)
+// then open the app with ?server=ws://localhost:8787 in as many tabs or browsers as you like. Pages
+// are let in from the server's own host name only, unless listed with --origin (repeatable).
+// Meant for development on localhost: there are no accounts, rooms or TLS.
+
+import { createServer } from 'node:http'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import { acceptWebSocket } from './websocket.js'
+import { DEFAULT_COUNT, Room } from './room.js'
+import { DEFAULT_PORT } from '../src/multiplayerProtocol.js'
+
+export const DEFAULT_HOST = '127.0.0.1'
+
+// An HTTP server that upgrades every request to a WebSocket into the one Room.
+// options as for Room, plus origins (see acceptWebSocket()). listen() resolves with the bound
+// address (port 0 picks a free one).
+export function createMultiplayerServer(options = {}) {
+    const room = new Room(options)
+    const http = createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain', Upgrade: 'websocket' })
+        response.end('Floating Basketballs multiplayer server — connect with a WebSocket\n')
+    })
+    http.on('upgrade', (request, socket, head) => {
+        const connection = acceptWebSocket(request, socket, head, { origins: options.origins })
+        if (connection) room.join(connection)
+    })
+
+    return {
+        room,
+        listen(port = DEFAULT_PORT, host = DEFAULT_HOST) {
+            return new Promise((resolve, reject) => {
+                http.once('error', reject)
+                http.listen(port, host, () => {
+                    http.off('error', reject)
+                    room.start()
+                    resolve(http.address())
+                })
+            })
+        },
+        close() {
+            room.stop()
+            return new Promise(resolve => http.close(() => resolve()))
+        },
+    }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: String(DEFAULT_PORT) },
+            host: { type: 'string', default: DEFAULT_HOST },
+            count: { type: 'string', default: String(DEFAULT_COUNT) },
+            seed: { type: 'string' },
+            mode: { type: 'string' },
+            boundary: { type: 'string' },
+            origin: { type: 'string', multiple: true, default: [] },
+        },
+    })
+    const server = createMultiplayerServer({
+        count: Math.max(1, Number(values.count) || DEFAULT_COUNT),
+        seed: values.seed,
+        mode: values.mode,
+        boundary: values.boundary,
+        origins: values.origin,
+        onJoin: id => console.log(`+ user ${id} joined (${server.room.clients.size} online)`),
+        onLeave: id => console.log(`- user ${id} left (${server.room.clients.size} online)`),
+    })
+    const { address, port } = await server.listen(Number(values.port), values.host)
+    console.log(`Multiplayer server on ws://${address}:${port} — open the app with ?server=ws://localhost:${port}`)
+    process.on('SIGINT', () => server.close().then(() => process.exit(0)))
+}
@@ -0,0 +1,218 @@
+// room.js — The shared scene: one authoritative PhysicsSimulator and everyone connected to it
+// Steps at the worker's fixed rate and sends every client a quantized snapshot SNAPSHOT_RATE times
+// a second. Each client's camera is a shield in the simulation (what the camera forcefield is in
+// single-player), so everyone pushes the pile around. Clients are untrusted: every message is
+// checked and clamped before it reaches the simulator, and a bad one is dropped, not answered.
+
+import * as THREE from 'three'
+import {
+    BOUNDARY_RADIUS, CAMERA_FRICTION, DEFAULT_BALL_RADIUS, PhysicsSimulator, TRANSFORM_STRIDE, ballScaleForCount,
+} from '../src/physics.js'
+import { STEP_INTERVAL_MS } from '../src/physicsBuffer.js'
+import { FALLOFFS, POINTER_FIELD_TYPES } from '../src/forceFields.js'
+import {
+    MAX_CLIENT_FIELDS, PROTOCOL_VERSION, SNAPSHOT_RATE, decodeMessage, encodeMessage, encodeSnapshot, readVector, snapshotSize,
+} from '../src/multiplayerProtocol.js'
+
+export const DEFAULT_COUNT = 80
+export const MAX_FIELD_STRENGTH = 0.1       // units/frame², twice the strongest pointer field
+export const MAX_IMPULSE = 1                // units/frame per impulse message
+export const MAX_RELEASE_SPEED = 4          // the grab speed clamp
+export const MAX_SNAPSHOT_BACKLOG = 64 * 1024 // bytes queued for a client before its snapshots are skipped
+
+const STEPS_PER_SNAPSHOT = Math.max(1, Math.round(1000 / STEP_INTERVAL_MS / SNAPSHOT_RATE))
+// Cameras arrive at most once a snapshot and only while they move, so a shield keeps its velocity
+// between them. This long without one, the camera has stopped and so does the shield.
+const CAMERA_HOLD_STEPS = STEPS_PER_SNAPSHOT * 2
+
+function clampLength(v, max) {
+    const length = Math.hypot(v[0], v[1], v[2])
+    return length > max ? v.map(c => c * max / length) : v
+}
+
+// The parts of a client's field spec (or changes to one) that are allowed, clamped; null when the
+// type isn't a soft pointer field — clients can't place shields or walls
+export function sanitizeFieldSpec(spec, partial = false) {
+    if (!spec || typeof spec !== 'object') return null
+    const clean = {}
+    if (!partial) {
+        if (!POINTER_FIELD_TYPES.includes(spec.type)) return null
+        clean.type = spec.type
+    }
+    const position = readVector(spec.position)
+    if (position) clean.position = position
+    else if (!partial) return null
+    if (Number.isFinite(spec.radius)) clean.radius = Math.min(Math.max(0, spec.radius), BOUNDARY_RADIUS)
+    if (Number.isFinite(spec.strength)) clean.strength = Math.min(Math.max(spec.strength, -MAX_FIELD_STRENGTH), MAX_FIELD_STRENGTH)
+    if (Object.hasOwn(FALLOFFS, spec.falloff)) clean.falloff = spec.falloff
+    for (const key of ['axis', 'direction']) {
+        const v = readVector(spec[key])
+        if (v) clean[key] = v
+    }
+    return clean
+}
+
+export class Room {
+    // options.count / seed / mode / boundary — the shared scene; onJoin(id) / onLeave(id) for logging
+    constructor({ count = DEFAULT_COUNT, seed, mode, boundary, onJoin, onLeave } = {}) {
+        const ballRadius = DEFAULT_BALL_RADIUS * ballScaleForCount(count)
+        this.physics = new PhysicsSimulator(count, ballRadius, { seed, mode, boundary })
+        this.physics.removeForceField(0) // nobody's camera sits at the origin: each client gets a shield instead
+        this.onJoin = onJoin
+        this.onLeave = onLeave
+
+        this.clients = new Map() // id → { connection, shieldId, camera, cameraStep, fields: Map client id → simulator id }
+        this.nextClientId = 1
+        this.grabbedBy = null // one ball can be held at a time; the first to grab holds it until release
+        this.steps = 0
+        this.timer = null
+
+        this.transforms = new Float32Array(count * TRANSFORM_STRIDE)
+        this.snapshot = new ArrayBuffer(snapshotSize(count))
+        this.noCamera = new THREE.Vector3() // step()'s camera argument; the removed camera field ignores it
+        this.target = new THREE.Vector3()
+    }
+
+    start() {
+        if (this.timer) return
+        this.timer = setInterval(() => this.tick(), STEP_INTERVAL_MS)
+    }
+
+    stop() {
+        clearInterval(this.timer)
+        this.timer = null
+        for (const { connection } of this.clients.values()) connection.close(1001, 'server shutting down')
+    }
+
+    // One step, and a snapshot every STEPS_PER_SNAPSHOT of them
+    tick() {
+        this.physics.step(this.noCamera)
+        this.steps++
+        for (const client of this.clients.values()) {
+            // Moved to where it already is: no velocity, so a camera that stopped stops dragging balls
+            if (client.camera && this.steps - client.cameraStep === CAMERA_HOLD_STEPS) {
+                this.physics.moveForceField(client.shieldId, ...client.camera)
+            }
+        }
+        if (this.steps % STEPS_PER_SNAPSHOT === 0) this.broadcastSnapshot()
+    }
+
+    broadcastSnapshot() {
+        if (this.clients.size === 0) return
+        this.physics.writeTransforms(this.transforms, 0)
+        encodeSnapshot(this.transforms, this.physics.count, this.steps, this.snapshot)
+        for (const { connection } of this.clients.values()) {
+            if (connection.backlog < MAX_SNAPSHOT_BACKLOG) connection.send(this.snapshot)
+        }
+    }
+
+    broadcast(message) {
+        const text = encodeMessage(message)
+        for (const { connection } of this.clients.values()) connection.send(text)
+    }
+
+    // Take over an open WebSocketConnection. Returns the client's id.
+    join(connection) {
+        const id = this.nextClientId++
+        const client = { connection, shieldId: null, camera: null, cameraStep: 0, fields: new Map() }
+        this.clients.set(id, client)
+        connection.onmessage = data => this.receive(id, data)
+        connection.onclose = () => this.leave(id)
+
+        connection.send(encodeMessage({
+            type: 'welcome', version: PROTOCOL_VERSION, id, count: this.physics.count,
+            ballRadius: this.physics.BALL_RADIUS, users: [...this.clients.keys()],
+        }))
+        this.broadcast({ type: 'users', ids: [...this.clients.keys()] })
+        this.onJoin?.(id)
+        return id
+    }
+
+    leave(id) {
+        const client = this.clients.get(id)
+        if (!client) return
+        this.clients.delete(id)
+        if (client.shieldId !== null) this.physics.removeForceField(client.shieldId)
+        for (const fieldId of client.fields.values()) this.physics.removeForceField(fieldId)
+        if (this.grabbedBy === id) {
+            this.physics.release(null)
+            this.grabbedBy = null
+        }
+        this.broadcast({ type: 'users', ids: [...this.clients.keys()] })
+        this.onLeave?.(id)
+    }
+
+    // A message from client `id` — binary ones aren't part of the client's side of the protocol
+    receive(id, data) {
+        const client = this.clients.get(id)
+        const message = typeof data === 'string' ? decodeMessage(data) : null
+        if (!client || !message) return
+        const physics = this.physics
+
+        switch (message.type) {
+            case 'camera': {
+                const position = readVector(message.position)
+                if (!position) return
+                if (client.shieldId === null) {
+                    // Placed where the camera first is, so the first move doesn't read as a huge jump
+                    client.shieldId = physics.addForceField({
+                        type: 'shield', position, radius: physics.cameraSafeRadius, friction: CAMERA_FRICTION,
+                    })
+                } else {
+                    // The jump spread over the steps since the last camera (capped for the first move
+                    // after a pause), held as the shield's velocity until the next
+                    const steps = Math.min(Math.max(1, this.steps - client.cameraStep), CAMERA_HOLD_STEPS)
+                    physics.moveForceField(client.shieldId, ...position, steps)
+                }
+                client.camera = position
+                client.cameraStep = this.steps
+                break
+            }
+            case 'grab': {
+                const target = readVector(message.target)
+                if (!target || !Number.isInteger(message.index) || message.index < 0 || message.index >= physics.count) return
+                if (this.grabbedBy !== null && this.grabbedBy !== id) return
+                this.grabbedBy = id
+                physics.grab(message.index, this.target.fromArray(target))
+                break
+            }
+            case 'moveGrab': {
+                const target = readVector(message.target)
+                if (target && this.grabbedBy === id) physics.moveGrab(this.target.fromArray(target))
+                break
+            }
+            case 'release': {
+                if (this.grabbedBy !== id) return
+                const velocity = readVector(message.velocity)
+                physics.release(velocity ? this.target.fromArray(clampLength(velocity, MAX_RELEASE_SPEED)) : null)
+                this.grabbedBy = null
+                break
+            }
+            case 'impulse': {
+                const impulse = readVector(message.impulse)
+                if (impulse) physics.applyImpulse(...clampLength(impulse, MAX_IMPULSE))
+                break
+            }
+            case 'addForceField': {
+                const spec = sanitizeFieldSpec(message.spec)
+                const localId = message.spec?.id
+                if (!spec || !Number.isInteger(localId) || client.fields.has(localId) || client.fields.size >= MAX_CLIENT_FIELDS) return
+                client.fields.set(localId, physics.addForceField(spec))
+                break
+            }
+            case 'updateForceField': {
+                const changes = sanitizeFieldSpec(message.changes, true)
+                const fieldId = client.fields.get(message.id)
+                if (changes && fieldId !== undefined) physics.updateForceField(fieldId, changes)
+                break
+            }
+            case 'removeForceField': {
+                const fieldId = client.fields.get(message.id)
+                if (fieldId === undefined) return
+                client.fields.delete(message.id)
+                physics.removeForceField(fieldId)
+                break
+            }
+        }
+    }
+}
@@ -0,0 +1,162 @@
+// websocket.js — Just enough RFC 6455 for the multiplayer server
+// The upgrade handshake plus unfragmented text and binary frames, ping/pong and close. Node has
+// no WebSocket server built in and the project takes no runtime dependencies for a dev server,
+// so this is the whole of it (like zip.js for archives). Browsers never fragment messages this small.
+
+import { createHash } from 'node:crypto'
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+export const MAX_PAYLOAD_BYTES = 64 * 1024 // clients only send short control messages
+
+export const OPCODES = { text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa }
+
+export function acceptKey(key) {
+    return createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64')
+}
+
+// One frame carrying `payload` (a Buffer). Server frames are never masked.
+export function encodeFrame(opcode, payload) {
+    const length = payload.length
+    const header = Buffer.alloc(length < 126 ? 2 : length < 65536 ? 4 : 10)
+    header[0] = 0x80 | opcode // FIN: always the whole message
+    if (length < 126) {
+        header[1] = length
+    } else if (length < 65536) {
+        header[1] = 126
+        header.writeUInt16BE(length, 2)
+    } else {
+        header[1] = 127
+        header.writeBigUInt64BE(BigInt(length), 2)
+    }
+    return Buffer.concat([header, payload])
+}
+
+// The frame at the start of `buffer` as { fin, opcode, masked, payload, size } — payload unmasked,
+// size the bytes it took — or null while it hasn't all arrived. Throws past maxPayload.
+export function decodeFrame(buffer, maxPayload = MAX_PAYLOAD_BYTES) {
+    if (buffer.length < 2) return null
+    const fin = (buffer[0] & 0x80) !== 0
+    const opcode = buffer[0] & 0x0f
+    const masked = (buffer[1] & 0x80) !== 0
+    let length = buffer[1] & 0x7f
+    let offset = 2
+    if (length === 126) {
+        if (buffer.length < 4) return null
+        length = buffer.readUInt16BE(2)
+        offset = 4
+    } else if (length === 127) {
+        if (buffer.length < 10) return null
+        const long = buffer.readBigUInt64BE(2)
+        length = long > BigInt(maxPayload) ? Infinity : Number(long)
+        offset = 10
+    }
+    if (length > maxPayload) throw new RangeError(`WebSocket frame over ${maxPayload} bytes`)
+
+    const mask = offset
+    if (masked) offset += 4
+    if (buffer.length < offset + length) return null
+    const payload = Buffer.from(buffer.subarray(offset, offset + length))
+    if (masked) for (let k = 0; k < length; k++) payload[k] ^= buffer[mask + (k & 3)]
+    return { fin, opcode, masked, payload, size: offset + length }
+}
+
+// An open connection. Set onmessage(data) — a string for text, a Buffer for binary — and onclose().
+export class WebSocketConnection {
+    constructor(socket) {
+        this.socket = socket
+        this.pending = Buffer.alloc(0)
+        this.open = true
+        this.onmessage = null
+        this.onclose = null
+        socket.on('data', chunk => this.receive(chunk))
+        socket.on('close', () => this.closed())
+        socket.on('error', () => socket.destroy())
+    }
+
+    receive(chunk) {
+        this.pending = this.pending.length ? Buffer.concat([this.pending, chunk]) : chunk
+        while (this.open) {
+            let frame
+            try {
+                frame = decodeFrame(this.pending)
+            } catch {
+                this.close(1009, 'message too big')
+                return
+            }
+            if (!frame) return
+            this.pending = this.pending.subarray(frame.size)
+
+            // Clients must mask (RFC 6455 §5.1); fragments aren't worth supporting here
+            if (!frame.masked) this.close(1002, 'unmasked frame')
+            else if (!frame.fin || frame.opcode === 0) this.close(1003, 'fragmented messages are not supported')
+            else if (frame.opcode === OPCODES.text) this.onmessage?.(frame.payload.toString('utf8'))
+            else if (frame.opcode === OPCODES.binary) this.onmessage?.(frame.payload)
+            else if (frame.opcode === OPCODES.ping) this.socket.write(encodeFrame(OPCODES.pong, frame.payload))
+            else if (frame.opcode === OPCODES.close) this.close(1000)
+        }
+    }
+
+    // Strings go as text frames, Buffers / ArrayBuffers / typed arrays as binary
+    send(data) {
+        if (!this.open) return
+        if (typeof data === 'string') this.socket.write(encodeFrame(OPCODES.text, Buffer.from(data, 'utf8')))
+        else if (ArrayBuffer.isView(data)) this.socket.write(encodeFrame(OPCODES.binary, Buffer.from(data.buffer, data.byteOffset, data.byteLength)))
+        else this.socket.write(encodeFrame(OPCODES.binary, Buffer.from(data)))
+    }
+
+    // Bytes still queued for the client — a slow one can skip a snapshot instead of falling behind
+    get backlog() {
+        return this.socket.writableLength
+    }
+
+    close(code = 1000, reason = '') {
+        if (!this.open) return
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason))
+        payload.writeUInt16BE(code, 0)
+        payload.write(reason, 2)
+        this.socket.end(encodeFrame(OPCODES.close, payload))
+        this.closed()
+    }
+
+    closed() {
+        if (!this.open) return
+        this.open = false
+        this.onclose?.()
+    }
+}
+
+// Browsers send any page's WebSockets here, with that page's Origin — without this check, every
+// site a visitor opens could join their local server. Allowed: no Origin (not a browser), a page
+// on the server's own host name (any port, e.g. the Vite dev server), or one of `origins`.
+export function isAllowedOrigin(request, origins = []) {
+    const origin = request.headers.origin
+    if (!origin || origins.includes(origin)) return true
+    try {
+        return new URL(origin).hostname === new URL(`http://${request.headers.host}`).hostname
+    } catch {
+        return false
+    }
+}
+
+// Complete the HTTP upgrade from a server 'upgrade' event (head — bytes that arrived with it).
+// Returns the connection, or null after answering 400 to anything that isn't a WebSocket handshake
+// and 403 to a page isAllowedOrigin() refuses. options.origins — more allowed origins.
+export function acceptWebSocket(request, socket, head, { origins } = {}) {
+    const key = request.headers['sec-websocket-key']
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n')
+        return null
+    }
+    if (!isAllowedOrigin(request, origins)) {
+        socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n')
+        return null
+    }
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`, '', '',
+    ].join('\r\n'))
+    socket.setNoDelay(true)
+    const connection = new WebSocketConnection(socket)
+    if (head?.length) connection.pending = Buffer.from(head) // parsed with the next chunk, after onmessage is set
+    return connection
+}
@@ -1,115 +1,206 @@
-// ManyBalls.jsx — Main application component
-// Orchestrates: loading screen, instanced basketball rendering, physics,
-// post-processing (Bloom/Noise/Vignette), light/dark mode, Safari optimization,
-// and keyboard-driven effects cycling.
+// App.jsx — The full-page site
+// Wraps the embeddable <FloatingBasketballs> scene with everything page-specific: the native
+// #preloader hand-off, keyboard shortcuts, device/gamepad input, shareable URL state, the control
+// panel, recording, HUDs, and Safari/iOS tweaks.
 
-import { useMemo, Suspense, useRef, useState, useEffect } from 'react'
+import { useMemo, useRef, useState, useEffect, useCallback } from 'react'
 import './App.css'
-import { Canvas, useFrame, useThree } from '@react-three/fiber'
-import { Environment, OrbitControls, useGLTF, useProgress, Billboard } from '@react-three/drei'
-import { Bloom, Noise, Vignette, EffectComposer } from '@react-three/postprocessing'
-import * as THREE from 'three'
-import { PhysicsSimulator } from './physics.js'
-
-THREE.Cache.enabled = true // reuse decoded textures across mounts
-
-// Effects that can be cycled via "O" key (order matters)
-const EFFECT_NAMES = ['Vignette', 'Shadows', 'Bloom', 'Noise', 'Environment']
-const ALL_EFFECTS_ON = { Vignette: true, Shadows: true, Bloom: true, Noise: true, Environment: true }
-
-// --- Loader ---
-// Bridges the native HTML #preloader (visible before JS loads) with React's
-// asset loading. Fades out and removes the DOM element once assets are ready.
-function Loader() {
-  const { progress } = useProgress()
+import FloatingBasketballs from './FloatingBasketballs.jsx'
+import { BOUNDARY_TYPES } from './boundaries.js'
+import {
+  ALL_EFFECTS_ON, DEFAULT_CAMERA_POSITION, DEFAULT_CAMERA_TARGET, EFFECT_NAMES, MAX_BALL_COUNT, loadConfig, saveConfig,
+} from './config.js'
+import ControlPanel from './ControlPanel.jsx'
+import DiagnosticsHUD from './DiagnosticsHUD.jsx'
+import { POINTER_FIELD_TYPES } from './forceFields.js'
+import { DEMO_TIMELINE, STAR_PATH } from './formations.js'
+import HelpOverlay from './HelpOverlay.jsx'
+import { MotionInput, INPUT_SOURCES, requestMotionPermission } from './motionInput.js'
+import { QUALITY_NAMES, QUALITY_TIERS, qualityIndex } from './quality.js'
+import { downloadBlob } from './recording.js'
+import { SHORTCUTS, isShortcutEvent } from './shortcuts.js'
+import { DARK_THEME, getTheme, nextThemeName } from './themes.js'
+import { readUrlState, writeUrlParams } from './urlState.js'
+
+const CAMERA_SYNC_MS = 1000 // ?cam=/?target= refresh interval (browsers throttle rapid replaceState)
+const FIELD_TOOL_LABELS = { attractor: 'Attractor', repulsor: 'Repulsor', vortex: 'Vortex', wind: 'Wind' }
+const FORMATIONS = [{ shape: 'grid' }, { shape: 'sphere' }, { shape: 'ring' }, { shape: 'text', text: 'HI' }, { shape: 'svg', path: STAR_PATH }]
+const FORMATION_LABELS = { grid: 'Grid', sphere: 'Sphere', ring: 'Ring', text: 'Text', svg: 'Logo' }
+const SHORTCUT_LEGEND = SHORTCUTS.map(s => `[${s.label}] ${s.name}`).join(' · ')
+
+// Bridges the native HTML #preloader (visible before JS loads) with the scene's asset
+// loading. Fades out and removes the DOM element once assets are ready.
+function hidePreloader() {
+  const el = document.getElementById('preloader')
+  if (!el || el.classList.contains('fade-out')) return
+  el.classList.add('fade-out')
+  setTimeout(() => el.remove(), 1200)
+}
+
+// Recording HUD — elapsed time of a WebM take, offline render progress, or the last capture error
+function CaptureStatus({ capture, isDarkMode }) {
+  const [now, setNow] = useState(Date.now)
   useEffect(() => {
-    if (progress >= 100) {
-      const el = document.getElementById('preloader')
-      if (!el) return
-      el.classList.add('fade-out')
-      const t = setTimeout(() => el.remove(), 1200)
-      return () => clearTimeout(t)
-    }
-  }, [progress])
-  return null
+    if (capture.kind !== 'video') return
+    const id = setInterval(() => setNow(Date.now()), 500)
+    return () => clearInterval(id)
+  }, [capture])
+
+  let text
+  if (capture.kind === 'video') {
+    const seconds = Math.max(0, Math.floor((now - capture.startedAt) / 1000))
+    text = `● REC ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}  [R] stop`
+  } else if (capture.kind === 'frames') {
+    text = `Rendering frame ${capture.done} / ${capture.total}`
+  } else {
+    text = capture.message
+  }
+
+  return (
+    <div role="status" style={{
+      position: 'absolute', top: 20, left: '50%', transform: 'translateX(-50%)', zIndex: 10, pointerEvents: 'none',
+      color: capture.kind === 'frames' ? (isDarkMode ? '#fff' : '#000') : '#e55',
+      fontFamily: 'monospace', fontSize: '11px', opacity: 0.8
+    }}>
+      {text}
+    </div>
+  )
 }
 
-// --- Basketballs ---
-// Renders N balls via InstancedMesh. Physics drives positions each frame.
-// Two meshes exist in parallel: textured (default) and wireframe (diagnostic "P" key).
-function Basketballs({ count = 80, isPrimitive, isDarkMode, isLowPower }) {
-  const { nodes, materials } = useGLTF('/Ball.gltf')
-  const { gl } = useThree()
-  const meshRef = useRef()
-  const primRef = useRef()
+// Quality HUD — the tier in use and whether the governor picked it. Shows for a few seconds after
+// each change (the wireframe diagnostic label shows it permanently).
+function QualityStatus({ quality, isDarkMode }) {
+  const [visible, setVisible] = useState(false)
+  useEffect(() => {
+    setVisible(true)
+    const id = setTimeout(() => setVisible(false), 3000)
+    return () => clearTimeout(id)
+  }, [quality])
+  if (!visible) return null
 
-  // Max anisotropic filtering — sharpens textures at oblique angles
+  return (
+    <div role="status" style={{
+      position: 'absolute', bottom: 20, left: 52, zIndex: 10, pointerEvents: 'none',
+      color: isDarkMode ? '#fff' : '#000', fontFamily: 'monospace', fontSize: '11px', opacity: 0.5
+    }}>
+      {qualityLabel(quality)}  [M] {quality.auto ? 'pin' : 'next'}
+    </div>
+  )
+}
+
+// Top-left HUD line — shown for a few seconds whenever `value` changes (theme, field tool, formation, sound)
+function StatusFlash({ value, top, isDarkMode, children }) {
+  const [visible, setVisible] = useState(false)
   useEffect(() => {
-    const maxAniso = gl.capabilities.getMaxAnisotropy()
-    Object.values(materials).forEach(mat => {
-      if (mat.map) mat.map.anisotropy = maxAniso
-      if (mat.normalMap) {
-        mat.normalMap.anisotropy = maxAniso
-        mat.normalScale.set(0.7, 0.7) // soften to prevent shimmering
-      }
-      if (mat.roughnessMap) mat.roughnessMap.anisotropy = maxAniso
-    })
-  }, [materials, gl])
-
-  // Center GLTF geometry at origin so physics sphere aligns with mesh
-  const centeredGeo = useMemo(() => {
-    const geo = nodes.Object_2.geometry.clone()
-    geo.computeBoundingSphere()
-    const c = geo.boundingSphere.center
-    geo.translate(-c.x, -c.y, -c.z)
-    geo.computeBoundingSphere()
-    return geo
-  }, [nodes])
-
-  useEffect(() => () => centeredGeo.dispose(), [centeredGeo])
-
-  const radius = centeredGeo.boundingSphere.radius
-  const physics = useMemo(() => new PhysicsSimulator(count, radius), [count, radius])
-  const tempMatrix = useMemo(() => new THREE.Matrix4(), [])
-  const localCamPos = useMemo(() => new THREE.Vector3(), [])
-
-  // Per-frame: transform camera to local space, step physics, sync instances
-  useFrame((state) => {
-    if (!meshRef.current && !primRef.current) return
-    localCamPos.copy(state.camera.position)
-    meshRef.current.worldToLocal(localCamPos)
-    physics.step(localCamPos)
-    physics.updateInstances(meshRef, primRef, tempMatrix)
-  })
+    setVisible(true)
+    const id = setTimeout(() => setVisible(false), 3000)
+    return () => clearTimeout(id)
+  }, [value])
+  if (!visible) return null
 
-  // Wireframe diagnostic sphere (matches collision radius exactly)
-  const wireSegs = isLowPower ? 12 : 24
-  const primGeo = useMemo(() => new THREE.SphereGeometry(radius, wireSegs, wireSegs), [radius, wireSegs])
-  const primMat = useMemo(() => new THREE.MeshBasicMaterial({
-    color: isDarkMode ? '#fff' : '#000', wireframe: true, transparent: true, opacity: 0.8,
-  }), [isDarkMode])
+  return (
+    <div role="status" style={{
+      position: 'absolute', top, left: 20, zIndex: 10, pointerEvents: 'none',
+      color: isDarkMode ? '#fff' : '#000', fontFamily: 'monospace', fontSize: '11px', opacity: 0.5
+    }}>
+      {children}
+    </div>
+  )
+}
 
-  useEffect(() => () => { primGeo.dispose(); primMat.dispose() }, [primGeo, primMat])
+// Multiplayer HUD — bottom centre: how many are in the shared scene, or that it's (re)connecting
+function OnlineStatus({ users, isDarkMode }) {
+  return (
+    <div role="status" style={{
+      position: 'absolute', bottom: 20, left: '50%', transform: 'translateX(-50%)', zIndex: 10, pointerEvents: 'none',
+      color: isDarkMode ? '#fff' : '#000', fontFamily: 'monospace', fontSize: '11px', opacity: 0.5
+    }}>
+      {!users?.connected ? '○ connecting…' : users.inSync ? `● ${users.ids.length} online` : `◐ joining (${users.ballCount} balls)…`}
+    </div>
+  )
+}
 
+// Hoop game HUD — top centre, in the effects HUD's style: score, streak, clock and best.
+// Between rounds it says how the next one starts.
+function HoopStatus({ game, isDarkMode }) {
+  const clock = `${Math.floor(game.timeLeft / 60)}:${String(game.timeLeft % 60).padStart(2, '0')}`
+  const started = game.running || game.score > 0
   return (
-    <>
-      <instancedMesh castShadow receiveShadow visible={!isPrimitive} ref={meshRef}
-        args={[centeredGeo, materials.Basketball_size6, count]} rotation={[-Math.PI / 2, 0, 0]} />
-      <instancedMesh castShadow receiveShadow visible={isPrimitive} ref={primRef}
-        args={[primGeo, primMat, count]} rotation={[-Math.PI / 2, 0, 0]} />
-    </>
+    <div role="status" style={{
+      position: 'absolute', top: 20, left: '50%', transform: 'translateX(-50%)', textAlign: 'center',
+      color: isDarkMode ? 'rgba(255,255,255,0.5)' : 'rgba(0,0,0,0.5)',
+      pointerEvents: 'none', fontSize: '11px', zIndex: 10,
+      fontFamily: 'monospace', lineHeight: 1.8
+    }}>
+      {started && <div>Score {game.score}  Streak {game.streak}  {clock}</div>}
+      {!game.running && <div>{started ? (game.newBest ? 'Time! New best' : 'Time!') + ' — throw a ball to go again' : 'Throw a ball at the hoop to start'}</div>}
+      <div>Best {game.best}</div>
+      <div style={{ marginTop: 4, opacity: 0.4, fontSize: '9px' }}>[H] leave the game</div>
+    </div>
   )
 }
 
+function qualityLabel({ name, auto }) {
+  return `Quality: ${QUALITY_TIERS[qualityIndex(name)].label} (${auto ? 'auto' : 'pinned'})`
+}
+
 // --- App ---
 function App() {
 
-  // Performance mode: auto-detect or manual ?compat override
-  const [isLowPower, setIsLowPower] = useState(() =>
-    window.location.search.includes('compat') || !window.WebGLRenderingContext
+  // Shareable state — everything below that the query string can set (see urlState.js)
+  const [urlState] = useState(readUrlState)
+
+  // Quality tier: adaptive by default. ?quality=<tier> (or the legacy ?compat) pins one, M cycles
+  // auto → high → medium → low → minimal → auto. qualityPin null = auto.
+  const [qualityPin, setQualityPin] = useState(() => {
+    if (QUALITY_NAMES.includes(urlState.quality)) return urlState.quality
+    return urlState.isLowPower || !window.WebGLRenderingContext ? 'minimal' : null
+  })
+  const [quality, setQuality] = useState(() => ({ name: qualityPin ?? QUALITY_NAMES[0], auto: qualityPin === null }))
+  const onQualityChange = useCallback((name, auto) => setQuality({ name, auto }), [])
+  const isLowPower = QUALITY_TIERS[qualityIndex(quality.name)].lowPower
+
+  // Reproducible layouts: ?seed=<number|string> drives the physics PRNG. Picked here when absent,
+  // so the shared link always carries the seed of the scene on screen.
+  const [seed] = useState(() => urlState.seed ?? String((Math.random() * 4294967296) >>> 0))
+
+  // Off-main-thread physics: ?worker (falls back to in-thread when SharedArrayBuffer is unavailable)
+  const useWorker = useMemo(() => new URLSearchParams(window.location.search).has('worker'), [])
+
+  // Shared scene: ?server=ws://localhost:8787 joins a multiplayer server (npm run server), which owns
+  // the simulation — the ball count follows the server's once connected. Absent, nothing changes.
+  const server = useMemo(() => new URLSearchParams(window.location.search).get('server') || null, [])
+  const [users, setUsers] = useState(null)
+
+  // Court mode — G toggles gravity; ?walls=0 swaps the box walls for the zero-g sphere
+  const [isCourt, setIsCourt] = useState(urlState.isCourt)
+  const hasWalls = useMemo(() => new URLSearchParams(window.location.search).get('walls') !== '0', [])
+
+  // Containment shape — ?boundary=sphere|box|tube|inverted picks the start, B cycles
+  const [boundaryType, setBoundaryType] = useState(() =>
+    BOUNDARY_TYPES.includes(urlState.boundary) ? urlState.boundary : 'sphere'
   )
 
-  // Browser detection (Safari needs DPR cap; iOS needs edge fades)
+  // Ball count override: ?count=<n> (otherwise 80; the quality tier scales either)
+  const countParam = useMemo(() => {
+    const n = parseInt(urlState.count, 10)
+    return n > 0 ? Math.min(n, MAX_BALL_COUNT) : null
+  }, [urlState])
+
+  // Tunables — control panel ("C"), restored from localStorage. ?count= wins over a stored count
+  // for this visit; only panel edits are written back.
+  const [config, setConfig] = useState(() => {
+    const stored = loadConfig()
+    return countParam ? { ...stored, count: countParam } : stored
+  })
+  const [showPanel, setShowPanel] = useState(false)
+  const updateConfig = (next) => {
+    setConfig(next)
+    saveConfig(next)
+  }
+  const autoCount = 80
+
+  // Browser detection (Safari needs DPR cap on top of the quality tier's; iOS needs edge fades)
   const isSafari = useMemo(() => {
     const ua = navigator.userAgent
     return ua.includes('Safari') && !ua.includes('Chrome') && !ua.includes('Chromium')
@@ -119,35 +210,195 @@ function App() {
     return /iPad|iPhone|iPod/.test(ua) || (ua.includes('Mac') && 'ontouchend' in document)
   }, [])
 
-  const [isPrimitive, setIsPrimitive] = useState(isLowPower)
+  const [isPrimitive, setIsPrimitive] = useState(urlState.isPrimitive ?? qualityPin === 'minimal')
+  const diagnosticsRef = useRef(null) // live stats, collected only while the wireframe view is on
+
+  // Recording — R toggles a WebM take of the live canvas; the control panel also renders
+  // deterministic PNG sequences. capture: null | { kind: 'video' | 'frames' | 'error', ... }
+  const recorderRef = useRef(null)
+  const frameAbort = useRef(null)
+  const [capture, setCapture] = useState(null)
+
+  const toggleVideo = useCallback(async () => {
+    const recorder = recorderRef.current
+    if (!recorder || recorder.isRendering()) return
+    try {
+      if (recorder.isRecording()) {
+        setCapture(null)
+        downloadBlob(await recorder.stopVideo(), `floating-basketballs-${seed}.webm`)
+      } else {
+        recorder.startVideo()
+        setCapture({ kind: 'video', startedAt: Date.now() })
+      }
+    } catch (err) {
+      setCapture({ kind: 'error', message: err.message })
+    }
+  }, [seed])
+
+  const exportFrames = useCallback(async (options) => {
+    const recorder = recorderRef.current
+    if (!recorder || recorder.isRecording() || recorder.isRendering()) return
+    frameAbort.current = new AbortController()
+    try {
+      const zip = await recorder.renderFrames({
+        ...options, signal: frameAbort.current.signal,
+        onProgress: (done, total) => setCapture({ kind: 'frames', done, total }),
+      })
+      downloadBlob(zip, `floating-basketballs-${seed}-${options.width}x${options.height}-${options.fps}fps.zip`)
+      setCapture(null)
+    } catch (err) {
+      setCapture(err.name === 'AbortError' ? null : { kind: 'error', message: err.message })
+    } finally {
+      frameAbort.current = null
+    }
+  }, [seed])
+
+  // Errors stay up for a few seconds
+  useEffect(() => {
+    if (capture?.kind !== 'error') return
+    const id = setTimeout(() => setCapture(null), 4000)
+    return () => clearTimeout(id)
+  }, [capture])
+
+  // Device and gamepad input — tilt/shake needs a permission prompt on iOS, so it's off until switched
+  // on in the control panel. The gamepad only acts once a pad is connected.
+  const motionInput = useMemo(() => new MotionInput(), [])
+  const [inputs, setInputs] = useState({ motion: false, gamepad: true, simulated: false, motionDenied: false })
+  const setInputSource = useCallback(async (source, on) => {
+    if (source === 'motion' && on && !(await requestMotionPermission())) {
+      setInputs(v => ({ ...v, motion: false, motionDenied: true }))
+      return
+    }
+    setInputs(v => ({ ...v, [source]: on, motionDenied: source === 'motion' ? false : v.motionDenied }))
+  }, [])
+  useEffect(() => {
+    INPUT_SOURCES.forEach(source => {
+      if (motionInput.enabled[source] !== inputs[source]) motionInput.setEnabled(source, inputs[source])
+    })
+  }, [inputs, motionInput])
+  useEffect(() => {
+    if (!inputs.motion) return
+    const screenAngle = () => window.screen.orientation?.angle ?? window.orientation ?? 0
+    const onOrientation = (e) => motionInput.handleOrientation(e, screenAngle())
+    const onMotion = (e) => motionInput.handleMotion(e, screenAngle(), e.timeStamp)
+    window.addEventListener('deviceorientation', onOrientation)
+    window.addEventListener('devicemotion', onMotion)
+    return () => {
+      window.removeEventListener('deviceorientation', onOrientation)
+      window.removeEventListener('devicemotion', onMotion)
+    }
+  }, [inputs.motion, motionInput])
+
+  // Camera → ?cam=/?target=, throttled: auto-rotation reports a change every frame
+  const cameraSync = useRef({ timer: null, position: [], target: [] })
+  const onCameraChange = useCallback((position, target) => {
+    const sync = cameraSync.current
+    sync.position = position.toArray()
+    sync.target = target.toArray()
+    if (sync.timer !== null) return
+    sync.timer = setTimeout(() => {
+      sync.timer = null
+      writeUrlParams({ cam: sync.position, target: sync.target })
+    }, CAMERA_SYNC_MS)
+  }, [])
+  useEffect(() => () => clearTimeout(cameraSync.current.timer), [])
 
-  // Effects state — each toggleable via "O" key cycling
-  const [effects, setEffects] = useState(ALL_EFFECTS_ON)
-  const effectIdxRef = useRef(0)
+  // Effects state — each toggleable via "O" key cycling (?off=Bloom,Noise starts with those disabled;
+  // the cycle then resumes after the last one)
+  const [effects, setEffects] = useState(() => {
+    const off = urlState.disabledEffects.filter(n => EFFECT_NAMES.includes(n))
+    return { ...ALL_EFFECTS_ON, ...Object.fromEntries(off.map(n => [n, false])) }
+  })
+  const effectIdxRef = useRef(Math.max(0, ...urlState.disabledEffects.map(n => EFFECT_NAMES.indexOf(n) + 1)))
   const [showEffectsHUD, setShowEffectsHUD] = useState(false)
 
-  // Theme — follows OS preference unless user presses "L" to override
-  const [isDarkMode, setIsDarkMode] = useState(() => {
-    if (window.matchMedia) return window.matchMedia('(prefers-color-scheme: dark)').matches
-    return true
+  // Theme — follows the OS (dark/light) unless the user presses "L" to cycle the presets in
+  // themes.js (or the link has ?theme=)
+  const [themeName, setThemeName] = useState(() => {
+    if (urlState.theme) return urlState.theme
+    if (window.matchMedia) return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light'
+    return 'dark'
   })
-  const [themeOverride, setThemeOverride] = useState(false)
+  const [themeOverride, setThemeOverride] = useState(urlState.theme !== null)
+  const theme = getTheme(themeName) ?? DARK_THEME
+  const isDarkMode = theme.dark
+
+  // Mirror app state into the query string (the camera is synced by onCameraChange)
+  useEffect(() => {
+    writeUrlParams({
+      theme: themeOverride ? themeName : null,
+      compat: null,
+      quality: qualityPin,
+      wireframe: isPrimitive === (qualityPin === 'minimal') ? null : (isPrimitive ? 1 : 0),
+      off: EFFECT_NAMES.filter(n => !effects[n]).join(',') || null,
+      court: isCourt,
+      boundary: boundaryType === 'sphere' ? null : boundaryType,
+      count: config.count,
+      seed,
+    })
+  }, [themeOverride, themeName, qualityPin, isPrimitive, effects, isCourt, boundaryType, config.count, seed])
 
   useEffect(() => {
     if (themeOverride) return
     const mq = window.matchMedia('(prefers-color-scheme: dark)')
-    const handler = (e) => setIsDarkMode(e.matches)
+    const handler = (e) => setThemeName(e.matches ? 'dark' : 'light')
     mq.addEventListener('change', handler)
     return () => mq.removeEventListener('change', handler)
   }, [themeOverride])
 
-  // Keyboard shortcuts: L=theme, M=mode, P=wireframe, O=effects cycle
+  // Keyboard shortcuts (listed in shortcuts.js). Only taken when focus is on the page or inside the
+  // app, never from form fields or Ctrl/Alt/Meta chords. While the help overlay is open only "?" and
+  // Escape act.
+  const rootRef = useRef(null)
+  const [showHelp, setShowHelp] = useState(false)
+
+  // What a tap or long press in empty space spawns — F cycles the POINTER_FIELDS, then off
+  const [fieldTool, setFieldTool] = useState(POINTER_FIELD_TYPES[0])
+  const [fieldToolChanged, setFieldToolChanged] = useState(false)
+
+  // Formations — A steps through FORMATIONS then back to drifting, T plays the demo timeline.
+  // `shownFormation` is whatever the scene reports, so timeline steps show up in the HUD too.
+  const [formationIndex, setFormationIndex] = useState(-1)
+  const [timelinePlaying, setTimelinePlaying] = useState(false)
+  const [shownFormation, setShownFormation] = useState(null)
+  const [formationUsed, setFormationUsed] = useState(false)
+
+  // Collision sound — on by default (it starts with the first click on the scene), V mutes
+  const [soundOn, setSoundOn] = useState(true)
+  const [soundToggled, setSoundToggled] = useState(false)
+
+  // Hoop mini-game — H puts the hoop up or down; the scene reports score and clock for the HUD
+  const [hoopOn, setHoopOn] = useState(false)
+  const [hoopGame, setHoopGame] = useState(null)
   useEffect(() => {
     const onKey = (e) => {
+      if (!isShortcutEvent(e, rootRef.current)) return
       const k = e.key.toLowerCase()
-      if (k === 'l') { setIsDarkMode(v => !v); setThemeOverride(true) }
-      else if (k === 'm') setIsLowPower(v => !v)
+      if (k === '?' || (k === 'escape' && showHelp)) setShowHelp(v => !v)
+      else if (showHelp) return
+      else if (k === 'l') { setThemeName(nextThemeName); setThemeOverride(true) }
+      else if (k === 'm') setQualityPin(v => v === QUALITY_NAMES.at(-1) ? null : QUALITY_NAMES[QUALITY_NAMES.indexOf(v) + 1])
       else if (k === 'p') setIsPrimitive(v => !v)
+      else if (k === 'g') setIsCourt(v => !v)
+      else if (k === 'c') setShowPanel(v => !v)
+      else if (k === 'r') toggleVideo()
+      else if (k === 'f') {
+        setFieldTool(v => v === POINTER_FIELD_TYPES.at(-1) ? null : POINTER_FIELD_TYPES[POINTER_FIELD_TYPES.indexOf(v) + 1])
+        setFieldToolChanged(true)
+      }
+      else if (k === 'a') {
+        setTimelinePlaying(false)
+        setFormationIndex(v => v + 1 < FORMATIONS.length ? v + 1 : -1)
+        setFormationUsed(true)
+      }
+      else if (k === 't') {
+        setTimelinePlaying(v => !v)
+        setFormationIndex(-1)
+        setFormationUsed(true)
+      }
+      else if (k === 'v') { setSoundOn(v => !v); setSoundToggled(true) }
+      else if (k === 'h') setHoopOn(v => !v)
+      else if (k === 'b') setBoundaryType(v => BOUNDARY_TYPES[(BOUNDARY_TYPES.indexOf(v) + 1) % BOUNDARY_TYPES.length])
       else if (k === 'o') {
         setShowEffectsHUD(true)
         const next = effectIdxRef.current + 1
@@ -163,59 +414,24 @@ function App() {
     }
     window.addEventListener('keydown', onKey)
     return () => window.removeEventListener('keydown', onKey)
-  }, [])
+  }, [toggleVideo, showHelp])
 
-  // Shader material for the sun's glow — mathematically perfect, resolution independent
-  const glowMaterial = useMemo(() => new THREE.ShaderMaterial({
-    transparent: true,
-    depthWrite: false,
-    blending: THREE.AdditiveBlending,
-    vertexShader: `
-      varying vec2 vUv;
-      void main() {
-        vUv = uv;
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-      }
-    `,
-    fragmentShader: `
-      varying vec2 vUv;
-      void main() {
-        // Calculate distance from center (0.0 at center, 0.5 at edges)
-        float dist = distance(vUv, vec2(0.5));
-        
-        // Invert to get strength (1.0 at center, 0.0 at edges)
-        float strength = max(0.0, 1.0 - dist * 2.0);
-        
-        // Exponential falloff for softer edges
-        float alpha = pow(strength, 1.5);
-        
-        // Beautiful multi-stop color curve
-        vec3 col = vec3(0.0);
-        if (strength > 0.8) {
-          col = mix(vec3(1.0, 0.94, 0.78), vec3(1.0), (strength - 0.8) * 5.0);
-        } else if (strength > 0.4) {
-          col = mix(vec3(1.0, 0.7, 0.39), vec3(1.0, 0.94, 0.78), (strength - 0.4) * 2.5);
-        } else {
-          col = mix(vec3(0.0), vec3(1.0, 0.7, 0.39), strength * 2.5);
-        }
-        
-        // Microscopic noise dither to eliminate banding on 8-bit monitors
-        float noise = (fract(sin(dot(gl_FragCoord.xy, vec2(12.9898, 78.233))) * 43758.5453) - 0.5) / 255.0;
-        
-        // Pre-multiply alpha for additive blending
-        gl_FragColor = vec4(col * alpha + noise, alpha);
-      }
-    `
-  }), [])
-
-  useEffect(() => () => glowMaterial.dispose(), [glowMaterial])
+  // prefers-reduced-motion — followed live unless ?reducedMotion=1|0 overrides it
+  const [reducedMotion, setReducedMotion] = useState(() =>
+    urlState.reducedMotion ?? (window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false)
+  )
+  useEffect(() => {
+    if (urlState.reducedMotion !== null || !window.matchMedia) return
+    const mq = window.matchMedia('(prefers-reduced-motion: reduce)')
+    const handler = (e) => setReducedMotion(e.matches)
+    mq.addEventListener('change', handler)
+    return () => mq.removeEventListener('change', handler)
+  }, [urlState])
 
-  const bg = isDarkMode ? '#020202' : '#f0f0f0'
+  const bg = theme.background
 
   return (
-    <div style={{ width: '100vw', height: '100vh', background: bg, position: 'relative', overflow: 'hidden' }}>
-      <Loader />
-
+    <div ref={rootRef} style={{ width: '100vw', height: '100vh', background: bg, position: 'relative', overflow: 'hidden' }}>
       {/* iOS Safari edge fades — blend scene into browser chrome */}
       {isIOS && (
         <>
@@ -230,63 +446,20 @@ function App() {
         </>
       )}
 
-      {/* Three.js Canvas — DPR capped to 1.0 on Safari (Retina perf), 1.5 elsewhere */}
-      <Canvas
-        style={isLowPower ? { filter: 'saturate(0.8)' } : undefined}
-        dpr={[1, isSafari ? 1.0 : 1.5]}
-        shadows={effects.Shadows ? 'soft' : false}
-        camera={{ position: [0, 20, 90], fov: 45 }}
-        gl={{
-          antialias: true, powerPreference: isLowPower ? 'low-power' : 'high-performance',
-          preserveDrawingBuffer: false, stencil: false, depth: true
-        }}
-      >
-        <color attach="background" args={[bg]} />
-
-        {/* Lighting rig — all values pre-computed per mode/theme */}
-        <ambientLight intensity={isLowPower ? (isDarkMode ? 0.25 : 0.45) : (isDarkMode ? 0.0125 : 0)} />
-        <directionalLight position={[50, 100, 50]} intensity={isLowPower ? (isDarkMode ? 2.75 : 2.5) : (isDarkMode ? 2.5 : 3.0)}
-          castShadow={!isLowPower && effects.Shadows}
-          shadow-mapSize={[4096, 4096]} shadow-camera-left={-55} shadow-camera-right={55}
-          shadow-camera-top={55} shadow-camera-bottom={-55} shadow-bias={-0.002} />
-
-        {/* Sun mesh + additive glow sprite */}
-        <group position={[50, 100, 50]}>
-          <mesh>
-            <sphereGeometry args={[5, isLowPower ? 24 : 16, isLowPower ? 24 : 16]} />
-            {isLowPower
-              ? <meshBasicMaterial color={isDarkMode ? '#fff5e0' : '#ffffff'} toneMapped={false} />
-              : <meshStandardMaterial color="#ffffff" emissive="#fff9e6" emissiveIntensity={17} toneMapped={false} />
-            }
-          </mesh>
-          <Billboard follow={true} lockX={false} lockY={false} lockZ={false}>
-            <mesh material={glowMaterial} scale={isLowPower ? (isDarkMode ? [40, 40, 1] : [80, 80, 1]) : [70, 70, 1]}>
-              <planeGeometry args={[1, 1]} />
-            </mesh>
-          </Billboard>
-        </group>
-
-        <pointLight position={[-40, -40, -40]} intensity={isDarkMode ? 0.25 : 0.1} color="#ffffff" />
-        {!isLowPower && <pointLight position={[40, 40, 80]} intensity={isDarkMode ? 0.05 : 0.02} color="#ffeedd" />}
-
-        {/* Camera controls */}
-        <OrbitControls enableZoom zoomSpeed={0.3} enablePan={false} enableRotate
-          rotateSpeed={0.24} autoRotate autoRotateSpeed={-0.51} minDistance={35} maxDistance={63} />
-
-        <Suspense fallback={null}>
-          <Basketballs count={isLowPower ? 40 : 80} isPrimitive={isPrimitive} isDarkMode={isDarkMode} isLowPower={isLowPower} />
-          {!isLowPower && effects.Environment && <Environment preset="city" blur={0.5} environmentIntensity={isDarkMode ? 0.06 : 0.4} />}
-        </Suspense>
-
-        {/* Post-processing — only in high-perf mode, each effect individually toggleable */}
-        {!isLowPower && (effects.Bloom || effects.Noise || effects.Vignette) && (
-          <EffectComposer disableNormalPass multisampling={4}>
-            {effects.Bloom && <Bloom luminanceThreshold={1.2} mipmapBlur intensity={0.85} radius={0.5} />}
-            {effects.Noise && <Noise opacity={0.022} />}
-            {effects.Vignette && <Vignette eskil={false} offset={0.35} darkness={isDarkMode ? 0.65 : 0.38} />}
-          </EffectComposer>
-        )}
-      </Canvas>
+      <FloatingBasketballs
+        count={config.count ?? autoCount} seed={seed} worker={useWorker} court={isCourt} walls={hasWalls}
+        boundary={boundaryType} physics={config.physics} rendering={config.rendering}
+        theme={theme.name} quality={qualityPin ?? 'auto'} onQualityChange={onQualityChange} wireframe={isPrimitive} effects={effects}
+        background={bg} dpr={[1, isSafari ? 1.0 : 1.5]}
+        cameraPosition={urlState.cameraPosition ?? DEFAULT_CAMERA_POSITION}
+        cameraTarget={urlState.cameraTarget ?? DEFAULT_CAMERA_TARGET}
+        onReady={hidePreloader} onCameraChange={onCameraChange} recorderRef={recorderRef}
+        diagnosticsRef={isPrimitive ? diagnosticsRef : undefined} motionInput={motionInput} reducedMotion={reducedMotion} fieldTool={fieldTool}
+        formation={formationIndex >= 0 ? FORMATIONS[formationIndex] : null} formationTimeline={timelinePlaying ? DEMO_TIMELINE : undefined}
+        onFormationChange={setShownFormation} sound={soundOn} hoop={hoopOn && !server} onHoopChange={setHoopGame}
+        server={server} onUsersChange={setUsers}
+        ariaLabel="Interactive 3D scene of basketballs floating in zero gravity. Drag a ball to throw it. Press ? for keyboard shortcuts."
+        style={{ position: 'absolute', inset: 0 }} />
 
       {/* Effects HUD — visible when cycling with "O" */}
       {showEffectsHUD && !isLowPower && (
@@ -301,16 +474,45 @@ function App() {
         </div>
       )}
 
-      {/* Diagnostic label (wireframe mode only) */}
+      {server && <OnlineStatus users={users} isDarkMode={isDarkMode} />}
+      {hoopOn && !server && hoopGame && <HoopStatus game={hoopGame} isDarkMode={isDarkMode} />}
+      {capture && <CaptureStatus capture={capture} isDarkMode={isDarkMode} />}
+      {!isPrimitive && <QualityStatus quality={quality} isDarkMode={isDarkMode} />}
+      {themeOverride && <StatusFlash value={theme} top={20} isDarkMode={isDarkMode}>Theme: {theme.label}  [L] next</StatusFlash>}
+      {fieldToolChanged && (
+        <StatusFlash value={fieldTool} top={38} isDarkMode={isDarkMode}>
+          Tap/hold: {fieldTool ? FIELD_TOOL_LABELS[fieldTool] : 'camera only'}  [F] next
+        </StatusFlash>
+      )}
+      {soundToggled && <StatusFlash value={soundOn} top={74} isDarkMode={isDarkMode}>Sound: {soundOn ? 'on' : 'muted'}  [V]</StatusFlash>}
+      {formationUsed && (
+        <StatusFlash value={`${shownFormation?.shape}${timelinePlaying}`} top={56} isDarkMode={isDarkMode}>
+          Formation: {shownFormation ? FORMATION_LABELS[shownFormation.shape] : 'drifting'}{timelinePlaying && ' (timeline)'}  [A] next  [T] timeline
+        </StatusFlash>
+      )}
+
+      {/* Shortcut help — the corner button makes it discoverable without a keyboard */}
+      <button type="button" aria-label="Keyboard shortcuts" aria-haspopup="dialog" onClick={() => setShowHelp(true)} style={{
+        position: 'absolute', bottom: 16, left: 16, zIndex: 10, width: 24, height: 24, padding: 0, borderRadius: '50%',
+        font: '11px monospace', cursor: 'pointer', opacity: 0.4, color: isDarkMode ? '#fff' : '#000', background: 'transparent',
+        border: `1px solid ${isDarkMode ? 'rgba(255,255,255,0.5)' : 'rgba(0,0,0,0.5)'}`
+      }}>?</button>
+      {showHelp && <HelpOverlay isDarkMode={isDarkMode} reducedMotion={reducedMotion} onClose={() => setShowHelp(false)} />}
+
+      {showPanel && (
+        <ControlPanel config={config} autoCount={autoCount} onChange={updateConfig} isDarkMode={isDarkMode}
+          capture={capture} onToggleVideo={toggleVideo} onExportFrames={exportFrames}
+          onCancelFrames={() => frameAbort.current?.abort()} inputs={inputs} onInputChange={setInputSource} />
+      )}
+
+      {/* Diagnostics HUD (wireframe mode only) */}
       {isPrimitive && (
-        <div style={{
-          position: 'absolute', bottom: 20, right: 20, color: isDarkMode ? '#fff' : '#000',
-          opacity: 0.3, pointerEvents: 'none', fontSize: '10px', zIndex: 10,
-          textAlign: 'right', lineHeight: 1.6
-        }}>
-          {isLowPower ? 'High Compatibility Mode' : 'High Performance Mode'}<br />
-          [L] Theme · [M] Mode · [P] Wireframe · [O] Effects
-        </div>
+        <DiagnosticsHUD diagnosticsRef={diagnosticsRef} isDarkMode={isDarkMode}>
+          <div style={{ opacity: 0.5 }}>
+            {qualityLabel(quality)}<br />
+            {SHORTCUT_LEGEND}
+          </div>
+        </DiagnosticsHUD>
       )}
     </div>
   )
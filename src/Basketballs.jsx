@@ -0,0 +1,448 @@
+// Basketballs.jsx — Instanced balls driven by the physics engine
+// Renders N balls via one InstancedMesh per ball type (see ballTypes.js). Physics drives positions each frame.
+// Each type has two meshes in parallel: textured (default) and wireframe (diagnostic "P" key).
+// Click/tap a ball to grab it, drag to move it, release to fling it into the pile. With a field tool,
+// tapping empty space drops a short-lived force field there and a long press holds one.
+// A formation (or a timeline of them) steers the pile into a shape and scatters it again.
+// With audio, the frame's impacts are handed to it as collision sounds.
+// With a hoop game, a thrown ball falls toward the hoop while the rest float, and baskets score.
+// With a server URL the pile is the multiplayer server's shared scene, drawn from its snapshots.
+
+import { Fragment, useImperativeHandle, useMemo, useRef, useEffect, useState } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import { useGLTF } from '@react-three/drei'
+import * as THREE from 'three'
+import { ballScaleForCount, COURT_FLOOR_HEIGHT, BOUNDARY_RADIUS, FIXED_TIMESTEP } from './physics.js'
+import { createPhysics } from './physicsWorkerClient.js'
+import { ballProperties, layoutBallTypes, resolveBallTypes } from './ballTypes.js'
+import { POINTER_FIELDS } from './forceFields.js'
+import { FormationTimeline, buildFormation } from './formations.js'
+import { Hoop } from './hoop.js'
+import HoopModel from './HoopModel.jsx'
+
+const REDUCED_MOTION_TIME_SCALE = 0.35 // simulated seconds per real second with reducedMotion
+const LONG_PRESS_MS = 400  // a still press this long in empty space holds a force field
+const TAP_SLOP_PX = 8      // moving further than this first means the press is an orbit drag
+const TAP_FIELD_MS = 2500  // how long a tapped field lasts
+const FORMATION_EXTENT = BOUNDARY_RADIUS * 0.85 // formations are shrunk or layered to fit this far from the centre
+
+// ballTypes — [{ url, node, material, scale, mass, share }, ...]; omitted fields come from BASKETBALL.
+// Without it every ball is a basketball from `modelUrl` (a GLTF with `Object_2` + `Basketball_size6`).
+// onGrab(index) / onRelease(index) fire when the pointer picks up and lets go of a ball.
+// diagnostics — optional record (diagnostics.js) that receives the simulator's stats every frame.
+// motionInput — optional MotionInput (motionInput.js): its screen-space tilt/shake becomes a force on the pile.
+// reducedMotion — the simulation runs slower and idle diffusion stops, so a settled pile holds still.
+// forceFields — specs added to the simulator for as long as they're passed (see forceFields.js).
+// fieldTool — a POINTER_FIELDS name ('attractor', 'repulsor', 'vortex', 'wind') spawned from empty
+// space by tap or long press; null leaves empty-space presses to the camera.
+// formation — a formation spec ({ shape, text, path, ... }, see formations.js) the pile assembles into;
+// null scatters it back into the drift. formationTimeline — steps to play instead ({ ...spec, hold }),
+// looping unless formationLoop is false. onFormationChange(spec | null) fires as the shape changes.
+// audio — a CollisionAudio (collisionAudio.js) that plays the impacts; null records none.
+// hoopGame — a HoopGame (hoopGame.js): puts up the hoop, and every released ball is a shot.
+// server — ws:// URL of a multiplayer server (server/index.js) whose scene to join instead of simulating one;
+// its welcome decides the ball count and size. onUsersChange({ connected, id, ids, ballCount, ballRadius, inSync })
+// follows the connection and who else is in it.
+// physicsRef — optional ref that receives the simulator in use (or its worker / server proxy).
+export default function Basketballs({
+  count: countProp = 80, seed, useWorker, isCourt, hasWalls, boundaryType, physicsConfig,
+  isPrimitive, isDarkMode, wireSegments = 24, modelUrl = '/Ball.gltf', ballTypes, onGrab, onRelease, diagnostics, motionInput,
+  reducedMotion = false, forceFields, fieldTool = null, formation = null, formationTimeline, formationLoop = true, onFormationChange, audio = null,
+  hoopGame = null, server = null, onUsersChange, physicsRef,
+}) {
+  const types = useMemo(() => resolveBallTypes(ballTypes, modelUrl), [ballTypes, modelUrl])
+  const gltfs = useGLTF(types.map(type => type.url))
+  const { gl, camera } = useThree()
+  const controls = useThree(s => s.controls)
+  const groupRef = useRef() // parent of every ball mesh — its local space is the physics space
+
+  // A server's scene has its own ball count and size, from its welcome — the props' until then.
+  // The first welcome may rebuild the scene once to match; later ones (reconnects) carry the same.
+  const [serverCount, setServerCount] = useState(null)
+  const [serverRadius, setServerRadius] = useState(null)
+  const count = (server && serverCount) || countProp
+  const fixedRadius = server ? serverRadius : null
+
+  // Latest callbacks, read from the pointer handlers without re-subscribing them
+  const callbacks = useRef()
+  callbacks.current = { onGrab, onRelease, fieldTool, onFormationChange, hoopGame, onUsersChange }
+
+  // Max anisotropic filtering — sharpens textures at oblique angles
+  useEffect(() => {
+    const maxAniso = gl.capabilities.getMaxAnisotropy()
+    gltfs.flatMap(gltf => Object.values(gltf.materials)).forEach(mat => {
+      if (mat.map) mat.map.anisotropy = maxAniso
+      if (mat.normalMap) {
+        mat.normalMap.anisotropy = maxAniso
+        mat.normalScale.set(0.7, 0.7) // soften to prevent shimmering
+      }
+      if (mat.roughnessMap) mat.roughnessMap.anisotropy = maxAniso
+    })
+  }, [gltfs, gl])
+
+  // Center each type's GLTF geometry at origin so its physics sphere aligns with the mesh.
+  // Large counts shrink the balls so the pile keeps the same density inside the boundary.
+  const ballScale = ballScaleForCount(count)
+  const centeredGeos = useMemo(() => types.map((type, t) => {
+    const node = gltfs[t].nodes[type.node]
+    if (!node) throw new Error(`Ball model ${type.url} has no node "${type.node}"`)
+    const geo = node.geometry.clone()
+    geo.computeBoundingSphere()
+    const c = geo.boundingSphere.center
+    geo.translate(-c.x, -c.y, -c.z)
+    // A server simulates one size for every ball, so its radius replaces the types' scales
+    const scale = fixedRadius ? fixedRadius / geo.boundingSphere.radius : ballScale * type.scale
+    if (scale !== 1) geo.scale(scale, scale, scale)
+    geo.computeBoundingSphere()
+    return geo
+  }), [gltfs, types, ballScale, fixedRadius])
+
+  useEffect(() => () => centeredGeos.forEach(geo => geo.dispose()), [centeredGeos])
+
+  // Every type's radius comes from its own geometry; masses from the type definitions
+  const layout = useMemo(() => layoutBallTypes(types, count), [types, count])
+  const radiiKey = centeredGeos.map(geo => geo.boundingSphere.radius).join(',')
+  const physics = useMemo(() => {
+    const typeRadii = radiiKey.split(',').map(Number)
+    const { radii, masses } = ballProperties(types, layout, typeRadii)
+    return createPhysics(count, Math.max(...typeRadii), {
+      seed, worker: useWorker, radii, masses, server,
+      onUsersChange: users => {
+        if (users.ballCount) {
+          setServerCount(users.ballCount)
+          setServerRadius(users.ballRadius)
+        }
+        callbacks.current.onUsersChange?.(users)
+      },
+    })
+  }, [count, types, layout, radiiKey, seed, useWorker, server])
+  useImperativeHandle(physicsRef, () => physics, [physics])
+
+  // Instance targets for physics.updateInstances() — one entry per type, meshes filled in by refs
+  const groups = useMemo(() => layout.map(range => ({ ...range, mesh: null, prim: null })), [layout])
+
+  // Worker-backed physics owns a thread, multiplayer a socket — start/stop them with the component (StrictMode-safe)
+  useEffect(() => {
+    if (!physics.start) return
+    physics.start()
+    return () => physics.stop()
+  }, [physics])
+
+  // Court mode (G key): gravity + floor, switched live without resetting the pile
+  useEffect(() => {
+    physics.setMode(isCourt ? 'court' : 'float', { walls: hasWalls })
+  }, [physics, isCourt, hasWalls])
+
+  // Boundary shape (B key / ?boundary=) — balls outside the new shape are projected back in
+  useEffect(() => {
+    physics.setBoundary(boundaryType)
+  }, [physics, boundaryType])
+
+  // prefers-reduced-motion: a slower clock (the worker keeps its own, so the simulator owns the
+  // scale) and no endless drifting once the pile has settled
+  useEffect(() => {
+    physics.setTimeScale(reducedMotion ? REDUCED_MOTION_TIME_SCALE : 1)
+    physics.setIdleDiffusion(!reducedMotion)
+  }, [physics, reducedMotion])
+
+  // Control panel tunables — applied live, the pile carries on
+  useEffect(() => {
+    physics.setConfig(physicsConfig)
+  }, [physics, physicsConfig])
+
+  // Host-supplied force fields — replaced as a set whenever the list changes
+  useEffect(() => {
+    if (!forceFields) return
+    const ids = forceFields.map(spec => physics.addForceField(spec))
+    return () => ids.forEach(id => physics.removeForceField(id))
+  }, [physics, forceFields])
+
+  // Formations — the prop, or the current timeline step while a timeline plays. Points are built
+  // here (text and SVG shapes rasterise on a canvas); the simulator matches balls to them.
+  const timeline = useMemo(() => formationTimeline ? new FormationTimeline(formationTimeline, { loop: formationLoop }) : null,
+    [formationTimeline, formationLoop])
+  const [timelineStep, setTimelineStep] = useState(null)
+  useEffect(() => setTimelineStep(null), [timeline])
+  const activeFormation = timeline ? timelineStep : formation
+  useEffect(() => {
+    if (activeFormation?.shape) {
+      const points = buildFormation(activeFormation, physics.count, { ballRadius: physics.BALL_RADIUS, maxExtent: FORMATION_EXTENT })
+      physics.setFormation(points)
+    } else {
+      physics.clearFormation()
+    }
+    callbacks.current.onFormationChange?.(activeFormation?.shape ? activeFormation : null)
+  }, [physics, activeFormation])
+
+  // Collision events are only recorded while someone is listening
+  useEffect(() => {
+    physics.setCollisionEvents(Boolean(audio))
+  }, [physics, audio])
+
+  // Hoop game — the simulator collides with the same Hoop the model draws. Putting it away grounds
+  // any shot still in flight.
+  const hoop = useMemo(() => hoopGame ? new Hoop({}, physics.BALL_RADIUS) : null, [hoopGame, physics])
+  useEffect(() => {
+    if (!hoop) return
+    physics.setHoop(hoop.toSpec())
+    return () => {
+      physics.setHoop(null)
+      for (const index of hoopGame.flyingBalls()) physics.setBallGravity(index, false)
+    }
+  }, [physics, hoop, hoopGame])
+
+  const localCamPos = useMemo(() => new THREE.Vector3(), [])
+
+  // Drag state — scratch objects reused across pointer events (zero GC pressure)
+  const drag = useMemo(() => ({
+    pointerId: null,
+    index: -1,
+    raycaster: new THREE.Raycaster(),
+    ndc: new THREE.Vector2(),
+    localRay: new THREE.Ray(),
+    invMatrix: new THREE.Matrix4(),
+    plane: new THREE.Plane(),
+    hit: new THREE.Vector3(),
+    target: new THREE.Vector3(),
+    prevTarget: new THREE.Vector3(),
+    velocity: new THREE.Vector3(),
+    frameVel: new THREE.Vector3(),
+    fieldPlane: new THREE.Plane(),
+    forward: new THREE.Vector3(),
+    toLocal: new THREE.Quaternion(),
+  }), [])
+
+  // Scratch for turning screen-space input into physics space
+  const input = useMemo(() => ({ force: new THREE.Vector3(), toLocal: new THREE.Quaternion() }), [])
+
+  // Pointer grab: pick on pointerdown (capture phase, so OrbitControls never starts rotating),
+  // drag on a camera-facing plane through the ball, fling with the pointer's velocity on release.
+  // Pointer capture keeps the drag alive outside the canvas without any window listeners.
+  useEffect(() => {
+    const canvas = gl.domElement
+    const root = canvas.parentElement
+
+    const setRay = (e) => {
+      const rect = canvas.getBoundingClientRect()
+      drag.ndc.set(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1)
+      drag.raycaster.setFromCamera(drag.ndc, camera)
+    }
+
+    // Force fields from empty space. The point is where the pointer ray meets a camera-facing plane
+    // through the orbit target, in the group's local space (like the camera position each frame).
+    // Vortices swirl around the view direction, wind blows along it.
+    const press = { pointerId: null, clientX: 0, clientY: 0, startX: 0, startY: 0, timer: 0, fieldId: -1 }
+    const tapTimers = new Map() // tapped field id → removal timer
+
+    const fieldPoint = (e) => {
+      const group = groupRef.current
+      setRay(e)
+      camera.getWorldDirection(drag.forward)
+      drag.fieldPlane.setFromNormalAndCoplanarPoint(drag.forward, controls ? controls.target : drag.hit.set(0, 0, 0))
+      if (!group || !drag.raycaster.ray.intersectPlane(drag.fieldPlane, drag.hit)) return null
+      return group.worldToLocal(drag.hit).toArray()
+    }
+
+    const spawnField = (e) => {
+      const preset = POINTER_FIELDS[callbacks.current.fieldTool]
+      const position = preset && fieldPoint(e)
+      if (!position) return -1
+      groupRef.current.getWorldQuaternion(drag.toLocal).invert()
+      const forward = camera.getWorldDirection(drag.forward).applyQuaternion(drag.toLocal).toArray()
+      return physics.addForceField({ ...preset, position, axis: forward.map(v => -v), direction: forward })
+    }
+
+    const holdField = () => {
+      press.fieldId = spawnField(press)
+      if (press.fieldId < 0) return
+      root.setPointerCapture(press.pointerId)
+      if (controls) controls.enabled = false
+      canvas.style.cursor = 'crosshair'
+    }
+
+    const endPress = (spawnTap) => {
+      clearTimeout(press.timer)
+      if (press.fieldId >= 0) {
+        physics.removeForceField(press.fieldId)
+        if (controls) controls.enabled = true
+        canvas.style.cursor = ''
+      } else if (spawnTap) {
+        const id = spawnField(press)
+        if (id >= 0) tapTimers.set(id, setTimeout(() => { physics.removeForceField(id); tapTimers.delete(id) }, TAP_FIELD_MS))
+      }
+      press.pointerId = null
+      press.fieldId = -1
+    }
+
+    const onDown = (e) => {
+      const group = groupRef.current
+      if (!group || drag.pointerId !== null || press.pointerId !== null || !e.isPrimary || e.button !== 0) return
+      setRay(e)
+      drag.invMatrix.copy(group.matrixWorld).invert()
+      drag.localRay.copy(drag.raycaster.ray).applyMatrix4(drag.invMatrix)
+      drag.localRay.direction.normalize()
+      const index = physics.pick(drag.localRay.origin, drag.localRay.direction)
+      if (index < 0) {
+        if (!callbacks.current.fieldTool) return
+        // Not captured yet: OrbitControls still gets the press, in case it turns into a drag
+        Object.assign(press, { pointerId: e.pointerId, clientX: e.clientX, clientY: e.clientY, startX: e.clientX, startY: e.clientY })
+        press.timer = setTimeout(holdField, LONG_PRESS_MS)
+        return
+      }
+
+      // Drag plane faces the camera and passes through the grabbed ball
+      physics.getPosition(index, drag.target)
+      drag.prevTarget.copy(drag.target)
+      drag.velocity.set(0, 0, 0)
+      group.localToWorld(drag.hit.copy(drag.target))
+      drag.plane.setFromNormalAndCoplanarPoint(camera.getWorldDirection(drag.frameVel), drag.hit)
+      physics.grab(index, drag.target)
+
+      drag.pointerId = e.pointerId
+      drag.index = index
+      root.setPointerCapture(e.pointerId)
+      if (controls) controls.enabled = false // pauses rotation + autoRotate while held
+      canvas.style.cursor = 'grabbing'
+      callbacks.current.onGrab?.(index)
+    }
+
+    const onMove = (e) => {
+      if (e.pointerId === press.pointerId) {
+        press.clientX = e.clientX
+        press.clientY = e.clientY
+        if (press.fieldId >= 0) {
+          const position = fieldPoint(e)
+          if (position) physics.updateForceField(press.fieldId, { position })
+        } else if (Math.hypot(e.clientX - press.startX, e.clientY - press.startY) > TAP_SLOP_PX) {
+          endPress(false) // an orbit drag
+        }
+        return
+      }
+      const group = groupRef.current
+      if (e.pointerId !== drag.pointerId || !group) return
+      setRay(e)
+      if (!drag.raycaster.ray.intersectPlane(drag.plane, drag.hit)) return
+      drag.target.copy(drag.hit)
+      group.worldToLocal(drag.target)
+      physics.moveGrab(drag.target)
+    }
+
+    const onUp = (e) => {
+      if (e.pointerId === press.pointerId) {
+        endPress(e.type === 'pointerup')
+        return
+      }
+      if (e.pointerId !== drag.pointerId) return
+      physics.release(drag.velocity)
+      const game = callbacks.current.hoopGame
+      if (game) {
+        physics.setBallGravity(drag.index, true)
+        game.shoot(drag.index)
+      }
+      drag.pointerId = null
+      if (controls) controls.enabled = true
+      canvas.style.cursor = ''
+      callbacks.current.onRelease?.(drag.index)
+    }
+
+    root.addEventListener('pointerdown', onDown, { capture: true })
+    root.addEventListener('pointermove', onMove)
+    root.addEventListener('pointerup', onUp)
+    root.addEventListener('pointercancel', onUp)
+    root.addEventListener('lostpointercapture', onUp)
+    return () => {
+      root.removeEventListener('pointerdown', onDown, { capture: true })
+      root.removeEventListener('pointermove', onMove)
+      root.removeEventListener('pointerup', onUp)
+      root.removeEventListener('pointercancel', onUp)
+      root.removeEventListener('lostpointercapture', onUp)
+      if (drag.pointerId !== null) {
+        drag.pointerId = null
+        if (controls) controls.enabled = true
+        canvas.style.cursor = ''
+      }
+      if (press.pointerId !== null) endPress(false)
+      tapTimers.forEach((timer, id) => { clearTimeout(timer); physics.removeForceField(id) })
+    }
+  }, [gl, camera, controls, physics, drag])
+
+  // Per-frame: transform camera to local space, step physics, sync instances
+  useFrame((state, delta) => {
+    if (!groupRef.current) return
+    localCamPos.copy(state.camera.position)
+    groupRef.current.worldToLocal(localCamPos)
+
+    // Pointer velocity (local units per physics step), smoothed so a jittery final sample doesn't kill the fling
+    if (drag.pointerId !== null) {
+      drag.frameVel.subVectors(drag.target, drag.prevTarget).multiplyScalar(FIXED_TIMESTEP / Math.max(delta, 1e-4))
+      drag.velocity.lerp(drag.frameVel, 0.5)
+      drag.prevTarget.copy(drag.target)
+    }
+
+    // Tilt / shake / gamepad: screen space → world (camera orientation) → physics space (group)
+    if (motionInput) {
+      motionInput.update(performance.now())
+      const { acceleration, impulse } = motionInput.read()
+      groupRef.current.getWorldQuaternion(input.toLocal).invert().multiply(state.camera.quaternion)
+      input.force.fromArray(acceleration).applyQuaternion(input.toLocal)
+      physics.setExternalAcceleration(input.force.x, input.force.y, input.force.z)
+      if (impulse) {
+        input.force.fromArray(impulse).applyQuaternion(input.toLocal)
+        physics.applyImpulse(input.force.x, input.force.y, input.force.z)
+      }
+    }
+
+    const simDelta = reducedMotion ? delta * REDUCED_MOTION_TIME_SCALE : delta
+    const step = timeline?.update(simDelta)
+    if (step) setTimelineStep(step)
+    physics.advance(delta, localCamPos) // scaled by the simulator itself, see setTimeScale()
+    physics.updateInstances(groups)
+    if (audio) {
+      const { data, count } = physics.drainCollisionEvents()
+      audio.setListener(state.camera)
+      audio.play(data, count, physics.radii, groupRef.current.matrixWorld)
+    }
+    if (hoopGame) {
+      for (const index of physics.drainBaskets()) hoopGame.basket(index)
+      for (const index of hoopGame.update(simDelta)) physics.setBallGravity(index, false)
+    }
+    if (diagnostics) {
+      diagnostics.physics = physics.getStats()
+      diagnostics.count = physics.count
+    }
+  })
+
+  // Wireframe diagnostic spheres, one per type (each matches its collision radius exactly)
+  const primGeos = useMemo(() => radiiKey.split(',').map(r => new THREE.SphereGeometry(Number(r), wireSegments, wireSegments)), [radiiKey, wireSegments])
+  const primMat = useMemo(() => new THREE.MeshBasicMaterial({
+    color: isDarkMode ? '#fff' : '#000', wireframe: true, transparent: true, opacity: 0.8,
+  }), [isDarkMode])
+
+  useEffect(() => () => primGeos.forEach(geo => geo.dispose()), [primGeos])
+  useEffect(() => () => primMat.dispose(), [primMat])
+
+  // Court floor — invisible except for the shadows the balls cast on it
+  const floorMat = useMemo(() => new THREE.ShadowMaterial({ opacity: isDarkMode ? 0.5 : 0.2 }), [isDarkMode])
+  useEffect(() => () => floorMat.dispose(), [floorMat])
+
+  return (
+    <>
+      <group ref={groupRef} rotation={[-Math.PI / 2, 0, 0]}>
+        {types.map((type, t) => (
+          <Fragment key={t}>
+            <instancedMesh castShadow receiveShadow visible={!isPrimitive} ref={m => { groups[t].mesh = m }}
+              args={[centeredGeos[t], gltfs[t].materials[type.material], layout[t].count]} />
+            <instancedMesh castShadow receiveShadow visible={isPrimitive} ref={m => { groups[t].prim = m }}
+              args={[primGeos[t], primMat, layout[t].count]} />
+          </Fragment>
+        ))}
+        {hoop && <HoopModel hoop={hoop} ballRadius={physics.BALL_RADIUS} isDarkMode={isDarkMode} />}
+      </group>
+      {isCourt && (
+        <mesh receiveShadow material={floorMat} position={[0, COURT_FLOOR_HEIGHT, 0]} rotation={[-Math.PI / 2, 0, 0]}>
+          <planeGeometry args={[BOUNDARY_RADIUS * 2, BOUNDARY_RADIUS * 2]} />
+        </mesh>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,133 @@
+// ControlPanel.jsx — Runtime tuning panel (toggled with "C")
+// Sliders for the physics tunables, lighting scales, post-processing parameters and ball count.
+// Edits apply live; App persists every change to localStorage. Presets export/import as JSON.
+// The Recording section starts WebM takes and offline PNG-sequence renders (see recording.js).
+// The Input section switches tilt/shake, gamepad and simulated input on and off (see motionInput.js).
+
+import { useRef, useState } from 'react'
+import { CONFIG_FIELDS, MAX_BALL_COUNT, exportPreset, normalizeConfig, parsePreset } from './config.js'
+import { RECORDING_RESOLUTIONS, downloadBlob, maxSequenceSeconds } from './recording.js'
+
+const SECTIONS = [['physics', 'Physics'], ['rendering', 'Rendering']]
+const INPUT_LABELS = { motion: 'Tilt & shake', gamepad: 'Gamepad', simulated: 'Simulated tilt & shake' }
+
+function Slider({ label, value, min, max, step, onChange, onCommit, display }) {
+  return (
+    <label style={{ display: 'grid', gridTemplateColumns: '120px 1fr 44px', alignItems: 'center', gap: 8 }}>
+      <span>{label}</span>
+      <input type="range" min={min} max={max} step={step} value={value}
+        onChange={e => onChange(Number(e.target.value))}
+        onPointerUp={onCommit} onKeyUp={onCommit} />
+      <span style={{ textAlign: 'right' }}>{display ?? value}</span>
+    </label>
+  )
+}
+
+export default function ControlPanel({
+  config, autoCount, onChange, isDarkMode, capture, onToggleVideo, onExportFrames, onCancelFrames,
+  inputs, onInputChange,
+}) {
+  const fileRef = useRef()
+  const [error, setError] = useState(null)
+
+  // Ball count rebuilds the simulator, so it only commits when the slider is released
+  const [draftCount, setDraftCount] = useState(null)
+  const count = draftCount ?? config.count ?? autoCount
+  const commitCount = () => {
+    if (draftCount === null) return
+    onChange({ ...config, count: draftCount })
+    setDraftCount(null)
+  }
+
+  const setField = (section, key, value) => onChange({ ...config, [section]: { ...config[section], [key]: value } })
+
+  const download = () => downloadBlob(new Blob([exportPreset(config)], { type: 'application/json' }), 'floating-basketballs-preset.json')
+
+  // Offline render settings
+  const [resolution, setResolution] = useState(1)
+  const [fps, setFps] = useState(60)
+  const [seconds, setSeconds] = useState(5)
+  // Frames are held in memory until the ZIP downloads, so bigger sizes get shorter sequences
+  const maxSeconds = maxSequenceSeconds(RECORDING_RESOLUTIONS[resolution].width, RECORDING_RESOLUTIONS[resolution].height, fps)
+  const length = Math.min(seconds, maxSeconds)
+  const exportFrames = () => onExportFrames({ ...RECORDING_RESOLUTIONS[resolution], fps, seconds: length })
+
+  const load = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = '' // allow re-importing the same file
+    if (!file) return
+    try {
+      onChange(parsePreset(await file.text()))
+      setError(null)
+    } catch (err) {
+      setError(`Import failed: ${err.message}`)
+    }
+  }
+
+  const fg = isDarkMode ? '#fff' : '#000'
+  const button = {
+    font: 'inherit', color: fg, background: 'transparent', cursor: 'pointer',
+    border: `1px solid ${isDarkMode ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.3)'}`, borderRadius: 4, padding: '2px 8px'
+  }
+
+  return (
+    <div role="dialog" aria-label="Control panel" style={{
+      position: 'absolute', top: 20, left: 20, zIndex: 20, width: 300, maxHeight: 'calc(100vh - 40px)', overflowY: 'auto',
+      padding: '10px 14px', borderRadius: 8, color: fg, fontFamily: 'monospace', fontSize: '11px', lineHeight: 1.8,
+      background: isDarkMode ? 'rgba(20,20,20,0.85)' : 'rgba(255,255,255,0.85)', backdropFilter: 'blur(6px)'
+    }}>
+      <Slider label="Ball count" min={10} max={MAX_BALL_COUNT} step={10} value={count}
+        display={config.count === null && draftCount === null ? `${count}*` : count}
+        onChange={setDraftCount} onCommit={commitCount} />
+
+      {SECTIONS.map(([section, title]) => (
+        <div key={section}>
+          <div style={{ marginTop: 8, opacity: 0.5 }}>{title}</div>
+          {CONFIG_FIELDS.filter(f => f.section === section).map(f => (
+            <Slider key={f.key} label={f.label} min={f.min} max={f.max} step={f.step}
+              value={config[section][f.key]} onChange={v => setField(section, f.key, v)} />
+          ))}
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: 6, marginTop: 10 }}>
+        <button type="button" style={button} onClick={download}>Export JSON</button>
+        <button type="button" style={button} onClick={() => fileRef.current.click()}>Import</button>
+        <button type="button" style={button} onClick={() => { onChange(normalizeConfig(null)); setError(null) }}>Reset</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={load} />
+      </div>
+      {error && <div style={{ color: '#e55' }}>{error}</div>}
+
+      <div style={{ marginTop: 8, opacity: 0.5 }}>Recording</div>
+      <button type="button" style={button} disabled={capture?.kind === 'frames'} onClick={onToggleVideo}>
+        {capture?.kind === 'video' ? '■ Stop WebM' : '● Record WebM'}
+      </button>
+      <div style={{ display: 'flex', gap: 6, marginTop: 6, alignItems: 'center' }}>
+        <select aria-label="Resolution" style={button} value={resolution} onChange={e => setResolution(Number(e.target.value))}>
+          {RECORDING_RESOLUTIONS.map((r, i) => <option key={r.label} value={i}>{r.label}</option>)}
+        </select>
+        <select aria-label="Frame rate" style={button} value={fps} onChange={e => setFps(Number(e.target.value))}>
+          {[60, 30, 24].map(f => <option key={f} value={f}>{f} fps</option>)}
+        </select>
+        <input aria-label="Seconds" type="number" min={1} max={maxSeconds} style={{ ...button, width: 44 }} value={length}
+          onChange={e => setSeconds(Math.min(maxSeconds, Math.max(1, Number(e.target.value) || 1)))} />
+        <span>s (max {maxSeconds})</span>
+      </div>
+      <div style={{ display: 'flex', gap: 6, marginTop: 6 }}>
+        {capture?.kind === 'frames'
+          ? <button type="button" style={button} onClick={onCancelFrames}>Cancel ({capture.done}/{capture.total})</button>
+          : <button type="button" style={button} disabled={capture?.kind === 'video'} onClick={exportFrames}>Export PNG sequence (ZIP)</button>}
+      </div>
+
+      <div style={{ marginTop: 8, opacity: 0.5 }}>Input</div>
+      {Object.entries(INPUT_LABELS).map(([source, label]) => (
+        <label key={source} style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+          <input type="checkbox" checked={inputs[source]} onChange={e => onInputChange(source, e.target.checked)} />
+          {label}
+          {source === 'motion' && inputs.motionDenied && <span style={{ color: '#e55' }}>(not available)</span>}
+        </label>
+      ))}
+      <div style={{ marginTop: 4, opacity: 0.4, fontSize: '9px' }}>* automatic count · [R] record · [C] close</div>
+    </div>
+  )
+}
@@ -0,0 +1,74 @@
+// DiagnosticsHUD.jsx — Live performance and physics readout for the wireframe view ("P")
+// Polls the scene's diagnosticsRef a few times a second (see diagnostics.js): FPS and a frame-time
+// graph, physics ms per step, draw calls/triangles, ball count, and the simulator's per-step stats.
+
+import { useEffect, useRef, useState } from 'react'
+import { FRAME_HISTORY } from './diagnostics.js'
+
+const POLL_MS = 250
+const GRAPH_HEIGHT = 36
+const GRAPH_MAX_MS = 50 // top of the graph (20 fps)
+const TARGET_MS = 1000 / 60
+
+function formatCount(n) {
+  return n >= 1e6 ? `${(n / 1e6).toFixed(1)}M` : n >= 1e3 ? `${(n / 1e3).toFixed(1)}k` : String(n)
+}
+
+// One bar per frame, newest on the right; the guide line marks 60 fps
+function FrameGraph({ history, isDarkMode }) {
+  const canvasRef = useRef()
+  useEffect(() => {
+    const ctx = canvasRef.current.getContext('2d')
+    const fg = isDarkMode ? '255,255,255' : '0,0,0'
+    ctx.clearRect(0, 0, FRAME_HISTORY, GRAPH_HEIGHT)
+    const offset = FRAME_HISTORY - history.length
+    history.forEach((ms, k) => {
+      const h = Math.min(GRAPH_HEIGHT, ms / GRAPH_MAX_MS * GRAPH_HEIGHT)
+      ctx.fillStyle = ms > TARGET_MS * 1.5 ? 'rgba(230,80,80,0.9)' : `rgba(${fg},0.6)`
+      ctx.fillRect(offset + k, GRAPH_HEIGHT - h, 1, h)
+    })
+    ctx.fillStyle = `rgba(${fg},0.3)`
+    ctx.fillRect(0, GRAPH_HEIGHT - Math.round(TARGET_MS / GRAPH_MAX_MS * GRAPH_HEIGHT), FRAME_HISTORY, 1)
+  }, [history, isDarkMode])
+
+  return <canvas ref={canvasRef} width={FRAME_HISTORY} height={GRAPH_HEIGHT}
+    style={{ width: FRAME_HISTORY, height: GRAPH_HEIGHT, display: 'block', marginLeft: 'auto' }} />
+}
+
+// children — extra lines under the readout (App puts the quality tier and key legend there)
+export default function DiagnosticsHUD({ diagnosticsRef, isDarkMode, children }) {
+  const [reading, setReading] = useState(null)
+  useEffect(() => {
+    const poll = () => setReading(diagnosticsRef.current?.read() ?? null)
+    poll()
+    const id = setInterval(poll, POLL_MS)
+    return () => clearInterval(id)
+  }, [diagnosticsRef])
+
+  const physics = reading?.physics
+  return (
+    <div style={{
+      position: 'absolute', bottom: 20, right: 20, color: isDarkMode ? '#fff' : '#000',
+      opacity: 0.6, pointerEvents: 'none', fontFamily: 'monospace', fontSize: '10px', zIndex: 10,
+      textAlign: 'right', lineHeight: 1.6
+    }}>
+      {reading && (
+        <>
+          <div>{reading.fps.toFixed(0)} fps · {reading.frameMs.toFixed(1)} ms (max {reading.maxFrameMs.toFixed(1)})</div>
+          <FrameGraph history={reading.history} isDarkMode={isDarkMode} />
+          <div>{reading.render.calls} draw calls · {formatCount(reading.render.triangles)} triangles · {reading.count} balls</div>
+        </>
+      )}
+      {physics && (
+        <>
+          <div>physics {physics.stepMs.toFixed(2)} ms/step · {physics.collidingPairs} touching / {physics.candidatePairs} candidate pairs</div>
+          <div>
+            KE {physics.totalKE.toFixed(4)} · max penetration {physics.maxPenetration.toFixed(3)} ·
+            diffusion {physics.diffusionFired ? 'on' : 'off'}
+          </div>
+        </>
+      )}
+      {children}
+    </div>
+  )
+}
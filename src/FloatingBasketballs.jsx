@@ -0,0 +1,341 @@
+// FloatingBasketballs.jsx — The whole scene as one embeddable component
+// Canvas, lighting rig, sun, OrbitControls, instanced basketballs + physics and post-processing,
+// configured entirely through props. No window listeners and no DOM lookups outside its own
+// container, so it can sit in a hero banner or a 404 page. App.jsx is the full-page site built on it.
+
+import { useEffect, useImperativeHandle, useMemo, useRef, useState, Suspense } from 'react'
+import { Canvas, useFrame, useThree } from '@react-three/fiber'
+import { Environment, OrbitControls, useProgress, Billboard } from '@react-three/drei'
+import { Bloom, Noise, Vignette, EffectComposer } from '@react-three/postprocessing'
+import * as THREE from 'three'
+import Basketballs from './Basketballs.jsx'
+import { CollisionAudio, DEFAULT_VOLUME } from './collisionAudio.js'
+import { HoopGame } from './hoopGame.js'
+import { ALL_EFFECTS_ON, DEFAULT_CAMERA_POSITION, DEFAULT_CAMERA_TARGET, DEFAULT_RENDER_CONFIG } from './config.js'
+import { DEFAULT_PHYSICS_CONFIG } from './physics.js'
+import { QUALITY_TIERS, QualityGovernor, applyQualityTier, qualityIndex } from './quality.js'
+import { createDiagnostics, readDiagnostics, recordFrame } from './diagnostics.js'
+import { createRecorder } from './recording.js'
+import { resolveTheme } from './themes.js'
+
+THREE.Cache.enabled = true // reuse decoded textures across mounts
+
+const DEFAULT_ARIA_LABEL = 'Interactive 3D scene of basketballs floating in zero gravity. Drag a ball to throw it; drag elsewhere to orbit.'
+
+// --- CameraWatcher ---
+// Reports OrbitControls "change" events (user input and every auto-rotation frame).
+// position/target are the live vectors — copy them to keep them.
+function CameraWatcher({ onChange }) {
+  const controls = useThree(s => s.controls)
+  useEffect(() => {
+    if (!controls || !onChange) return
+    const handler = () => onChange(controls.object.position, controls.target)
+    controls.addEventListener('change', handler)
+    return () => controls.removeEventListener('change', handler)
+  }, [controls, onChange])
+  return null
+}
+
+// --- QualityWatcher ---
+// Feeds every frame's duration to the governor and reports tier changes
+function QualityWatcher({ governor, onChange }) {
+  useFrame((_, delta) => {
+    if (governor.sample(delta * 1000)) onChange(governor.tier)
+  })
+  return null
+}
+
+// --- DiagnosticsWatcher ---
+// Records frame times and the renderer's per-frame totals. gl.info normally resets on every
+// render() call, which with post-processing would leave only the last full-screen pass, so it is
+// switched to manual reset and read just before the next frame renders.
+function DiagnosticsWatcher({ diagnostics }) {
+  const gl = useThree(s => s.gl)
+  useEffect(() => {
+    gl.info.autoReset = false
+    return () => { gl.info.autoReset = true }
+  }, [gl])
+  useFrame((_, delta) => {
+    diagnostics.render.calls = gl.info.render.calls
+    diagnostics.render.triangles = gl.info.render.triangles
+    gl.info.reset()
+    recordFrame(diagnostics, delta * 1000)
+  })
+  return null
+}
+
+// --- FloatingBasketballs ---
+// Props (all optional):
+//   count, seed, worker, court, walls, boundary — the simulation (see PhysicsSimulator)
+//   physics  — any subset of DEFAULT_PHYSICS_CONFIG; rendering — any subset of DEFAULT_RENDER_CONFIG
+//   theme — a registered theme name ('dark', 'light', 'arena-night', ...) or a theme object (see themes.js)
+//   wireframe, effects ({ Bloom: false, ... }), background (CSS colour)
+//   quality — 'auto' (adaptive, see quality.js) or a tier to pin: 'high' | 'medium' | 'low' | 'minimal'
+//   lowPower — shorthand for quality 'minimal' (when quality is 'auto')
+//   modelUrl — GLTF with the basketball mesh (default '/Ball.gltf', plus its .bin and textures)
+//   ballTypes — mix several models, sizes and masses: [{ url, node, material, scale, mass, share }, ...]
+//   cameraPosition, cameraTarget, minDistance, maxDistance, enableZoom, autoRotate, autoRotateSpeed, dpr
+//   reducedMotion — no auto-rotation or film grain, slower physics, and the pile comes to rest (pass the
+//     user's prefers-reduced-motion); ariaLabel — accessible name of the scene (role="img")
+//   onProgress(percent), onReady(), onCameraChange(position, target), onGrab(index), onRelease(index),
+//   onQualityChange(tierName, isAuto)
+//   recorderRef — a ref that receives the capture API (startVideo / stopVideo / renderFrames, see recording.js)
+//   forceFields — force field specs added to the simulation while passed: [{ type, position, radius,
+//     strength, falloff, axis | direction }, ...] in physics space (see forceFields.js)
+//   fieldTool — 'attractor' | 'repulsor' | 'vortex' | 'wind': tapping empty space drops that field for a
+//     moment, a long press holds one under the pointer (default null: presses only orbit)
+//   formation — a shape for the balls to assemble into: { shape: 'grid' | 'sphere' | 'ring' } or
+//     { shape: 'text', text } or { shape: 'svg', path, viewBox } (see formations.js); null scatters them
+//   formationTimeline — [{ ...formation, hold: seconds }, ...] to play instead (a step with no shape
+//     drifts), looping unless formationLoop is false; onFormationChange(formation | null) follows both
+//   sound — synthesized collision thunks, placed in 3D around the camera (default false); soundVolume — 0..1.
+//     Audio starts with the first click, tap or key inside the scene (browsers block it before a gesture)
+//   hoop — the hoop mini-game: a hoop goes up, every thrown ball falls toward it while the rest float,
+//     and baskets score against a round clock (see hoopGame.js); auto-rotation pauses so it holds still.
+//     onHoopChange({ score, streak, best, newBest, running, timeLeft }) follows it for a HUD
+//   motionInput — a MotionInput (motionInput.js) whose tilt/shake/gamepad forces push the pile; the host
+//     page feeds it device events, since this component adds no window listeners
+//   server — ws:// URL of a multiplayer server (npm run server): the scene is shared with everyone connected,
+//     each camera pushing the pile, and its mode, boundary, ball count and ball size are the server's (`count`
+//     only sizes the scene until the server's welcome). onUsersChange({ connected, id, ids, ballCount,
+//     ballRadius, inSync }) follows the connection for an online indicator
+//   diagnosticsRef — a ref that receives { read() } for live frame, renderer and physics stats (see diagnostics.js)
+//   className, style — applied to the container, which fills its parent by default
+export default function FloatingBasketballs({
+  count = 80, seed, worker = false, court = false, walls = true, boundary = 'sphere',
+  physics, rendering, theme = 'dark', quality = 'auto', lowPower = false, wireframe = false, effects: effectsProp,
+  background, modelUrl = '/Ball.gltf', ballTypes: ballTypesProp,
+  cameraPosition = DEFAULT_CAMERA_POSITION, cameraTarget = DEFAULT_CAMERA_TARGET,
+  minDistance = 35, maxDistance = 63, enableZoom = true, autoRotate = true, autoRotateSpeed = -0.51,
+  dpr = [1, 1.5], reducedMotion = false, ariaLabel = DEFAULT_ARIA_LABEL,
+  onProgress, onReady, onCameraChange, onGrab, onRelease, onQualityChange, recorderRef, diagnosticsRef, motionInput,
+  forceFields: forceFieldsProp, fieldTool = null, formation: formationProp = null, formationTimeline: timelineProp,
+  formationLoop = true, onFormationChange, sound = false, soundVolume = DEFAULT_VOLUME, hoop = false, onHoopChange,
+  server = null, onUsersChange, className, style,
+}) {
+  // Latest callbacks, read from effects that fire on their own values, not on callback identity
+  const callbacks = useRef()
+  callbacks.current = { onProgress, onReady, onQualityChange }
+
+  const themeKey = JSON.stringify(theme)
+  const look = useMemo(() => resolveTheme(JSON.parse(themeKey)), [themeKey])
+  const isDarkMode = look.dark
+
+  // Quality tier — pinned by the props, or chosen at runtime by the governor from measured frame times
+  const pinnedTier = qualityIndex(quality === 'auto' && lowPower ? 'minimal' : quality)
+  const [autoTier, setAutoTier] = useState(0)
+  const governor = useMemo(() => new QualityGovernor(), [])
+  useEffect(() => {
+    if (pinnedTier < 0) governor.reset() // frames rendered while pinned say nothing about the auto tier
+  }, [pinnedTier, governor])
+  const tierIndex = pinnedTier >= 0 ? pinnedTier : autoTier
+  const tier = QUALITY_TIERS[tierIndex]
+  const isLowPower = tier.lowPower
+  useEffect(() => {
+    callbacks.current.onQualityChange?.(tier.name, pinnedTier < 0)
+  }, [tier, pinnedTier])
+  const bg = background ?? look.background
+
+  // Props objects are often written inline, so they are keyed by value — a new-but-equal
+  // object must not re-apply physics tunables (which rebuilds the broadphase grids)
+  const effectsKey = JSON.stringify(effectsProp ?? {})
+  const requestedEffects = useMemo(() => ({
+    ...ALL_EFFECTS_ON, ...JSON.parse(effectsKey), ...(reducedMotion && { Noise: false }), // the grain animates every frame
+  }), [effectsKey, reducedMotion])
+  const renderKey = JSON.stringify(rendering ?? {})
+  const render = useMemo(() => ({ ...DEFAULT_RENDER_CONFIG, ...JSON.parse(renderKey) }), [renderKey])
+  const physicsKey = JSON.stringify(physics ?? {})
+  const requestedPhysics = useMemo(() => ({ ...DEFAULT_PHYSICS_CONFIG, ...JSON.parse(physicsKey) }), [physicsKey])
+  const { effects, physicsConfig, count: tierCount } = useMemo(
+    () => applyQualityTier(tier, { effects: requestedEffects, physicsConfig: requestedPhysics, count }),
+    [tier, requestedEffects, requestedPhysics, count]
+  )
+  const ballCount = server ? count : tierCount // a server's scene has the server's count on every tier
+
+  // The tier lowers the DPR ceiling; the `dpr` prop still caps it (e.g. 1 on Safari)
+  const [dprMin, dprMax] = Array.isArray(dpr) ? dpr : [dpr, dpr]
+  const tierDpr = Math.min(dprMax, tier.dpr)
+  const ballTypesKey = JSON.stringify(ballTypesProp ?? null)
+  const ballTypes = useMemo(() => JSON.parse(ballTypesKey), [ballTypesKey]) // new types rebuild the simulator
+  const forceFieldsKey = JSON.stringify(forceFieldsProp ?? null)
+  const forceFields = useMemo(() => JSON.parse(forceFieldsKey), [forceFieldsKey])
+  const formationKey = JSON.stringify(formationProp)
+  const formation = useMemo(() => JSON.parse(formationKey), [formationKey])
+  const timelineKey = JSON.stringify(timelineProp ?? null)
+  const formationTimeline = useMemo(() => JSON.parse(timelineKey), [timelineKey])
+
+  // Capture API for the host page — reads the canvas and drives frames through the R3F root.
+  // Worker physics keeps its own clock, so a PNG sequence steps it in-thread instead (see takeOver()).
+  const getRootState = useRef(null)
+  const physicsRef = useRef(null)
+  useImperativeHandle(recorderRef, () => createRecorder(() => getRootState.current(), {
+    beforeFrames: () => physicsRef.current?.takeOver?.(),
+    afterFrames: () => physicsRef.current?.handBack?.(),
+  }), [])
+
+  // Diagnostics are only collected for a host that asks for them
+  const diagnostics = useMemo(() => diagnosticsRef ? createDiagnostics() : null, [diagnosticsRef])
+  useImperativeHandle(diagnosticsRef, () => ({ read: () => readDiagnostics(diagnostics) }), [diagnostics])
+
+  // Asset loading progress (drei's global loading manager) — onReady fires once at 100%
+  const { progress } = useProgress()
+  useEffect(() => {
+    callbacks.current.onProgress?.(progress)
+    if (progress >= 100) callbacks.current.onReady?.()
+  }, [progress])
+
+  // Shader material for the sun's glow — mathematically perfect, resolution independent.
+  // The colour stops are uniforms set from the theme.
+  const glowMaterial = useMemo(() => new THREE.ShaderMaterial({
+    uniforms: { uCenter: { value: new THREE.Color() }, uInner: { value: new THREE.Color() }, uOuter: { value: new THREE.Color() } },
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+    vertexShader: `
+      varying vec2 vUv;
+      void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform vec3 uCenter;
+      uniform vec3 uInner;
+      uniform vec3 uOuter;
+      varying vec2 vUv;
+      void main() {
+        // Calculate distance from center (0.0 at center, 0.5 at edges)
+        float dist = distance(vUv, vec2(0.5));
+        
+        // Invert to get strength (1.0 at center, 0.0 at edges)
+        float strength = max(0.0, 1.0 - dist * 2.0);
+        
+        // Exponential falloff for softer edges
+        float alpha = pow(strength, 1.5);
+        
+        // Beautiful multi-stop color curve
+        vec3 col = vec3(0.0);
+        if (strength > 0.8) {
+          col = mix(uInner, uCenter, (strength - 0.8) * 5.0);
+        } else if (strength > 0.4) {
+          col = mix(uOuter, uInner, (strength - 0.4) * 2.5);
+        } else {
+          col = mix(vec3(0.0), uOuter, strength * 2.5);
+        }
+        
+        // Microscopic noise dither to eliminate banding on 8-bit monitors
+        float noise = (fract(sin(dot(gl_FragCoord.xy, vec2(12.9898, 78.233))) * 43758.5453) - 0.5) / 255.0;
+        
+        // Pre-multiply alpha for additive blending
+        gl_FragColor = vec4(col * alpha + noise, alpha);
+      }
+    `
+  }), [])
+
+  // Collision sound — one CollisionAudio for the component's life, made the first time sound is on.
+  // Turning sound off fades it out and stops the simulator recording impacts.
+  const audioRef = useRef(null)
+  if (sound && !audioRef.current) audioRef.current = new CollisionAudio()
+  const audio = audioRef.current
+  useEffect(() => {
+    if (!audio) return
+    audio.setVolume(soundVolume)
+    audio.setEnabled(sound)
+    // Without an earlier gesture the context would only start suspended (and warn); wait for one
+    if (sound && globalThis.navigator?.userActivation?.hasBeenActive !== false) audio.resume()
+  }, [audio, sound, soundVolume])
+  useEffect(() => () => audio?.dispose(), [audio])
+  const wakeAudio = () => { if (sound) audio.resume() }
+
+  // Hoop game — a fresh one (score and clock) each time the hoop goes up; the best score persists
+  const hoopChange = useRef()
+  hoopChange.current = onHoopChange
+  const hoopGame = useMemo(() => hoop ? new HoopGame({ onChange: state => hoopChange.current?.(state) }) : null, [hoop])
+  useEffect(() => {
+    if (hoopGame) hoopChange.current?.(hoopGame.state())
+  }, [hoopGame])
+
+  useEffect(() => () => glowMaterial.dispose(), [glowMaterial])
+  useEffect(() => {
+    // Read as linear, so the hex digits reach the shader unconverted (the stops were tuned as raw RGB)
+    const { uCenter, uInner, uOuter } = glowMaterial.uniforms
+    uCenter.value.setStyle(look.glow[0], THREE.LinearSRGBColorSpace)
+    uInner.value.setStyle(look.glow[1], THREE.LinearSRGBColorSpace)
+    uOuter.value.setStyle(look.glow[2], THREE.LinearSRGBColorSpace)
+  }, [glowMaterial, look])
+
+  return (
+    <div className={className} role="img" aria-label={ariaLabel} onPointerUp={wakeAudio} onKeyDown={wakeAudio} style={{ position: 'relative', width: '100%', height: '100%', overflow: 'hidden', background: bg, ...style }}>
+      {/* Three.js Canvas — DPR defaults to [1, 1.5] (pass dpr={[1, 1]} on Safari for Retina perf) */}
+      <Canvas
+        style={isLowPower ? { filter: 'saturate(0.8)' } : undefined}
+        dpr={[Math.min(dprMin, tierDpr), tierDpr]}
+        onCreated={state => { getRootState.current = state.get }}
+        shadows={effects.Shadows ? 'soft' : false}
+        camera={{ position: cameraPosition, fov: 45 }}
+        gl={{
+          antialias: true, powerPreference: isLowPower ? 'low-power' : 'high-performance',
+          preserveDrawingBuffer: false, stencil: false, depth: true
+        }}
+      >
+        <color attach="background" args={[bg]} />
+
+        {/* Lighting rig — base values from the theme (per quality mode), scaled by the `rendering` prop */}
+        <ambientLight color={look.ambient.color} intensity={(isLowPower ? look.ambient.lowPowerIntensity : look.ambient.intensity) * render.ambientScale} />
+        {/* Keyed by shadow map size: three only allocates the map once, so a new size needs a new light */}
+        <directionalLight key={tier.shadowMapSize} position={[50, 100, 50]} color={look.sun.color}
+          intensity={(isLowPower ? look.sun.lowPowerIntensity : look.sun.intensity) * render.sunScale}
+          castShadow={!isLowPower && effects.Shadows && tier.shadowMapSize > 0}
+          shadow-mapSize={[tier.shadowMapSize, tier.shadowMapSize]} shadow-camera-left={-55} shadow-camera-right={55}
+          shadow-camera-top={55} shadow-camera-bottom={-55} shadow-bias={-0.002} />
+
+        {/* Sun mesh + additive glow sprite */}
+        <group position={[50, 100, 50]}>
+          <mesh>
+            <sphereGeometry args={[5, isLowPower ? 24 : 16, isLowPower ? 24 : 16]} />
+            {isLowPower
+              ? <meshBasicMaterial color={look.lowPowerSunColor} toneMapped={false} />
+              : <meshStandardMaterial color="#ffffff" emissive={look.sunColor} emissiveIntensity={17} toneMapped={false} />
+            }
+          </mesh>
+          <Billboard follow={true} lockX={false} lockY={false} lockZ={false}>
+            <mesh material={glowMaterial} scale={isLowPower ? [look.lowPowerGlowScale, look.lowPowerGlowScale, 1] : [look.glowScale, look.glowScale, 1]}>
+              <planeGeometry args={[1, 1]} />
+            </mesh>
+          </Billboard>
+        </group>
+
+        <pointLight position={[-40, -40, -40]} intensity={look.fill.intensity * render.fillScale} color={look.fill.color} />
+        {!isLowPower && <pointLight position={[40, 40, 80]} intensity={look.accent.intensity * render.fillScale} color={look.accent.color} />}
+
+        {/* Camera controls */}
+        <OrbitControls makeDefault enableZoom={enableZoom} zoomSpeed={0.3} enablePan={false} enableRotate
+          rotateSpeed={0.24} autoRotate={autoRotate && !reducedMotion && !hoop} autoRotateSpeed={autoRotateSpeed}
+          minDistance={minDistance} maxDistance={maxDistance} target={cameraTarget} />
+        <CameraWatcher onChange={onCameraChange} />
+        {pinnedTier < 0 && <QualityWatcher governor={governor} onChange={setAutoTier} />}
+        {diagnostics && <DiagnosticsWatcher diagnostics={diagnostics} />}
+
+        <Suspense fallback={null}>
+          <Basketballs count={ballCount} seed={seed} useWorker={worker} isCourt={court} hasWalls={walls} boundaryType={boundary}
+            physicsConfig={physicsConfig} isPrimitive={wireframe} isDarkMode={isDarkMode} wireSegments={tier.wireSegments}
+            modelUrl={modelUrl} ballTypes={ballTypes} onGrab={onGrab} onRelease={onRelease} diagnostics={diagnostics}
+            motionInput={motionInput} reducedMotion={reducedMotion} forceFields={forceFields} fieldTool={fieldTool}
+            formation={formation} formationTimeline={formationTimeline} formationLoop={formationLoop} onFormationChange={onFormationChange}
+            audio={sound ? audio : null} hoopGame={hoopGame} server={server} onUsersChange={onUsersChange}
+            physicsRef={physicsRef} />
+          {!isLowPower && effects.Environment && <Environment preset={look.environment} blur={0.5} environmentIntensity={look.environmentIntensity * render.environmentScale} />}
+        </Suspense>
+
+        {/* Post-processing — only in high-perf mode, each effect individually toggleable */}
+        {!isLowPower && (effects.Bloom || effects.Noise || effects.Vignette) && (
+          <EffectComposer disableNormalPass multisampling={tier.multisampling}>
+            {effects.Bloom && <Bloom luminanceThreshold={render.bloomThreshold} mipmapBlur intensity={render.bloomIntensity * look.bloom} radius={render.bloomRadius} />}
+            {effects.Noise && <Noise opacity={render.noiseOpacity * look.noise} />}
+            {effects.Vignette && <Vignette eskil={false} offset={render.vignetteOffset} darkness={look.vignette * render.vignetteDarknessScale} />}
+          </EffectComposer>
+        )}
+      </Canvas>
+    </div>
+  )
+}
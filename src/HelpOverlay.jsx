@@ -0,0 +1,46 @@
+// HelpOverlay.jsx — Keyboard shortcut reference (toggled with "?" or the corner button)
+// A modal dialog: takes focus when opened and hands it back on close; Escape, "?" or a click outside closes it.
+
+import { useEffect, useRef } from 'react'
+import { SHORTCUTS } from './shortcuts.js'
+
+export default function HelpOverlay({ isDarkMode, reducedMotion, onClose }) {
+  const dialogRef = useRef()
+  useEffect(() => {
+    const previous = document.activeElement
+    dialogRef.current.focus()
+    return () => previous?.focus?.()
+  }, [])
+
+  const fg = isDarkMode ? '#fff' : '#000'
+  return (
+    <div onClick={onClose} style={{
+      position: 'absolute', inset: 0, zIndex: 30, display: 'flex', alignItems: 'center', justifyContent: 'center',
+      background: isDarkMode ? 'rgba(0,0,0,0.5)' : 'rgba(255,255,255,0.5)'
+    }}>
+      <div ref={dialogRef} role="dialog" aria-modal="true" aria-labelledby="help-title" tabIndex={-1}
+        onClick={e => e.stopPropagation()} style={{
+          padding: '14px 18px', borderRadius: 8, color: fg, fontFamily: 'monospace', fontSize: '12px', lineHeight: 1.8,
+          background: isDarkMode ? 'rgba(20,20,20,0.9)' : 'rgba(255,255,255,0.9)', outline: 'none', maxWidth: 'calc(100vw - 40px)'
+        }}>
+        <h2 id="help-title" style={{ margin: '0 0 6px', fontSize: '12px', fontWeight: 'normal', opacity: 0.6 }}>Keyboard shortcuts</h2>
+        <dl style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', columnGap: 14, margin: 0 }}>
+          {SHORTCUTS.map(s => (
+            <div key={s.key} style={{ display: 'contents' }}>
+              <dt><kbd>{s.label}</kbd></dt>
+              <dd style={{ margin: 0 }}>{s.description}</dd>
+            </div>
+          ))}
+        </dl>
+        <p style={{ margin: '8px 0 0', opacity: 0.6 }}>
+          Drag a ball to throw it. Drag elsewhere to orbit, scroll or pinch to zoom.
+          {reducedMotion && <><br />Reduced motion is on: no auto-rotation, slower physics, and the pile settles.</>}
+        </p>
+        <button type="button" onClick={onClose} style={{
+          marginTop: 8, font: 'inherit', color: fg, background: 'transparent', cursor: 'pointer',
+          border: `1px solid ${isDarkMode ? 'rgba(255,255,255,0.3)' : 'rgba(0,0,0,0.3)'}`, borderRadius: 4, padding: '2px 8px'
+        }}>Close</button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,44 @@
+// HoopModel.jsx — The visible hoop: backboard, rim, bracket and net
+// Drawn inside the balls' group (physics space, +Z up) from the same Hoop the simulator collides
+// with, so the rim and board sit exactly where balls bounce off them. The net is only for show.
+
+import { useEffect, useMemo } from 'react'
+import * as THREE from 'three'
+
+const RIM_COLOR = '#e0531f'
+const NET_DEPTH = 1.6 // in ball radii
+const NET_TAPER = 0.6 // bottom opening as a share of the rim
+
+// hoop — a Hoop (hoop.js); ballRadius — what it was sized for (the net and bracket scale with it)
+export default function HoopModel({ hoop, ballRadius, isDarkMode }) {
+  const { min, max } = hoop.backboard
+  const [x, y, z] = hoop.position
+  const netDepth = NET_DEPTH * ballRadius
+  const rimBack = y + hoop.rimRadius + hoop.tubeRadius
+  const bracket = min[1] - rimBack
+
+  const materials = useMemo(() => ({
+    board: new THREE.MeshStandardMaterial({ color: isDarkMode ? '#dfe6ee' : '#ffffff', transparent: true, opacity: 0.55, roughness: 0.1 }),
+    rim: new THREE.MeshStandardMaterial({ color: RIM_COLOR, metalness: 0.4, roughness: 0.4 }),
+    net: new THREE.MeshBasicMaterial({ color: isDarkMode ? '#ffffff' : '#333333', wireframe: true, transparent: true, opacity: 0.5 }),
+  }), [isDarkMode])
+  useEffect(() => () => Object.values(materials).forEach(material => material.dispose()), [materials])
+
+  return (
+    <group>
+      <mesh castShadow receiveShadow material={materials.board} position={[(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2]}>
+        <boxGeometry args={[max[0] - min[0], max[1] - min[1], max[2] - min[2]]} />
+      </mesh>
+      <mesh castShadow material={materials.rim} position={[x, y, z]}>
+        <torusGeometry args={[hoop.rimRadius, hoop.tubeRadius, 12, 48]} />
+      </mesh>
+      <mesh material={materials.rim} position={[x, rimBack + bracket / 2, z]}>
+        <boxGeometry args={[hoop.tubeRadius * 3, bracket, hoop.tubeRadius * 2]} />
+      </mesh>
+      {/* Cylinders run along Y — turned to hang down along Z */}
+      <mesh material={materials.net} position={[x, y, z - netDepth / 2]} rotation={[Math.PI / 2, 0, 0]}>
+        <cylinderGeometry args={[hoop.rimRadius, hoop.rimRadius * NET_TAPER, netDepth, 16, 4, true]} />
+      </mesh>
+    </group>
+  )
+}
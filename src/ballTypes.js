@@ -0,0 +1,52 @@
+// ballTypes.js — Ball types for mixed scenes: which model, how big, how heavy, how many
+// Each type is rendered by its own InstancedMesh. Its collision radius comes from the model's
+// bounding sphere (times `scale`), so a tennis-ball GLTF collides at tennis-ball size.
+
+// url — GLTF file; node / material — names inside it (public/Ball.gltf: Object_2, Basketball_size6)
+// scale — multiplies the model's size; mass — relative to a basketball; share — relative share of the count
+export const BASKETBALL = Object.freeze({
+    url: '/Ball.gltf',
+    node: 'Object_2',
+    material: 'Basketball_size6',
+    scale: 1,
+    mass: 1,
+    share: 1,
+})
+
+// Fill each type's omitted fields from BASKETBALL. No types → basketballs loaded from `modelUrl`.
+export function resolveBallTypes(types, modelUrl = BASKETBALL.url) {
+    if (!types || types.length === 0) return [{ ...BASKETBALL, url: modelUrl }]
+    return types.map(type => ({ ...BASKETBALL, ...type }))
+}
+
+// Split `count` balls between types by share (largest remainder, so the counts add up exactly).
+// Each type owns a contiguous index range — physics balls start..start+count-1 are its instances.
+export function layoutBallTypes(types, count) {
+    const shares = types.map(type => Math.max(0, type.share))
+    const total = shares.reduce((sum, share) => sum + share, 0)
+    const exact = shares.map(share => total > 0 ? count * share / total : count / types.length)
+    const counts = exact.map(Math.floor)
+
+    let left = count - counts.reduce((sum, n) => sum + n, 0)
+    const byRemainder = exact.map((_, t) => t).sort((a, b) => (exact[b] - counts[b]) - (exact[a] - counts[a]))
+    for (let k = 0; left > 0; k++, left--) counts[byRemainder[k % types.length]]++
+
+    let start = 0
+    return counts.map(n => {
+        const range = { start, count: n }
+        start += n
+        return range
+    })
+}
+
+// Per-ball radius and mass arrays for PhysicsSimulator (options.radii / options.masses)
+export function ballProperties(types, layout, typeRadii) {
+    const count = layout.reduce((sum, range) => sum + range.count, 0)
+    const radii = new Float32Array(count)
+    const masses = new Float32Array(count)
+    layout.forEach(({ start, count }, t) => {
+        radii.fill(typeRadii[t], start, start + count)
+        masses.fill(types[t].mass, start, start + count)
+    })
+    return { radii, masses }
+}
@@ -0,0 +1,163 @@
+// boundaries.js — Containment shapes for the physics engine
+// Each boundary keeps a ball's centre inside its free space, shrunk by the ball radius.
+// project() fixes the single most-violated face per call (the simulator calls it up to 3 times
+// for corners) and reports the inward contact normal; the simulator owns the bounce response.
+// Shapes are sized from a reference radius (the simulator's BOUNDARY_RADIUS) to hold a similar pile.
+
+export const BOUNDARY_TYPES = ['sphere', 'box', 'tube', 'inverted']
+
+// --- Sphere: the classic zero-g shell ---
+export class SphereBoundary {
+    constructor(radius) {
+        this.type = 'sphere'
+        this.radius = radius
+        this.extent = radius // half-width of the cube that encloses the free space (grid sizing)
+    }
+
+    contains(x, y, z, r) {
+        const edge = this.radius - r
+        return x * x + y * y + z * z <= edge * edge
+    }
+
+    // Writes the corrected position into pos[o..o+2] and the inward normal into normal[0..2]
+    project(pos, o, r, normal) {
+        const edge = this.radius - r
+        const distSq = pos[o] * pos[o] + pos[o + 1] * pos[o + 1] + pos[o + 2] * pos[o + 2]
+        if (distSq <= edge * edge) return false
+
+        const dist = Math.sqrt(distSq)
+        normal[0] = -pos[o] / dist
+        normal[1] = -pos[o + 1] / dist
+        normal[2] = -pos[o + 2] / dist
+
+        // Set exactly to boundary edge
+        const scale = edge / dist
+        pos[o] *= scale
+        pos[o + 1] *= scale
+        pos[o + 2] *= scale
+        return true
+    }
+}
+
+// --- Axis-aligned box: min/max corners as [x, y, z] ---
+export class BoxBoundary {
+    constructor(min, max) {
+        this.type = 'box'
+        this.min = min
+        this.max = max
+        this.extent = Math.max(...min.map(Math.abs), ...max.map(Math.abs))
+    }
+
+    contains(x, y, z, r) {
+        const { min, max } = this
+        return x >= min[0] + r && x <= max[0] - r &&
+            y >= min[1] + r && y <= max[1] - r &&
+            z >= min[2] + r && z <= max[2] - r
+    }
+
+    project(pos, o, r, normal) {
+        // Deepest violation wins; the next call handles the other faces of a corner
+        let axis = -1, side = 0, depth = 0
+        for (let a = 0; a < 3; a++) {
+            const over = pos[o + a] - (this.max[a] - r)
+            const under = (this.min[a] + r) - pos[o + a]
+            if (over > depth) { depth = over; axis = a; side = 1 }
+            if (under > depth) { depth = under; axis = a; side = -1 }
+        }
+        if (axis < 0) return false
+
+        pos[o + axis] = side > 0 ? this.max[axis] - r : this.min[axis] + r
+        normal[0] = normal[1] = normal[2] = 0
+        normal[axis] = -side
+        return true
+    }
+}
+
+// --- Cylinder ("tube") along local Z (world up), capped at both ends ---
+export class CylinderBoundary {
+    constructor(radius, halfHeight) {
+        this.type = 'tube'
+        this.radius = radius
+        this.halfHeight = halfHeight
+        this.extent = Math.max(radius, halfHeight)
+    }
+
+    contains(x, y, z, r) {
+        const edge = this.radius - r
+        return x * x + y * y <= edge * edge && Math.abs(z) <= this.halfHeight - r
+    }
+
+    project(pos, o, r, normal) {
+        const edge = this.radius - r
+        const cap = this.halfHeight - r
+        const radialSq = pos[o] * pos[o] + pos[o + 1] * pos[o + 1]
+        const radialDepth = radialSq > edge * edge ? Math.sqrt(radialSq) - edge : 0
+        const capDepth = Math.abs(pos[o + 2]) - cap
+        if (radialDepth <= 0 && capDepth <= 0) return false
+
+        if (radialDepth >= capDepth) {
+            const radial = edge + radialDepth
+            normal[0] = -pos[o] / radial
+            normal[1] = -pos[o + 1] / radial
+            normal[2] = 0
+            const scale = edge / radial
+            pos[o] *= scale
+            pos[o + 1] *= scale
+        } else {
+            const side = Math.sign(pos[o + 2])
+            normal[0] = normal[1] = 0
+            normal[2] = -side
+            pos[o + 2] = side * cap
+        }
+        return true
+    }
+}
+
+// --- Inverted sphere: balls kept OUTSIDE a central sphere, inside an outer shell ---
+export class InvertedSphereBoundary {
+    constructor(innerRadius, outerRadius) {
+        this.type = 'inverted'
+        this.innerRadius = innerRadius
+        this.outer = new SphereBoundary(outerRadius)
+        this.extent = outerRadius
+    }
+
+    contains(x, y, z, r) {
+        const inner = this.innerRadius + r
+        return x * x + y * y + z * z >= inner * inner && this.outer.contains(x, y, z, r)
+    }
+
+    project(pos, o, r, normal) {
+        const inner = this.innerRadius + r
+        const distSq = pos[o] * pos[o] + pos[o + 1] * pos[o + 1] + pos[o + 2] * pos[o + 2]
+        if (distSq >= inner * inner) return this.outer.project(pos, o, r, normal)
+
+        // Push out along the radial direction; a ball dead centre picks +Z
+        const dist = Math.sqrt(distSq)
+        if (dist < 1e-6) {
+            normal[0] = 0; normal[1] = 0; normal[2] = 1
+        } else {
+            normal[0] = pos[o] / dist
+            normal[1] = pos[o + 1] / dist
+            normal[2] = pos[o + 2] / dist
+        }
+        pos[o] = normal[0] * inner
+        pos[o + 1] = normal[1] * inner
+        pos[o + 2] = normal[2] * inner
+        return true
+    }
+}
+
+// Boundary from a type name ('sphere' | 'box' | 'tube' | 'inverted'), sized from `radius`.
+// Unknown names fall back to sphere. Volumes stay close to the sphere's so the pile looks as dense.
+export function createBoundary(type, radius) {
+    switch (type) {
+        case 'box': {
+            const h = radius * 0.8
+            return new BoxBoundary([-h, -h, -h], [h, h, h])
+        }
+        case 'tube': return new CylinderBoundary(radius * 0.65, radius)
+        case 'inverted': return new InvertedSphereBoundary(radius * 0.4, radius * 1.1)
+        default: return new SphereBoundary(radius)
+    }
+}
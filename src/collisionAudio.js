@@ -0,0 +1,244 @@
+// collisionAudio.js — Synthesized, spatialized "thunk" sounds for ball impacts (Web Audio)
+// The simulator records impacts (PhysicsSimulator.setCollisionEvents / drainCollisionEvents); each
+// frame the hardest few become short thunks — a sine body that drops in pitch plus a band-passed
+// noise slap — placed in 3D by a PannerNode and heard from the camera. A voice limit and a
+// compressor on the master bus keep a whole pile landing at once from clipping.
+// Browsers only start audio from a user gesture, so nothing sounds until resume() has run in one.
+
+import { COLLISION_EVENT_STRIDE, DEFAULT_BALL_RADIUS } from './physics.js'
+
+export const MAX_VOICES = 12             // thunks sounding at once; a louder hit cuts the quietest
+export const BALL_COOLDOWN_MS = 60       // a ball sounds again no sooner than this (contacts chatter)
+export const MIN_AUDIBLE_IMPULSE = 0.04  // units/frame; softer touches stay silent
+export const FULL_IMPULSE = 1.5          // impulse that plays at full volume
+export const BASE_FREQUENCY = 110        // Hz of a default-size ball's thunk
+export const THUNK_SECONDS = 0.22        // decay of a default-size ball's thunk
+export const DEFAULT_VOLUME = 0.6
+
+// Pitch, level and length of one impact. Smaller balls sound higher and shorter, harder hits
+// louder and a little sharper.
+export function thunkParameters(impulse, radius) {
+    const strength = Math.min(1, Math.max(0, (impulse - MIN_AUDIBLE_IMPULSE) / (FULL_IMPULSE - MIN_AUDIBLE_IMPULSE)))
+    const size = Math.min(2, Math.max(0.25, radius / DEFAULT_BALL_RADIUS))
+    return {
+        gain: Math.sqrt(strength), // loudness grows slower than the impulse, so taps stay audible
+        frequency: BASE_FREQUENCY / Math.sqrt(size) * (1 + 0.25 * strength),
+        duration: THUNK_SECONDS * Math.sqrt(size),
+    }
+}
+
+// Indices of the events worth sounding, hardest first: at most `limit`, each above
+// MIN_AUDIBLE_IMPULSE, and no ball twice (a pile landing at once reports it several times)
+export function selectImpacts(data, count, limit) {
+    const candidates = []
+    for (let e = 0; e < count; e++) {
+        if (data[e * COLLISION_EVENT_STRIDE + 2] >= MIN_AUDIBLE_IMPULSE) candidates.push(e)
+    }
+    candidates.sort((a, b) => data[b * COLLISION_EVENT_STRIDE + 2] - data[a * COLLISION_EVENT_STRIDE + 2])
+
+    const picked = [], balls = new Set()
+    for (const e of candidates) {
+        if (picked.length >= limit) break
+        const i = data[e * COLLISION_EVENT_STRIDE], j = data[e * COLLISION_EVENT_STRIDE + 1]
+        if (balls.has(i) || (j >= 0 && balls.has(j))) continue
+        balls.add(i)
+        if (j >= 0) balls.add(j)
+        picked.push(e)
+    }
+    return picked
+}
+
+// Bookkeeping for the voice limit: which thunks are still sounding and how loud they are now
+// (their level decays linearly in this estimate). Times in seconds.
+export class VoiceLimiter {
+    constructor(maxVoices = MAX_VOICES) {
+        this.maxVoices = maxVoices
+        this.voices = [] // { start, end, gain, stop(time) }
+    }
+
+    // Whether a voice of `gain` may start at `now`. Finished voices are dropped; when all slots are
+    // busy the quietest is stopped to make room, unless the newcomer would be quieter still.
+    admit(now, gain) {
+        this.voices = this.voices.filter(voice => voice.end > now)
+        if (this.voices.length < this.maxVoices) return true
+        let quietest = 0, quietestGain = Infinity
+        this.voices.forEach((voice, k) => {
+            const level = voice.gain * (voice.end - now) / (voice.end - voice.start)
+            if (level < quietestGain) { quietest = k; quietestGain = level }
+        })
+        if (quietestGain >= gain) return false
+        this.voices[quietest].stop?.(now)
+        this.voices.splice(quietest, 1)
+        return true
+    }
+
+    add(voice) {
+        this.voices.push(voice)
+    }
+}
+
+// AudioParam-based position/orientation where supported, the older setters elsewhere (Firefox)
+function setPosition(node, x, y, z) {
+    if (node.positionX) {
+        node.positionX.value = x
+        node.positionY.value = y
+        node.positionZ.value = z
+    } else {
+        node.setPosition(x, y, z)
+    }
+}
+
+function defaultContext() {
+    const Context = globalThis.AudioContext ?? globalThis.webkitAudioContext
+    return Context ? new Context() : null
+}
+
+// createContext — AudioContext factory (tests pass a fake); volume — master level 0..1
+export class CollisionAudio {
+    constructor({ createContext = defaultContext, volume = DEFAULT_VOLUME } = {}) {
+        this.createContext = createContext
+        this.context = null
+        this.volume = volume
+        this.enabled = true
+        this.limiter = new VoiceLimiter()
+        this.lastPlayed = new Map() // ball index → ms it last sounded
+        this.point = [0, 0, 0]
+    }
+
+    // Create or wake the AudioContext — call from a user gesture (pointer or key)
+    resume() {
+        if (!this.context) {
+            this.context = this.createContext()
+            if (!this.context) return // no Web Audio
+            this.master = this.context.createGain()
+            this.master.gain.value = this.enabled ? this.volume : 0
+            const compressor = this.context.createDynamicsCompressor()
+            compressor.threshold.value = -18
+            compressor.ratio.value = 6
+            this.master.connect(compressor)
+            compressor.connect(this.context.destination)
+            this.noise = this.createNoise(0.08)
+        }
+        if (this.context.state === 'suspended') this.context.resume()
+    }
+
+    get running() {
+        return this.context?.state === 'running'
+    }
+
+    // Mute / unmute with a short fade (no click)
+    setEnabled(enabled) {
+        this.enabled = enabled
+        this.rampMaster()
+    }
+
+    setVolume(volume) {
+        this.volume = volume
+        this.rampMaster()
+    }
+
+    rampMaster() {
+        if (!this.master) return
+        this.master.gain.setTargetAtTime(this.enabled ? this.volume : 0, this.context.currentTime, 0.02)
+    }
+
+    // White noise, generated once and shared by every thunk's slap
+    createNoise(seconds) {
+        const buffer = this.context.createBuffer(1, Math.ceil(this.context.sampleRate * seconds), this.context.sampleRate)
+        const samples = buffer.getChannelData(0)
+        for (let k = 0; k < samples.length; k++) samples[k] = Math.random() * 2 - 1
+        return buffer
+    }
+
+    // Hear the scene from the camera (world space)
+    setListener(camera) {
+        if (!this.running) return
+        const listener = this.context.listener
+        const e = camera.matrixWorld.elements
+        setPosition(listener, e[12], e[13], e[14])
+        const fx = -e[8], fy = -e[9], fz = -e[10] // camera looks down its -Z
+        if (listener.forwardX) {
+            listener.forwardX.value = fx; listener.forwardY.value = fy; listener.forwardZ.value = fz
+            listener.upX.value = e[4]; listener.upY.value = e[5]; listener.upZ.value = e[6]
+        } else {
+            listener.setOrientation(fx, fy, fz, e[4], e[5], e[6])
+        }
+    }
+
+    // Sound a batch of collision events. radii — per-ball radius; toWorld — Matrix4 from the
+    // simulator's local space (the balls' group) to world space; nowMs — for the per-ball cooldown.
+    play(data, count, radii, toWorld, nowMs = performance.now()) {
+        if (!this.running || !this.enabled || count === 0) return
+        const stride = COLLISION_EVENT_STRIDE
+        const m = toWorld.elements
+        for (const e of selectImpacts(data, count, MAX_VOICES)) {
+            const o = e * stride
+            const i = data[o], j = data[o + 1]
+            if (nowMs - (this.lastPlayed.get(i) ?? -Infinity) < BALL_COOLDOWN_MS) continue
+            const radius = j >= 0 ? (radii[i] + radii[j]) / 2 : radii[i]
+            const { gain, frequency, duration } = thunkParameters(data[o + 2], radius)
+            const now = this.context.currentTime
+            if (gain <= 0 || !this.limiter.admit(now, gain)) continue
+
+            this.lastPlayed.set(i, nowMs)
+            if (j >= 0) this.lastPlayed.set(j, nowMs)
+            const x = data[o + 3], y = data[o + 4], z = data[o + 5]
+            this.point[0] = m[0] * x + m[4] * y + m[8] * z + m[12]
+            this.point[1] = m[1] * x + m[5] * y + m[9] * z + m[13]
+            this.point[2] = m[2] * x + m[6] * y + m[10] * z + m[14]
+            this.thunk(now, gain, frequency, duration)
+        }
+    }
+
+    // One thunk at this.point: sine body (pitch drops into the note) + noise slap → panner → master
+    thunk(now, gain, frequency, duration) {
+        const ctx = this.context
+        const panner = ctx.createPanner()
+        panner.panningModel = 'HRTF'
+        panner.distanceModel = 'inverse'
+        panner.refDistance = 40
+        setPosition(panner, this.point[0], this.point[1], this.point[2])
+        panner.connect(this.master)
+
+        const body = ctx.createOscillator()
+        body.frequency.setValueAtTime(frequency * 1.8, now)
+        body.frequency.exponentialRampToValueAtTime(frequency, now + 0.03)
+        const bodyGain = ctx.createGain()
+        bodyGain.gain.setValueAtTime(0.0001, now)
+        bodyGain.gain.linearRampToValueAtTime(gain, now + 0.004)
+        bodyGain.gain.exponentialRampToValueAtTime(0.0001, now + duration)
+        body.connect(bodyGain).connect(panner)
+
+        const slap = ctx.createBufferSource()
+        slap.buffer = this.noise
+        const filter = ctx.createBiquadFilter()
+        filter.type = 'bandpass'
+        filter.frequency.value = frequency * 8
+        filter.Q.value = 1.5
+        const slapGain = ctx.createGain()
+        slapGain.gain.setValueAtTime(gain * 0.5, now)
+        slapGain.gain.exponentialRampToValueAtTime(0.0001, now + 0.05)
+        slap.connect(filter).connect(slapGain).connect(panner)
+
+        body.start(now)
+        body.stop(now + duration)
+        slap.start(now)
+        body.onended = () => panner.disconnect()
+
+        this.limiter.add({
+            start: now, end: now + duration, gain,
+            stop: (time) => {
+                bodyGain.gain.cancelScheduledValues(time)
+                bodyGain.gain.setTargetAtTime(0, time, 0.005)
+                body.stop(time + 0.03)
+            },
+        })
+    }
+
+    // Close the AudioContext (the component unmounted)
+    dispose() {
+        this.context?.close()
+        this.context = null
+        this.master = null
+    }
+}
@@ -0,0 +1,99 @@
+// config.js — Runtime-tunable settings for the control panel ("C" key) and scene defaults
+// One plain object: physics tunables (fed to PhysicsSimulator.setConfig), rendering values
+// (lighting scales + post-processing parameters) and the ball count. Persisted to localStorage
+// and exported/imported as a JSON preset.
+
+import { DEFAULT_PHYSICS_CONFIG } from './physics.js'
+
+export const MAX_BALL_COUNT = 4000 // ?count= and panel ceiling — the grid broadphase keeps this interactive
+const STORAGE_KEY = 'floating-basketballs:config'
+const PRESET_VERSION = 1
+
+// Post-processing/lighting effects, in "O"-key cycling order (the order matters)
+export const EFFECT_NAMES = ['Vignette', 'Shadows', 'Bloom', 'Noise', 'Environment']
+export const ALL_EFFECTS_ON = Object.freeze({ Vignette: true, Shadows: true, Bloom: true, Noise: true, Environment: true })
+
+export const DEFAULT_CAMERA_POSITION = [0, 20, 90]
+export const DEFAULT_CAMERA_TARGET = [0, 0, 0]
+
+// Lighting values differ per theme and performance mode, so the panel scales them instead of
+// replacing them. Post-processing values are absolute.
+export const DEFAULT_RENDER_CONFIG = Object.freeze({
+    ambientScale: 1,
+    sunScale: 1,
+    fillScale: 1,
+    environmentScale: 1,
+    bloomIntensity: 0.85,
+    bloomThreshold: 1.2,
+    bloomRadius: 0.5,
+    noiseOpacity: 0.022,
+    vignetteOffset: 0.35,
+    vignetteDarknessScale: 1,
+})
+
+// Panel layout — one slider per entry. `section` is the config key the value lives under.
+export const CONFIG_FIELDS = [
+    { section: 'physics', key: 'subSteps', label: 'Sub-steps', min: 1, max: 6, step: 1 },
+    { section: 'physics', key: 'solverIterations', label: 'Solver iterations', min: 1, max: 12, step: 1 },
+    { section: 'physics', key: 'cameraSafeRadius', label: 'Camera radius', min: 0, max: 30, step: 0.5 },
+    { section: 'physics', key: 'restitution', label: 'Restitution', min: 0, max: 1, step: 0.01 },
+    { section: 'physics', key: 'auraMultiplier', label: 'Aura (× radius)', min: 2, max: 5, step: 0.1 },
+    { section: 'rendering', key: 'ambientScale', label: 'Ambient light ×', min: 0, max: 4, step: 0.05 },
+    { section: 'rendering', key: 'sunScale', label: 'Sun light ×', min: 0, max: 3, step: 0.05 },
+    { section: 'rendering', key: 'fillScale', label: 'Fill lights ×', min: 0, max: 4, step: 0.05 },
+    { section: 'rendering', key: 'environmentScale', label: 'Environment ×', min: 0, max: 4, step: 0.05 },
+    { section: 'rendering', key: 'bloomIntensity', label: 'Bloom intensity', min: 0, max: 3, step: 0.05 },
+    { section: 'rendering', key: 'bloomThreshold', label: 'Bloom threshold', min: 0, max: 2, step: 0.05 },
+    { section: 'rendering', key: 'bloomRadius', label: 'Bloom radius', min: 0, max: 1, step: 0.05 },
+    { section: 'rendering', key: 'noiseOpacity', label: 'Noise opacity', min: 0, max: 0.2, step: 0.002 },
+    { section: 'rendering', key: 'vignetteOffset', label: 'Vignette offset', min: 0, max: 1, step: 0.01 },
+    { section: 'rendering', key: 'vignetteDarknessScale', label: 'Vignette darkness ×', min: 0, max: 2, step: 0.05 },
+]
+
+// Keep only known keys with finite numbers, clamped to the panel ranges — presets and stored
+// values come from outside, so nothing else reaches the simulator. normalizeConfig(null) gives
+// the defaults; count null means automatic (80, or 40 in High Compatibility mode).
+export function normalizeConfig(input) {
+    const config = { count: null, physics: { ...DEFAULT_PHYSICS_CONFIG }, rendering: { ...DEFAULT_RENDER_CONFIG } }
+    if (!input || typeof input !== 'object') return config
+
+    const count = Number(input.count)
+    if (input.count !== null && Number.isFinite(count) && count >= 1) config.count = Math.min(Math.round(count), MAX_BALL_COUNT)
+
+    for (const field of CONFIG_FIELDS) {
+        const value = Number(input[field.section]?.[field.key])
+        if (input[field.section]?.[field.key] === undefined || !Number.isFinite(value)) continue
+        config[field.section][field.key] = Math.min(field.max, Math.max(field.min, value))
+    }
+    return config
+}
+
+export function loadConfig() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY)
+        return normalizeConfig(stored ? JSON.parse(stored) : null)
+    } catch {
+        return normalizeConfig(null) // storage blocked (private mode) or corrupt JSON
+    }
+}
+
+export function saveConfig(config) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(config))
+    } catch {
+        // Storage full or blocked — the panel still works for this session
+    }
+}
+
+export function exportPreset(config) {
+    return JSON.stringify({ version: PRESET_VERSION, ...config }, null, 2)
+}
+
+// Throws on malformed JSON or an unknown preset version
+export function parsePreset(text) {
+    const preset = JSON.parse(text)
+    if (!preset || preset.version !== PRESET_VERSION) {
+        throw new Error(`Unsupported preset version ${preset && preset.version}`)
+    }
+    return normalizeConfig(preset)
+}
@@ -0,0 +1,44 @@
+// diagnostics.js — Live numbers behind the diagnostics HUD ("P" view)
+// One mutable record per scene, filled every frame from inside the Canvas (frame time, renderer
+// counters, the simulator's getStats()) and read by the HUD a few times a second with readDiagnostics().
+
+export const FRAME_HISTORY = 120 // frames kept for the frame-time graph (2 s at 60 Hz)
+
+export function createDiagnostics() {
+    return {
+        frameTimes: new Float32Array(FRAME_HISTORY), // ring buffer, ms
+        frames: 0,
+        render: { calls: 0, triangles: 0 }, // gl.info totals for the whole last frame (every pass)
+        physics: null,                      // the simulator's live stats object
+        count: 0,
+    }
+}
+
+export function recordFrame(diagnostics, frameMs) {
+    diagnostics.frameTimes[diagnostics.frames % FRAME_HISTORY] = frameMs
+    diagnostics.frames++
+}
+
+// A detached reading: { fps, frameMs, maxFrameMs, history (oldest → newest, ms), render, physics, count }
+export function readDiagnostics(diagnostics) {
+    const { frameTimes, frames } = diagnostics
+    const length = Math.min(frames, FRAME_HISTORY)
+    const history = new Float32Array(length)
+    let sum = 0, max = 0
+    for (let k = 0; k < length; k++) {
+        const ms = frameTimes[(frames - length + k) % FRAME_HISTORY]
+        history[k] = ms
+        sum += ms
+        if (ms > max) max = ms
+    }
+    const frameMs = length > 0 ? sum / length : 0
+    return {
+        fps: frameMs > 0 ? 1000 / frameMs : 0,
+        frameMs,
+        maxFrameMs: max,
+        history,
+        render: { ...diagnostics.render },
+        physics: diagnostics.physics ? { ...diagnostics.physics } : null,
+        count: diagnostics.count,
+    }
+}
@@ -0,0 +1,229 @@
+// forceFields.js — Forces the simulator applies around points in space
+// Soft fields (attractor, repulsor, vortex, wind) add an acceleration to every free ball within
+// their radius, scaled by a falloff, in the integration pass. A shield is solid: like a boundary,
+// project() pushes a ball out and reports the contact normal, and the simulator owns the bounce
+// and friction — the camera forcefield is a shield that follows the camera.
+// Specs are plain JSON (they cross postMessage); positions and directions are in physics space
+// (InstancedMesh local), strengths in units/frame² like COURT_GRAVITY. An infinite radius is
+// written as null, which JSON keeps, and read back as Infinity.
+
+export const FORCE_FIELD_TYPES = ['attractor', 'repulsor', 'vortex', 'wind', 'shield']
+
+// Weight at t = 1 - distance / radius (1 at the centre, 0 at the edge)
+export const FALLOFFS = {
+    constant: () => 1,
+    linear: t => t,
+    smooth: t => t * t * (3 - 2 * t),
+}
+
+export const VORTEX_PULL = 0.25 // share of a vortex's strength that pulls inward, so balls circle instead of flying off
+
+function unit(v, fallback) {
+    const length = Math.hypot(v[0], v[1], v[2])
+    return length > 1e-9 ? [v[0] / length, v[1] / length, v[2] / length] : fallback
+}
+
+// --- Common spec handling: { id, type, position, radius, strength, falloff } ---
+class ForceField {
+    constructor(spec) {
+        this.id = spec.id ?? null
+        this.position = [0, 0, 0]
+        this.radius = 20
+        this.strength = 0.01
+        this.falloff = 'smooth'
+        this.update(spec)
+    }
+
+    // Apply any subset of the spec (a held field moving with the pointer, a stronger gust, ...)
+    update(changes) {
+        if (changes.position) this.position = [...changes.position]
+        if (changes.radius !== undefined) this.radius = changes.radius === null ? Infinity : Math.max(0, changes.radius)
+        if (changes.strength !== undefined) this.strength = changes.strength
+        if (changes.falloff !== undefined) {
+            if (!FALLOFFS[changes.falloff]) throw new Error(`Unknown force field falloff "${changes.falloff}"`)
+            this.falloff = changes.falloff
+        }
+        this.weight = FALLOFFS[this.falloff]
+    }
+
+    toSpec() {
+        const radius = Number.isFinite(this.radius) ? this.radius : null // JSON.stringify(Infinity) is null too
+        return { id: this.id, type: this.type, position: [...this.position], radius, strength: this.strength, falloff: this.falloff }
+    }
+
+    // Writes (dx, dy, dz, distance, weight) of the point relative to the centre into `out`;
+    // false when it's out of reach
+    reach(x, y, z, out) {
+        const dx = x - this.position[0], dy = y - this.position[1], dz = z - this.position[2]
+        const distSq = dx * dx + dy * dy + dz * dz
+        if (distSq >= this.radius * this.radius) return false
+        const dist = Math.sqrt(distSq)
+        out[0] = dx; out[1] = dy; out[2] = dz; out[3] = dist
+        out[4] = this.weight(1 - dist / this.radius)
+        return true
+    }
+}
+
+// --- Attractor: pulls toward the centre (negative strength pushes) ---
+export class AttractorField extends ForceField {
+    constructor(spec) {
+        super(spec)
+        this.type = 'attractor'
+        this.sign = 1
+        this.scratch = new Float64Array(5)
+    }
+
+    // Adds this field's acceleration at (x, y, z) to acc[0..2]
+    accelerate(x, y, z, acc) {
+        const s = this.scratch
+        if (!this.reach(x, y, z, s) || s[3] < 1e-6) return
+        const k = -this.sign * this.strength * s[4] / s[3]
+        acc[0] += s[0] * k
+        acc[1] += s[1] * k
+        acc[2] += s[2] * k
+    }
+}
+
+// --- Repulsor: pushes away from the centre ---
+export class RepulsorField extends AttractorField {
+    constructor(spec) {
+        super(spec)
+        this.type = 'repulsor'
+        this.sign = -1
+    }
+}
+
+// --- Vortex: swirls around `axis` through the centre (right-handed), with a gentle inward pull ---
+export class VortexField extends ForceField {
+    constructor(spec) {
+        super(spec)
+        this.type = 'vortex'
+        this.scratch = new Float64Array(5)
+    }
+
+    update(changes) {
+        super.update(changes)
+        if (changes.axis || !this.axis) this.axis = unit(changes.axis ?? [0, 0, 1], [0, 0, 1])
+    }
+
+    toSpec() {
+        return { ...super.toSpec(), axis: [...this.axis] }
+    }
+
+    accelerate(x, y, z, acc) {
+        const s = this.scratch
+        if (!this.reach(x, y, z, s)) return
+        // Offset from the axis line, then the tangent axis × offset
+        const [ax, ay, az] = this.axis
+        const along = s[0] * ax + s[1] * ay + s[2] * az
+        const rx = s[0] - ax * along, ry = s[1] - ay * along, rz = s[2] - az * along
+        const r = Math.sqrt(rx * rx + ry * ry + rz * rz)
+        if (r < 1e-6) return
+        const k = this.strength * s[4] / r
+        acc[0] += (ay * rz - az * ry) * k - rx * k * VORTEX_PULL
+        acc[1] += (az * rx - ax * rz) * k - ry * k * VORTEX_PULL
+        acc[2] += (ax * ry - ay * rx) * k - rz * k * VORTEX_PULL
+    }
+}
+
+// --- Wind: a uniform push along `direction` within the radius (radius Infinity = everywhere) ---
+export class WindField extends ForceField {
+    constructor(spec) {
+        super(spec)
+        this.type = 'wind'
+        this.scratch = new Float64Array(5)
+    }
+
+    update(changes) {
+        super.update(changes)
+        if (changes.direction || !this.direction) this.direction = unit(changes.direction ?? [1, 0, 0], [1, 0, 0])
+    }
+
+    toSpec() {
+        return { ...super.toSpec(), direction: [...this.direction] }
+    }
+
+    accelerate(x, y, z, acc) {
+        const s = this.scratch
+        if (!this.reach(x, y, z, s)) return
+        const k = this.strength * s[4]
+        acc[0] += this.direction[0] * k
+        acc[1] += this.direction[1] * k
+        acc[2] += this.direction[2] * k
+    }
+}
+
+// --- Shield: a solid sphere balls can't enter. Ball centres are kept `radius` from its centre
+// (the ball's own radius isn't added). moveTo() tracks its velocity so a moving shield drags balls
+// along through friction; `friction` is the Coulomb μ against it. ---
+export class ShieldField extends ForceField {
+    constructor(spec) {
+        super(spec)
+        this.type = 'shield'
+        this.solid = true
+        this.velocity = new Float32Array(3) // units per sub-step
+        this.placed = Boolean(spec.position)
+    }
+
+    update(changes) {
+        super.update(changes)
+        if (changes.friction !== undefined) this.friction = changes.friction
+        this.friction ??= 0.5
+    }
+
+    toSpec() {
+        return { ...super.toSpec(), friction: this.friction }
+    }
+
+    // Move the centre for the coming step of `subSteps` sub-steps; the jump becomes the velocity
+    moveTo(x, y, z, subSteps) {
+        const p = this.position
+        if (this.placed) {
+            this.velocity[0] = (x - p[0]) / subSteps
+            this.velocity[1] = (y - p[1]) / subSteps
+            this.velocity[2] = (z - p[2]) / subSteps
+        }
+        p[0] = x; p[1] = y; p[2] = z
+        this.placed = true
+    }
+
+    // Writes the corrected position into pos[o..o+2] and the outward normal into normal[0..2]
+    project(pos, o, normal) {
+        const dx = pos[o] - this.position[0], dy = pos[o + 1] - this.position[1], dz = pos[o + 2] - this.position[2]
+        const distSq = dx * dx + dy * dy + dz * dz
+        if (distSq >= this.radius * this.radius) return false
+
+        const dist = Math.sqrt(distSq)
+        const invDist = 1.0 / dist
+        normal[0] = dx * invDist
+        normal[1] = dy * invDist
+        normal[2] = dz * invDist
+
+        const correction = this.radius - dist
+        pos[o] += normal[0] * correction
+        pos[o + 1] += normal[1] * correction
+        pos[o + 2] += normal[2] * correction
+        return true
+    }
+}
+
+const FIELD_CLASSES = {
+    attractor: AttractorField, repulsor: RepulsorField, vortex: VortexField, wind: WindField, shield: ShieldField,
+}
+
+// Build a field from its spec ({ type, position, radius, strength, falloff, axis | direction | friction })
+export function createForceField(spec) {
+    const FieldClass = FIELD_CLASSES[spec?.type]
+    if (!FieldClass) throw new Error(`Unknown force field type "${spec?.type}"`)
+    return new FieldClass(spec)
+}
+
+// What a click or long-press spawns in App — strengths are per frame², radii in scene units.
+// Axis/direction come from the camera when spawned (swirl around, or blow along, the view).
+export const POINTER_FIELDS = Object.freeze({
+    attractor: Object.freeze({ type: 'attractor', radius: 30, strength: 0.02, falloff: 'smooth' }),
+    repulsor: Object.freeze({ type: 'repulsor', radius: 25, strength: 0.05, falloff: 'smooth' }),
+    vortex: Object.freeze({ type: 'vortex', radius: 35, strength: 0.03, falloff: 'linear' }),
+    wind: Object.freeze({ type: 'wind', radius: 40, strength: 0.03, falloff: 'linear' }),
+})
+export const POINTER_FIELD_TYPES = Object.keys(POINTER_FIELDS)
@@ -0,0 +1,349 @@
+// formations.js — Shapes the pile can assemble into, and which ball goes where
+// A formation is a flat [x, y, z, ...] list of target points in physics space (InstancedMesh local:
+// x right, z up, -y toward the default camera), built here for a ball count and radius. The
+// simulator matches balls to points with assignTargets() and steers them there (see
+// PhysicsSimulator.setFormation) while collisions and the boundary keep working, then lets go.
+// Flat shapes (grid, ring, text, svg) face the default camera; when one layer won't fit inside the
+// boundary they stack extra layers in depth instead of spilling out.
+
+export const FORMATION_SHAPES = ['grid', 'sphere', 'ring', 'text', 'svg']
+export const FORMATION_SPACING = 1.15 // target spacing, in ball diameters
+export const MAX_LAYERS = 4           // depth layers a flat shape may stack before it's shrunk to fit
+export const MASK_RESOLUTION = 128    // raster height text and SVG paths are sampled at (pixels)
+
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5))
+
+// A five-pointed star in a 100×100 viewBox — the stand-in logo for the svg shape
+export const STAR_PATH = 'M50 2 L61 38 L98 38 L68 60 L79 96 L50 74 L21 96 L32 60 L2 38 L39 38 Z'
+
+// --- Point helpers (flat xyz arrays) ---
+
+// Largest distance of any point from the origin
+function extentOf(points) {
+    let max = 0
+    for (let o = 0; o < points.length; o += 3) max = Math.max(max, Math.hypot(points[o], points[o + 1], points[o + 2]))
+    return max
+}
+
+// `k` entries spread evenly through a flat array of `stride`-sized entries (all of them if there are fewer)
+function pickEvenly(values, stride, k) {
+    const total = values.length / stride
+    if (total <= k) return values
+    const out = new Float32Array(k * stride)
+    for (let n = 0; n < k; n++) {
+        const from = Math.floor(n * total / k) * stride
+        for (let d = 0; d < stride; d++) out[n * stride + d] = values[from + d]
+    }
+    return out
+}
+
+// --- Flat shapes: `n` points in the x/z plane, `spacing` apart ---
+
+// Rows of columns, as square as possible; the last row is centred
+export function gridPoints(n, spacing) {
+    const cols = Math.ceil(Math.sqrt(n))
+    const rows = Math.ceil(n / cols)
+    const out = new Float32Array(n * 3)
+    for (let k = 0; k < n; k++) {
+        const row = Math.floor(k / cols)
+        const inRow = row === rows - 1 ? n - row * cols : cols
+        out[k * 3] = (k % cols - (inRow - 1) / 2) * spacing
+        out[k * 3 + 2] = ((rows - 1) / 2 - row) * spacing
+    }
+    return out
+}
+
+// One circle, just big enough for `n` balls around it
+export function ringPoints(n, spacing) {
+    const radius = n > 1 ? spacing / (2 * Math.sin(Math.PI / n)) : 0 // neighbours a chord of `spacing` apart
+    const out = new Float32Array(n * 3)
+    for (let k = 0; k < n; k++) {
+        const angle = k / n * 2 * Math.PI
+        out[k * 3] = Math.cos(angle) * radius
+        out[k * 3 + 2] = Math.sin(angle) * radius
+    }
+    return out
+}
+
+// Cells of a step-pixel lattice that land inside the mask, as flat [x, y, ...] pixel coordinates
+function maskCells(mask, step) {
+    const cells = []
+    for (let y = step / 2; y < mask.height; y += step) {
+        for (let x = step / 2; x < mask.width; x += step) {
+            if (mask.data[Math.floor(y) * mask.width + Math.floor(x)]) cells.push(x, y)
+        }
+    }
+    return cells
+}
+
+// Sample `n` points inside a raster mask ({ data, width, height }, data non-zero = inside): the
+// coarsest lattice with at least `n` cells inside, thinned evenly to `n` and scaled so lattice
+// neighbours end up `spacing` apart. Image y runs down, so it's flipped onto +z. A mask too small
+// for `n` gives fewer points.
+export function maskPoints(mask, n, spacing) {
+    let filled = 0
+    for (let k = 0; k < mask.data.length; k++) if (mask.data[k]) filled++
+    if (filled === 0 || n <= 0) return new Float32Array(0)
+
+    let step = Math.max(1, Math.sqrt(filled / n))
+    let cells = maskCells(mask, step)
+    while (cells.length / 2 < n && step > 1) {
+        step = Math.max(1, step * 0.9)
+        cells = maskCells(mask, step)
+    }
+    cells = pickEvenly(cells, 2, n)
+
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity
+    for (let c = 0; c < cells.length; c += 2) {
+        minX = Math.min(minX, cells[c]); maxX = Math.max(maxX, cells[c])
+        minY = Math.min(minY, cells[c + 1]); maxY = Math.max(maxY, cells[c + 1])
+    }
+    const midX = (minX + maxX) / 2, midY = (minY + maxY) / 2
+    const scale = spacing / step
+    const out = new Float32Array(cells.length / 2 * 3)
+    for (let c = 0, o = 0; c < cells.length; c += 2, o += 3) {
+        out[o] = (cells[c] - midX) * scale
+        out[o + 2] = (midY - cells[c + 1]) * scale
+    }
+    return out
+}
+
+// --- Rasterising text and SVG paths (browser only: needs OffscreenCanvas or a DOM canvas) ---
+
+function defaultCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height)
+    if (typeof document !== 'undefined') return Object.assign(document.createElement('canvas'), { width, height })
+    throw new Error('formations: text and SVG shapes need a canvas (pass createCanvas)')
+}
+
+function readMask(context, width, height) {
+    const pixels = context.getImageData(0, 0, width, height).data
+    const data = new Uint8Array(width * height)
+    for (let k = 0; k < data.length; k++) data[k] = pixels[k * 4 + 3] > 127 ? 1 : 0
+    return { data, width, height }
+}
+
+// Mask of `text` drawn in a bold face MASK_RESOLUTION pixels tall
+export function textMask(text, { fontFamily = 'sans-serif', createCanvas = defaultCanvas } = {}) {
+    const height = MASK_RESOLUTION
+    const font = `bold ${Math.round(height * 0.8)}px ${fontFamily}`
+    const measure = createCanvas(1, 1).getContext('2d')
+    measure.font = font
+    const width = Math.max(1, Math.ceil(measure.measureText(text).width + height * 0.2))
+
+    const context = createCanvas(width, height).getContext('2d')
+    context.font = font
+    context.textAlign = 'center'
+    context.textBaseline = 'middle'
+    context.fillText(text, width / 2, height / 2)
+    return readMask(context, width, height)
+}
+
+// Mask of an SVG path's fill. viewBox — [x, y, width, height] the path's coordinates live in.
+export function svgMask(path, { viewBox = [0, 0, 100, 100], fillRule = 'nonzero', createCanvas = defaultCanvas } = {}) {
+    const [x, y, w, h] = viewBox
+    const scale = MASK_RESOLUTION / h
+    const width = Math.max(1, Math.round(w * scale))
+    const context = createCanvas(width, MASK_RESOLUTION).getContext('2d')
+    context.setTransform(scale, 0, 0, scale, -x * scale, -y * scale)
+    context.fill(new Path2D(path), fillRule)
+    return readMask(context, width, MASK_RESOLUTION)
+}
+
+// --- Whole formations ---
+
+// Nested Fibonacci shells: one just big enough for every ball, or — when that wouldn't fit —
+// the outermost at maxExtent with the rest filling shells inside it
+export function spherePoints(n, spacing, maxExtent = Infinity) {
+    const area = spacing * spacing * 1.2 // sphere surface each point needs
+    const out = new Float32Array(n * 3)
+    let radius = Math.min(maxExtent, Math.sqrt(n * area / (4 * Math.PI)))
+    let placed = 0
+    while (placed < n) {
+        const capacity = Math.max(1, Math.round(4 * Math.PI * radius * radius / area))
+        const inner = radius - spacing < spacing / 2
+        const shell = inner ? n - placed : Math.min(n - placed, capacity)
+        for (let k = 0; k < shell; k++) {
+            const z = shell > 1 ? 1 - 2 * (k + 0.5) / shell : 0
+            const ring = Math.sqrt(1 - z * z)
+            const angle = k * GOLDEN_ANGLE
+            const o = (placed + k) * 3
+            out[o] = Math.cos(angle) * ring * radius
+            out[o + 1] = Math.sin(angle) * ring * radius
+            out[o + 2] = z * radius
+        }
+        placed += shell
+        radius -= spacing
+    }
+    return out
+}
+
+// Stack copies of a flat shape in depth (y) until one layer fits within maxExtent, then shrink
+// whatever still doesn't. generate(n, spacing) lays out one layer of n points.
+function layered(generate, count, spacing, maxExtent) {
+    let layers = 1
+    let layer = generate(count, spacing)
+    while (layers < MAX_LAYERS && extentOf(layer) > maxExtent) {
+        layers++
+        layer = generate(Math.ceil(count / layers), spacing)
+    }
+    const perLayer = layer.length / 3
+    const points = new Float32Array(Math.min(count, perLayer * layers) * 3)
+    let written = 0
+    for (let l = 0; l < layers && written < points.length; l++) {
+        const depth = (l - (layers - 1) / 2) * spacing
+        const take = pickEvenly(layer, 3, Math.min(perLayer, (points.length - written) / 3))
+        for (let o = 0; o < take.length; o += 3, written += 3) {
+            points[written] = take[o]
+            points[written + 1] = depth
+            points[written + 2] = take[o + 2]
+        }
+    }
+    return fitWithin(points, maxExtent)
+}
+
+function fitWithin(points, maxExtent) {
+    const extent = extentOf(points)
+    if (extent > maxExtent) for (let k = 0; k < points.length; k++) points[k] *= maxExtent / extent
+    return points
+}
+
+// Target points for `count` balls of `ballRadius`, kept within maxExtent of the centre.
+// spec — { shape: 'grid' | 'sphere' | 'ring' } or { shape: 'text', text, fontFamily }
+//   or { shape: 'svg', path, viewBox, fillRule }; optional `spacing` in ball diameters.
+// createCanvas(width, height) — canvas factory for text and svg (default: OffscreenCanvas / DOM)
+export function buildFormation(spec, count, { ballRadius, maxExtent = Infinity, createCanvas } = {}) {
+    const spacing = 2 * ballRadius * (spec.spacing ?? FORMATION_SPACING)
+    switch (spec.shape) {
+        case 'grid': return layered(gridPoints, count, spacing, maxExtent)
+        case 'ring': return layered(ringPoints, count, spacing, maxExtent)
+        case 'sphere': return fitWithin(spherePoints(count, spacing, maxExtent), maxExtent)
+        case 'text': {
+            const mask = textMask(String(spec.text ?? ''), { fontFamily: spec.fontFamily, createCanvas })
+            return layered((n, s) => maskPoints(mask, n, s), count, spacing, maxExtent)
+        }
+        case 'svg': {
+            const mask = svgMask(spec.path ?? STAR_PATH, { viewBox: spec.viewBox, fillRule: spec.fillRule, createCanvas })
+            return layered((n, s) => maskPoints(mask, n, s), count, spacing, maxExtent)
+        }
+        default: throw new Error(`Unknown formation shape "${spec.shape}"`)
+    }
+}
+
+// --- Target assignment ---
+
+function distanceSq(positions, i, targets, t) {
+    if (t < 0) return 0
+    const dx = positions[i * 3] - targets[t * 3]
+    const dy = positions[i * 3 + 1] - targets[t * 3 + 1]
+    const dz = positions[i * 3 + 2] - targets[t * 3 + 2]
+    return dx * dx + dy * dy + dz * dz
+}
+
+// Indices 0..n-1 ordered along axis `a`, ties broken along `b`
+function orderAlong(points, n, a, b) {
+    return Array.from({ length: n }, (_, k) => k)
+        .sort((p, q) => (points[p * 3 + a] - points[q * 3 + a]) || (points[p * 3 + b] - points[q * 3 + b]))
+}
+
+// Match `count` balls (positions, flat xyz) to target points so their paths don't cross: pair them
+// by rank along the targets' widest axis, then swap any two balls whose exchange shortens the
+// summed squared distance — which is what untangling two crossing paths does — checking near
+// neighbours in each axis order until a pass changes nothing. Returns an Int32Array of each
+// ball's target index, -1 for balls left over when there are fewer targets than balls.
+export function assignTargets(positions, count, targets, { passes = 8, window = 12 } = {}) {
+    const assignment = new Int32Array(count).fill(-1)
+    const targetCount = Math.floor(targets.length / 3)
+    if (count === 0 || targetCount === 0) return assignment
+
+    const spread = [0, 1, 2].map(axis => {
+        let min = Infinity, max = -Infinity
+        for (let t = 0; t < targetCount; t++) {
+            min = Math.min(min, targets[t * 3 + axis])
+            max = Math.max(max, targets[t * 3 + axis])
+        }
+        return max - min
+    })
+    const axes = [0, 1, 2].sort((a, b) => spread[b] - spread[a])
+    const ballOrder = orderAlong(positions, count, axes[0], axes[1])
+    const targetOrder = orderAlong(targets, targetCount, axes[0], axes[1])
+    if (targetCount >= count) {
+        for (let k = 0; k < count; k++) assignment[ballOrder[k]] = targetOrder[Math.floor(k * targetCount / count)]
+    } else {
+        for (let k = 0; k < targetCount; k++) assignment[ballOrder[Math.floor((k + 0.5) * count / targetCount)]] = targetOrder[k]
+    }
+
+    const orders = [ballOrder, orderAlong(positions, count, axes[1], axes[2]), orderAlong(positions, count, axes[2], axes[0])]
+    for (let pass = 0; pass < passes; pass++) {
+        let swapped = false
+        for (const order of orders) {
+            for (let k = 0; k < count; k++) {
+                const i = order[k]
+                for (let w = 1; w <= window && k + w < count; w++) {
+                    const j = order[k + w]
+                    const ti = assignment[i], tj = assignment[j]
+                    if (ti === tj) continue
+                    const now = distanceSq(positions, i, targets, ti) + distanceSq(positions, j, targets, tj)
+                    const exchanged = distanceSq(positions, i, targets, tj) + distanceSq(positions, j, targets, ti)
+                    if (exchanged < now - 1e-9) {
+                        assignment[i] = tj
+                        assignment[j] = ti
+                        swapped = true
+                    }
+                }
+            }
+        }
+        if (!swapped) break
+    }
+    return assignment
+}
+
+// --- Sequencing ---
+
+// A sequence of formations. Each step is a formation spec held for `hold` seconds; a step without a
+// shape scatters the pile and lets it drift. update(delta) is fed seconds (simulated time, so
+// reduced motion and offline export stay in step) and returns the step that begins on this call.
+export class FormationTimeline {
+    constructor(steps, { loop = true } = {}) {
+        for (const step of steps) {
+            if (step.shape && !FORMATION_SHAPES.includes(step.shape)) throw new Error(`Unknown formation shape "${step.shape}"`)
+            if (!(step.hold > 0)) throw new Error('FormationTimeline: every step needs a positive hold time')
+        }
+        this.steps = steps
+        this.loop = loop
+        this.reset()
+    }
+
+    // Back to before the first step; the next update() starts it
+    reset() {
+        this.index = -1
+        this.remaining = 0
+        this.done = false
+    }
+
+    update(delta) {
+        if (this.done || this.steps.length === 0) return null
+        this.remaining -= delta
+        if (this.remaining > 0) return null
+        let next = this.index + 1
+        if (next >= this.steps.length) {
+            if (!this.loop) {
+                this.done = true
+                return null
+            }
+            next = 0
+        }
+        this.index = next
+        this.remaining = Math.max(0, this.remaining) + this.steps[next].hold
+        return this.steps[next]
+    }
+}
+
+// The T-key demo: every shape in turn, with a drift between each
+export const DEMO_TIMELINE = Object.freeze([
+    { shape: 'grid', hold: 6 }, { shape: null, hold: 4 },
+    { shape: 'sphere', hold: 6 }, { shape: null, hold: 4 },
+    { shape: 'ring', hold: 6 }, { shape: null, hold: 4 },
+    { shape: 'text', text: 'HI', hold: 7 }, { shape: null, hold: 4 },
+    { shape: 'svg', path: STAR_PATH, hold: 6 }, { shape: null, hold: 5 },
+].map(step => Object.freeze(step)))
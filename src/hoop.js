@@ -0,0 +1,132 @@
+// hoop.js — A basketball hoop for the simulator: backboard and rim colliders, and the made-basket test
+// Positions are in physics space (InstancedMesh local: +Z is up, the default camera looks along +Y).
+// The rim is a torus lying flat around its centre; the backboard is a box behind it, on the far side
+// from the default camera. Sizes are in ball radii (a 45.7 cm rim for a 24 cm ball), so the hoop
+// shrinks with the balls when large counts scale them down.
+// Colliders are solids: project() pushes a ball's centre out of the shape grown by the ball radius and
+// reports the outward normal, and the simulator owns the bounce — boundaries.js turned inside out.
+
+export const DEFAULT_HOOP_POSITION = [0, 10, 6] // rim centre
+export const RIM_RADIUS = 1.9              // centre to the middle of the rim tube, in ball radii
+export const RIM_TUBE = 0.12               // rim tube radius, in ball radii
+export const BACKBOARD_GAP = 0.5           // rim's outer edge to the board face, in ball radii
+export const BACKBOARD_HALF_WIDTH = 4      // in ball radii
+export const BACKBOARD_HALF_HEIGHT = 2.6   // in ball radii
+export const BACKBOARD_DROP = 0.8          // board's bottom edge below the rim, in ball radii
+export const BACKBOARD_THICKNESS = 0.3     // in ball radii
+export const RIM_RESTITUTION = 0.55        // steel rim: a dead-ish clank
+export const BACKBOARD_RESTITUTION = 0.7   // glass board: a livelier bank shot
+
+// --- Axis-aligned solid box: min/max corners as [x, y, z] ---
+export class BoxCollider {
+    constructor(min, max, restitution) {
+        this.type = 'box'
+        this.min = min
+        this.max = max
+        this.restitution = restitution
+    }
+
+    // Writes the corrected position into pos[o..o+2] and the outward normal into normal[0..2]
+    project(pos, o, r, normal) {
+        const { min, max } = this
+        const x = pos[o], y = pos[o + 1], z = pos[o + 2]
+        const cx = Math.min(max[0], Math.max(min[0], x))
+        const cy = Math.min(max[1], Math.max(min[1], y))
+        const cz = Math.min(max[2], Math.max(min[2], z))
+        const dx = x - cx, dy = y - cy, dz = z - cz
+        const distSq = dx * dx + dy * dy + dz * dz
+        if (distSq >= r * r) return false
+
+        if (distSq > 1e-12) {
+            // Outside the box, within reach of its closest point: push out along that direction
+            const dist = Math.sqrt(distSq)
+            normal[0] = dx / dist
+            normal[1] = dy / dist
+            normal[2] = dz / dist
+            pos[o] = cx + normal[0] * r
+            pos[o + 1] = cy + normal[1] * r
+            pos[o + 2] = cz + normal[2] * r
+            return true
+        }
+
+        // Centre inside the box: out through the nearest face
+        let axis = 0, side = 1, depth = Infinity
+        for (let a = 0; a < 3; a++) {
+            const toMax = max[a] - pos[o + a]
+            const toMin = pos[o + a] - min[a]
+            if (toMax < depth) { depth = toMax; axis = a; side = 1 }
+            if (toMin < depth) { depth = toMin; axis = a; side = -1 }
+        }
+        normal[0] = normal[1] = normal[2] = 0
+        normal[axis] = side
+        pos[o + axis] = side > 0 ? max[axis] + r : min[axis] - r
+        return true
+    }
+}
+
+// --- Torus lying flat (axis along Z): centre [x, y, z], radius to the tube's middle, tube radius ---
+export class TorusCollider {
+    constructor(center, radius, tube, restitution) {
+        this.type = 'torus'
+        this.center = center
+        this.radius = radius
+        this.tube = tube
+        this.restitution = restitution
+    }
+
+    project(pos, o, r, normal) {
+        const dx = pos[o] - this.center[0], dy = pos[o + 1] - this.center[1], dz = pos[o + 2] - this.center[2]
+        const reach = this.tube + r
+        if (dz >= reach || dz <= -reach) return false
+
+        // Nearest point on the tube's centre circle (any will do for a ball dead on the axis)
+        const radial = Math.sqrt(dx * dx + dy * dy)
+        const ux = radial > 1e-9 ? dx / radial : 1, uy = radial > 1e-9 ? dy / radial : 0
+        const ex = dx - ux * this.radius, ey = dy - uy * this.radius
+        const distSq = ex * ex + ey * ey + dz * dz
+        if (distSq >= reach * reach || distSq < 1e-12) return false
+
+        const dist = Math.sqrt(distSq)
+        normal[0] = ex / dist
+        normal[1] = ey / dist
+        normal[2] = dz / dist
+        pos[o] = this.center[0] + ux * this.radius + normal[0] * reach
+        pos[o + 1] = this.center[1] + uy * this.radius + normal[1] * reach
+        pos[o + 2] = this.center[2] + normal[2] * reach
+        return true
+    }
+}
+
+// --- The hoop: a rim and the backboard behind it. spec — { position } (the rim centre) ---
+export class Hoop {
+    constructor(spec = {}, ballRadius) {
+        const [x, y, z] = spec.position ?? DEFAULT_HOOP_POSITION
+        this.position = [x, y, z]
+        this.rimRadius = RIM_RADIUS * ballRadius
+        this.tubeRadius = RIM_TUBE * ballRadius
+
+        const face = y + this.rimRadius + this.tubeRadius + BACKBOARD_GAP * ballRadius
+        const bottom = z - BACKBOARD_DROP * ballRadius
+        const halfWidth = BACKBOARD_HALF_WIDTH * ballRadius
+        this.backboard = new BoxCollider(
+            [x - halfWidth, face, bottom],
+            [x + halfWidth, face + BACKBOARD_THICKNESS * ballRadius, bottom + BACKBOARD_HALF_HEIGHT * 2 * ballRadius],
+            BACKBOARD_RESTITUTION
+        )
+        this.rim = new TorusCollider(this.position, this.rimRadius, this.tubeRadius, RIM_RESTITUTION)
+        this.colliders = [this.rim, this.backboard]
+    }
+
+    toSpec() {
+        return { position: [...this.position] }
+    }
+
+    // Whether a ball centre that moved from height prevZ to (x, y, z) went down through the rim:
+    // it crossed the rim's plane inside the ring (the rim collider keeps it off the tube itself)
+    throughRim(x, y, prevZ, z) {
+        const rimZ = this.position[2]
+        if (prevZ < rimZ || z >= rimZ) return false
+        const dx = x - this.position[0], dy = y - this.position[1]
+        return dx * dx + dy * dy < this.rimRadius * this.rimRadius
+    }
+}
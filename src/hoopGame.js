@@ -0,0 +1,121 @@
+// hoopGame.js — Rules, score and clock of the hoop mini-game
+// Throwing a ball shoots it: the simulator gives it gravity (setBallGravity) for SHOT_SECONDS while
+// the rest keep floating. A shot that drops down through the rim in that time scores and extends the
+// streak; one that doesn't ends the streak. The first shot starts a ROUND_SECONDS clock, and the
+// first shot after time is up starts the next round. The best score is kept in localStorage.
+
+export const ROUND_SECONDS = 60
+export const SHOT_SECONDS = 3      // a shot's flight; after it the ball floats again
+export const BASKET_POINTS = 2
+export const STREAK_BONUS_FROM = 3 // from the third basket in a row, each is worth a point more
+export const BEST_SCORE_KEY = 'floating-basketballs:hoop-best'
+
+function loadBest(storage) {
+    try {
+        return Math.max(0, Number(storage?.getItem(BEST_SCORE_KEY)) || 0)
+    } catch {
+        return 0 // storage blocked (private mode, sandboxed iframe)
+    }
+}
+
+// storage — where the best score lives (default localStorage; tests pass a stub)
+// onChange(state) — fires whenever something the HUD shows changes (the clock once a second)
+export class HoopGame {
+    constructor({ storage = globalThis.localStorage, onChange, roundSeconds = ROUND_SECONDS } = {}) {
+        this.storage = storage
+        this.onChange = onChange
+        this.roundSeconds = roundSeconds
+        this.best = loadBest(storage)
+        this.score = 0
+        this.streak = 0
+        this.timeLeft = roundSeconds
+        this.running = false
+        this.newBest = false
+        this.shots = new Map() // ball index → { time: seconds of flight left, made }
+    }
+
+    // What the HUD shows
+    state() {
+        return {
+            score: this.score, streak: this.streak, best: this.best, newBest: this.newBest,
+            running: this.running, timeLeft: Math.ceil(this.timeLeft),
+        }
+    }
+
+    changed() {
+        this.onChange?.(this.state())
+    }
+
+    start() {
+        this.score = 0
+        this.streak = 0
+        this.timeLeft = this.roundSeconds
+        this.running = true
+        this.newBest = false
+        this.changed()
+    }
+
+    // A ball was thrown — the caller gives it gravity. Throwing one still in flight restarts its clock.
+    shoot(index) {
+        if (!this.running) this.start()
+        this.shots.set(index, { time: SHOT_SECONDS, made: false })
+    }
+
+    // A ball dropped through the rim. Counts once per shot, while the clock runs; returns the points.
+    basket(index) {
+        const shot = this.shots.get(index)
+        if (!shot || shot.made || !this.running) return 0
+        shot.made = true
+        this.streak++
+        const points = BASKET_POINTS + (this.streak >= STREAK_BONUS_FROM ? 1 : 0)
+        this.score += points
+        this.changed()
+        return points
+    }
+
+    // Advance the clock and the shots in flight by `delta` seconds. Returns the balls whose flight
+    // ended, for the caller to take their gravity away.
+    update(delta) {
+        const landed = []
+        let missed = false
+        for (const [index, shot] of this.shots) {
+            shot.time -= delta
+            if (shot.time > 0) continue
+            this.shots.delete(index)
+            landed.push(index)
+            if (!shot.made) missed = true
+        }
+        if (missed && this.running && this.streak > 0) {
+            this.streak = 0
+            this.changed()
+        }
+
+        if (this.running) {
+            const shown = Math.ceil(this.timeLeft)
+            this.timeLeft = Math.max(0, this.timeLeft - delta)
+            if (this.timeLeft === 0) this.end()
+            else if (Math.ceil(this.timeLeft) !== shown) this.changed()
+        }
+        return landed
+    }
+
+    // Time's up: keep the score if it's the best yet
+    end() {
+        this.running = false
+        if (this.score > this.best) {
+            this.best = this.score
+            this.newBest = true
+            try {
+                this.storage?.setItem(BEST_SCORE_KEY, String(this.best))
+            } catch {
+                // storage blocked — the best score only lasts the session
+            }
+        }
+        this.changed()
+    }
+
+    // Balls still in flight (to ground them when the game is put away)
+    flyingBalls() {
+        return [...this.shots.keys()]
+    }
+}
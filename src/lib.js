@@ -0,0 +1,18 @@
+// lib.js — Library entry (npm run build:lib → dist-lib/)
+// Embeds the scene in any React page: <FloatingBasketballs count={40} theme="light" />.
+// React, three and the @react-three packages are peer dependencies, not bundled.
+
+export { default as FloatingBasketballs } from './FloatingBasketballs.jsx'
+export { ALL_EFFECTS_ON, EFFECT_NAMES, DEFAULT_RENDER_CONFIG, DEFAULT_CAMERA_POSITION, DEFAULT_CAMERA_TARGET } from './config.js'
+export { BOUNDARY_TYPES } from './boundaries.js'
+export { BASKETBALL } from './ballTypes.js'
+export { QUALITY_NAMES, QUALITY_TIERS } from './quality.js'
+export { BUILT_IN_THEMES, DARK_THEME, LIGHT_THEME, getTheme, registerTheme, themeNames } from './themes.js'
+export { INPUT_SOURCES, MotionInput, requestMotionPermission } from './motionInput.js'
+export { FALLOFFS, FORCE_FIELD_TYPES, POINTER_FIELDS, POINTER_FIELD_TYPES } from './forceFields.js'
+export { CollisionAudio } from './collisionAudio.js'
+export { BEST_SCORE_KEY, HoopGame, ROUND_SECONDS } from './hoopGame.js'
+export { DEFAULT_HOOP_POSITION, Hoop } from './hoop.js'
+export { DEFAULT_PORT, PROTOCOL_VERSION } from './multiplayerProtocol.js'
+export { DEMO_TIMELINE, FORMATION_SHAPES, FormationTimeline, STAR_PATH, buildFormation } from './formations.js'
+export { COLLISION_EVENT_STRIDE, DEFAULT_PHYSICS_CONFIG, PhysicsSimulator } from './physics.js'
@@ -0,0 +1,147 @@
+// motionInput.js — Device tilt/shake, gamepad and simulated input turned into forces on the pile
+// Every source reports in screen space (x right, y up, z out of the screen), so "tilt right" means
+// right on screen whatever the camera does; Basketballs rotates the result by the camera into
+// physics space. Acceleration is in units/frame² (COURT_GRAVITY is 0.03), impulses in units/frame.
+// No listeners here: the page feeds DOM events in, Basketballs calls update() + read() every frame.
+
+export const INPUT_SOURCES = ['motion', 'gamepad', 'simulated']
+
+export const TILT_ACCELERATION = 0.012  // at a 90° tilt or a fully pushed stick
+export const SHAKE_THRESHOLD = 12       // m/s² of device acceleration (gravity excluded) that counts as a shake
+export const SHAKE_IMPULSE = 0.015      // units/frame per m/s² of shake
+export const SHAKE_COOLDOWN_MS = 250    // one impulse per shake, not one per motion event
+export const GAMEPAD_IMPULSE = 0.3      // "A" button jolt (units/frame)
+export const STICK_DEADZONE = 0.15
+export const SIMULATED_PERIOD_MS = 8000 // the simulated tilt circles once per period and shakes twice
+
+const DEG = Math.PI / 180
+
+// Device axes → screen axes for a screen rotated by `angle` degrees (screen.orientation.angle)
+function toScreen(x, y, angle) {
+    const c = Math.cos(angle * DEG), s = Math.sin(angle * DEG)
+    return [x * c - y * s, x * s + y * c]
+}
+
+// getGamepads — defaults to navigator.getGamepads (tests pass fakes)
+export class MotionInput {
+    constructor({ getGamepads = () => globalThis.navigator?.getGamepads?.() ?? [] } = {}) {
+        this.getGamepads = getGamepads
+        this.enabled = { motion: false, gamepad: false, simulated: false }
+        this.tilt = [0, 0]       // device tilt, screen space, -1..1
+        this.neutral = null      // { beta, gamma } held when tilt was switched on (how the phone is "flat")
+        this.stick = [0, 0]      // gamepad left stick, screen space, -1..1
+        this.simulatedTilt = [0, 0]
+        this.impulse = [0, 0, 0] // pending until read()
+        this.lastShakeMs = -Infinity
+        this.buttonDown = false
+        this.lastSimulatedShake = 0
+    }
+
+    setEnabled(source, on) {
+        this.enabled[source] = on
+        if (source === 'motion') {
+            this.neutral = null
+            this.tilt = [0, 0]
+        } else if (source === 'gamepad') {
+            this.stick = [0, 0]
+        } else if (source === 'simulated') {
+            this.simulatedTilt = [0, 0]
+            this.lastSimulatedShake = 0
+        }
+    }
+
+    // deviceorientation: beta = front/back tilt, gamma = left/right tilt (degrees). The first event
+    // after enabling is taken as level, so the phone can be held at any comfortable angle.
+    handleOrientation({ beta, gamma }, screenAngle = 0) {
+        if (!this.enabled.motion || beta === null || gamma === null) return
+        if (!this.neutral) this.neutral = { beta, gamma }
+        const x = Math.sin(Math.max(-90, Math.min(90, gamma - this.neutral.gamma)) * DEG)
+        const y = -Math.sin(Math.max(-90, Math.min(90, beta - this.neutral.beta)) * DEG) // top tipped away → roll up
+        this.tilt = toScreen(x, y, screenAngle)
+    }
+
+    // devicemotion: a jolt above SHAKE_THRESHOLD kicks the pile the opposite way, like the contents
+    // of a shaken box lagging behind it
+    handleMotion({ acceleration }, screenAngle = 0, nowMs = 0) {
+        if (!this.enabled.motion || !acceleration) return
+        const { x = 0, y = 0, z = 0 } = acceleration
+        const magnitude = Math.hypot(x, y, z)
+        if (magnitude < SHAKE_THRESHOLD || nowMs - this.lastShakeMs < SHAKE_COOLDOWN_MS) return
+        this.lastShakeMs = nowMs
+        const [sx, sy] = toScreen(x, y, screenAngle)
+        this.addImpulse(-sx * SHAKE_IMPULSE, -sy * SHAKE_IMPULSE, -z * SHAKE_IMPULSE)
+    }
+
+    // Standard-mapping gamepads: the left stick tilts, button 0 ("A") jolts along the stick (or up)
+    pollGamepads(gamepads) {
+        if (!this.enabled.gamepad) return
+        let stick = [0, 0], pressed = false
+        for (const pad of gamepads) {
+            if (!pad || !pad.connected) continue
+            const x = pad.axes[0] ?? 0, y = -(pad.axes[1] ?? 0)
+            if (Math.hypot(x, y) > STICK_DEADZONE) stick = [x, y]
+            pressed ||= Boolean(pad.buttons[0]?.pressed)
+        }
+        this.stick = stick
+        if (pressed && !this.buttonDown) {
+            const length = Math.hypot(stick[0], stick[1])
+            const [dx, dy] = length > 0 ? [stick[0] / length, stick[1] / length] : [0, 1]
+            this.addImpulse(dx * GAMEPAD_IMPULSE, dy * GAMEPAD_IMPULSE, 0)
+        }
+        this.buttonDown = pressed
+    }
+
+    // Desktop stand-in for a phone: tilt sweeps a slow circle and the "device" shakes twice a period
+    simulate(nowMs) {
+        if (!this.enabled.simulated) return
+        const phase = (nowMs % SIMULATED_PERIOD_MS) / SIMULATED_PERIOD_MS * 2 * Math.PI
+        this.simulatedTilt = [Math.cos(phase) * 0.5, Math.sin(phase) * 0.5]
+        const shake = Math.floor(nowMs / (SIMULATED_PERIOD_MS / 2))
+        if (shake > this.lastSimulatedShake) {
+            this.lastSimulatedShake = shake
+            this.addImpulse(0, GAMEPAD_IMPULSE, 0)
+        }
+    }
+
+    // Poll the sources that aren't event-driven — once per frame, before read()
+    update(nowMs) {
+        if (this.enabled.gamepad) this.pollGamepads(this.getGamepads())
+        this.simulate(nowMs)
+    }
+
+    addImpulse(x, y, z) {
+        this.impulse[0] += x
+        this.impulse[1] += y
+        this.impulse[2] += z
+    }
+
+    // This frame's screen-space force: { acceleration: [x, y, z], impulse: [x, y, z] | null }.
+    // The impulse is handed out once.
+    read() {
+        const tx = this.tilt[0] + this.stick[0] + this.simulatedTilt[0]
+        const ty = this.tilt[1] + this.stick[1] + this.simulatedTilt[1]
+        const length = Math.hypot(tx, ty)
+        const scale = TILT_ACCELERATION * (length > 1 ? 1 / length : 1) // sources add up, but never past a full tilt
+        const [ix, iy, iz] = this.impulse
+        const impulse = ix || iy || iz ? [ix, iy, iz] : null
+        this.impulse = [0, 0, 0]
+        return { acceleration: [tx * scale, ty * scale, 0], impulse }
+    }
+}
+
+// iOS 13+ hides motion events behind a permission prompt, which must come from a user gesture
+// (e.g. the settings toggle). Resolves to whether motion input may be used.
+export async function requestMotionPermission() {
+    const Orientation = globalThis.DeviceOrientationEvent
+    if (!Orientation) return false
+    if (typeof Orientation.requestPermission !== 'function') return true
+    try {
+        const results = await Promise.all([
+            Orientation.requestPermission(),
+            globalThis.DeviceMotionEvent?.requestPermission?.() ?? 'granted',
+        ])
+        return results.every(result => result === 'granted')
+    } catch {
+        return false // not called from a gesture, or dismissed
+    }
+}
@@ -0,0 +1,241 @@
+// multiplayerClient.js — Proxy for a scene simulated by the multiplayer server (server/)
+// Exposes the surface Basketballs uses on PhysicsSimulator, like PhysicsWorkerClient, but the
+// simulator lives on the other end of a WebSocket: advance() sends the camera (which is a shield in
+// the shared scene), grabs, impulses and force fields are forwarded, and updateInstances()
+// interpolates between the last two snapshots. Mode, boundary, tunables, formations and the hoop
+// belong to the server's scene, so those calls do nothing here.
+
+import * as THREE from 'three'
+import { PhysicsSimulator, TRANSFORM_STRIDE, pickSphere, writeInstanceMatrix } from './physics.js'
+import { MAX_CLIENT_FIELDS, SNAPSHOT_RATE, decodeSnapshot, encodeMessage, decodeMessage, readVector } from './multiplayerProtocol.js'
+import { POINTER_FIELD_TYPES } from './forceFields.js'
+
+export const RECONNECT_MS = 2000 // wait before dialling a server that dropped or isn't up yet
+const CAMERA_SEND_MS = 1000 / SNAPSHOT_RATE // the camera goes out no faster than snapshots come back
+
+// url — ws://host:port of the server. options as for PhysicsSimulator, plus
+// onUsersChange({ connected, id, ids, ballCount, ballRadius, inSync }) — fires on (re)connecting, join/leave
+// and disconnect. inSync is false while this scene's count differs from the server's, whose
+// snapshots then fill only part of it (the scene should rebuild with ballCount balls).
+export class MultiplayerClient {
+    constructor(url, count, ballRadius, options = {}) {
+        // Lay out a scene locally so there's something to draw until the first snapshot
+        const initial = new PhysicsSimulator(count, ballRadius, options)
+        this.url = url
+        this.count = count
+        this.BALL_RADIUS = initial.BALL_RADIUS
+        this.radii = initial.radii
+        this.seed = initial.seed
+        this.config = initial.config
+        this.stats = { ...initial.getStats() }
+        this.onUsersChange = options.onUsersChange
+
+        // Previous and latest snapshot, each count × TRANSFORM_STRIDE, and when they arrived
+        this.slotSize = count * TRANSFORM_STRIDE
+        this.transforms = new Float32Array(this.slotSize * 2)
+        initial.writeTransforms(this.transforms, 0)
+        initial.writeTransforms(this.transforms, this.slotSize)
+        this.latest = 1
+        this.times = [0, 0]
+
+        this.socket = null
+        this.stopped = true
+        this.reconnectTimer = null
+        this.users = { connected: false, id: null, ids: [], ballCount: null, ballRadius: null, inSync: true }
+        this.camera = [NaN, NaN, NaN]
+        this.cameraSentAt = -Infinity
+        this.forceFields = new Map() // id → spec, numbered here and re-sent after a reconnect
+        this.nextForceFieldId = 1
+
+        // Scratch quaternions for slerp (zero GC pressure)
+        this.tempQuat = new THREE.Quaternion()
+        this.tempQuatB = new THREE.Quaternion()
+    }
+
+    // Connect, and keep reconnecting until stop(). Paired with stop() in an effect, like the worker.
+    start() {
+        this.stopped = false
+        this.connect()
+    }
+
+    stop() {
+        this.stopped = true
+        clearTimeout(this.reconnectTimer)
+        this.socket?.close()
+        this.socket = null
+    }
+
+    connect() {
+        const socket = new WebSocket(this.url)
+        socket.binaryType = 'arraybuffer'
+        socket.onmessage = (e) => {
+            if (typeof e.data === 'string') this.receiveMessage(decodeMessage(e.data))
+            else this.receiveSnapshot(e.data)
+        }
+        socket.onclose = () => {
+            if (this.socket !== socket) return
+            this.socket = null
+            this.setUsers({ connected: false, id: null, ids: [] })
+            if (!this.stopped) this.reconnectTimer = setTimeout(() => this.connect(), RECONNECT_MS)
+        }
+        this.socket = socket
+    }
+
+    send(message) {
+        if (this.socket?.readyState === WebSocket.OPEN) this.socket.send(encodeMessage(message))
+    }
+
+    setUsers(changes) {
+        this.users = { ...this.users, ...changes }
+        this.onUsersChange?.(this.users)
+    }
+
+    receiveMessage(message) {
+        if (message?.type === 'welcome') {
+            // Pick against the server's collision size, whatever size the models were drawn at
+            this.BALL_RADIUS = message.ballRadius
+            this.radii.fill(message.ballRadius)
+            this.setUsers({
+                connected: true, id: message.id, ids: message.users,
+                ballCount: message.count, ballRadius: message.ballRadius, inSync: message.count === this.count,
+            })
+            // A new connection starts from nothing on the server: resend the camera and the fields
+            this.camera.fill(NaN)
+            this.cameraSentAt = -Infinity
+            for (const spec of this.forceFields.values()) this.send({ type: 'addForceField', spec })
+        } else if (message?.type === 'users') {
+            this.setUsers({ ids: message.ids })
+        }
+    }
+
+    // The server's snapshot becomes the latest state and the old latest the previous one
+    receiveSnapshot(buffer) {
+        const slot = 1 - this.latest
+        const out = this.transforms.subarray(slot * this.slotSize, (slot + 1) * this.slotSize)
+        if (!decodeSnapshot(buffer, out, this.count)) return
+        this.times[slot] = performance.now()
+        this.latest = slot
+    }
+
+    // The server keeps its own clock: advance() only sends the camera, when it has moved
+    advance(delta, cameraPosition) {
+        const now = performance.now()
+        const cam = this.camera
+        if (now - this.cameraSentAt < CAMERA_SEND_MS) return 0
+        if (cam[0] === cameraPosition.x && cam[1] === cameraPosition.y && cam[2] === cameraPosition.z) return 0
+        cameraPosition.toArray(cam)
+        this.cameraSentAt = now
+        this.send({ type: 'camera', position: cam })
+        return 0
+    }
+
+    // Blend the previous and latest snapshots by how far we are into the next one.
+    // `groups` as in PhysicsSimulator.updateInstances().
+    updateInstances(groups) {
+        const prev = 1 - this.latest
+        const span = this.times[this.latest] - this.times[prev]
+        const alpha = span > 0 ? Math.min(1, Math.max(0, (performance.now() - this.times[this.latest]) / span)) : 1
+
+        const transforms = this.transforms
+        const a = prev * this.slotSize
+        const b = this.latest * this.slotSize
+        for (const { mesh, prim, start, count } of groups) {
+            if (!mesh && !prim) continue
+            const out = (mesh || prim).instanceMatrix.array
+            for (let n = 0; n < count; n++) {
+                const oa = a + (start + n) * TRANSFORM_STRIDE
+                const ob = b + (start + n) * TRANSFORM_STRIDE
+                const q = this.tempQuat.fromArray(transforms, oa + 3).slerp(this.tempQuatB.fromArray(transforms, ob + 3), alpha)
+                writeInstanceMatrix(out, n * 16,
+                    transforms[oa] + (transforms[ob] - transforms[oa]) * alpha,
+                    transforms[oa + 1] + (transforms[ob + 1] - transforms[oa + 1]) * alpha,
+                    transforms[oa + 2] + (transforms[ob + 2] - transforms[oa + 2]) * alpha,
+                    q.x, q.y, q.z, q.w)
+            }
+            if (mesh && prim) prim.instanceMatrix.array.set(out)
+            if (mesh) mesh.instanceMatrix.needsUpdate = true
+            if (prim) prim.instanceMatrix.needsUpdate = true
+        }
+    }
+
+    latestTransforms() {
+        const start = this.latest * this.slotSize
+        return this.transforms.subarray(start, start + this.slotSize)
+    }
+
+    // Step stats are the server's — these stay at the initial layout's
+    getStats() {
+        return this.stats
+    }
+
+    pick(origin, direction) {
+        return pickSphere(this.latestTransforms(), TRANSFORM_STRIDE, this.count, this.radii, origin, direction)
+    }
+
+    getPosition(index, out) {
+        return out.fromArray(this.latestTransforms(), index * TRANSFORM_STRIDE)
+    }
+
+    applyImpulse(x, y, z) {
+        this.send({ type: 'impulse', impulse: [x, y, z] })
+    }
+
+    // The server allows a few soft fields per client (no shields) and clamps their strength. It drops
+    // anything else without a word, so the same rule applies here: a refused field gets -1 (like one
+    // that couldn't be placed) and is neither sent nor remembered.
+    addForceField(spec) {
+        const id = spec.id ?? this.nextForceFieldId
+        if (!POINTER_FIELD_TYPES.includes(spec.type) || !readVector(spec.position) ||
+            this.forceFields.has(id) || this.forceFields.size >= MAX_CLIENT_FIELDS) return -1
+        this.nextForceFieldId = Math.max(this.nextForceFieldId, id + 1)
+        const stored = { ...spec, id }
+        this.forceFields.set(id, stored)
+        this.send({ type: 'addForceField', spec: stored })
+        return id
+    }
+
+    updateForceField(id, changes) {
+        const spec = this.forceFields.get(id)
+        if (!spec) return
+        this.forceFields.set(id, { ...spec, ...changes })
+        this.send({ type: 'updateForceField', id, changes })
+    }
+
+    removeForceField(id) {
+        if (!this.forceFields.delete(id)) return
+        this.send({ type: 'removeForceField', id })
+    }
+
+    getForceFields() {
+        return [...this.forceFields.values()]
+    }
+
+    // One ball is held at a time across everyone; the server ignores a grab while another is held
+    grab(index, target) {
+        this.send({ type: 'grab', index, target: target.toArray() })
+    }
+
+    moveGrab(target) {
+        this.send({ type: 'moveGrab', target: target.toArray() })
+    }
+
+    release(velocity) {
+        this.send({ type: 'release', velocity: velocity ? velocity.toArray() : null })
+    }
+
+    // The shared scene's settings are the server's (see server/index.js for its options)
+    setMode() {}
+    setBoundary() {}
+    setConfig() {}
+    setIdleDiffusion() {}
+    setTimeScale() {}
+    setExternalAcceleration() {}
+    setFormation() {}
+    clearFormation() {}
+    getFormation() { return null }
+    setCollisionEvents() {}
+    drainCollisionEvents() { return { data: null, count: 0 } }
+    setHoop() {}
+    drainBaskets() { return [] }
+    setBallGravity() {}
+}
@@ -0,0 +1,94 @@
+// multiplayerProtocol.js — Wire format between the multiplayer server (server/) and its browser clients
+// Snapshots of the shared pile are binary: an 8-byte header, then per ball its position and
+// rotation quantized to int16 — 14 bytes instead of the 28 of TRANSFORM_STRIDE float32s.
+// Everything else is a small JSON text message:
+//   server → client  welcome { version, id, count, ballRadius, users } · users { ids }
+//   client → server  camera { position } · grab { index, target } · moveGrab { target } ·
+//                    release { velocity } · impulse { impulse } · addForceField { spec } ·
+//                    updateForceField { id, changes } · removeForceField { id }
+// Positions, targets and velocities are in physics space, as the simulator takes them.
+
+import { TRANSFORM_STRIDE } from './physics.js'
+
+export const PROTOCOL_VERSION = 1
+export const DEFAULT_PORT = 8787
+export const SNAPSHOT_RATE = 20       // snapshots per second the server sends (it steps at 60)
+export const POSITION_RANGE = 128     // ± physics units the quantized positions cover (0.004 unit steps)
+export const SNAPSHOT_HEADER_BYTES = 8 // [kind u8, version u8, count u16, step u32]
+export const BALL_BYTES = 14          // 3 × int16 position + 4 × int16 quaternion
+export const SNAPSHOT_KIND = 1
+export const MAX_CLIENT_FIELDS = 4    // force fields one client can hold at once (the client checks too)
+
+const QUANT = 32767
+
+function quantize(value, range) {
+    return Math.round(Math.max(-1, Math.min(1, value / range)) * QUANT)
+}
+
+export function snapshotSize(count) {
+    return SNAPSHOT_HEADER_BYTES + count * BALL_BYTES
+}
+
+// Pack `count` balls of packed transforms ([x, y, z, qx, qy, qz, qw] each, see writeTransforms)
+// into a snapshot for simulator step `step`. Reuses `out` when it's large enough.
+export function encodeSnapshot(transforms, count, step, out = new ArrayBuffer(snapshotSize(count))) {
+    const view = new DataView(out)
+    view.setUint8(0, SNAPSHOT_KIND)
+    view.setUint8(1, PROTOCOL_VERSION)
+    view.setUint16(2, count, true)
+    view.setUint32(4, step >>> 0, true)
+    let b = SNAPSHOT_HEADER_BYTES
+    for (let i = 0; i < count; i++) {
+        const o = i * TRANSFORM_STRIDE
+        for (let d = 0; d < 3; d++, b += 2) view.setInt16(b, quantize(transforms[o + d], POSITION_RANGE), true)
+        for (let d = 3; d < 7; d++, b += 2) view.setInt16(b, quantize(transforms[o + d], 1), true)
+    }
+    return out
+}
+
+// Unpack a snapshot into `out` (packed transforms, room for at least `limit` balls). Quaternions
+// are renormalized. Returns { count, step } — count is what the server sent, of which at most
+// `limit` were written — or null when `buffer` isn't a snapshot of this protocol version.
+export function decodeSnapshot(buffer, out, limit = Infinity) {
+    if (buffer.byteLength < SNAPSHOT_HEADER_BYTES) return null
+    const view = new DataView(buffer)
+    if (view.getUint8(0) !== SNAPSHOT_KIND || view.getUint8(1) !== PROTOCOL_VERSION) return null
+    const count = view.getUint16(2, true)
+    const step = view.getUint32(4, true)
+    if (buffer.byteLength < snapshotSize(count)) return null
+
+    const n = Math.min(count, limit)
+    let b = SNAPSHOT_HEADER_BYTES
+    for (let i = 0; i < n; i++) {
+        const o = i * TRANSFORM_STRIDE
+        for (let d = 0; d < 3; d++, b += 2) out[o + d] = view.getInt16(b, true) / QUANT * POSITION_RANGE
+        let lengthSq = 0
+        for (let d = 3; d < 7; d++, b += 2) {
+            out[o + d] = view.getInt16(b, true) / QUANT
+            lengthSq += out[o + d] * out[o + d]
+        }
+        const scale = lengthSq > 0 ? 1 / Math.sqrt(lengthSq) : 1
+        for (let d = 3; d < 7; d++) out[o + d] *= scale
+    }
+    return { count, step }
+}
+
+// Control messages are JSON; anything malformed reads as null
+export function encodeMessage(message) {
+    return JSON.stringify(message)
+}
+
+export function decodeMessage(text) {
+    try {
+        const message = JSON.parse(text)
+        return message && typeof message.type === 'string' ? message : null
+    } catch {
+        return null
+    }
+}
+
+// A finite [x, y, z] or null — client input is untrusted
+export function readVector(value) {
+    if (!Array.isArray(value) || value.length !== 3) return null
+    return value.every(Number.isFinite) ? value : null
+}
@@ -1,352 +1,1194 @@
 // physics.js — Custom sphere collision & dynamics engine
-// Zero-dependency physics for N balls in a spherical boundary.
-// Pipeline: Unified pair loop → Iterative solver → Integration → Idle diffusion
-// Perf: distanceToSquared() everywhere, manual normalization reuses sqrt, precomputed thresholds.
+// Zero-dependency physics for N balls inside a pluggable boundary (sphere by default, see boundaries.js).
+// Every ball has its own radius and mass (mixed ball types); contacts are mass-weighted.
+// Pipeline: Grid broadphase → Unified pair loop → Iterative solver → Integration → Idle diffusion
+// External forces are force fields (forceFields.js): the camera forcefield plus any added at runtime.
+// Formations (formations.js) steer each ball toward its own target point on top of all that.
+// Impacts can be recorded as collision events (setCollisionEvents) for sound or effects.
+// A hoop (hoop.js) adds backboard and rim colliders and reports balls dropping through the rim.
+// Storage: struct-of-arrays Float32Arrays (positions, velocities, quaternions, angular velocities),
+// so there are no per-ball Three.js objects and the state can be copied or transferred as-is.
+// Perf: squared distances everywhere, manual normalization reuses sqrt, precomputed thresholds.
 
 import * as THREE from 'three'
+import { SpatialGrid } from './spatialGrid.js'
+import { BoxBoundary, createBoundary } from './boundaries.js'
+import { ShieldField, createForceField } from './forceFields.js'
+import { assignTargets } from './formations.js'
+import { Hoop } from './hoop.js'
 
 // --- Constants ---
 export const DEFAULT_BALL_RADIUS = 3.5
 export const BOUNDARY_RADIUS = 40
+export const FIXED_TIMESTEP = 1 / 60 // seconds of simulated time per step() (one "frame" in the units below)
+export const MAX_CATCH_UP_STEPS = 4  // most step() calls advance() makes per rendered frame
 export const SUB_STEPS = 2         // physics sub-steps per frame
 export const SOLVER_ITERATIONS = 6 // collision refinement passes per sub-step
 export const CAMERA_SAFE_RADIUS = 12
 export const RESTITUTION = 0.85    // bounce elasticity (1=perfect, 0=dead)
+export const AURA_MULTIPLIER = 2.5 // soft repulsion reach, in ball radii
+export const IDLE_ENERGY_THRESHOLD = 0.05 // total KE below which idle diffusion kicks in
+export const REFERENCE_COUNT = 80  // ball count the boundary is sized for at full ball scale
+
+// Contact friction & spin. Balls are hollow shells (I = ⅔·m·r²), so a tangential impulse J
+// changes a ball's contact-point velocity by J·(1/m + r²/I) = 2.5·J/m.
+export const BALL_FRICTION = 0.35          // Coulomb μ between balls
+export const BOUNDARY_FRICTION = 0.5       // μ against the sphere, box walls and court floor
+export const CAMERA_FRICTION = 0.5         // μ against the camera forcefield
+export const ANGULAR_DAMPING = 0.985       // spin retained per frame
+const SHELL_INV_INERTIA = 1.5              // m·r² / I for a hollow sphere
+const CONTACT_INV_MASS = 1 + SHELL_INV_INERTIA
+
+// Court mode — gravity, a floor and (optionally) box walls instead of the zero-g sphere.
+// The InstancedMesh is rotated -90° about X, so local +Z is world up.
+export const COURT_GRAVITY = 0.03          // downward acceleration (units/frame²)
+export const COURT_FLOOR_HEIGHT = -25      // floor plane along local Z
+export const COURT_WALL_HALF_WIDTH = 32    // box walls' half-extent in local X/Y
+export const COURT_WALL_HEIGHT = 64        // box ceiling above the floor
+export const COURT_RESTITUTION = 0.72      // basketball-on-hardwood bounce
+export const COURT_ROLLING_RESISTANCE = 0.01 // share of linear + angular speed lost per floor contact
+export const COURT_DAMPING = 0.999         // air drag per frame (zero-g mode uses 0.99)
+export const COURT_MAX_SPEED = 3           // speed clamp (units/frame)
+
+export const GRAB_STIFFNESS = 0.25 // spring pull toward the pointer target per sub-step
+export const GRAB_DAMPING = 0.5    // velocity retained by a held ball per sub-step
+export const GRAB_MAX_SPEED = 4    // speed clamp for a held ball (units/frame)
+
+export const FORMATION_STIFFNESS = 0.005       // spring toward a formation target (per frame², critically damped)
+export const FORMATION_MAX_ACCELERATION = 0.03 // steering cap, so far-off balls cruise in instead of slamming
+export const FORMATION_SCATTER = 0.2           // outward speed a released formation bursts with (units/frame)
+
+export const CONTACT_GAP = 0.05   // hard contacts resolve this far apart (MIN_DIST = r₁ + r₂ + gap)
+
+// Collision events — [i, j, impulse, x, y, z] each: the two balls (j = -1 for the boundary, the
+// court floor or the hoop), the normal impulse per unit mass (units/frame) and the contact point in local space
+export const COLLISION_EVENT_STRIDE = 6
+export const MAX_COLLISION_EVENTS = 512          // held between drains; further impacts are dropped
+export const COLLISION_EVENT_MIN_IMPULSE = 0.03  // resting contacts (a court-floor rest is ~0.015) and grazes aren't recorded
+
+export const SNAPSHOT_VERSION = 2
+
+// Runtime-tunable parameters (control panel, presets). The constants above are the defaults;
+// a simulator reads its own copy in `this.config`, never the module constants directly.
+export const DEFAULT_PHYSICS_CONFIG = Object.freeze({
+    subSteps: SUB_STEPS,
+    solverIterations: SOLVER_ITERATIONS,
+    cameraSafeRadius: CAMERA_SAFE_RADIUS,
+    restitution: RESTITUTION,
+    auraMultiplier: AURA_MULTIPLIER,
+})
+
+// Seeds may be numbers or arbitrary strings (e.g. from ?seed=); strings are FNV-1a hashed to uint32
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0
+    const str = String(seed)
+    if (/^\d+$/.test(str)) return Number(str) >>> 0
+    let h = 0x811c9dc5
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i)
+        h = Math.imul(h, 0x01000193)
+    }
+    return h >>> 0
+}
+
+// Uniform scale that keeps the pile's packing density constant as the ball count grows past
+// REFERENCE_COUNT (1,000+ full-size balls would not fit inside BOUNDARY_RADIUS)
+export function ballScaleForCount(count) {
+    return Math.min(1, Math.cbrt(REFERENCE_COUNT / count))
+}
+
+// Packed transform layout shared with the worker path: [x, y, z, qx, qy, qz, qw] per ball
+export const TRANSFORM_STRIDE = 7
+
+// Write a rotation + translation matrix (unit scale) straight into a column-major Float32Array.
+// Same math as Matrix4.compose(), minus the object round-trip.
+export function writeInstanceMatrix(out, o, px, py, pz, qx, qy, qz, qw) {
+    const x2 = qx + qx, y2 = qy + qy, z2 = qz + qz
+    const xx = qx * x2, xy = qx * y2, xz = qx * z2
+    const yy = qy * y2, yz = qy * z2, zz = qz * z2
+    const wx = qw * x2, wy = qw * y2, wz = qw * z2
+
+    out[o] = 1 - (yy + zz); out[o + 1] = xy + wz; out[o + 2] = xz - wy; out[o + 3] = 0
+    out[o + 4] = xy - wz; out[o + 5] = 1 - (xx + zz); out[o + 6] = yz + wx; out[o + 7] = 0
+    out[o + 8] = xz + wy; out[o + 9] = yz - wx; out[o + 10] = 1 - (xx + yy); out[o + 11] = 0
+    out[o + 12] = px; out[o + 13] = py; out[o + 14] = pz; out[o + 15] = 1
+}
+
+// Nearest sphere hit by a ray, for positions packed in a flat array with the given stride.
+// `radii` is one per ball (or a single number). Direction must be normalized. Returns -1 on miss.
+export function pickSphere(data, stride, count, radii, origin, direction) {
+    let nearest = -1
+    let nearestT = Infinity
+    for (let i = 0; i < count; i++) {
+        const o = i * stride
+        const ox = data[o] - origin.x, oy = data[o + 1] - origin.y, oz = data[o + 2] - origin.z
+        const t = ox * direction.x + oy * direction.y + oz * direction.z
+        if (t < 0) continue
+        const r = typeof radii === 'number' ? radii : radii[i]
+        const rSq = r * r
+        const dSq = ox * ox + oy * oy + oz * oz - t * t
+        if (dSq > rSq) continue
+        const tHit = t - Math.sqrt(rSq - dSq)
+        if (tHit < nearestT) { nearestT = tHit; nearest = i }
+    }
+    return nearest
+}
+
 
 export class PhysicsSimulator {
-    constructor(count, ballRadius) {
+    // options.seed — drives the local PRNG so two simulators with the same seed start identically
+    // options.mode — 'float' (zero-g, default) or 'court' (gravity + floor); options.walls — court box walls
+    // options.boundary — 'sphere' (default) | 'box' | 'tube' | 'inverted', or a boundary instance
+    // options.config — any subset of DEFAULT_PHYSICS_CONFIG
+    // options.radii / options.masses — per-ball radius and mass (default: ballRadius and 1 for every ball)
+    constructor(count, ballRadius, options = {}) {
         this.count = count
-        this.BALL_RADIUS = ballRadius || DEFAULT_BALL_RADIUS
 
-        // Soft repulsion shell — pushes nearby balls before they collide
-        this.AURA_RADIUS = this.BALL_RADIUS * 2.5
-        this.AURA_RADIUS_SQ = this.AURA_RADIUS * this.AURA_RADIUS
+        // Per-ball size and inverse mass. BALL_RADIUS is the largest radius — it sizes the broadphase.
+        this.radii = new Float32Array(count).fill(ballRadius || DEFAULT_BALL_RADIUS)
+        if (options.radii) this.radii.set(options.radii)
+        this.invMasses = new Float32Array(count).fill(1)
+        if (options.masses) for (let i = 0; i < count; i++) this.invMasses[i] = 1 / options.masses[i]
+        this.BALL_RADIUS = count > 0 ? Math.max(...this.radii) : ballRadius || DEFAULT_BALL_RADIUS
+        this.seed = options.seed !== undefined && options.seed !== null
+            ? normalizeSeed(options.seed)
+            : (Math.random() * 4294967296) >>> 0
+        this.rngState = this.seed
+
+        // Tunables (sub-steps, solver passes, camera radius, restitution, aura) — see setConfig()
+        this.config = { ...DEFAULT_PHYSICS_CONFIG, ...options.config }
 
-        // Hard collision threshold
-        this.MIN_DIST = this.BALL_RADIUS * 2 + 0.05
+        // Hard collision threshold between the two largest balls (each pair uses its own radii)
+        this.MIN_DIST = this.BALL_RADIUS * 2 + CONTACT_GAP
         this.MIN_DIST_SQ = this.MIN_DIST * this.MIN_DIST
 
-        // Precomputed per-step constants (avoids recalculating in hot loop)
-        this.dampingFactor = Math.pow(0.99, 1 / SUB_STEPS)
-        this.maxSpeed = 0.4 / SUB_STEPS
-        this.maxSpeedSq = this.maxSpeed * this.maxSpeed
-        this.edgeDist = BOUNDARY_RADIUS - this.BALL_RADIUS
-        this.edgeDistSq = this.edgeDist * this.edgeDist
-        this.cameraSafeRadiusSq = CAMERA_SAFE_RADIUS * CAMERA_SAFE_RADIUS
+        // Particle state — struct-of-arrays, xyz triplets (quaternions are xyzw)
+        this.positions = new Float32Array(count * 3)
+        this.velocities = new Float32Array(count * 3)         // units per sub-step
+        this.quaternions = new Float32Array(count * 4)
+        this.angularVelocities = new Float32Array(count * 3)  // radians per sub-step (axis × rate)
+
+        // Fixed timestep — real time banked by advance(), and the state before the last step so
+        // rendering can blend between the two (interpolation: 0 = previous state, 1 = current)
+        this.accumulator = 0
+        this.interpolation = 1
+        this.timeScale = 1 // simulated seconds per real second, see setTimeScale()
+        this.prevPositions = new Float32Array(count * 3)
+        this.prevQuaternions = new Float32Array(count * 4)
+
+        // Force fields — the camera forcefield (id 0, moved to the camera every step; it drags balls
+        // tangentially as it sweeps past) plus any added with addForceField(). Solid fields run with
+        // the constraints, soft ones in the integration pass.
+        this.cameraField = new ShieldField({ id: 0, radius: this.config.cameraSafeRadius, friction: CAMERA_FRICTION })
+        this.forceFields = [this.cameraField]
+        this.nextForceFieldId = 1
+        this.splitForceFields()
+        this.fieldAcceleration = new Float64Array(3) // scratch
+        this.fieldNormal = new Float64Array(3)       // scratch outward normal written by a solid field's project()
+
+        this.collidingPairs = [] // Caches index pairs [i, j, ...] that actually touch during Pass 1
+
+        // Broadphase grids — cells sized to the interaction range so only adjacent cells are tested.
+        // Built in useBoundary(), since they cover the active boundary's extent.
+        this.grid = null
+        this.diffusionGrid = null
 
-        this.particles = []
-        this.collidingPairs = [] // Caches pairs that actually touch during Pass 1
-        this.tempVec = new THREE.Vector3() // reusable scratch vector (zero GC pressure)
+        // Containment — the selected shape, swapped for the court box when court walls are on
+        this.boundary = typeof options.boundary === 'object' ? options.boundary : createBoundary(options.boundary, BOUNDARY_RADIUS)
+        this.courtBox = new BoxBoundary(
+            [-COURT_WALL_HALF_WIDTH, -COURT_WALL_HALF_WIDTH, COURT_FLOOR_HEIGHT],
+            [COURT_WALL_HALF_WIDTH, COURT_WALL_HALF_WIDTH, COURT_FLOOR_HEIGHT + COURT_WALL_HEIGHT]
+        )
+        this.activeBoundary = null
+        this.contactNormal = new Float32Array(3) // scratch inward normal written by boundary.project()
+
+        // Grab constraint — index of the ball held by the pointer (-1 = none) and its local-space target
+        this.grabbedIndex = -1
+        this.grabTarget = new THREE.Vector3()
+
+        // Uniform acceleration on every free ball (local units/frame², on top of gravity) — tilt and
+        // stick input, see setExternalAcceleration()
+        this.externalAcceleration = new Float32Array(3)
+        this.idleDiffusion = true // off = a settled pile stays still (reduced motion), see setIdleDiffusion()
+
+        // Collision events since the last drainCollisionEvents() — null until setCollisionEvents(true)
+        this.collisionEvents = null
+        this.collisionEventCount = 0
+
+        // Formation — the points set with setFormation(), and each ball's target (xyz, NaN = none)
+        this.formation = null
+        this.formationTargets = null
+
+        // Hoop — its colliders join the constraints; balls through the rim queue for drainBaskets()
+        this.hoop = null
+        this.colliders = []
+        this.baskets = []
+
+        // Balls that fall under court gravity, drag and speed limit even in zero-g (1 = falling) —
+        // a shot in the hoop game, see setBallGravity()
+        this.ballGravity = new Uint8Array(count)
+
+        // Diagnostics for the last step(), updated in place — see getStats()
+        this.stats = {
+            steps: 0,            // step() calls so far
+            stepMs: 0,           // wall time of the last step()
+            candidatePairs: 0,   // broadphase pairs tested in the last sub-step
+            collidingPairs: 0,   // most pairs touching in any sub-step (Pass 1's collidingPairs)
+            totalKE: 0,          // Σ|v|² at the start of the step — the idle diffusion trigger
+            maxPenetration: 0,   // deepest overlap of two ball surfaces found in any sub-step
+            diffusionFired: false,
+        }
+
+        this.setMode(options.mode || 'float', options)
         this.initParticles()
     }
 
+    // Switch between zero-g floating and court (gravity) mode. Safe to call mid-simulation.
+    setMode(mode, { walls = true } = {}) {
+        this.mode = mode === 'court' ? 'court' : 'float'
+        this.walls = this.mode === 'court' && walls
+        this.updateDerived()
+        this.useBoundary(this.walls ? this.courtBox : this.boundary)
+    }
+
+    // Merge new tunables (any subset of DEFAULT_PHYSICS_CONFIG) into the live simulation.
+    // Velocities are stored per sub-step, so they are rescaled when the sub-step count changes.
+    setConfig(config) {
+        const prevSubSteps = this.subSteps
+        this.config = { ...this.config, ...config }
+        this.updateDerived()
+
+        if (prevSubSteps !== this.subSteps) {
+            const scale = prevSubSteps / this.subSteps
+            for (let k = 0; k < this.velocities.length; k++) {
+                this.velocities[k] *= scale
+                this.angularVelocities[k] *= scale
+            }
+        }
+        this.useBoundary(this.activeBoundary, true) // aura and diffusion reach size the grid cells
+    }
+
+    // Recompute everything that depends on the config or the mode (avoids recalculating in hot loop)
+    updateDerived() {
+        const config = this.config
+        const court = this.mode === 'court'
+        this.subSteps = Math.max(1, Math.round(config.subSteps))
+        this.solverIterations = Math.max(1, Math.round(config.solverIterations))
+
+        // Soft repulsion shell — pushes nearby balls before they collide (never inside the hard contact).
+        // A pair's reach uses its mean radius; AURA_RADIUS is the largest, for the broadphase.
+        this.auraScale = config.auraMultiplier * 0.5
+        this.AURA_RADIUS = Math.max(this.MIN_DIST, this.BALL_RADIUS * config.auraMultiplier)
+        this.AURA_RADIUS_SQ = this.AURA_RADIUS * this.AURA_RADIUS
+
+        this.cameraSafeRadius = config.cameraSafeRadius
+        this.cameraField.update({ radius: this.cameraSafeRadius })
+
+        // Idle diffusion reach — BOUNDARY_RADIUS * 0.75 for full-size balls, shrinks with tiny balls
+        this.diffusionRadius = Math.min(BOUNDARY_RADIUS * 0.75, this.AURA_RADIUS * 3.5)
+
+        this.angularDampingFactor = Math.pow(ANGULAR_DAMPING, 1 / this.subSteps)
+        this.grabMaxSpeed = GRAB_MAX_SPEED / this.subSteps
+        this.grabMaxSpeedSq = this.grabMaxSpeed * this.grabMaxSpeed
+
+        // Per-sub-step values: velocities are in units/sub-step, so acceleration scales by 1/subSteps²
+        this.gravity = court ? COURT_GRAVITY / (this.subSteps * this.subSteps) : 0
+        this.dampingFactor = Math.pow(court ? COURT_DAMPING : 0.99, 1 / this.subSteps)
+        this.maxSpeed = (court ? COURT_MAX_SPEED : 0.4) / this.subSteps
+        this.maxSpeedSq = this.maxSpeed * this.maxSpeed
+        this.restitution = court ? COURT_RESTITUTION : this.config.restitution
+
+        // Balls given gravity of their own (setBallGravity) fly like court balls; in court mode they already do
+        this.fallGravity = court ? 0 : COURT_GRAVITY / (this.subSteps * this.subSteps)
+        this.fallDampingFactor = Math.pow(COURT_DAMPING, 1 / this.subSteps)
+        this.fallMaxSpeedSq = (COURT_MAX_SPEED / this.subSteps) ** 2
+
+        // Under gravity, stacked balls need true resting contact: no aura, no minimum separation
+        // impulse, no overcorrection, and slow impacts are treated as fully inelastic.
+        this.auraEnabled = !court
+        this.minImpulse = court ? 0 : 0.005 / this.subSteps
+        this.contactCorrection = court ? 0.5 : 0.55
+        this.restSpeed = court ? this.gravity * 3 : 0
+        this.diffusionEnabled = !court && this.idleDiffusion && !this.formation
+        this.wallBounce = 1 + (court ? COURT_RESTITUTION : 0.8) // reflected share of outward wall speed
+    }
+
+    // Select the containment shape by type name or instance. Court walls keep overriding it.
+    setBoundary(boundary) {
+        this.boundary = typeof boundary === 'object' ? boundary : createBoundary(boundary, BOUNDARY_RADIUS)
+        if (!this.walls) this.useBoundary(this.boundary)
+    }
+
+    // Activate a boundary, rebuilding the broadphase grids when its extent changes (or on request)
+    useBoundary(boundary, rebuildGrids = false) {
+        const previousExtent = this.activeBoundary && this.activeBoundary.extent
+        this.activeBoundary = boundary
+        if (this.grid && !rebuildGrids && previousExtent === boundary.extent) return
+        this.grid = new SpatialGrid(this.AURA_RADIUS, boundary.extent, this.count)
+        this.diffusionGrid = new SpatialGrid(this.diffusionRadius, boundary.extent, this.count)
+    }
+
+    // Mulberry32 — tiny seedable PRNG used instead of Math.random() so runs are reproducible
+    random() {
+        let t = (this.rngState = (this.rngState + 0x6D2B79F5) | 0)
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+
     // Rejection-sample non-overlapping positions within the boundary
     initParticles() {
-        const minDist = this.BALL_RADIUS * 2.1
-        const minDistSq = minDist * minDist
-        const pos = new THREE.Vector3()
+        const pos = this.positions
+        const radii = this.radii
+        const euler = new THREE.Euler()
+        const quat = new THREE.Quaternion()
+        const boundary = this.activeBoundary
+        const spread = boundary.extent * 1.5
 
         for (let i = 0; i < this.count; i++) {
+            const o = i * 3
             let attempts = 0
+            let overlaps
             do {
-                pos.set(
-                    (Math.random() - 0.5) * BOUNDARY_RADIUS * 1.5,
-                    (Math.random() - 0.5) * BOUNDARY_RADIUS * 1.5,
-                    (Math.random() - 0.5) * BOUNDARY_RADIUS * 1.5
-                )
+                pos[o] = (this.random() - 0.5) * spread
+                pos[o + 1] = (this.random() - 0.5) * spread
+                pos[o + 2] = (this.random() - 0.5) * spread
+                overlaps = !boundary.contains(pos[o], pos[o + 1], pos[o + 2], radii[i])
+                for (let j = 0; j < i && !overlaps; j++) {
+                    const dx = pos[o] - pos[j * 3], dy = pos[o + 1] - pos[j * 3 + 1], dz = pos[o + 2] - pos[j * 3 + 2]
+                    const minDist = (radii[i] + radii[j]) * 1.05
+                    overlaps = dx * dx + dy * dy + dz * dz < minDist * minDist
+                }
                 if (++attempts > 200) break
-            } while (this.particles.some(p => p.position.distanceToSquared(pos) < minDistSq))
-
-            this.particles.push({
-                position: pos.clone(),
-                velocity: new THREE.Vector3(0, 0, 0),
-                rotation: new THREE.Euler(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI),
-                rotVel: new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.02,
-                    (Math.random() - 0.5) * 0.02,
-                    (Math.random() - 0.5) * 0.02
-                ),
-            })
+            } while (overlaps)
+
+            euler.set(this.random() * Math.PI, this.random() * Math.PI, this.random() * Math.PI)
+            quat.setFromEuler(euler).toArray(this.quaternions, i * 4)
+            this.angularVelocities[o] = (this.random() - 0.5) * 0.02 / this.subSteps
+            this.angularVelocities[o + 1] = (this.random() - 0.5) * 0.02 / this.subSteps
+            this.angularVelocities[o + 2] = (this.random() - 0.5) * 0.02 / this.subSteps
+        }
+        this.resetInterpolation()
+    }
+
+    // Nearest ball hit by a local-space ray (direction must be normalized). Returns -1 on miss.
+    pick(origin, direction) {
+        return pickSphere(this.positions, 3, this.count, this.radii, origin, direction)
+    }
+
+    // Copy ball `index`'s local-space position into `out`
+    getPosition(index, out) {
+        return out.fromArray(this.positions, index * 3)
+    }
+
+    // Hold ball `index` on a spring toward `target` (local space) until release()
+    grab(index, target) {
+        if (index < 0 || index >= this.count) return
+        this.grabbedIndex = index
+        this.grabTarget.copy(target)
+    }
+
+    moveGrab(target) {
+        this.grabTarget.copy(target)
+    }
+
+    // Idle diffusion keeps a resting pile drifting apart forever. Switching it off lets the pile
+    // come to a standstill (court mode never diffuses either way).
+    setIdleDiffusion(enabled) {
+        this.idleDiffusion = enabled
+        this.updateDerived()
+    }
+
+    // Slow the clock down (reduced motion) or speed it up: advance() banks `delta × scale`. Steps
+    // stay FIXED_TIMESTEP long, so a slower clock takes fewer of them and the motion is the same.
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale)
+    }
+
+    // Push every free ball with a uniform acceleration (local units/frame², like COURT_GRAVITY)
+    // until changed. (0, 0, 0) switches it off.
+    setExternalAcceleration(x, y, z) {
+        this.externalAcceleration[0] = x
+        this.externalAcceleration[1] = y
+        this.externalAcceleration[2] = z
+    }
+
+    // Add the same velocity (local units/frame) to every free ball at once — a shake or a jolt.
+    // The speed clamp still applies on the next step.
+    applyImpulse(x, y, z) {
+        const vel = this.velocities
+        const ix = x / this.subSteps, iy = y / this.subSteps, iz = z / this.subSteps
+        for (let i = 0; i < this.count; i++) {
+            if (i === this.grabbedIndex) continue
+            const o = i * 3
+            vel[o] += ix
+            vel[o + 1] += iy
+            vel[o + 2] += iz
+        }
+    }
+
+    // Add a force field from its spec (see forceFields.js; positions in local space). Returns its id,
+    // which is the spec's own `id` when it has one (the worker client numbers fields itself).
+    addForceField(spec) {
+        const field = createForceField({ ...spec, id: spec.id ?? this.nextForceFieldId })
+        this.nextForceFieldId = Math.max(this.nextForceFieldId, field.id + 1)
+        this.removeForceField(field.id)
+        this.forceFields.push(field)
+        this.splitForceFields()
+        return field.id
+    }
+
+    // Change any subset of a field's spec (e.g. its position, to follow the pointer)
+    updateForceField(id, changes) {
+        this.forceFields.find(field => field.id === id)?.update(changes)
+    }
+
+    // Move a shield for the coming step; the jump becomes its velocity, so it drags the balls it
+    // sweeps past like the camera forcefield does (the multiplayer server gives each camera one).
+    // `steps` — how many steps the jump took, for positions that arrive less often than every step.
+    moveForceField(id, x, y, z, steps = 1) {
+        this.forceFields.find(field => field.id === id)?.moveTo?.(x, y, z, this.subSteps * steps)
+    }
+
+    // Remove a field by id. Removing id 0 switches the camera forcefield off.
+    removeForceField(id) {
+        const index = this.forceFields.findIndex(field => field.id === id)
+        if (index >= 0) this.forceFields.splice(index, 1)
+        this.splitForceFields()
+    }
+
+    // Solid fields run with the constraints, soft ones in the integration pass
+    splitForceFields() {
+        this.solidFields = this.forceFields.filter(field => field.solid)
+        this.softFields = this.forceFields.filter(field => !field.solid)
+    }
+
+    // Specs of the fields added with addForceField() (the camera forcefield follows the config)
+    getForceFields() {
+        return this.forceFields.filter(field => field !== this.cameraField).map(field => field.toSpec())
+    }
+
+    // Record impacts for drainCollisionEvents() (off by default: nobody listening costs nothing)
+    setCollisionEvents(enabled) {
+        this.collisionEvents = enabled ? new Float32Array(MAX_COLLISION_EVENTS * COLLISION_EVENT_STRIDE) : null
+        this.collisionEventCount = 0
+    }
+
+    // Events recorded since the last call, as { data, count } with COLLISION_EVENT_STRIDE floats per
+    // event. `data` is reused — read it before the next step().
+    drainCollisionEvents() {
+        const count = this.collisionEventCount
+        this.collisionEventCount = 0
+        return { data: this.collisionEvents, count }
+    }
+
+    // Impulse is per sub-step here; events report it per frame
+    recordCollision(i, j, impulse, x, y, z) {
+        const events = this.collisionEvents
+        const scaled = impulse * this.subSteps
+        if (events === null || scaled < COLLISION_EVENT_MIN_IMPULSE || this.collisionEventCount >= MAX_COLLISION_EVENTS) return
+        const e = this.collisionEventCount++ * COLLISION_EVENT_STRIDE
+        events[e] = i
+        events[e + 1] = j
+        events[e + 2] = scaled
+        events[e + 3] = x
+        events[e + 4] = y
+        events[e + 5] = z
+    }
+
+    // Steer the balls into a formation: `points` is a flat [x, y, z, ...] list of targets in local space
+    // (see buildFormation). Each ball is matched to one by assignTargets() — or by `assignment`, a
+    // snapshot's — and pulled there by a critically damped spring; balls left over keep drifting.
+    // Collisions and the boundary still win, so a target out of reach is only approached. Idle
+    // diffusion and gravity are off for steered balls while it holds.
+    setFormation(points, { stiffness = FORMATION_STIFFNESS, assignment } = {}) {
+        const matched = assignment ? Int32Array.from(assignment) : assignTargets(this.positions, this.count, points)
+        this.formation = { points: Float32Array.from(points), stiffness, assignment: matched }
+        this.formationDamping = 2 * Math.sqrt(stiffness)
+        this.formationTargets = new Float32Array(this.count * 3).fill(NaN)
+        for (let i = 0; i < this.count; i++) {
+            const t = matched[i]
+            if (t >= 0) for (let d = 0; d < 3; d++) this.formationTargets[i * 3 + d] = points[t * 3 + d]
         }
+        this.updateDerived()
     }
 
-    // Advance one frame. cameraPosition must be in InstancedMesh local space.
+    // Let the formation go: steered balls burst outward from its centre at about `scatter`
+    // units/frame (jittered) and drift on as usual
+    clearFormation(scatter = FORMATION_SCATTER) {
+        if (!this.formation) return
+        const targets = this.formationTargets
+        let cx = 0, cy = 0, cz = 0, n = 0
+        for (let o = 0; o < targets.length; o += 3) {
+            if (targets[o] !== targets[o]) continue
+            cx += targets[o]; cy += targets[o + 1]; cz += targets[o + 2]
+            n++
+        }
+        if (n > 0) { cx /= n; cy /= n; cz /= n }
+
+        const pos = this.positions
+        const vel = this.velocities
+        for (let i = 0; i < this.count && scatter > 0; i++) {
+            const o = i * 3
+            if (i === this.grabbedIndex || targets[o] !== targets[o]) continue
+            const dx = pos[o] - cx, dy = pos[o + 1] - cy, dz = pos[o + 2] - cz
+            const length = Math.hypot(dx, dy, dz) || 1
+            const speed = scatter * (0.5 + this.random()) / this.subSteps
+            vel[o] += dx / length * speed
+            vel[o + 1] += dy / length * speed
+            vel[o + 2] += dz / length * speed
+        }
+        this.formation = null
+        this.formationTargets = null
+        this.updateDerived()
+    }
+
+    // The active formation ({ points, stiffness, assignment }), or null
+    getFormation() {
+        return this.formation
+    }
+
+    // Put up a basketball hoop from its spec ({ position }, see hoop.js), sized to the largest ball;
+    // null takes it down
+    setHoop(spec) {
+        this.hoop = spec ? new Hoop(spec, this.BALL_RADIUS) : null
+        this.colliders = this.hoop ? this.hoop.colliders : []
+        this.baskets.length = 0
+    }
+
+    // Indices of the balls that dropped through the rim since the last call (a ball may repeat)
+    drainBaskets() {
+        const balls = this.baskets.slice()
+        this.baskets.length = 0
+        return balls
+    }
+
+    // Let one ball fall while the rest float: it gets court gravity, drag and speed limit (a thrown
+    // ball needs the higher limit to reach anything). Off returns it to the mode's own rules.
+    setBallGravity(index, enabled) {
+        this.ballGravity[index] = enabled ? 1 : 0
+    }
+
+    // Let go of the held ball, flinging it with `velocity` (local units per step)
+    release(velocity) {
+        if (this.grabbedIndex < 0) return
+        if (velocity) {
+            const o = this.grabbedIndex * 3
+            this.velocities[o] = velocity.x / this.subSteps
+            this.velocities[o + 1] = velocity.y / this.subSteps
+            this.velocities[o + 2] = velocity.z / this.subSteps
+        }
+        this.grabbedIndex = -1
+    }
+
+    // Serialize the full dynamic state to a plain JSON-safe object
+    snapshot() {
+        return {
+            version: SNAPSHOT_VERSION,
+            count: this.count,
+            ballRadius: this.BALL_RADIUS,
+            seed: this.seed,
+            rngState: this.rngState,
+            config: { ...this.config },
+            radii: Array.from(this.radii),
+            masses: Array.from(this.invMasses, inv => 1 / inv),
+            positions: Array.from(this.positions),
+            velocities: Array.from(this.velocities),
+            quaternions: Array.from(this.quaternions),
+            angularVelocities: Array.from(this.angularVelocities),
+            forceFields: this.getForceFields(),
+            formation: this.formation && {
+                points: Array.from(this.formation.points),
+                stiffness: this.formation.stiffness,
+                assignment: Array.from(this.formation.assignment),
+            },
+            hoop: this.hoop && this.hoop.toSpec(),
+            fallingBalls: Array.from(this.ballGravity.keys()).filter(i => this.ballGravity[i]),
+        }
+    }
+
+    // Load a state produced by snapshot(). Ball count and largest radius must match this simulator;
+    // per-ball radii and masses are taken from the snapshot.
+    restore(state) {
+        if (!state || state.version !== SNAPSHOT_VERSION) {
+            throw new Error(`PhysicsSimulator.restore: unsupported snapshot version ${state && state.version}`)
+        }
+        if (state.count !== this.count || state.ballRadius !== this.BALL_RADIUS) {
+            throw new Error(`PhysicsSimulator.restore: snapshot has ${state.count} balls of radius ${state.ballRadius}, ` +
+                `simulator has ${this.count} of radius ${this.BALL_RADIUS}`)
+        }
+        if (state.config) this.setConfig(state.config) // velocities below are in its sub-step units
+        if (state.radii) this.radii.set(state.radii)
+        if (state.masses) for (let i = 0; i < this.count; i++) this.invMasses[i] = 1 / state.masses[i]
+        this.positions.set(state.positions)
+        this.velocities.set(state.velocities)
+        this.quaternions.set(state.quaternions)
+        this.angularVelocities.set(state.angularVelocities)
+        this.seed = state.seed
+        this.rngState = state.rngState
+        if (state.forceFields) {
+            this.forceFields = this.forceFields.filter(field => field === this.cameraField)
+            this.splitForceFields()
+            for (const spec of state.forceFields) this.addForceField(spec)
+        }
+        if (state.formation) this.setFormation(state.formation.points, state.formation)
+        else this.clearFormation(0)
+        this.setHoop(state.hoop ?? null)
+        this.ballGravity.fill(0)
+        for (const i of state.fallingBalls ?? []) this.ballGravity[i] = 1
+        this.grabbedIndex = -1
+        this.resetInterpolation()
+    }
+
+    // Render the current state as-is (no blend from a previous one), e.g. after a restore
+    resetInterpolation() {
+        this.prevPositions.set(this.positions)
+        this.prevQuaternions.set(this.quaternions)
+        this.accumulator = 0
+        this.interpolation = 1
+    }
+
+    // Frame-rate independent driver: bank the rendered frame's `delta` (seconds, times timeScale) and run one step()
+    // per FIXED_TIMESTEP it covers, so motion is the same at 30, 60 or 144 Hz. At most
+    // MAX_CATCH_UP_STEPS run per call — after a long stall the backlog is dropped (the sim slows
+    // down) instead of freezing the page replaying it, and the frame draws the state it reached.
+    // Otherwise the leftover fraction of a step becomes `interpolation`, which updateInstances()
+    // blends by. Returns the number of steps taken.
+    advance(delta, cameraPosition) {
+        this.accumulator += Math.max(0, delta) * this.timeScale
+        let steps = 0
+        // The epsilon absorbs float error in deltas that are exact multiples of FIXED_TIMESTEP
+        while (this.accumulator > FIXED_TIMESTEP - 1e-9 && steps < MAX_CATCH_UP_STEPS) {
+            this.prevPositions.set(this.positions)
+            this.prevQuaternions.set(this.quaternions)
+            this.step(cameraPosition)
+            this.accumulator -= FIXED_TIMESTEP
+            steps++
+        }
+        if (this.accumulator > FIXED_TIMESTEP - 1e-9) {
+            // Over budget: drop the backlog and draw the newest state, as resetInterpolation() does
+            this.accumulator = 0
+            this.interpolation = 1
+        } else {
+            this.interpolation = Math.min(1, Math.max(0, this.accumulator / FIXED_TIMESTEP))
+        }
+        return steps
+    }
+
+    // Advance one frame (FIXED_TIMESTEP). cameraPosition must be in InstancedMesh local space.
     step(cameraPosition) {
-        // Pre-extract camera xyz to avoid .x .y .z property access overhead in the loop
-        const cx = cameraPosition.x, cy = cameraPosition.y, cz = cameraPosition.z
+        const pos = this.positions
+        const vel = this.velocities
+        const spin = this.angularVelocities
+        const radii = this.radii
+        this.cameraField.moveTo(cameraPosition.x, cameraPosition.y, cameraPosition.z, this.subSteps)
+        const softFields = this.softFields
+        const fieldAcc = this.fieldAcceleration
+        const targets = this.formationTargets
+        const falling = this.ballGravity
+        const hoop = this.hoop
 
-        for (let step = 0; step < SUB_STEPS; step++) {
-            let totalKE = 0
+        const startMs = performance.now()
+        const stats = this.stats
+        const subStepsSq = this.subSteps * this.subSteps
+        const ax = this.externalAcceleration[0] / subStepsSq
+        const ay = this.externalAcceleration[1] / subStepsSq
+        const az = this.externalAcceleration[2] / subStepsSq - this.gravity
+        let totalKE = 0 // summed in the first sub-step, tested after the last
+        let maxPenetration = 0, maxColliding = 0
+        stats.diffusionFired = false
+
+        for (let step = 0; step < this.subSteps; step++) {
             this.collidingPairs.length = 0 // Fast clear
 
-            // --- PASS 1: Unified pair loop (aura + hard collisions in one O(n²) sweep) ---
-            for (let i = 0; i < this.count; i++) {
-                const p = this.particles[i]
-                if (step === 0) totalKE += p.velocity.lengthSq()
+            // Grab spring — drags the held ball toward the pointer; collisions still push it around
+            if (this.grabbedIndex >= 0) {
+                const o = this.grabbedIndex * 3
+                vel[o] = vel[o] * GRAB_DAMPING + (this.grabTarget.x - pos[o]) * GRAB_STIFFNESS
+                vel[o + 1] = vel[o + 1] * GRAB_DAMPING + (this.grabTarget.y - pos[o + 1]) * GRAB_STIFFNESS
+                vel[o + 2] = vel[o + 2] * GRAB_DAMPING + (this.grabTarget.z - pos[o + 2]) * GRAB_STIFFNESS
+            }
 
-                for (let j = i + 1; j < this.count; j++) {
-                    const p2 = this.particles[j]
+            // --- BROADPHASE: bucket balls into AURA_RADIUS cells, keep only neighbouring pairs ---
+            this.grid.build(pos, this.count)
+            const pairCount = this.grid.collectPairs()
+            const pairs = this.grid.pairs
+            stats.candidatePairs = pairCount
 
-                    // Unrolled scalar math for distance
-                    const dx = p.position.x - p2.position.x
-                    const dy = p.position.y - p2.position.y
-                    const dz = p.position.z - p2.position.z
-                    const distSq = dx * dx + dy * dy + dz * dz
+            // --- PASS 1: Unified pair loop (aura + hard collisions in one sweep over candidate pairs) ---
+            for (let k = 0; k < pairCount; k++) {
+                const i = pairs[k * 2]
+                const j = pairs[k * 2 + 1]
+                const a = i * 3, b = j * 3
 
-                    if (distSq >= this.AURA_RADIUS_SQ || distSq < 0.000001) continue
-
-                    const dist = Math.sqrt(distSq)
-                    const invDist = 1.0 / dist
-                    const nx = dx * invDist
-                    const ny = dy * invDist
-                    const nz = dz * invDist
-
-                    if (dist < this.MIN_DIST) {
-                        // Cache touching pair for iterative solver
-                        this.collidingPairs.push(p, p2)
-
-                        // Hard collision — 55% overcorrection prevents persistent contact
-                        const correction = (this.MIN_DIST - dist) * 0.55
-                        p.position.x += nx * correction
-                        p.position.y += ny * correction
-                        p.position.z += nz * correction
-                        p2.position.x -= nx * correction
-                        p2.position.y -= ny * correction
-                        p2.position.z -= nz * correction
-
-                        const relVel = (p.velocity.x * nx + p.velocity.y * ny + p.velocity.z * nz) -
-                            (p2.velocity.x * nx + p2.velocity.y * ny + p2.velocity.z * nz)
-
-                        if (relVel < 0) {
-                            const impulse = Math.max(0.005 / SUB_STEPS, -relVel * (1 + RESTITUTION)) * 0.5
-                            p.velocity.x += nx * impulse
-                            p.velocity.y += ny * impulse
-                            p.velocity.z += nz * impulse
-                            p2.velocity.x -= nx * impulse
-                            p2.velocity.y -= ny * impulse
-                            p2.velocity.z -= nz * impulse
-                        }
-                    } else {
-                        // Soft aura — quadratic push prevents future collisions
-                        const t = (this.AURA_RADIUS - dist) / this.AURA_RADIUS
-                        const pushForce = t * t * 0.01 / SUB_STEPS
-                        p.velocity.x += nx * pushForce
-                        p.velocity.y += ny * pushForce
-                        p.velocity.z += nz * pushForce
-                        p2.velocity.x -= nx * pushForce
-                        p2.velocity.y -= ny * pushForce
-                        p2.velocity.z -= nz * pushForce
-                    }
-                }
+                // Unrolled scalar math for distance
+                const dx = pos[a] - pos[b]
+                const dy = pos[a + 1] - pos[b + 1]
+                const dz = pos[a + 2] - pos[b + 2]
+                const distSq = dx * dx + dy * dy + dz * dz
 
-                // Boundary containment
-                const distFromCenterSq = p.position.x * p.position.x + p.position.y * p.position.y + p.position.z * p.position.z
-                if (distFromCenterSq > this.edgeDistSq) {
-                    const distFromCenter = Math.sqrt(distFromCenterSq)
-                    const nx = p.position.x / distFromCenter
-                    const ny = p.position.y / distFromCenter
-                    const nz = p.position.z / distFromCenter
-
-                    const dot = p.velocity.x * nx + p.velocity.y * ny + p.velocity.z * nz
-                    if (dot > 0) {
-                        p.velocity.x -= nx * dot * 1.8
-                        p.velocity.y -= ny * dot * 1.8
-                        p.velocity.z -= nz * dot * 1.8
-                    }
+                if (distSq >= this.AURA_RADIUS_SQ || distSq < 0.000001) continue
 
-                    // Set exactly to boundary edge
-                    const scale = this.edgeDist / distFromCenter
-                    p.position.x *= scale
-                    p.position.y *= scale
-                    p.position.z *= scale
-                }
+                const dist = Math.sqrt(distSq)
+                const invDist = 1.0 / dist
+                const nx = dx * invDist
+                const ny = dy * invDist
+                const nz = dz * invDist
+                const radiusSum = radii[i] + radii[j]
+                const minDist = radiusSum + CONTACT_GAP
 
-                // Camera forcefield — invisible sphere that ejects balls
-                const cdx = p.position.x - cx
-                const cdy = p.position.y - cy
-                const cdz = p.position.z - cz
-                const distToCamSq = cdx * cdx + cdy * cdy + cdz * cdz
-
-                if (distToCamSq < this.cameraSafeRadiusSq) {
-                    const distToCam = Math.sqrt(distToCamSq)
-                    const invDist = 1.0 / distToCam
-                    const nx = cdx * invDist
-                    const ny = cdy * invDist
-                    const nz = cdz * invDist
-
-                    const correction = CAMERA_SAFE_RADIUS - distToCam
-                    p.position.x += nx * correction
-                    p.position.y += ny * correction
-                    p.position.z += nz * correction
-
-                    const dot = p.velocity.x * nx + p.velocity.y * ny + p.velocity.z * nz
-                    if (dot < 0) {
-                        p.velocity.x -= nx * dot * 1.5
-                        p.velocity.y -= ny * dot * 1.5
-                        p.velocity.z -= nz * dot * 1.5
+                if (dist < minDist) {
+                    // Cache touching pair for iterative solver
+                    this.collidingPairs.push(i, j)
+                    if (radiusSum - dist > maxPenetration) maxPenetration = radiusSum - dist
+                    const impulse = this.resolveContact(i, j, dist, minDist, nx, ny, nz)
+                    // Only the first contact of a sub-step is an impact — the solver passes just settle it
+                    if (impulse > 0 && this.collisionEvents !== null) {
+                        this.recordCollision(i, j, impulse, pos[b] + nx * radii[j], pos[b + 1] + ny * radii[j], pos[b + 2] + nz * radii[j])
                     }
-                    p.velocity.x += nx * 0.05
-                    p.velocity.y += ny * 0.05
-                    p.velocity.z += nz * 0.05
+                } else if (this.auraEnabled) {
+                    // Soft aura — quadratic push prevents future collisions (shared by mass, like a contact)
+                    const aura = Math.max(minDist, radiusSum * this.auraScale)
+                    if (dist >= aura) continue
+                    const t = (aura - dist) / aura
+                    const pushForce = t * t * 0.01 / this.subSteps
+                    const wa = this.massShare(i, j), wb = 2 - wa
+                    vel[a] += nx * pushForce * wa
+                    vel[a + 1] += ny * pushForce * wa
+                    vel[a + 2] += nz * pushForce * wa
+                    vel[b] -= nx * pushForce * wb
+                    vel[b + 1] -= ny * pushForce * wb
+                    vel[b + 2] -= nz * pushForce * wb
                 }
             }
 
+            maxColliding = Math.max(maxColliding, this.collidingPairs.length / 2)
+
+            for (let i = 0; i < this.count; i++) {
+                const o = i * 3
+                if (step === 0) totalKE += vel[o] * vel[o] + vel[o + 1] * vel[o + 1] + vel[o + 2] * vel[o + 2]
+                this.applyConstraints(i, true)
+            }
+
             // --- PASS 2: Iterative solver (iterate ONLY over touching pairs cached in Pass 1) ---
-            for (let iter = 1; iter < SOLVER_ITERATIONS; iter++) {
+            for (let iter = 1; iter < this.solverIterations; iter++) {
                 // Resolve collisions for cached pairs O(k) instead of O(N^2)
                 for (let k = 0; k < this.collidingPairs.length; k += 2) {
-                    const p = this.collidingPairs[k]
-                    const p2 = this.collidingPairs[k + 1]
+                    const i = this.collidingPairs[k]
+                    const j = this.collidingPairs[k + 1]
+                    const a = i * 3, b = j * 3
 
-                    const dx = p.position.x - p2.position.x
-                    const dy = p.position.y - p2.position.y
-                    const dz = p.position.z - p2.position.z
+                    const dx = pos[a] - pos[b]
+                    const dy = pos[a + 1] - pos[b + 1]
+                    const dz = pos[a + 2] - pos[b + 2]
                     const distSq = dx * dx + dy * dy + dz * dz
+                    const minDist = radii[i] + radii[j] + CONTACT_GAP
 
-                    if (distSq < this.MIN_DIST_SQ && distSq > 0.000001) {
+                    if (distSq < minDist * minDist && distSq > 0.000001) {
                         const dist = Math.sqrt(distSq)
                         const invDist = 1.0 / dist
-                        const nx = dx * invDist
-                        const ny = dy * invDist
-                        const nz = dz * invDist
-
-                        const correction = (this.MIN_DIST - dist) * 0.55
-                        p.position.x += nx * correction
-                        p.position.y += ny * correction
-                        p.position.z += nz * correction
-                        p2.position.x -= nx * correction
-                        p2.position.y -= ny * correction
-                        p2.position.z -= nz * correction
-
-                        const relVel = (p.velocity.x * nx + p.velocity.y * ny + p.velocity.z * nz) -
-                            (p2.velocity.x * nx + p2.velocity.y * ny + p2.velocity.z * nz)
-
-                        if (relVel < 0) {
-                            const impulse = Math.max(0.005 / SUB_STEPS, -relVel * (1 + RESTITUTION)) * 0.5
-                            p.velocity.x += nx * impulse
-                            p.velocity.y += ny * impulse
-                            p.velocity.z += nz * impulse
-                            p2.velocity.x -= nx * impulse
-                            p2.velocity.y -= ny * impulse
-                            p2.velocity.z -= nz * impulse
-                        }
+                        this.resolveContact(i, j, dist, minDist, dx * invDist, dy * invDist, dz * invDist)
                     }
                 }
 
                 // Re-enforce global constraints for all particles
-                for (let i = 0; i < this.count; i++) {
-                    const p = this.particles[i]
-
-                    // Boundary
-                    const distFromCenterSq = p.position.x * p.position.x + p.position.y * p.position.y + p.position.z * p.position.z
-                    if (distFromCenterSq > this.edgeDistSq) {
-                        const distFromCenter = Math.sqrt(distFromCenterSq)
-                        const nx = p.position.x / distFromCenter
-                        const ny = p.position.y / distFromCenter
-                        const nz = p.position.z / distFromCenter
-
-                        const dot = p.velocity.x * nx + p.velocity.y * ny + p.velocity.z * nz
-                        if (dot > 0) {
-                            p.velocity.x -= nx * dot * 1.8
-                            p.velocity.y -= ny * dot * 1.8
-                            p.velocity.z -= nz * dot * 1.8
-                        }
-
-                        const scale = this.edgeDist / distFromCenter
-                        p.position.x *= scale
-                        p.position.y *= scale
-                        p.position.z *= scale
-                    }
+                for (let i = 0; i < this.count; i++) this.applyConstraints(i)
+            }
 
-                    // Camera forcefield
-                    const cdx = p.position.x - cx
-                    const cdy = p.position.y - cy
-                    const cdz = p.position.z - cz
-                    const distToCamSq = cdx * cdx + cdy * cdy + cdz * cdz
-
-                    if (distToCamSq < this.cameraSafeRadiusSq) {
-                        const distToCam = Math.sqrt(distToCamSq)
-                        const invDist = 1.0 / distToCam
-                        const nx = cdx * invDist
-                        const ny = cdy * invDist
-                        const nz = cdz * invDist
-
-                        const correction = CAMERA_SAFE_RADIUS - distToCam
-                        p.position.x += nx * correction
-                        p.position.y += ny * correction
-                        p.position.z += nz * correction
-
-                        const dot = p.velocity.x * nx + p.velocity.y * ny + p.velocity.z * nz
-                        if (dot < 0) {
-                            p.velocity.x -= nx * dot * 1.5
-                            p.velocity.y -= ny * dot * 1.5
-                            p.velocity.z -= nz * dot * 1.5
-                        }
-                        p.velocity.x += nx * 0.05
-                        p.velocity.y += ny * 0.05
-                        p.velocity.z += nz * 0.05
+            // --- PASS 3: Integration (gravity + external acceleration + force fields + formation steering + damping + speed clamp + position update + spin) ---
+            for (let i = 0; i < this.count; i++) {
+                const o = i * 3
+                const falls = falling[i] === 1
+                if (i !== this.grabbedIndex) {
+                    vel[o] += ax
+                    vel[o + 1] += ay
+                    vel[o + 2] += falls ? az - this.fallGravity : az
+                    if (softFields.length > 0) {
+                        fieldAcc[0] = fieldAcc[1] = fieldAcc[2] = 0
+                        for (let f = 0; f < softFields.length; f++) softFields[f].accelerate(pos[o], pos[o + 1], pos[o + 2], fieldAcc)
+                        vel[o] += fieldAcc[0] / subStepsSq
+                        vel[o + 1] += fieldAcc[1] / subStepsSq
+                        vel[o + 2] += fieldAcc[2] / subStepsSq
                     }
+                    if (targets !== null && !falls && targets[o] === targets[o]) this.steer(o, subStepsSq)
                 }
-            }
+                const damping = falls ? this.fallDampingFactor : this.dampingFactor
+                vel[o] *= damping
+                vel[o + 1] *= damping
+                vel[o + 2] *= damping
 
-            // --- PASS 3: Integration (damping + speed clamp + position update) ---
-            for (let i = 0; i < this.count; i++) {
-                const p = this.particles[i]
-                p.velocity.multiplyScalar(this.dampingFactor)
-                if (p.velocity.lengthSq() > this.maxSpeedSq) p.velocity.setLength(this.maxSpeed)
-                p.position.add(p.velocity)
+                const speedSq = vel[o] * vel[o] + vel[o + 1] * vel[o + 1] + vel[o + 2] * vel[o + 2]
+                const limitSq = i === this.grabbedIndex ? this.grabMaxSpeedSq : falls ? this.fallMaxSpeedSq : this.maxSpeedSq
+                if (speedSq > limitSq) {
+                    const scale = Math.sqrt(limitSq / speedSq)
+                    vel[o] *= scale
+                    vel[o + 1] *= scale
+                    vel[o + 2] *= scale
+                }
+
+                const prevZ = pos[o + 2]
+                pos[o] += vel[o]
+                pos[o + 1] += vel[o + 1]
+                pos[o + 2] += vel[o + 2]
+                if (hoop !== null && hoop.throughRim(pos[o], pos[o + 1], prevZ, pos[o + 2])) this.baskets.push(i)
+
+                spin[o] *= this.angularDampingFactor
+                spin[o + 1] *= this.angularDampingFactor
+                spin[o + 2] *= this.angularDampingFactor
             }
+            this.integrateRotations()
 
             // --- PASS 4: Idle diffusion (gentle mutual repulsion when settled) ---
-            const ENERGY_THRESHOLD = 0.05
-            if (step === SUB_STEPS - 1 && totalKE < ENERGY_THRESHOLD) {
-                const force = (ENERGY_THRESHOLD - totalKE) * 0.003
-                const maxR = BOUNDARY_RADIUS * 0.75
-                const maxRSq = maxR * maxR
-                for (let i = 0; i < this.count; i++) {
-                    const p = this.particles[i]
-                    for (let j = i + 1; j < this.count; j++) {
-                        const p2 = this.particles[j]
-
-                        const dx = p.position.x - p2.position.x
-                        const dy = p.position.y - p2.position.y
-                        const dz = p.position.z - p2.position.z
-                        const distSq = dx * dx + dy * dy + dz * dz
-
-                        if (distSq > this.MIN_DIST_SQ && distSq < maxRSq) {
-                            const dist = Math.sqrt(distSq)
-                            const invDist = 1.0 / dist
-                            const nx = dx * invDist
-                            const ny = dy * invDist
-                            const nz = dz * invDist
-
-                            const push = force * (1 - dist / maxR)
-                            p.velocity.x += nx * push
-                            p.velocity.y += ny * push
-                            p.velocity.z += nz * push
-                            p2.velocity.x -= nx * push
-                            p2.velocity.y -= ny * push
-                            p2.velocity.z -= nz * push
-                        }
-                    }
+            if (this.diffusionEnabled && step === this.subSteps - 1 && totalKE < IDLE_ENERGY_THRESHOLD) {
+                this.diffuse(totalKE)
+                stats.diffusionFired = true
+            }
+        }
+
+        stats.steps++
+        stats.stepMs = performance.now() - startMs
+        stats.collidingPairs = maxColliding
+        stats.totalKE = totalKE
+        stats.maxPenetration = maxPenetration
+    }
+
+    // Formation pull on the ball at offset o: spring toward its target minus damping (per frame²),
+    // capped at FORMATION_MAX_ACCELERATION. Steered balls hover, so gravity is handed back.
+    steer(o, subStepsSq) {
+        const pos = this.positions
+        const vel = this.velocities
+        const targets = this.formationTargets
+        const k = this.formation.stiffness, c = this.formationDamping * this.subSteps
+        let sx = (targets[o] - pos[o]) * k - vel[o] * c
+        let sy = (targets[o + 1] - pos[o + 1]) * k - vel[o + 1] * c
+        let sz = (targets[o + 2] - pos[o + 2]) * k - vel[o + 2] * c
+        const magnitude = Math.sqrt(sx * sx + sy * sy + sz * sz)
+        if (magnitude > FORMATION_MAX_ACCELERATION) {
+            const scale = FORMATION_MAX_ACCELERATION / magnitude
+            sx *= scale; sy *= scale; sz *= scale
+        }
+        vel[o] += sx / subStepsSq
+        vel[o + 1] += sy / subStepsSq
+        vel[o + 2] += sz / subStepsSq + this.gravity
+    }
+
+    // The live stats object (see the constructor) — copy it to keep a reading
+    getStats() {
+        return this.stats
+    }
+
+    // Ball i's share of a pair interaction, in [0, 2]: 1 for equal masses, so the pair splits it evenly.
+    // Ball j gets 2 - share, which keeps momentum conserved and the lighter ball moving more.
+    massShare(i, j) {
+        const invA = this.invMasses[i]
+        return 2 * invA / (invA + this.invMasses[j])
+    }
+
+    // Hard collision — 55% overcorrection prevents persistent contact, then a restitution impulse
+    // (court mode: exact correction, and slow approaches don't bounce so piles can come to rest).
+    // i, j are ball indices, minDist their contact distance; n points from j to i.
+    // Both the correction and the impulse are split by inverse mass. Returns the normal impulse
+    // (per unit mass, units/sub-step; 0 when the pair is already separating).
+    resolveContact(i, j, dist, minDist, nx, ny, nz) {
+        const pos = this.positions
+        const vel = this.velocities
+        const a = i * 3, b = j * 3
+        const wa = this.massShare(i, j), wb = 2 - wa
+
+        const correction = (minDist - dist) * this.contactCorrection
+        pos[a] += nx * correction * wa
+        pos[a + 1] += ny * correction * wa
+        pos[a + 2] += nz * correction * wa
+        pos[b] -= nx * correction * wb
+        pos[b + 1] -= ny * correction * wb
+        pos[b + 2] -= nz * correction * wb
+
+        const relVel = (vel[a] * nx + vel[a + 1] * ny + vel[a + 2] * nz) -
+            (vel[b] * nx + vel[b + 1] * ny + vel[b + 2] * nz)
+
+        if (relVel < 0) {
+            const restitution = -relVel < this.restSpeed ? 0 : this.restitution
+            const impulse = Math.max(this.minImpulse, -relVel * (1 + restitution)) * 0.5
+            vel[a] += nx * impulse * wa
+            vel[a + 1] += ny * impulse * wa
+            vel[a + 2] += nz * impulse * wa
+            vel[b] -= nx * impulse * wb
+            vel[b + 1] -= ny * impulse * wb
+            vel[b + 2] -= nz * impulse * wb
+            this.pairFriction(i, j, nx, ny, nz, impulse)
+            return impulse
+        }
+        return 0
+    }
+
+    // Coulomb friction between two touching balls — cancels contact-point slip up to μ·Jn,
+    // trading linear momentum for spin so knocked balls roll off each other.
+    // jn is the normal impulse for a unit-mass ball (the pair's mass shares scale it).
+    pairFriction(i, j, nx, ny, nz, jn) {
+        const vel = this.velocities
+        const spin = this.angularVelocities
+        const a = i * 3, b = j * 3
+        const ra = this.radii[i], rb = this.radii[j]
+        const wa = this.massShare(i, j), wb = 2 - wa
+
+        // Contact-point velocities: v + ω × (∓r·n) — n points from b to a
+        const rvx = (vel[a] - ra * (spin[a + 1] * nz - spin[a + 2] * ny)) - (vel[b] + rb * (spin[b + 1] * nz - spin[b + 2] * ny))
+        const rvy = (vel[a + 1] - ra * (spin[a + 2] * nx - spin[a] * nz)) - (vel[b + 1] + rb * (spin[b + 2] * nx - spin[b] * nz))
+        const rvz = (vel[a + 2] - ra * (spin[a] * ny - spin[a + 1] * nx)) - (vel[b + 2] + rb * (spin[b] * ny - spin[b + 1] * nx))
+        const rn = rvx * nx + rvy * ny + rvz * nz
+        const tx = rvx - rn * nx, ty = rvy - rn * ny, tz = rvz - rn * nz
+        const slipSq = tx * tx + ty * ty + tz * tz
+        if (slipSq < 1e-12) return
+
+        // Impulse that would stop the slip outright, clamped to the friction cone
+        let scale = -1 / (2 * CONTACT_INV_MASS)
+        const limit = BALL_FRICTION * jn
+        if (slipSq * scale * scale > limit * limit) scale = -limit / Math.sqrt(slipSq)
+        const jx = tx * scale, jy = ty * scale, jz = tz * scale
+
+        vel[a] += jx * wa; vel[a + 1] += jy * wa; vel[a + 2] += jz * wa
+        vel[b] -= jx * wb; vel[b + 1] -= jy * wb; vel[b + 2] -= jz * wb
+
+        // Both balls spin the same way: Δω = -(1.5 · share / r)·(n × J)
+        const cx = ny * jz - nz * jy, cy = nz * jx - nx * jz, cz = nx * jy - ny * jx
+        const ka = -SHELL_INV_INERTIA * wa / ra, kb = -SHELL_INV_INERTIA * wb / rb
+        spin[a] += ka * cx; spin[a + 1] += ka * cy; spin[a + 2] += ka * cz
+        spin[b] += kb * cx; spin[b + 1] += kb * cy; spin[b + 2] += kb * cz
+    }
+
+    // Coulomb friction between ball i and a surface moving at (svx, svy, svz). n points from the
+    // surface into the ball; jn is the normal velocity change the contact just applied. Surfaces are
+    // immovable, so the ball's mass cancels out.
+    surfaceFriction(i, nx, ny, nz, jn, mu, svx, svy, svz) {
+        const vel = this.velocities
+        const spin = this.angularVelocities
+        const o = i * 3
+        const r = this.radii[i]
+
+        // Contact point sits at -r·n from the centre: v_c = v - r·(ω × n)
+        const rvx = vel[o] - r * (spin[o + 1] * nz - spin[o + 2] * ny) - svx
+        const rvy = vel[o + 1] - r * (spin[o + 2] * nx - spin[o] * nz) - svy
+        const rvz = vel[o + 2] - r * (spin[o] * ny - spin[o + 1] * nx) - svz
+        const rn = rvx * nx + rvy * ny + rvz * nz
+        const tx = rvx - rn * nx, ty = rvy - rn * ny, tz = rvz - rn * nz
+        const slipSq = tx * tx + ty * ty + tz * tz
+        if (slipSq < 1e-12) return
+
+        let scale = -1 / CONTACT_INV_MASS
+        const limit = mu * jn
+        if (slipSq * scale * scale > limit * limit) scale = -limit / Math.sqrt(slipSq)
+        const jx = tx * scale, jy = ty * scale, jz = tz * scale
+
+        vel[o] += jx; vel[o + 1] += jy; vel[o + 2] += jz
+        const k = -SHELL_INV_INERTIA / r
+        spin[o] += k * (ny * jz - nz * jy)
+        spin[o + 1] += k * (nz * jx - nx * jz)
+        spin[o + 2] += k * (nx * jy - ny * jx)
+    }
+
+    // Solid force fields (the camera forcefield) + hoop colliders + boundary containment for ball i.
+    // Shared by Pass 1 and every solver iteration; Pass 1 records wall, hoop and floor impacts.
+    applyConstraints(i, record = false) {
+        const pos = this.positions
+        const vel = this.velocities
+        const o = i * 3
+
+        // Solid fields — invisible spheres that eject balls. Applied before containment: when the
+        // camera squeezes a ball against a wall, the wall wins and the ball never leaves the boundary.
+        const fields = this.solidFields
+        for (let f = 0; f < fields.length; f++) {
+            const field = fields[f]
+            const n = this.fieldNormal
+            if (!field.project(pos, o, n)) continue
+            const nx = n[0], ny = n[1], nz = n[2]
+
+            const dot = vel[o] * nx + vel[o + 1] * ny + vel[o + 2] * nz
+            const jn = (dot < 0 ? -dot * 1.5 : 0) + 0.05
+            if (dot < 0) {
+                vel[o] -= nx * dot * 1.5
+                vel[o + 1] -= ny * dot * 1.5
+                vel[o + 2] -= nz * dot * 1.5
+            }
+            vel[o] += nx * 0.05
+            vel[o + 1] += ny * 0.05
+            vel[o + 2] += nz * 0.05
+
+            // A field sweeps along with whatever moves it, so orbiting past the pile sets balls rolling
+            const fv = field.velocity
+            this.surfaceFriction(i, nx, ny, nz, jn, field.friction, fv[0], fv[1], fv[2])
+        }
+
+        // Hoop — backboard and rim bounce the ball with their own restitution
+        const colliders = this.colliders
+        for (let c = 0; c < colliders.length; c++) {
+            const collider = colliders[c]
+            const n = this.contactNormal
+            if (!collider.project(pos, o, this.radii[i], n)) continue
+            const dot = vel[o] * n[0] + vel[o + 1] * n[1] + vel[o + 2] * n[2]
+            if (dot >= 0) continue
+            const jn = -dot * (1 + collider.restitution)
+            vel[o] += n[0] * jn
+            vel[o + 1] += n[1] * jn
+            vel[o + 2] += n[2] * jn
+            this.surfaceFriction(i, n[0], n[1], n[2], jn, BOUNDARY_FRICTION, 0, 0, 0)
+            if (record && this.collisionEvents !== null) {
+                const r = this.radii[i]
+                this.recordCollision(i, -1, jn, pos[o] - n[0] * r, pos[o + 1] - n[1] * r, pos[o + 2] - n[2] * r)
+            }
+        }
+
+        // Court floor next, so its rest/rolling logic wins over a box's bottom face
+        if (this.mode === 'court') this.containFloor(i, record)
+
+        // Boundary — project back inside, reflect the outward velocity, rub against the wall.
+        // Up to 3 passes so a box corner resolves every face it crossed.
+        const n = this.contactNormal
+        for (let pass = 0; pass < 3 && this.activeBoundary.project(pos, o, this.radii[i], n); pass++) {
+            const dot = vel[o] * n[0] + vel[o + 1] * n[1] + vel[o + 2] * n[2]
+            if (dot < 0) {
+                const jn = -dot * this.wallBounce
+                vel[o] += n[0] * jn
+                vel[o + 1] += n[1] * jn
+                vel[o + 2] += n[2] * jn
+                this.surfaceFriction(i, n[0], n[1], n[2], jn, BOUNDARY_FRICTION, 0, 0, 0)
+                if (record && this.collisionEvents !== null) {
+                    const r = this.radii[i]
+                    this.recordCollision(i, -1, jn, pos[o] - n[0] * r, pos[o + 1] - n[1] * r, pos[o + 2] - n[2] * r)
                 }
             }
         }
     }
 
-    // Sync physics → InstancedMesh transforms. Called once per frame after step().
-    updateInstances(meshRef, primRef, tempMatrix) {
+    // Court floor — bounce with COURT_RESTITUTION, come to rest below restSpeed, friction turns
+    // sliding into rolling and rolling resistance brings it to a stop
+    containFloor(i, record) {
+        const pos = this.positions
+        const vel = this.velocities
+        const o = i * 3
+        const floor = COURT_FLOOR_HEIGHT + this.radii[i]
+        if (pos[o + 2] >= floor) return
+
+        pos[o + 2] = floor
+        const vz = vel[o + 2]
+        if (vz >= 0) return
+        vel[o + 2] = -vz < this.restSpeed ? 0 : -vz * COURT_RESTITUTION
+        this.surfaceFriction(i, 0, 0, 1, vel[o + 2] - vz, BOUNDARY_FRICTION, 0, 0, 0)
+        if (record) this.recordCollision(i, -1, vel[o + 2] - vz, pos[o], pos[o + 1], COURT_FLOOR_HEIGHT)
+
+        // Rolling resistance — without it a ball that has started rolling never stops
+        const keep = 1 - COURT_ROLLING_RESISTANCE
+        const spin = this.angularVelocities
+        vel[o] *= keep; vel[o + 1] *= keep
+        spin[o] *= keep; spin[o + 1] *= keep; spin[o + 2] *= keep
+    }
+
+    // q += ½ · (ω, 0) · q, then renormalize — first-order quaternion integration over one sub-step
+    integrateRotations() {
+        const q = this.quaternions
+        const w = this.angularVelocities
         for (let i = 0; i < this.count; i++) {
-            const p = this.particles[i]
-            p.rotation.x += p.rotVel.x
-            p.rotation.y += p.rotVel.y
-            p.rotation.z += p.rotVel.z
-            tempMatrix.makeRotationFromEuler(p.rotation)
-            tempMatrix.setPosition(p.position)
-            if (meshRef.current) meshRef.current.setMatrixAt(i, tempMatrix)
-            if (primRef.current) primRef.current.setMatrixAt(i, tempMatrix)
+            const o = i * 3, k = i * 4
+            const wx = w[o] * 0.5, wy = w[o + 1] * 0.5, wz = w[o + 2] * 0.5
+            const qx = q[k], qy = q[k + 1], qz = q[k + 2], qw = q[k + 3]
+
+            const nx = qx + (wx * qw + wy * qz - wz * qy)
+            const ny = qy + (wy * qw + wz * qx - wx * qz)
+            const nz = qz + (wz * qw + wx * qy - wy * qx)
+            const nw = qw - (wx * qx + wy * qy + wz * qz)
+            const invLen = 1 / Math.sqrt(nx * nx + ny * ny + nz * nz + nw * nw)
+            q[k] = nx * invLen
+            q[k + 1] = ny * invLen
+            q[k + 2] = nz * invLen
+            q[k + 3] = nw * invLen
+        }
+    }
+
+    // Idle diffusion — pairs within diffusionRadius drift apart until the pile fills the volume.
+    // Uses its own coarse grid (cell = diffusionRadius) so it stays near-linear for large counts.
+    diffuse(totalKE) {
+        const pos = this.positions
+        const vel = this.velocities
+        const radii = this.radii
+        const force = (IDLE_ENERGY_THRESHOLD - totalKE) * 0.003
+        const maxR = this.diffusionRadius
+        const maxRSq = maxR * maxR
+
+        this.diffusionGrid.build(pos, this.count)
+        const pairCount = this.diffusionGrid.collectPairs()
+        const pairs = this.diffusionGrid.pairs
+
+        for (let k = 0; k < pairCount; k++) {
+            const i = pairs[k * 2]
+            const j = pairs[k * 2 + 1]
+            const a = i * 3, b = j * 3
+
+            const dx = pos[a] - pos[b]
+            const dy = pos[a + 1] - pos[b + 1]
+            const dz = pos[a + 2] - pos[b + 2]
+            const distSq = dx * dx + dy * dy + dz * dz
+            const minDist = radii[i] + radii[j] + CONTACT_GAP
+
+            if (distSq > minDist * minDist && distSq < maxRSq) {
+                const dist = Math.sqrt(distSq)
+                const invDist = 1.0 / dist
+                const nx = dx * invDist
+                const ny = dy * invDist
+                const nz = dz * invDist
+
+                const push = force * (1 - dist / maxR)
+                const wa = this.massShare(i, j), wb = 2 - wa
+                vel[a] += nx * push * wa
+                vel[a + 1] += ny * push * wa
+                vel[a + 2] += nz * push * wa
+                vel[b] -= nx * push * wb
+                vel[b + 1] -= ny * push * wb
+                vel[b + 2] -= nz * push * wb
+            }
+        }
+    }
+
+    // Pack positions + rotation quaternions into `out` (TRANSFORM_STRIDE floats per ball)
+    writeTransforms(out, offset = 0) {
+        const pos = this.positions
+        const q = this.quaternions
+        for (let i = 0; i < this.count; i++) {
+            const o = offset + i * TRANSFORM_STRIDE
+            out[o] = pos[i * 3]; out[o + 1] = pos[i * 3 + 1]; out[o + 2] = pos[i * 3 + 2]
+            out[o + 3] = q[i * 4]; out[o + 4] = q[i * 4 + 1]; out[o + 5] = q[i * 4 + 2]; out[o + 6] = q[i * 4 + 3]
+        }
+    }
+
+    // Sync physics → InstancedMesh transforms. Called once per frame after advance().
+    // `groups` is one { mesh, prim, start, count } per ball type: balls start..start+count-1 go to
+    // instances 0..count-1 of that type's meshes. Each ball is drawn `interpolation` of the way from
+    // its previous state to its current one (lerp + normalized quaternion lerp). Matrices are written
+    // straight into instanceMatrix.array and the wireframe mesh gets a bulk copy.
+    updateInstances(groups) {
+        const pos = this.positions, prevPos = this.prevPositions
+        const q = this.quaternions, prevQ = this.prevQuaternions
+        const t = this.interpolation
+        for (const { mesh, prim, start, count } of groups) {
+            if (!mesh && !prim) continue
+            const out = (mesh || prim).instanceMatrix.array
+            for (let n = 0; n < count; n++) {
+                const i = start + n, o = i * 3, k = i * 4
+
+                // Shortest arc: flip the previous quaternion into the current one's hemisphere
+                const ax = prevQ[k], ay = prevQ[k + 1], az = prevQ[k + 2], aw = prevQ[k + 3]
+                const sign = ax * q[k] + ay * q[k + 1] + az * q[k + 2] + aw * q[k + 3] < 0 ? -1 : 1
+                const s = 1 - t, u = t * sign
+                const qx = ax * s + q[k] * u, qy = ay * s + q[k + 1] * u, qz = az * s + q[k + 2] * u, qw = aw * s + q[k + 3] * u
+                const invLen = 1 / Math.sqrt(qx * qx + qy * qy + qz * qz + qw * qw)
+
+                writeInstanceMatrix(out, n * 16,
+                    prevPos[o] + (pos[o] - prevPos[o]) * t,
+                    prevPos[o + 1] + (pos[o + 1] - prevPos[o + 1]) * t,
+                    prevPos[o + 2] + (pos[o + 2] - prevPos[o + 2]) * t,
+                    qx * invLen, qy * invLen, qz * invLen, qw * invLen)
+            }
+            if (mesh && prim) prim.instanceMatrix.array.set(out)
+            if (mesh) mesh.instanceMatrix.needsUpdate = true
+            if (prim) prim.instanceMatrix.needsUpdate = true
         }
-        if (meshRef.current) meshRef.current.instanceMatrix.needsUpdate = true
-        if (primRef.current) primRef.current.instanceMatrix.needsUpdate = true
     }
 }
@@ -0,0 +1,65 @@
+// physics.worker.js — Runs PhysicsSimulator off the main thread
+// Steps at a fixed rate on its own clock and publishes transforms into a SharedArrayBuffer
+// triple buffer (layout in physicsBuffer.js). The main thread only reads. Collision events, when
+// asked for, are posted back after each step instead — they're rare and variable in number — and
+// so are balls dropping through the hoop.
+
+import * as THREE from 'three'
+import { COLLISION_EVENT_STRIDE, MAX_CATCH_UP_STEPS, TRANSFORM_STRIDE } from './physics.js'
+import { STEP_INTERVAL_MS, createSharedViews, writeStats } from './physicsBuffer.js'
+import { applyPhysicsMessage, createFromInit } from './physicsMessages.js'
+
+let physics = null
+let views = null
+let timer = null
+let owed = 0 // steps banked at the simulator's time scale — slowed down, some ticks don't step
+const camera = new THREE.Vector3()
+
+// One physics frame: read camera → step (as often as the time scale asks) → publish transforms and
+// stats into the slot the main thread isn't reading
+function tick() {
+    owed = Math.min(owed + physics.timeScale, MAX_CATCH_UP_STEPS)
+    if (owed < 1 - 1e-9) return // the epsilon as in PhysicsSimulator.advance()
+    camera.set(views.camera[0], views.camera[1], views.camera[2])
+    for (; owed > 1 - 1e-9; owed--) physics.step(camera)
+
+    const slot = (Atomics.load(views.control, 0) + 1) % 3
+    physics.writeTransforms(views.transforms, slot * physics.count * TRANSFORM_STRIDE)
+    views.times[slot] = performance.timeOrigin + performance.now()
+    writeStats(views.stats, physics.getStats())
+    Atomics.store(views.control, 0, slot)
+    Atomics.add(views.control, 1, 1)
+
+    if (physics.collisionEventCount > 0) {
+        const { data, count } = physics.drainCollisionEvents()
+        const events = data.slice(0, count * COLLISION_EVENT_STRIDE)
+        self.postMessage({ type: 'collisions', events }, [events.buffer])
+    }
+    if (physics.baskets.length > 0) self.postMessage({ type: 'baskets', balls: physics.drainBaskets() })
+}
+
+self.onmessage = (e) => {
+    const msg = e.data
+    if (msg.type === 'init') {
+        physics = createFromInit(msg)
+        owed = 0
+        views = createSharedViews(msg.buffer, msg.count)
+        timer = setInterval(tick, STEP_INTERVAL_MS)
+    } else if (msg.type === 'takeOver') {
+        // The client steps in-thread from here (an offline export): hand over the state, step no more
+        clearInterval(timer)
+        self.postMessage({ type: 'state', state: physics.snapshot() })
+    } else if (msg.type === 'stop') {
+        clearInterval(timer)
+        self.close()
+    } else {
+        applyPhysicsMessage(physics, msg)
+    }
+}
+
+// A message that can't be received here — the shared buffer, when this page isn't cross-origin
+// isolated after all. The client carries on in-thread.
+self.onmessageerror = () => {
+    self.postMessage({ type: 'failed' })
+    self.close()
+}
@@ -0,0 +1,46 @@
+// physicsBuffer.js — SharedArrayBuffer layout shared by the physics worker and its client
+//
+//   control    Int32Array(2)    [latest published slot, published step count]
+//   times      Float64Array(3)  absolute publish time (ms) of each slot
+//   camera     Float32Array(4)  camera xyz in InstancedMesh local space (main → worker)
+//   stats      Float64Array(7)  the simulator's getStats() after the latest step (worker → main)
+//   transforms Float32Array     3 slots × count × TRANSFORM_STRIDE (worker → main)
+//
+// Triple buffering: the worker always writes the slot after `latest`, while the main thread reads
+// `latest` and the one before it for interpolation, so a step never overwrites what is being drawn.
+
+import { FIXED_TIMESTEP, TRANSFORM_STRIDE } from './physics.js'
+
+export const STEP_INTERVAL_MS = FIXED_TIMESTEP * 1000 // worker physics rate (one step() per tick)
+
+const CONTROL_BYTES = 2 * 4
+const TIMES_OFFSET = 8 // Float64 alignment
+const CAMERA_OFFSET = TIMES_OFFSET + 3 * 8
+const STATS_OFFSET = CAMERA_OFFSET + 4 * 4
+const STATS_FIELDS = ['steps', 'stepMs', 'candidatePairs', 'collidingPairs', 'totalKE', 'maxPenetration', 'diffusionFired']
+const TRANSFORMS_OFFSET = STATS_OFFSET + STATS_FIELDS.length * 8
+
+export function sharedBufferSize(count) {
+    return TRANSFORMS_OFFSET + 3 * count * TRANSFORM_STRIDE * 4
+}
+
+export function createSharedViews(buffer, count) {
+    return {
+        control: new Int32Array(buffer, 0, CONTROL_BYTES / 4),
+        times: new Float64Array(buffer, TIMES_OFFSET, 3),
+        camera: new Float32Array(buffer, CAMERA_OFFSET, 4),
+        stats: new Float64Array(buffer, STATS_OFFSET, STATS_FIELDS.length),
+        transforms: new Float32Array(buffer, TRANSFORMS_OFFSET, 3 * count * TRANSFORM_STRIDE),
+    }
+}
+
+export function writeStats(view, stats) {
+    STATS_FIELDS.forEach((field, k) => { view[k] = Number(stats[field]) })
+}
+
+// Fills `out` (same shape as PhysicsSimulator.stats); diffusionFired reads back as a boolean
+export function readStats(view, out) {
+    STATS_FIELDS.forEach((field, k) => { out[field] = view[k] })
+    out.diffusionFired = view[STATS_FIELDS.length - 1] !== 0
+    return out
+}
@@ -0,0 +1,86 @@
+// physicsMessages.js — The messages PhysicsWorkerClient posts, applied to a PhysicsSimulator
+// The worker runs them on its own simulator; the client runs the same ones in-thread when the
+// worker can't start, so both paths end up in the same state.
+
+import * as THREE from 'three'
+import { PhysicsSimulator } from './physics.js'
+
+const grabTarget = new THREE.Vector3()
+const releaseVelocity = new THREE.Vector3()
+
+// A simulator set up from an 'init' message: the initial state plus everything set on the client since
+export function createFromInit(msg) {
+    const physics = new PhysicsSimulator(msg.count, msg.ballRadius, { seed: msg.state.seed, boundary: msg.boundary })
+    physics.restore(msg.state)
+    physics.setConfig(msg.config)
+    physics.setMode(msg.mode.mode, msg.mode.options)
+    physics.setExternalAcceleration(msg.acceleration[0], msg.acceleration[1], msg.acceleration[2])
+    physics.setIdleDiffusion(msg.idleDiffusion)
+    physics.setTimeScale(msg.timeScale)
+    for (const spec of msg.forceFields) physics.addForceField(spec)
+    if (msg.formation) physics.setFormation(msg.formation.points, msg.formation.options)
+    physics.setCollisionEvents(msg.collisionEvents)
+    physics.setHoop(msg.hoop)
+    for (const index of msg.fallingBalls) physics.setBallGravity(index, true)
+    return physics
+}
+
+// Apply any message but 'init' and 'stop', which belong to whoever owns the simulator
+export function applyPhysicsMessage(physics, msg) {
+    switch (msg.type) {
+        case 'setMode':
+            physics.setMode(msg.mode, msg.options)
+            break
+        case 'setConfig':
+            physics.setConfig(msg.config)
+            break
+        case 'setBoundary':
+            physics.setBoundary(msg.boundary)
+            break
+        case 'grab':
+            physics.grab(msg.index, grabTarget.fromArray(msg.target))
+            break
+        case 'moveGrab':
+            physics.moveGrab(grabTarget.fromArray(msg.target))
+            break
+        case 'setIdleDiffusion':
+            physics.setIdleDiffusion(msg.enabled)
+            break
+        case 'setTimeScale':
+            physics.setTimeScale(msg.scale)
+            break
+        case 'setAcceleration':
+            physics.setExternalAcceleration(msg.acceleration[0], msg.acceleration[1], msg.acceleration[2])
+            break
+        case 'impulse':
+            physics.applyImpulse(msg.impulse[0], msg.impulse[1], msg.impulse[2])
+            break
+        case 'addForceField':
+            physics.addForceField(msg.spec)
+            break
+        case 'updateForceField':
+            physics.updateForceField(msg.id, msg.changes)
+            break
+        case 'removeForceField':
+            physics.removeForceField(msg.id)
+            break
+        case 'setCollisionEvents':
+            physics.setCollisionEvents(msg.enabled)
+            break
+        case 'setFormation':
+            physics.setFormation(msg.points, msg.options)
+            break
+        case 'clearFormation':
+            physics.clearFormation(msg.scatter)
+            break
+        case 'setHoop':
+            physics.setHoop(msg.spec)
+            break
+        case 'setBallGravity':
+            physics.setBallGravity(msg.index, msg.enabled)
+            break
+        case 'release':
+            physics.release(msg.velocity ? releaseVelocity.fromArray(msg.velocity) : null)
+            break
+    }
+}
@@ -0,0 +1,359 @@
+// physicsWorkerClient.js — Main-thread proxy for physics running in a Web Worker
+// Exposes the surface Basketballs uses on PhysicsSimulator (advance / updateInstances / pick / grab),
+// but advance() only forwards the camera: the worker advances on its own clock, and updateInstances()
+// interpolates between the last two published states while writing instance matrices. If the worker
+// can't run after all, the client carries on with an in-thread simulator behind the same surface.
+
+import * as THREE from 'three'
+import {
+    COLLISION_EVENT_STRIDE, MAX_COLLISION_EVENTS, PhysicsSimulator, TRANSFORM_STRIDE, pickSphere, writeInstanceMatrix,
+} from './physics.js'
+import { sharedBufferSize, createSharedViews, readStats } from './physicsBuffer.js'
+import { applyPhysicsMessage, createFromInit } from './physicsMessages.js'
+import { MultiplayerClient } from './multiplayerClient.js'
+
+// Workers alone aren't enough: SharedArrayBuffer needs a cross-origin isolated page (COOP + COEP)
+export function canUseWorkerPhysics() {
+    return typeof Worker !== 'undefined' &&
+        typeof SharedArrayBuffer !== 'undefined' &&
+        globalThis.crossOriginIsolated === true
+}
+
+// The multiplayer server's scene when given its URL (options.server); otherwise worker-backed
+// physics when requested and supported, in-thread PhysicsSimulator otherwise
+export function createPhysics(count, ballRadius, options = {}) {
+    if (options.server) return new MultiplayerClient(options.server, count, ballRadius, options)
+    if (options.worker && canUseWorkerPhysics()) return new PhysicsWorkerClient(count, ballRadius, options)
+    return new PhysicsSimulator(count, ballRadius, options)
+}
+
+// A live snapshot minus what initMessage() sends on its own (a formation is assigned afresh)
+function withoutSettings(state) {
+    return { ...state, forceFields: [], formation: null }
+}
+
+export class PhysicsWorkerClient {
+    constructor(count, ballRadius, options = {}) {
+        // Lay out the initial scene here so the first frames are valid before the worker boots
+        const initial = new PhysicsSimulator(count, ballRadius, options)
+        this.count = count
+        this.BALL_RADIUS = initial.BALL_RADIUS
+        this.radii = initial.radii
+        this.seed = initial.seed
+        this.initialState = initial.snapshot()
+
+        this.buffer = new SharedArrayBuffer(sharedBufferSize(count))
+        this.views = createSharedViews(this.buffer, count)
+        this.slotSize = count * TRANSFORM_STRIDE
+        for (let slot = 0; slot < 3; slot++) initial.writeTransforms(this.views.transforms, slot * this.slotSize)
+
+        this.worker = null
+        this.local = null // the in-thread simulator once the worker has failed (fallBack) or during takeOver()
+        this.heldInThread = false // local is a takeOver(), which handBack() returns to a worker
+        this.takingOver = null // resolves takeOver() once the worker's state is here
+        this.mode = { mode: options.mode || 'float', options: { walls: options.walls } }
+        this.boundary = options.boundary || 'sphere'
+        this.config = initial.config
+        this.stats = { ...initial.getStats() }
+        this.acceleration = [0, 0, 0]
+        this.idleDiffusion = true
+        this.timeScale = 1
+        this.forceFields = new Map() // id → spec, numbered here so ids are known without a round trip
+        this.nextForceFieldId = 1
+        this.formation = null // { points, options } — re-sent to a restarted worker, which assigns afresh
+        this.collisionEvents = null // filled from the worker's 'collisions' messages until drained
+        this.collisionEventCount = 0
+        this.hoop = null // spec, re-sent to a restarted worker like the falling balls
+        this.fallingBalls = new Set()
+        this.baskets = [] // from the worker's 'baskets' messages until drained
+
+        // Scratch quaternions for slerp (zero GC pressure)
+        this.tempQuat = new THREE.Quaternion()
+        this.tempQuatB = new THREE.Quaternion()
+    }
+
+    // Spawn the worker. Paired with stop() in an effect, so StrictMode remounts get a fresh thread.
+    start() {
+        if (this.worker || this.local) return
+        try {
+            this.worker = new Worker(new URL('./physics.worker.js', import.meta.url), { type: 'module' })
+        } catch {
+            this.fallBack() // no module workers in this browser
+            return
+        }
+        this.worker.onerror = () => this.fallBack() // the script didn't load (blocked by COEP, CSP, ...)
+        this.worker.onmessage = (e) => {
+            if (e.data.type === 'collisions') this.receiveCollisions(e.data.events)
+            else if (e.data.type === 'baskets') this.baskets.push(...e.data.balls)
+            else if (e.data.type === 'failed') this.fallBack()
+            else if (e.data.type === 'state') this.receiveState(e.data.state)
+        }
+        this.worker.postMessage(this.initMessage())
+    }
+
+    stop() {
+        this.resolveTakeOver()
+        if (!this.worker) return
+        this.worker.terminate()
+        this.worker = null
+    }
+
+    // Everything a fresh simulator needs to pick up where this client is
+    initMessage() {
+        return {
+            type: 'init', count: this.count, ballRadius: this.BALL_RADIUS,
+            state: this.initialState, buffer: this.buffer, mode: this.mode, boundary: this.boundary,
+            config: this.config, acceleration: this.acceleration, idleDiffusion: this.idleDiffusion, timeScale: this.timeScale,
+            forceFields: [...this.forceFields.values()], formation: this.formation,
+            collisionEvents: this.collisionEvents !== null,
+            hoop: this.hoop, fallingBalls: [...this.fallingBalls],
+        }
+    }
+
+    // The worker couldn't run: simulate in-thread from the initial state and the current settings.
+    // Later calls go straight to that simulator.
+    fallBack() {
+        this.stop()
+        if (this.local) return
+        this.local = createFromInit(this.initMessage())
+    }
+
+    // Step in-thread from the worker's current state until handBack(). The offline PNG export drives
+    // the clock itself, one advance() per step, which a worker on its own timer can't follow.
+    // Resolves once the state has arrived (at once when there's no worker).
+    takeOver() {
+        if (!this.worker || this.takingOver) return Promise.resolve()
+        return new Promise(resolve => {
+            this.takingOver = resolve
+            this.worker.postMessage({ type: 'takeOver' })
+        })
+    }
+
+    receiveState(state) {
+        this.local = createFromInit({ ...this.initMessage(), state: withoutSettings(state) })
+        this.heldInThread = true
+        this.stop() // and resolve takeOver()
+    }
+
+    resolveTakeOver() {
+        const resolve = this.takingOver
+        this.takingOver = null
+        resolve?.()
+    }
+
+    // Back to a worker after takeOver(), starting from where the in-thread simulator got to
+    handBack() {
+        if (!this.heldInThread) return
+        const local = this.local
+        this.heldInThread = false
+        this.local = null
+        this.initialState = withoutSettings(local.snapshot())
+        for (let slot = 0; slot < 3; slot++) local.writeTransforms(this.views.transforms, slot * this.slotSize)
+        this.start()
+    }
+
+    // To the worker, or to the in-thread simulator after a fallback
+    post(msg) {
+        if (this.local) applyPhysicsMessage(this.local, msg)
+        else this.worker?.postMessage(msg)
+    }
+
+    // The worker reads the camera from shared memory on its next tick
+    step(cameraPosition) {
+        const cam = this.views.camera
+        cam[0] = cameraPosition.x
+        cam[1] = cameraPosition.y
+        cam[2] = cameraPosition.z
+    }
+
+    // The worker keeps its own fixed-rate clock, so advance() only hands over the camera
+    advance(delta, cameraPosition) {
+        if (this.local) return this.local.advance(delta, cameraPosition)
+        this.step(cameraPosition)
+        return 0
+    }
+
+    // Blend the previous and latest published states by how far we are into the next step.
+    // `groups` as in PhysicsSimulator.updateInstances().
+    updateInstances(groups) {
+        if (this.local) return this.local.updateInstances(groups)
+        const { control, times, transforms } = this.views
+        const latest = Atomics.load(control, 0)
+        const prev = (latest + 2) % 3
+        const span = times[latest] - times[prev]
+        const now = performance.timeOrigin + performance.now()
+        const alpha = span > 0 ? Math.min(1, Math.max(0, (now - times[latest]) / span)) : 1
+
+        const a = prev * this.slotSize
+        const b = latest * this.slotSize
+        for (const { mesh, prim, start, count } of groups) {
+            if (!mesh && !prim) continue
+            const out = (mesh || prim).instanceMatrix.array
+            for (let n = 0; n < count; n++) {
+                const oa = a + (start + n) * TRANSFORM_STRIDE
+                const ob = b + (start + n) * TRANSFORM_STRIDE
+                const q = this.tempQuat.fromArray(transforms, oa + 3).slerp(this.tempQuatB.fromArray(transforms, ob + 3), alpha)
+                writeInstanceMatrix(out, n * 16,
+                    transforms[oa] + (transforms[ob] - transforms[oa]) * alpha,
+                    transforms[oa + 1] + (transforms[ob + 1] - transforms[oa + 1]) * alpha,
+                    transforms[oa + 2] + (transforms[ob + 2] - transforms[oa + 2]) * alpha,
+                    q.x, q.y, q.z, q.w)
+            }
+            if (mesh && prim) prim.instanceMatrix.array.set(out)
+            if (mesh) mesh.instanceMatrix.needsUpdate = true
+            if (prim) prim.instanceMatrix.needsUpdate = true
+        }
+    }
+
+    latestTransforms() {
+        const start = Atomics.load(this.views.control, 0) * this.slotSize
+        return this.views.transforms.subarray(start, start + this.slotSize)
+    }
+
+    // The worker's latest step stats (stepMs is measured on the worker thread)
+    getStats() {
+        if (this.local) return this.local.getStats()
+        return readStats(this.views.stats, this.stats)
+    }
+
+    pick(origin, direction) {
+        if (this.local) return this.local.pick(origin, direction)
+        return pickSphere(this.latestTransforms(), TRANSFORM_STRIDE, this.count, this.radii, origin, direction)
+    }
+
+    getPosition(index, out) {
+        if (this.local) return this.local.getPosition(index, out)
+        return out.fromArray(this.latestTransforms(), index * TRANSFORM_STRIDE)
+    }
+
+    // Remembered so a restarted worker comes back in the same mode
+    setMode(mode, options = {}) {
+        this.mode = { mode, options }
+        this.post({ type: 'setMode', mode, options })
+    }
+
+    // Boundary type names only — instances don't survive postMessage
+    setBoundary(type) {
+        this.boundary = type
+        this.post({ type: 'setBoundary', boundary: type })
+    }
+
+    setConfig(config) {
+        this.config = { ...this.config, ...config }
+        this.post({ type: 'setConfig', config })
+    }
+
+    setIdleDiffusion(enabled) {
+        this.idleDiffusion = enabled
+        this.post({ type: 'setIdleDiffusion', enabled })
+    }
+
+    // The worker's clock can't see advance()'s delta, so it scales its own step rate instead
+    setTimeScale(scale) {
+        this.timeScale = scale
+        this.post({ type: 'setTimeScale', scale })
+    }
+
+    // Only posted when the value changes — input sets it every frame
+    setExternalAcceleration(x, y, z) {
+        const a = this.acceleration
+        if (a[0] === x && a[1] === y && a[2] === z) return
+        this.acceleration = [x, y, z]
+        this.post({ type: 'setAcceleration', acceleration: this.acceleration })
+    }
+
+    applyImpulse(x, y, z) {
+        this.post({ type: 'impulse', impulse: [x, y, z] })
+    }
+
+    addForceField(spec) {
+        const id = spec.id ?? this.nextForceFieldId
+        this.nextForceFieldId = Math.max(this.nextForceFieldId, id + 1)
+        const stored = { ...spec, id }
+        this.forceFields.set(id, stored)
+        this.post({ type: 'addForceField', spec: stored })
+        return id
+    }
+
+    updateForceField(id, changes) {
+        const spec = this.forceFields.get(id)
+        if (spec) this.forceFields.set(id, { ...spec, ...changes })
+        this.post({ type: 'updateForceField', id, changes })
+    }
+
+    removeForceField(id) {
+        this.forceFields.delete(id)
+        this.post({ type: 'removeForceField', id })
+    }
+
+    getForceFields() {
+        return [...this.forceFields.values()]
+    }
+
+    setCollisionEvents(enabled) {
+        this.collisionEvents = enabled ? new Float32Array(MAX_COLLISION_EVENTS * COLLISION_EVENT_STRIDE) : null
+        this.collisionEventCount = 0
+        this.post({ type: 'setCollisionEvents', enabled })
+    }
+
+    // Append a step's worth of events from the worker, dropping what doesn't fit (like the simulator)
+    receiveCollisions(events) {
+        if (this.collisionEvents === null) return
+        const room = MAX_COLLISION_EVENTS - this.collisionEventCount
+        const count = Math.min(room, events.length / COLLISION_EVENT_STRIDE)
+        this.collisionEvents.set(events.subarray(0, count * COLLISION_EVENT_STRIDE), this.collisionEventCount * COLLISION_EVENT_STRIDE)
+        this.collisionEventCount += count
+    }
+
+    drainCollisionEvents() {
+        if (this.local) return this.local.drainCollisionEvents()
+        const count = this.collisionEventCount
+        this.collisionEventCount = 0
+        return { data: this.collisionEvents, count }
+    }
+
+    setFormation(points, options = {}) {
+        this.formation = { points: Array.from(points), options }
+        this.post({ type: 'setFormation', ...this.formation })
+    }
+
+    clearFormation(scatter) {
+        this.formation = null
+        this.post({ type: 'clearFormation', scatter })
+    }
+
+    getFormation() {
+        return this.formation
+    }
+
+    setHoop(spec) {
+        this.hoop = spec
+        this.baskets.length = 0
+        this.post({ type: 'setHoop', spec })
+    }
+
+    drainBaskets() {
+        if (this.local) return this.local.drainBaskets()
+        const balls = this.baskets.slice()
+        this.baskets.length = 0
+        return balls
+    }
+
+    setBallGravity(index, enabled) {
+        if (enabled) this.fallingBalls.add(index)
+        else this.fallingBalls.delete(index)
+        this.post({ type: 'setBallGravity', index, enabled })
+    }
+
+    grab(index, target) {
+        this.post({ type: 'grab', index, target: target.toArray() })
+    }
+
+    moveGrab(target) {
+        this.post({ type: 'moveGrab', target: target.toArray() })
+    }
+
+    release(velocity) {
+        this.post({ type: 'release', velocity: velocity ? velocity.toArray() : null })
+    }
+}
@@ -0,0 +1,132 @@
+// quality.js — Rendering/simulation quality tiers and the adaptive governor that picks one
+// The governor watches real frame times and steps down a tier when the frame rate stays low, and
+// back up when it has stayed high for a while. Pinning a tier (M key, ?quality=, `quality` prop)
+// switches the governor off.
+
+// Highest first. Effects not listed in `effects` are forced off; maxSubSteps/maxSolverIterations cap
+// the physics config; countScale multiplies the ball count (changing it rebuilds the simulator).
+// `lowPower` is the old High Compatibility look (flat sun, brighter ambient, no composer).
+export const QUALITY_TIERS = Object.freeze([
+    Object.freeze({
+        name: 'high', label: 'High', dpr: 1.5, shadowMapSize: 4096, multisampling: 4,
+        effects: ['Vignette', 'Shadows', 'Bloom', 'Noise', 'Environment'],
+        countScale: 1, maxSubSteps: Infinity, maxSolverIterations: Infinity, wireSegments: 24, lowPower: false,
+    }),
+    Object.freeze({
+        name: 'medium', label: 'Medium', dpr: 1.25, shadowMapSize: 2048, multisampling: 0,
+        effects: ['Vignette', 'Shadows', 'Bloom', 'Environment'],
+        countScale: 1, maxSubSteps: 2, maxSolverIterations: 4, wireSegments: 16, lowPower: false,
+    }),
+    Object.freeze({
+        name: 'low', label: 'Low', dpr: 1, shadowMapSize: 1024, multisampling: 0,
+        effects: ['Vignette', 'Shadows'],
+        countScale: 0.75, maxSubSteps: 1, maxSolverIterations: 3, wireSegments: 12, lowPower: false,
+    }),
+    Object.freeze({
+        name: 'minimal', label: 'Minimal', dpr: 1, shadowMapSize: 0, multisampling: 0,
+        effects: [],
+        countScale: 0.5, maxSubSteps: 1, maxSolverIterations: 2, wireSegments: 8, lowPower: true,
+    }),
+])
+
+export const QUALITY_NAMES = QUALITY_TIERS.map(tier => tier.name)
+
+// Tier index for a name ('high', ...) or index; -1 when unknown
+export function qualityIndex(quality) {
+    if (Number.isInteger(quality)) return quality >= 0 && quality < QUALITY_TIERS.length ? quality : -1
+    return QUALITY_NAMES.indexOf(quality)
+}
+
+// Apply a tier to the scene settings: effects filtered, physics capped, count scaled
+export function applyQualityTier(tier, { effects, physicsConfig, count }) {
+    return {
+        effects: Object.fromEntries(Object.entries(effects).map(([name, on]) => [name, on && tier.effects.includes(name)])),
+        physicsConfig: {
+            ...physicsConfig,
+            subSteps: Math.min(physicsConfig.subSteps, tier.maxSubSteps),
+            solverIterations: Math.min(physicsConfig.solverIterations, tier.maxSolverIterations),
+        },
+        count: Math.max(1, Math.round(count * tier.countScale)),
+    }
+}
+
+// Hysteresis comes from three places: separate down/up thresholds, needing several bad windows to
+// step down but many more good ones to step up, and doubling the wait for an upgrade whenever one
+// had to be undone soon after (so a tier that can't hold the frame rate isn't retried every few seconds).
+//   lowFps / highFps      — window average below lowFps counts as bad, above highFps as good
+//   windowFrames          — frames averaged per decision window
+//   downWindows / upWindows — consecutive bad/good windows before a step down/up
+//   settleFrames          — frames ignored after a change (shader compiles, buffer reallocation)
+//   maxFrameMs            — longer frames are dropped (hidden tab, breakpoint) rather than counted
+export class QualityGovernor {
+    constructor({
+        tier = 0, tierCount = QUALITY_TIERS.length, lowFps = 45, highFps = 57,
+        windowFrames = 60, downWindows = 2, upWindows = 6, settleFrames = 60, maxFrameMs = 250,
+    } = {}) {
+        this.tier = tier
+        this.tierCount = tierCount
+        this.lowFrameMs = 1000 / lowFps
+        this.highFrameMs = 1000 / highFps
+        this.windowFrames = windowFrames
+        this.downWindows = downWindows
+        this.baseUpWindows = upWindows
+        this.upWindows = upWindows
+        this.settleFrames = settleFrames
+        this.maxFrameMs = maxFrameMs
+        this.reset()
+    }
+
+    // Start measuring afresh (after a tier change, or when the governor is switched back on)
+    reset() {
+        this.settle = this.settleFrames
+        this.windowSum = 0
+        this.windowCount = 0
+        this.badWindows = 0
+        this.goodWindows = 0
+        this.lastUpgradeWindows = Infinity // windows since the last step up
+    }
+
+    // Feed one frame's duration. Returns true when the tier changed.
+    sample(frameMs) {
+        if (!(frameMs > 0) || frameMs > this.maxFrameMs) return false
+        if (this.settle > 0) {
+            this.settle--
+            return false
+        }
+        this.windowSum += frameMs
+        if (++this.windowCount < this.windowFrames) return false
+
+        const averageMs = this.windowSum / this.windowCount
+        this.windowSum = 0
+        this.windowCount = 0
+        this.lastUpgradeWindows++
+
+        if (averageMs > this.lowFrameMs) {
+            this.goodWindows = 0
+            if (++this.badWindows >= this.downWindows && this.tier < this.tierCount - 1) {
+                // The last upgrade didn't hold: wait twice as long before trying it again
+                if (this.lastUpgradeWindows <= this.upWindows * 2) this.upWindows = Math.min(this.upWindows * 2, this.baseUpWindows * 16)
+                return this.change(this.tier + 1)
+            }
+        } else if (averageMs < this.highFrameMs) {
+            this.badWindows = 0
+            if (++this.goodWindows >= this.upWindows && this.tier > 0) {
+                const changed = this.change(this.tier - 1)
+                this.lastUpgradeWindows = 0
+                return changed
+            }
+        } else {
+            this.badWindows = 0
+            this.goodWindows = 0
+        }
+        return false
+    }
+
+    change(tier) {
+        const lastUpgradeWindows = this.lastUpgradeWindows
+        this.tier = tier
+        this.reset()
+        this.lastUpgradeWindows = lastUpgradeWindows
+        return true
+    }
+}
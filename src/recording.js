@@ -0,0 +1,153 @@
+// recording.js — Capture the scene: real-time WebM (MediaRecorder) and deterministic PNG sequences
+// Both read the final canvas, so post-processing is included. The canvas keeps
+// preserveDrawingBuffer: false — captureStream grabs composited frames, and offline frames are
+// read with toBlob() in the same task that rendered them, before the buffer is cleared.
+
+import { FIXED_TIMESTEP } from './physics.js'
+import { ZipWriter } from './zip.js'
+
+export const SIM_FRAME_RATE = Math.round(1 / FIXED_TIMESTEP) // offline frames advance the clock by exactly one step
+
+export const RECORDING_RESOLUTIONS = Object.freeze([
+    { label: '1280×720', width: 1280, height: 720 },
+    { label: '1920×1080', width: 1920, height: 1080 },
+    { label: '1080×1080', width: 1080, height: 1080 },
+    { label: '1080×1920', width: 1080, height: 1920 },
+])
+
+// Frames stay in memory until the ZIP downloads — roughly 1–3 MB per 1080p PNG — so a sequence
+// is capped at 300 frames' worth of 1080p pixels (5 s at 60 fps, 10 s at 30 fps)
+export const MAX_SEQUENCE_PIXELS = 1920 * 1080 * 300
+
+// Longest sequence (whole seconds, at least 1) that fits MAX_SEQUENCE_PIXELS
+export function maxSequenceSeconds(width, height, fps = SIM_FRAME_RATE) {
+    return Math.max(1, Math.floor(MAX_SEQUENCE_PIXELS / (width * height * fps)))
+}
+
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+
+export function canRecordVideo() {
+    return typeof MediaRecorder !== 'undefined' &&
+        typeof HTMLCanvasElement !== 'undefined' && 'captureStream' in HTMLCanvasElement.prototype
+}
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = filename
+    a.click()
+    URL.revokeObjectURL(url)
+}
+
+function toPngBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Canvas capture failed')), 'image/png')
+    })
+}
+
+// Give React a moment to commit size-dependent effects (EffectComposer resizes in a useEffect)
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 100))
+}
+
+export function frameName(n) {
+    return `frame_${String(n).padStart(5, '0')}.png`
+}
+
+// Offline render from an R3F root state: pauses the render loop, resizes the drawing buffer to
+// width × height (DPR 1), then drives every frame with state.advance() on a fixed clock. The scene
+// advances in 1/SIM_FRAME_RATE steps and frame n is captured at time n / fps, so the result is the
+// same on any machine and at any display frame rate. Each PNG goes into the ZIP as it's captured.
+// Resolves to the ZIP; rejects with a RangeError, before rendering anything, past MAX_SEQUENCE_PIXELS.
+// options: { width, height, fps = 60, seconds = 5, onProgress(done, total), signal (AbortSignal) }
+export async function renderFrameSequence(state, { width, height, fps = SIM_FRAME_RATE, seconds = 5, onProgress, signal } = {}) {
+    const total = Math.max(1, Math.round(fps * seconds))
+    if (total * width * height > MAX_SEQUENCE_PIXELS) {
+        throw new RangeError(`At ${width}×${height} and ${fps} fps a sequence can be at most ${maxSequenceSeconds(width, height, fps)} s`)
+    }
+    const { size, viewport, frameloop } = state
+    const canvas = state.gl.domElement
+    const zip = new ZipWriter()
+
+    state.setFrameloop('never') // resets the clock; advance(t) now sets it
+    state.setDpr(1)
+    state.setSize(width, height, false)
+    try {
+        await settle()
+        let simFrame = 0
+        for (let n = 1; n <= total; n++) {
+            signal?.throwIfAborted()
+            const target = Math.round(n * SIM_FRAME_RATE / fps)
+            while (simFrame < target) state.advance(++simFrame / SIM_FRAME_RATE)
+            await zip.add(frameName(n), await toPngBlob(canvas))
+            onProgress?.(n, total)
+        }
+    } finally {
+        state.setSize(size.width, size.height, size.updateStyle, size.top, size.left)
+        state.setDpr(viewport.dpr)
+        state.setFrameloop(frameloop)
+    }
+    return zip.finish()
+}
+
+// Recorder bound to an R3F root (getState returns its current state). One capture at a time.
+// hooks.beforeFrames / afterFrames (may return promises) run around every PNG sequence — the scene
+// uses them to step worker physics in-thread, where the offline clock drives it.
+export function createRecorder(getState, { beforeFrames, afterFrames } = {}) {
+    let video = null // { recorder, chunks, stream } while a WebM take is running
+    let rendering = false
+
+    const assertIdle = () => {
+        if (video || rendering) throw new Error('Recorder: a capture is already running')
+    }
+
+    return {
+        isRecording: () => video !== null,
+        isRendering: () => rendering,
+
+        // Start a WebM take of the live canvas. Returns the container/codec in use.
+        startVideo({ fps = SIM_FRAME_RATE, bitsPerSecond = 12_000_000 } = {}) {
+            assertIdle()
+            if (!canRecordVideo()) throw new Error('Recorder: this browser cannot record the canvas (MediaRecorder / captureStream)')
+            const stream = getState().gl.domElement.captureStream(fps)
+            const mimeType = VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type))
+            const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitsPerSecond })
+            const chunks = []
+            recorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data) }
+            recorder.start(1000) // hand over data every second instead of one huge buffer at the end
+            video = { recorder, chunks, stream }
+            return recorder.mimeType
+        },
+
+        // Finish the take. Resolves to the WebM Blob (null when nothing was recording).
+        stopVideo() {
+            if (!video) return Promise.resolve(null)
+            const { recorder, chunks, stream } = video
+            video = null
+            return new Promise(resolve => {
+                recorder.onstop = () => {
+                    stream.getTracks().forEach(track => track.stop())
+                    resolve(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }))
+                }
+                recorder.stop()
+            })
+        },
+
+        // Deterministic PNG sequence — see renderFrameSequence()
+        async renderFrames(options) {
+            assertIdle()
+            rendering = true
+            try {
+                await beforeFrames?.()
+                try {
+                    return await renderFrameSequence(getState(), options)
+                } finally {
+                    await afterFrames?.()
+                }
+            } finally {
+                rendering = false
+            }
+        },
+    }
+}
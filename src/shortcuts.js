@@ -0,0 +1,36 @@
+// shortcuts.js — The full-page site's keyboard shortcuts, as data
+// App's key handler, the "?" help overlay and the wireframe legend all read this list, so a new
+// shortcut only needs adding here (and an action in App).
+
+// key — KeyboardEvent.key, lower-cased; label — how it's printed; name — short legend text
+export const SHORTCUTS = Object.freeze([
+    { key: 'l', label: 'L', name: 'Theme', description: 'Cycle the theme presets: Dark, Light, Arena night, Sunset court, Studio, then any registered ones' },
+    { key: 'm', label: 'M', name: 'Quality', description: 'Cycle the quality pin: auto, High, Medium, Low, Minimal' },
+    { key: 'p', label: 'P', name: 'Wireframe', description: 'Wireframe view with the diagnostics HUD' },
+    { key: 'o', label: 'O', name: 'Effects', description: 'Turn post-processing effects off one by one, then all back on' },
+    { key: 'g', label: 'G', name: 'Gravity', description: 'Court mode: gravity, a floor and walls' },
+    { key: 'b', label: 'B', name: 'Boundary', description: 'Cycle the boundary shape: sphere, box, tube, inverted' },
+    { key: 'c', label: 'C', name: 'Controls', description: 'Open or close the control panel' },
+    { key: 'f', label: 'F', name: 'Fields', description: 'Cycle what a tap or long press in empty space spawns: attractor, repulsor, vortex, wind, nothing' },
+    { key: 'a', label: 'A', name: 'Formation', description: 'Assemble the balls into a grid, sphere, ring, text, a logo, then let them drift again' },
+    { key: 't', label: 'T', name: 'Timeline', description: 'Play or stop a timeline that cycles through every formation' },
+    { key: 'h', label: 'H', name: 'Hoop', description: 'Hoop mini-game: throw balls at a hoop for a minute; only the thrown ball falls' },
+    { key: 'v', label: 'V', name: 'Sound', description: 'Mute or unmute the collision sounds (they start with the first click or tap on the scene)' },
+    { key: 'r', label: 'R', name: 'Record', description: 'Start or stop a WebM recording' },
+    { key: '?', label: '?', name: 'Help', description: 'Show or hide this list' },
+])
+
+const EDITABLE_TAGS = new Set(['INPUT', 'TEXTAREA', 'SELECT'])
+
+// Whether a keydown is meant for the scene: no Ctrl/Alt/Meta chord (browser and OS shortcuts
+// keep working), not typed into a form field, and focus is on the page itself or inside `root`
+// — so forms and widgets elsewhere on an embedding page keep their keys.
+export function isShortcutEvent(event, root) {
+    if (event.ctrlKey || event.altKey || event.metaKey || event.defaultPrevented) return false
+    const target = event.target
+    if (!target) return true
+    if (target.isContentEditable || EDITABLE_TAGS.has(target.tagName)) return false
+    const doc = target.ownerDocument
+    if (doc && (target === doc.body || target === doc.documentElement)) return true
+    return Boolean(root?.contains(target))
+}
@@ -0,0 +1,112 @@
+// spatialGrid.js — Uniform-grid broadphase for the physics engine
+// Buckets particles into cubic cells with a counting sort (no per-frame allocation), then emits
+// candidate pairs from each cell and its 13 "forward" neighbours so every pair is visited once.
+// Cell size must be >= the largest interaction distance, otherwise pairs are missed.
+
+const MAX_CELLS_PER_AXIS = 64 // caps memory when balls are tiny relative to the boundary
+
+// Half of the 26-cell neighbourhood (lexicographically positive offsets) — the other half
+// is covered when the neighbouring cell takes its own turn.
+const FORWARD_OFFSETS = []
+for (let dz = -1; dz <= 1; dz++) {
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+            if (dz > 0 || (dz === 0 && (dy > 0 || (dy === 0 && dx > 0)))) FORWARD_OFFSETS.push([dx, dy, dz])
+        }
+    }
+}
+
+export class SpatialGrid {
+    // cellSize: interaction range. halfExtent: half-width of the cube that holds the particles.
+    constructor(cellSize, halfExtent, capacity) {
+        const n = Math.max(1, Math.min(MAX_CELLS_PER_AXIS, Math.ceil((2 * halfExtent) / cellSize)))
+        this.cellsPerAxis = n
+        this.cellSize = Math.max(cellSize, (2 * halfExtent) / n) // grows when the axis cap kicks in
+        this.invCellSize = 1 / this.cellSize
+        this.origin = -halfExtent
+        this.cellCount = n * n * n
+
+        this.cellStart = new Int32Array(this.cellCount + 1) // prefix sums into cellItems
+        this.cellCursor = new Int32Array(this.cellCount)    // scatter write heads
+        this.cellItems = new Int32Array(capacity)           // particle indices sorted by cell
+        this.particleCell = new Int32Array(capacity)
+        this.pairs = new Int32Array(Math.max(16, capacity * 8)) // flat [i, j, i, j, ...], grows on demand
+        this.pairCount = 0
+    }
+
+    // Out-of-range coordinates clamp to the edge cells, which keeps neighbour queries correct
+    cellCoord(v) {
+        const c = Math.floor((v - this.origin) * this.invCellSize)
+        return c < 0 ? 0 : (c >= this.cellsPerAxis ? this.cellsPerAxis - 1 : c)
+    }
+
+    // Bucket `count` particles by position (flat xyz array)
+    build(positions, count) {
+        const n = this.cellsPerAxis
+        const cellStart = this.cellStart
+        cellStart.fill(0)
+
+        for (let i = 0; i < count; i++) {
+            const o = i * 3
+            const cell = this.cellCoord(positions[o]) + n * (this.cellCoord(positions[o + 1]) + n * this.cellCoord(positions[o + 2]))
+            this.particleCell[i] = cell
+            cellStart[cell + 1]++
+        }
+        for (let c = 0; c < this.cellCount; c++) cellStart[c + 1] += cellStart[c]
+
+        this.cellCursor.set(cellStart.subarray(0, this.cellCount))
+        for (let i = 0; i < count; i++) {
+            this.cellItems[this.cellCursor[this.particleCell[i]]++] = i
+        }
+    }
+
+    // Fill `pairs` with every candidate pair in the same or adjacent cells. Returns the pair count.
+    collectPairs() {
+        const n = this.cellsPerAxis
+        const cellStart = this.cellStart
+        const items = this.cellItems
+        this.pairCount = 0
+
+        for (let cz = 0; cz < n; cz++) {
+            for (let cy = 0; cy < n; cy++) {
+                for (let cx = 0; cx < n; cx++) {
+                    const cell = cx + n * (cy + n * cz)
+                    const start = cellStart[cell]
+                    const end = cellStart[cell + 1]
+                    if (start === end) continue
+
+                    // Pairs within the cell
+                    for (let a = start; a < end; a++) {
+                        for (let b = a + 1; b < end; b++) this.pushPair(items[a], items[b])
+                    }
+
+                    // Pairs with forward neighbours
+                    for (let k = 0; k < FORWARD_OFFSETS.length; k++) {
+                        const o = FORWARD_OFFSETS[k]
+                        const nx = cx + o[0], ny = cy + o[1], nz = cz + o[2]
+                        if (nx < 0 || ny < 0 || nz >= n || nx >= n || ny >= n) continue
+                        const other = nx + n * (ny + n * nz)
+                        const oStart = cellStart[other]
+                        const oEnd = cellStart[other + 1]
+                        for (let a = start; a < end; a++) {
+                            for (let b = oStart; b < oEnd; b++) this.pushPair(items[a], items[b])
+                        }
+                    }
+                }
+            }
+        }
+        return this.pairCount
+    }
+
+    pushPair(i, j) {
+        const at = this.pairCount * 2
+        if (at + 2 > this.pairs.length) {
+            const grown = new Int32Array(this.pairs.length * 2)
+            grown.set(this.pairs)
+            this.pairs = grown
+        }
+        this.pairs[at] = i
+        this.pairs[at + 1] = j
+        this.pairCount++
+    }
+}
@@ -0,0 +1,135 @@
+// themes.js — Named looks for the scene, as data
+// A theme is everything that used to hang off the dark/light boolean: background, light colours and
+// intensities, the sun and its glow, the Environment preset and effect strengths. The built-in
+// 'dark' and 'light' reproduce the original two looks; L cycles through every registered theme, and
+// a host page can add its own with registerTheme().
+
+// name — id used by the `theme` prop, ?theme= and the L cycle; label — shown in the HUD
+// dark — the background is dark: HUD text, wireframe lines and the floor shadow go light-on-dark
+// background — CSS colour of the page and the canvas
+// ambient, sun, fill, accent — { color, intensity }; ambient/sun also have lowPowerIntensity for the
+//   Minimal tier's flat look, which has no accent light
+// sunColor — emissive colour of the sun sphere; lowPowerSunColor — its flat colour on Minimal
+// glow — the sun glow's colour stops [centre, inner, outer], fading to black at the edge. Taken as raw
+//   RGB (the glow is additive and not tone-mapped), so '#ff8000' is exactly (1, 0.5, 0)
+// glowScale, lowPowerGlowScale — size of the glow sprite
+// environment — drei <Environment> preset; environmentIntensity — its strength
+// bloom, noise — multiply the rendering config's bloomIntensity / noiseOpacity; vignette — darkness
+export const DARK_THEME = Object.freeze({
+    name: 'dark', label: 'Dark', dark: true,
+    background: '#020202',
+    ambient: Object.freeze({ color: '#ffffff', intensity: 0.0125, lowPowerIntensity: 0.25 }),
+    sun: Object.freeze({ color: '#ffffff', intensity: 2.5, lowPowerIntensity: 2.75 }),
+    fill: Object.freeze({ color: '#ffffff', intensity: 0.25 }),
+    accent: Object.freeze({ color: '#ffeedd', intensity: 0.05 }),
+    sunColor: '#fff9e6', lowPowerSunColor: '#fff5e0',
+    glow: Object.freeze(['#ffffff', '#fff0c7', '#ffb363']),
+    glowScale: 70, lowPowerGlowScale: 40,
+    environment: 'city', environmentIntensity: 0.06,
+    bloom: 1, noise: 1, vignette: 0.65,
+})
+
+export const LIGHT_THEME = Object.freeze({
+    ...DARK_THEME,
+    name: 'light', label: 'Light', dark: false,
+    background: '#f0f0f0',
+    ambient: Object.freeze({ color: '#ffffff', intensity: 0, lowPowerIntensity: 0.45 }),
+    sun: Object.freeze({ color: '#ffffff', intensity: 3.0, lowPowerIntensity: 2.5 }),
+    fill: Object.freeze({ color: '#ffffff', intensity: 0.1 }),
+    accent: Object.freeze({ color: '#ffeedd', intensity: 0.02 }),
+    lowPowerSunColor: '#ffffff',
+    lowPowerGlowScale: 80,
+    environmentIntensity: 0.4,
+    vignette: 0.38,
+})
+
+const LIGHTS = ['ambient', 'sun', 'fill', 'accent']
+
+// Fill a partial theme from `base` (a theme name or object; default: 'light' when dark is false,
+// else 'dark'). Light objects merge per field, so { sun: { color } } keeps the base intensity.
+function completeTheme(theme, base) {
+    const from = (typeof base === 'string' ? registry.get(base) : base)
+        ?? (theme.dark === false ? LIGHT_THEME : DARK_THEME)
+    const complete = { ...from, ...theme, label: theme.label ?? theme.name ?? from.label }
+    for (const light of LIGHTS) complete[light] = Object.freeze({ ...from[light], ...theme[light] })
+    complete.glow = Object.freeze([...(theme.glow ?? from.glow)])
+    delete complete.base
+    return Object.freeze(complete)
+}
+
+export const BUILT_IN_THEMES = Object.freeze([
+    DARK_THEME,
+    LIGHT_THEME,
+    completeTheme({
+        name: 'arena-night', label: 'Arena night',
+        background: '#03050c',
+        ambient: { color: '#b8c8ff', intensity: 0.02 },
+        sun: { color: '#dfe8ff', intensity: 2.3 },
+        fill: { color: '#3d5cff', intensity: 0.4 },
+        accent: { color: '#ff7a1a', intensity: 0.12 },
+        sunColor: '#e6eeff', lowPowerSunColor: '#e6eeff',
+        glow: ['#ffffff', '#dce6ff', '#6f8cff'],
+        environment: 'night', environmentIntensity: 0.2,
+        bloom: 1.25, vignette: 0.75,
+    }, DARK_THEME),
+    completeTheme({
+        name: 'sunset-court', label: 'Sunset court',
+        background: '#1c0e16',
+        ambient: { color: '#ffc9a8', intensity: 0.03 },
+        sun: { color: '#ffb47a', intensity: 2.6 },
+        fill: { color: '#7c3cff', intensity: 0.3 },
+        accent: { color: '#ff8a3d', intensity: 0.1 },
+        sunColor: '#ffcf99', lowPowerSunColor: '#ffcf99',
+        glow: ['#ffffff', '#ffd29a', '#ff5a2e'],
+        glowScale: 85,
+        environment: 'sunset', environmentIntensity: 0.15,
+        bloom: 1.1, vignette: 0.6,
+    }, DARK_THEME),
+    completeTheme({
+        name: 'studio', label: 'Studio', dark: false,
+        background: '#e6e4e1',
+        ambient: { intensity: 0.15, lowPowerIntensity: 0.5 },
+        sun: { intensity: 2.2 },
+        fill: { intensity: 0.35 },
+        glow: ['#ffffff', '#f4f4f4', '#c8c8c8'],
+        glowScale: 50,
+        environment: 'studio', environmentIntensity: 0.6,
+        bloom: 0.6, noise: 0.5, vignette: 0.22,
+    }, LIGHT_THEME),
+])
+
+const registry = new Map(BUILT_IN_THEMES.map(theme => [theme.name, theme]))
+
+// Add a theme (or replace one with the same name). Omitted fields come from `theme.base` — a theme
+// name or object — or from 'dark'/'light' by its `dark` flag. Returns the complete, frozen theme.
+export function registerTheme(theme) {
+    if (!theme || typeof theme.name !== 'string' || !/^[\w-]+$/.test(theme.name)) {
+        throw new TypeError('registerTheme: a theme needs a name made of letters, digits, "_" or "-"')
+    }
+    const complete = completeTheme(theme, theme.base)
+    registry.set(complete.name, complete)
+    return complete
+}
+
+// The registered theme with this name, or null
+export function getTheme(name) {
+    return registry.get(name) ?? null
+}
+
+// Registered names in L-cycle order (built-ins first, then in registration order)
+export function themeNames() {
+    return [...registry.keys()]
+}
+
+// The theme after `name` in the L cycle (wraps; an unknown name starts over)
+export function nextThemeName(name) {
+    const names = themeNames()
+    return names[(names.indexOf(name) + 1) % names.length]
+}
+
+// The `theme` prop: a registered name or a theme object (completed like registerTheme, but not
+// registered). Unknown names fall back to 'dark'.
+export function resolveTheme(theme) {
+    if (theme && typeof theme === 'object') return completeTheme(theme, theme.base)
+    return getTheme(theme) ?? DARK_THEME
+}
@@ -0,0 +1,59 @@
+// urlState.js — App state ⇄ query string, so a link reproduces exactly what's on screen
+// Read once on load; written back with history.replaceState (no history entries, no reload).
+// Params this module doesn't know about (?worker, ?walls, ...) are left untouched.
+
+import { getTheme } from './themes.js'
+
+const CAMERA_PRECISION = 100 // 2 decimals — plenty for a reproducible view, short URLs
+
+function parseVector(value) {
+    if (!value) return null
+    const v = value.split(',').map(Number)
+    return v.length === 3 && v.every(Number.isFinite) ? v : null
+}
+
+function formatVector(v) {
+    return v.map(x => Math.round(x * CAMERA_PRECISION) / CAMERA_PRECISION).join(',')
+}
+
+// Flags are written bare (?compat), so `?flag` and `?flag=1` are on, `?flag=0` is off
+function parseFlag(params, name) {
+    return params.has(name) && params.get(name) !== '0'
+}
+
+// Everything the query string can set. null/undefined = not in the URL (use the app default).
+export function readUrlState(search = window.location.search) {
+    const params = new URLSearchParams(search)
+    const theme = params.get('theme')
+    return {
+        theme: getTheme(theme) ? theme : null, // any registered theme (register brand themes before the first render)
+        isLowPower: parseFlag(params, 'compat'), // legacy — same as ?quality=minimal
+        quality: params.get('quality'),
+        isPrimitive: params.has('wireframe') ? parseFlag(params, 'wireframe') : null,
+        reducedMotion: params.has('reducedMotion') ? parseFlag(params, 'reducedMotion') : null,
+        disabledEffects: params.get('off') ? params.get('off').split(',') : [],
+        isCourt: parseFlag(params, 'court'),
+        boundary: params.get('boundary'),
+        count: params.get('count'),
+        seed: params.get('seed') ?? undefined,
+        cameraPosition: parseVector(params.get('cam')),
+        cameraTarget: parseVector(params.get('target')),
+    }
+}
+
+// Merge `values` into the current query string. true → bare flag, false/null → removed.
+// Camera vectors (arrays) are rounded. Other values are stringified.
+export function writeUrlParams(values) {
+    const params = new URLSearchParams(window.location.search)
+    for (const [key, value] of Object.entries(values)) {
+        if (value === null || value === undefined || value === false) params.delete(key)
+        else if (value === true) params.set(key, '')
+        else if (Array.isArray(value)) params.set(key, formatVector(value))
+        else params.set(key, String(value))
+    }
+    const query = params.toString().replace(/=(?=&|$)/g, '').replace(/%2C/g, ',')
+    const url = window.location.pathname + (query ? `?${query}` : '') + window.location.hash
+    if (url !== window.location.pathname + window.location.search + window.location.hash) {
+        window.history.replaceState(window.history.state, '', url)
+    }
+}
@@ -0,0 +1,73 @@
+// zip.js — Minimal ZIP writer (store only, no compression) for exporting PNG frame sequences
+// PNGs are already deflated, so storing them costs nothing. Entries stay Blobs while the archive
+// is assembled; only one file's bytes are read at a time (for its CRC), as it's added.
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+    return c
+})
+
+export function crc32(bytes, crc = 0) {
+    let c = ~crc
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8)
+    return ~c >>> 0
+}
+
+// Little-endian header fields: [size in bytes, value] pairs
+function header(fields) {
+    const bytes = new Uint8Array(fields.reduce((sum, [size]) => sum + size, 0))
+    const view = new DataView(bytes.buffer)
+    let o = 0
+    for (const [size, value] of fields) {
+        if (size === 2) view.setUint16(o, value, true)
+        else view.setUint32(o, value, true)
+        o += size
+    }
+    return bytes
+}
+
+// Writes entries one at a time as they're produced: each is read once for its CRC and then only
+// referenced (a Blob stays a Blob, which the browser may keep on disk) until finish().
+export class ZipWriter {
+    constructor() {
+        this.encoder = new TextEncoder()
+        this.parts = []
+        this.central = []
+        this.offset = 0
+        this.count = 0
+    }
+
+    // data — a Blob or Uint8Array
+    async add(name, data) {
+        if (this.count === 0xFFFF) throw new Error('createZip: more than 65,535 files (ZIP64 is not supported)')
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(await data.arrayBuffer())
+        const nameBytes = this.encoder.encode(name)
+        const crc = crc32(bytes)
+        const size = bytes.length
+        if (this.offset + size > 0xFFFFFFFF) throw new Error('createZip: archive exceeds 4 GB (ZIP64 is not supported)')
+
+        // version, flags, method (0 = store), time, date, crc, sizes, name length, extra length
+        const common = [[2, 10], [2, 0x0800], [2, 0], [2, 0], [2, 0x21], [4, crc], [4, size], [4, size], [2, nameBytes.length], [2, 0]]
+        this.parts.push(header([[4, 0x04034B50], ...common]), nameBytes, data)
+        this.central.push(header([[4, 0x02014B50], [2, 20], ...common, [2, 0], [2, 0], [2, 0], [4, 0], [4, this.offset]]), nameBytes)
+        this.offset += 30 + nameBytes.length + size
+        this.count++
+    }
+
+    // The archive as an application/zip Blob
+    finish() {
+        const centralSize = this.central.reduce((sum, part) => sum + part.length, 0)
+        const end = header([[4, 0x06054B50], [2, 0], [2, 0], [2, this.count], [2, this.count], [4, centralSize], [4, this.offset], [2, 0]])
+        return new Blob([...this.parts, ...this.central, end], { type: 'application/zip' })
+    }
+}
+
+// files: [{ name, data }] where data is a Blob or Uint8Array. Resolves to an application/zip Blob.
+// Timestamps are left at the DOS epoch so the same frames always produce the same archive.
+export async function createZip(files) {
+    if (files.length > 0xFFFF) throw new Error('createZip: more than 65,535 files (ZIP64 is not supported)')
+    const zip = new ZipWriter()
+    for (const { name, data } of files) await zip.add(name, data)
+    return zip.finish()
+}
@@ -0,0 +1,80 @@
+// ballTypes.test.js — Mixed ball types: count layout, per-ball radii and mass-weighted contacts
+// Run with: npm test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from 'three'
+import { BASKETBALL, ballProperties, layoutBallTypes, resolveBallTypes } from '../src/ballTypes.js'
+import { PhysicsSimulator, CONTACT_GAP, DEFAULT_BALL_RADIUS } from '../src/physics.js'
+
+const FAR_CAMERA = new THREE.Vector3(0, 0, 500)
+
+test('resolveBallTypes defaults to basketballs and fills omitted fields', () => {
+    assert.deepEqual(resolveBallTypes(undefined, '/assets/Ball.gltf'), [{ ...BASKETBALL, url: '/assets/Ball.gltf' }])
+    const [tennis] = resolveBallTypes([{ url: '/Tennis.gltf', node: 'Ball', scale: 0.4, mass: 0.1 }])
+    assert.equal(tennis.material, BASKETBALL.material)
+    assert.equal(tennis.share, 1)
+    assert.equal(tennis.scale, 0.4)
+})
+
+test('layoutBallTypes splits the count by share into contiguous ranges', () => {
+    const layout = layoutBallTypes([{ share: 2 }, { share: 1 }, { share: 1 }], 10)
+    assert.deepEqual(layout, [{ start: 0, count: 5 }, { start: 5, count: 3 }, { start: 8, count: 2 }])
+    assert.deepEqual(layoutBallTypes([{ share: 0 }, { share: 0 }], 3).map(r => r.count), [2, 1])
+})
+
+test('ballProperties expands type radii and masses per ball', () => {
+    const types = resolveBallTypes([{ mass: 1 }, { mass: 0.25 }])
+    const { radii, masses } = ballProperties(types, layoutBallTypes(types, 4), [3.5, 1.5])
+    assert.deepEqual(Array.from(radii), [3.5, 3.5, 1.5, 1.5])
+    assert.deepEqual(Array.from(masses), [1, 1, 0.25, 0.25])
+})
+
+test('mixed sizes never overlap by more than a sliver of their own contact distance', () => {
+    const types = resolveBallTypes([{ scale: 1.6, mass: 0.4, share: 1 }, { share: 3 }, { scale: 0.4, mass: 0.1, share: 4 }])
+    const layout = layoutBallTypes(types, 80)
+    const { radii, masses } = ballProperties(types, layout, types.map(t => DEFAULT_BALL_RADIUS * t.scale))
+    const physics = new PhysicsSimulator(80, DEFAULT_BALL_RADIUS, { seed: 3, radii, masses })
+    assert.equal(physics.BALL_RADIUS, Math.fround(DEFAULT_BALL_RADIUS * 1.6)) // largest type sizes the broadphase
+
+    const camera = new THREE.Vector3()
+    for (let step = 1; step <= 1500; step++) {
+        camera.set(Math.cos(step * 0.01) * 15, Math.sin(step * 0.01) * 15, 0)
+        physics.step(camera)
+        if (step % 50) continue
+        const pos = physics.positions
+        for (let i = 0; i < 80; i++) {
+            for (let j = i + 1; j < 80; j++) {
+                const d = Math.hypot(pos[i * 3] - pos[j * 3], pos[i * 3 + 1] - pos[j * 3 + 1], pos[i * 3 + 2] - pos[j * 3 + 2])
+                const minDist = radii[i] + radii[j] + CONTACT_GAP
+                assert.ok(d >= minDist * 0.9, `@${step}: balls ${i} (r ${radii[i]}) and ${j} (r ${radii[j]}) at ${d.toFixed(3)}`)
+            }
+        }
+    }
+})
+
+test('a light ball barely moves a heavy one, and momentum is conserved', () => {
+    const physics = new PhysicsSimulator(2, DEFAULT_BALL_RADIUS, { seed: 1, radii: [2, 5], masses: [1, 8] })
+    physics.positions.set([-15, 0, 0, 0, 0, 0])
+    physics.velocities.set([0.1, 0, 0, 0, 0, 0])
+    physics.angularVelocities.fill(0)
+
+    const momentum = () => physics.velocities[0] * 1 + physics.velocities[3] * 8
+    const before = momentum()
+    const frames = 120
+    for (let i = 0; i < frames; i++) physics.step(FAR_CAMERA)
+
+    const vLight = physics.velocities[0], vHeavy = physics.velocities[3]
+    assert.ok(vLight < 0, `light ball should bounce back, has vx ${vLight}`)
+    assert.ok(vHeavy > 0 && vHeavy < 0.05, `heavy ball should drift forward slowly, has vx ${vHeavy}`)
+    const damping = Math.pow(physics.dampingFactor, frames * physics.subSteps) // air drag scales every velocity alike
+    assert.ok(Math.abs(momentum() - before * damping) < 1e-5, `momentum ${momentum()} vs ${before * damping}`)
+})
+
+test('snapshots carry per-ball radii and masses', () => {
+    const a = new PhysicsSimulator(3, 4, { seed: 2, radii: [4, 2, 1], masses: [2, 1, 0.5] })
+    const b = new PhysicsSimulator(3, 4, { seed: 2 })
+    b.restore(a.snapshot())
+    assert.deepEqual(Array.from(b.radii), [4, 2, 1])
+    assert.deepEqual(Array.from(b.invMasses), [0.5, 1, 2])
+})
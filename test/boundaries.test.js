@@ -0,0 +1,130 @@
+// boundaries.test.js — Containment shapes, alone and inside the running simulator
+// Run with: npm test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from 'three'
+import { BOUNDARY_TYPES, BoxBoundary, CylinderBoundary, InvertedSphereBoundary, SphereBoundary, createBoundary } from '../src/boundaries.js'
+import { PhysicsSimulator, BOUNDARY_RADIUS, DEFAULT_BALL_RADIUS } from '../src/physics.js'
+
+const R = 2
+
+// Float32 → comparable plain numbers (also folds -0 into 0)
+const tidy = (v) => Array.from(v, x => Math.round(x * 1e4) / 1e4 + 0)
+
+// Project until the shape is satisfied (the simulator allows up to 3 passes per constraint)
+function projectFully(boundary, point) {
+    const p = new Float32Array(point)
+    const normal = new Float32Array(3)
+    const normals = []
+    for (let pass = 0; pass < 3 && boundary.project(p, 0, R, normal); pass++) normals.push(tidy(normal))
+    return { pos: tidy(p), normals }
+}
+
+test('sphere projects onto the shrunk shell along the inward radial', () => {
+    const sphere = new SphereBoundary(10)
+    assert.equal(sphere.contains(0, 0, 7.9, R), true)
+    assert.equal(sphere.contains(0, 0, 8.1, R), false)
+
+    const { pos, normals } = projectFully(sphere, [0, 0, 20])
+    assert.deepEqual(pos, [0, 0, 8])
+    assert.deepEqual(normals, [[0, 0, -1]])
+})
+
+test('box resolves a corner face by face', () => {
+    const box = new BoxBoundary([-10, -10, -10], [10, 10, 10])
+    assert.equal(box.extent, 10)
+    assert.equal(box.contains(7, -7, 7, R), true)
+    assert.equal(box.contains(9, 0, 0, R), false)
+
+    const { pos, normals } = projectFully(box, [12, -15, 0])
+    assert.deepEqual(pos, [8, -8, 0])
+    assert.deepEqual(normals, [[0, 1, 0], [-1, 0, 0]])
+})
+
+test('tube caps the ends and walls the sides', () => {
+    const tube = new CylinderBoundary(5, 10)
+    assert.equal(tube.extent, 10)
+    assert.equal(tube.contains(2, 2, 7, R), true)
+    assert.equal(tube.contains(4, 0, 0, R), false)
+    assert.equal(tube.contains(0, 0, 9, R), false)
+
+    const side = projectFully(tube, [6, 0, 0])
+    assert.deepEqual(side.pos, [3, 0, 0])
+    assert.deepEqual(side.normals, [[-1, 0, 0]])
+
+    const cap = projectFully(tube, [0, 0, -12])
+    assert.deepEqual(cap.pos, [0, 0, -8])
+    assert.deepEqual(cap.normals, [[0, 0, 1]])
+})
+
+test('inverted sphere pushes balls out of the core and keeps the outer shell', () => {
+    const shell = new InvertedSphereBoundary(4, 10)
+    assert.equal(shell.contains(0, 0, 0, R), false)
+    assert.equal(shell.contains(0, 7, 0, R), true)
+
+    const core = projectFully(shell, [1, 0, 0])
+    assert.deepEqual(core.pos, [6, 0, 0])
+    assert.deepEqual(core.normals, [[1, 0, 0]])
+
+    // Dead centre has no radial direction — it still resolves
+    const centre = projectFully(shell, [0, 0, 0])
+    assert.deepEqual(centre.pos, [0, 0, 6])
+
+    const outer = projectFully(shell, [0, -20, 0])
+    assert.deepEqual(outer.pos, [0, -8, 0])
+})
+
+test('createBoundary maps every type name and falls back to sphere', () => {
+    for (const type of BOUNDARY_TYPES) assert.equal(createBoundary(type, BOUNDARY_RADIUS).type, type)
+    assert.equal(createBoundary('nonsense', BOUNDARY_RADIUS).type, 'sphere')
+    assert.equal(createBoundary(undefined, BOUNDARY_RADIUS).type, 'sphere')
+})
+
+// Long runs with an orbiting camera stirring the pile: nothing escapes, nothing goes NaN.
+// The contact solver runs after the boundary pass, so a ball pressed by the pile (or by gravity
+// in court mode) may sit a sliver past the surface until the next sub-step projects it back.
+function assertContained(physics, label) {
+    const boundary = physics.activeBoundary
+    const pos = physics.positions
+    const r = physics.BALL_RADIUS * 0.9
+    for (let i = 0; i < physics.count; i++) {
+        const o = i * 3
+        assert.ok(Number.isFinite(pos[o]) && Number.isFinite(pos[o + 1]) && Number.isFinite(pos[o + 2]), `${label}: ball ${i} is not finite`)
+        assert.ok(boundary.contains(pos[o], pos[o + 1], pos[o + 2], r), `${label}: ball ${i} escaped at ${pos[o]}, ${pos[o + 1]}, ${pos[o + 2]}`)
+    }
+}
+
+function runContained(options, label) {
+    const physics = new PhysicsSimulator(80, DEFAULT_BALL_RADIUS, { seed: 7, ...options })
+    assertContained(physics, `${label} (spawn)`)
+    const camera = new THREE.Vector3()
+    for (let i = 0; i < 2000; i++) {
+        camera.set(Math.cos(i * 0.02) * 45, Math.sin(i * 0.02) * 45, 10)
+        physics.step(camera)
+        if (i % 100 === 99) assertContained(physics, `${label} (step ${i + 1})`)
+    }
+}
+
+for (const type of BOUNDARY_TYPES) {
+    test(`simulation stays inside the ${type} boundary`, () => runContained({ boundary: type }, type))
+    test(`court mode without walls stays inside the ${type} boundary`, () => runContained({ boundary: type, mode: 'court', walls: false }, `${type} court`))
+}
+
+test('court walls override the chosen shape until switched off', () => {
+    const physics = new PhysicsSimulator(20, DEFAULT_BALL_RADIUS, { seed: 3, boundary: 'tube', mode: 'court' })
+    assert.equal(physics.activeBoundary, physics.courtBox)
+    physics.setBoundary('inverted')
+    assert.equal(physics.activeBoundary, physics.courtBox)
+    physics.setMode('float')
+    assert.equal(physics.activeBoundary.type, 'inverted')
+})
+
+test('switching shape mid-run pulls every ball inside the new one', () => {
+    const physics = new PhysicsSimulator(80, DEFAULT_BALL_RADIUS, { seed: 11 })
+    const camera = new THREE.Vector3(0, 0, 60)
+    for (let i = 0; i < 50; i++) physics.step(camera)
+    physics.setBoundary('box')
+    for (let i = 0; i < 300; i++) physics.step(camera)
+    assertContained(physics, 'sphere → box')
+})
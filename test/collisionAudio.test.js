@@ -0,0 +1,147 @@
+// collisionAudio.test.js — Collision events from the simulator and the sounds made from them
+// Run with: npm test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from 'three'
+import {
+    BALL_COOLDOWN_MS, CollisionAudio, MAX_VOICES, MIN_AUDIBLE_IMPULSE, VoiceLimiter, selectImpacts, thunkParameters,
+} from '../src/collisionAudio.js'
+import { COLLISION_EVENT_MIN_IMPULSE, COLLISION_EVENT_STRIDE, PhysicsSimulator } from '../src/physics.js'
+
+const FAR_CAMERA = new THREE.Vector3(0, 0, 500)
+
+// Just enough of an AudioContext to count what CollisionAudio builds
+function fakeContext() {
+    const param = () => ({
+        value: 0, setValueAtTime() {}, linearRampToValueAtTime() {}, exponentialRampToValueAtTime() {},
+        setTargetAtTime() {}, cancelScheduledValues() {},
+    })
+    const node = (extra = {}) => ({ connect: target => target, disconnect() {}, start() {}, stop() {}, ...extra })
+    const ctx = {
+        state: 'suspended', currentTime: 0, sampleRate: 8000, destination: node(), panners: [],
+        listener: { positionX: param(), positionY: param(), positionZ: param(), forwardX: param(), forwardY: param(), forwardZ: param(), upX: param(), upY: param(), upZ: param() },
+        resume() { this.state = 'running' },
+        close() { this.state = 'closed' },
+        createGain: () => node({ gain: param() }),
+        createDynamicsCompressor: () => node({ threshold: param(), ratio: param() }),
+        createOscillator: () => node({ frequency: param() }),
+        createBiquadFilter: () => node({ frequency: param(), Q: param() }),
+        createBufferSource: () => node(),
+        createBuffer: (channels, length) => ({ getChannelData: () => new Float32Array(length) }),
+        createPanner() {
+            const panner = node({ positionX: param(), positionY: param(), positionZ: param() })
+            this.panners.push(panner)
+            return panner
+        },
+    }
+    return ctx
+}
+
+function events(list) {
+    const data = new Float32Array(list.length * COLLISION_EVENT_STRIDE)
+    list.forEach((event, e) => data.set(event, e * COLLISION_EVENT_STRIDE))
+    return data
+}
+
+test('the simulator records impacts only when asked, and drains them', () => {
+    const sim = new PhysicsSimulator(2, 3.5, { seed: 1 })
+    sim.positions.set([-10, 0, 0, 10, 0, 0])
+    sim.velocities.set([0.1, 0, 0, -0.1, 0, 0])
+    for (let k = 0; k < 60; k++) sim.step(FAR_CAMERA)
+    assert.equal(sim.drainCollisionEvents().count, 0)
+
+    sim.setCollisionEvents(true)
+    sim.positions.set([-10, 0, 0, 10, 0, 0])
+    sim.velocities.set([0.2, 0, 0, -0.2, 0, 0])
+    let hit = null
+    for (let k = 0; k < 60 && !hit; k++) {
+        sim.step(FAR_CAMERA)
+        const { data, count } = sim.drainCollisionEvents()
+        for (let e = 0; e < count; e++) if (data[e * COLLISION_EVENT_STRIDE + 1] === 1) hit = Array.from(data.subarray(e * COLLISION_EVENT_STRIDE, (e + 1) * COLLISION_EVENT_STRIDE))
+    }
+    assert.ok(hit, 'ball 0 hits ball 1')
+    const [i, , impulse, x] = hit
+    assert.equal(i, 0)
+    assert.ok(impulse >= COLLISION_EVENT_MIN_IMPULSE && impulse < 1)
+    assert.ok(Math.abs(x) < 0.5, `contact point x ${x}`) // halfway between them
+    assert.equal(sim.drainCollisionEvents().count, 0)
+})
+
+test('boundary and court floor hits are events against -1, resting contacts are not', () => {
+    const sim = new PhysicsSimulator(1, 3.5, { seed: 1, mode: 'court', walls: false })
+    sim.setCollisionEvents(true)
+    sim.positions.set([0, 0, 0])
+    const floorHits = []
+    for (let k = 0; k < 600; k++) {
+        sim.step(FAR_CAMERA)
+        const { data, count } = sim.drainCollisionEvents()
+        for (let e = 0; e < count; e++) floorHits.push({ k, j: data[e * COLLISION_EVENT_STRIDE + 1], impulse: data[e * COLLISION_EVENT_STRIDE + 2] })
+    }
+    assert.ok(floorHits.length >= 2, 'bounces')
+    assert.ok(floorHits.every(hit => hit.j === -1))
+    assert.ok(floorHits[0].impulse > floorHits.at(-1).impulse) // each bounce is softer
+    assert.ok(floorHits.at(-1).k < 590, 'silent once the ball rests')
+})
+
+test('louder hits play louder and higher, bigger balls lower and longer', () => {
+    const soft = thunkParameters(0.1, 3.5), hard = thunkParameters(1, 3.5), big = thunkParameters(1, 7)
+    assert.ok(hard.gain > soft.gain && hard.frequency > soft.frequency)
+    assert.ok(big.frequency < hard.frequency && big.duration > hard.duration)
+    assert.equal(thunkParameters(MIN_AUDIBLE_IMPULSE / 2, 3.5).gain, 0)
+    assert.equal(thunkParameters(10, 3.5).gain, 1)
+})
+
+test('impacts are picked hardest first, once per ball, above the audible threshold', () => {
+    const data = events([
+        [0, 1, 0.2, 0, 0, 0],
+        [2, -1, 0.9, 0, 0, 0],
+        [1, 3, 0.5, 0, 0, 0],
+        [4, 5, MIN_AUDIBLE_IMPULSE / 2, 0, 0, 0],
+        [0, -1, 0.3, 0, 0, 0],
+    ])
+    assert.deepEqual(selectImpacts(data, 5, 10), [1, 2, 4]) // event 0 shares ball 1 (and 0) with louder ones
+    assert.deepEqual(selectImpacts(data, 5, 1), [1])
+})
+
+test('the voice limiter caps concurrent voices and steals the quietest for a louder hit', () => {
+    const limiter = new VoiceLimiter(2)
+    const stopped = []
+    const voice = (gain, name) => ({ start: 0, end: 1, gain, stop: () => stopped.push(name) })
+    assert.ok(limiter.admit(0, 0.5)); limiter.add(voice(0.5, 'a'))
+    assert.ok(limiter.admit(0, 0.2)); limiter.add(voice(0.2, 'b'))
+    assert.equal(limiter.admit(0, 0.1), false)
+    assert.ok(limiter.admit(0, 0.8))
+    assert.deepEqual(stopped, ['b'])
+    assert.ok(limiter.admit(2, 0.1)) // the others have finished
+})
+
+test('CollisionAudio is silent until resumed and while muted, and limits voices', () => {
+    const ctx = fakeContext()
+    const audio = new CollisionAudio({ createContext: () => ctx })
+    const burst = events(Array.from({ length: 40 }, (_, n) => [n, -1, 1, n, 0, 0]))
+    const identity = new THREE.Matrix4()
+    const radii = new Float32Array(40).fill(3.5)
+
+    audio.play(burst, 40, radii, identity, 0)
+    assert.equal(ctx.panners.length, 0) // no context yet
+    audio.resume()
+    audio.setListener(new THREE.PerspectiveCamera())
+    audio.play(burst, 40, radii, identity, 0)
+    assert.equal(ctx.panners.length, MAX_VOICES)
+    assert.equal(ctx.panners[3].positionX.value, 3) // placed where the ball hit
+
+    audio.play(burst, 40, radii, identity, BALL_COOLDOWN_MS / 2)
+    assert.equal(ctx.panners.length, MAX_VOICES) // every slot busy with voices as loud
+
+    audio.setEnabled(false)
+    ctx.currentTime = 5
+    audio.play(burst, 40, radii, identity, 5000)
+    assert.equal(ctx.panners.length, MAX_VOICES)
+    audio.setEnabled(true)
+    audio.play(burst, 40, radii, identity, 5000)
+    assert.equal(ctx.panners.length, MAX_VOICES * 2)
+
+    audio.dispose()
+    assert.equal(ctx.state, 'closed')
+})
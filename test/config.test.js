@@ -0,0 +1,64 @@
+// config.test.js — Control panel config: sanitizing, presets, and live PhysicsSimulator.setConfig()
+// Run with: npm test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from 'three'
+import { exportPreset, normalizeConfig, parsePreset, MAX_BALL_COUNT } from '../src/config.js'
+import { PhysicsSimulator, DEFAULT_PHYSICS_CONFIG, DEFAULT_BALL_RADIUS } from '../src/physics.js'
+
+test('normalizeConfig fills defaults, clamps ranges and drops unknown keys', () => {
+    const config = normalizeConfig({
+        count: 99999,
+        physics: { subSteps: 50, restitution: 'nope', bogus: 1 },
+        rendering: { bloomIntensity: -1 },
+    })
+    assert.equal(config.count, MAX_BALL_COUNT)
+    assert.equal(config.physics.subSteps, 6)
+    assert.equal(config.physics.restitution, DEFAULT_PHYSICS_CONFIG.restitution)
+    assert.equal('bogus' in config.physics, false)
+    assert.equal(config.rendering.bloomIntensity, 0)
+    assert.equal(normalizeConfig(null).count, null)
+})
+
+test('presets round-trip through JSON and reject unknown versions', () => {
+    const config = normalizeConfig({ count: 200, physics: { solverIterations: 3 }, rendering: { noiseOpacity: 0.05 } })
+    assert.deepEqual(parsePreset(exportPreset(config)), config)
+    assert.throws(() => parsePreset('{"version": 99}'), /Unsupported preset version 99/)
+    assert.throws(() => parsePreset('not json'), SyntaxError)
+})
+
+test('setConfig keeps real-world speeds when the sub-step count changes', () => {
+    const physics = new PhysicsSimulator(20, DEFAULT_BALL_RADIUS, { seed: 5 })
+    physics.velocities[0] = 0.1 // units per sub-step at 2 sub-steps → 0.2 per frame
+    physics.setConfig({ subSteps: 4 })
+    assert.equal(physics.subSteps, 4)
+    assert.ok(Math.abs(physics.velocities[0] - 0.05) < 1e-7)
+    assert.equal(physics.config.solverIterations, DEFAULT_PHYSICS_CONFIG.solverIterations) // untouched keys kept
+})
+
+test('setConfig resizes the aura and the camera forcefield live', () => {
+    const physics = new PhysicsSimulator(40, DEFAULT_BALL_RADIUS, { seed: 5 })
+    physics.setConfig({ auraMultiplier: 4, cameraSafeRadius: 20 })
+    assert.equal(physics.AURA_RADIUS, DEFAULT_BALL_RADIUS * 4)
+    assert.ok(physics.grid.cellSize >= physics.AURA_RADIUS) // broadphase cells cover the new reach
+
+    const camera = new THREE.Vector3(0, 0, 0)
+    for (let i = 0; i < 200; i++) physics.step(camera)
+    for (let i = 0; i < physics.count; i++) {
+        const o = i * 3
+        const d = Math.hypot(physics.positions[o], physics.positions[o + 1], physics.positions[o + 2])
+        assert.ok(d > 20 - 1, `ball ${i} sits ${d} from a camera with a 20-unit forcefield`)
+    }
+})
+
+test('snapshots carry the config so a restore replays identically', () => {
+    const a = new PhysicsSimulator(30, DEFAULT_BALL_RADIUS, { seed: 9, config: { subSteps: 3, restitution: 0.5 } })
+    const camera = new THREE.Vector3(0, 0, 60)
+    for (let i = 0; i < 20; i++) a.step(camera)
+    const b = new PhysicsSimulator(30, DEFAULT_BALL_RADIUS, { seed: 1 })
+    b.restore(a.snapshot())
+    assert.equal(b.subSteps, 3)
+    for (let i = 0; i < 20; i++) { a.step(camera); b.step(camera) }
+    assert.deepEqual(Array.from(b.positions), Array.from(a.positions))
+})
@@ -0,0 +1,68 @@
+// diagnostics.test.js — Simulator step stats, their shared-memory round trip and the HUD's frame history
+// Run with: npm test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from 'three'
+import { PhysicsSimulator, IDLE_ENERGY_THRESHOLD } from '../src/physics.js'
+import { createSharedViews, readStats, sharedBufferSize, writeStats } from '../src/physicsBuffer.js'
+import { FRAME_HISTORY, createDiagnostics, readDiagnostics, recordFrame } from '../src/diagnostics.js'
+
+const FAR_CAMERA = new THREE.Vector3(0, 0, 500)
+
+test('step stats report touching pairs and the deepest overlap', () => {
+    const physics = new PhysicsSimulator(2, 4, { seed: 1 })
+    physics.positions.set([-3, 0, 0, 3, 0, 0]) // surfaces overlap by 2
+    physics.velocities.fill(0)
+    physics.step(FAR_CAMERA)
+
+    const stats = physics.getStats()
+    assert.equal(stats.steps, 1)
+    assert.equal(stats.collidingPairs, 1)
+    assert.equal(stats.candidatePairs, 1)
+    assert.ok(Math.abs(stats.maxPenetration - 2) < 1e-5, `maxPenetration ${stats.maxPenetration}`)
+    assert.ok(stats.stepMs >= 0)
+
+    for (let n = 0; n < 30; n++) physics.step(FAR_CAMERA)
+    assert.equal(physics.getStats().steps, 31)
+    assert.equal(physics.getStats().maxPenetration, 0) // pushed apart
+})
+
+test('diffusionFired follows the kinetic energy threshold across sub-steps', () => {
+    const physics = new PhysicsSimulator(20, 4, { seed: 2 })
+    assert.equal(physics.subSteps, 2)
+    physics.velocities.fill(0)
+    physics.step(FAR_CAMERA)
+    assert.ok(physics.getStats().totalKE < IDLE_ENERGY_THRESHOLD)
+    assert.equal(physics.getStats().diffusionFired, true)
+
+    physics.velocities.fill(0.2)
+    physics.step(FAR_CAMERA)
+    assert.ok(physics.getStats().totalKE >= IDLE_ENERGY_THRESHOLD)
+    assert.equal(physics.getStats().diffusionFired, false)
+
+    physics.setMode('court')
+    physics.velocities.fill(0)
+    physics.step(FAR_CAMERA)
+    assert.equal(physics.getStats().diffusionFired, false) // no diffusion under gravity
+})
+
+test('stats survive the shared-memory round trip used by the worker', () => {
+    const views = createSharedViews(new SharedArrayBuffer(sharedBufferSize(4)), 4)
+    const stats = { steps: 12, stepMs: 0.25, candidatePairs: 40, collidingPairs: 3, totalKE: 0.01, maxPenetration: 0.125, diffusionFired: true }
+    writeStats(views.stats, stats)
+    assert.deepEqual(readStats(views.stats, {}), stats)
+})
+
+test('readDiagnostics averages the frame history, oldest first', () => {
+    const diagnostics = createDiagnostics()
+    assert.equal(readDiagnostics(diagnostics).fps, 0)
+
+    for (let n = 0; n < FRAME_HISTORY + 10; n++) recordFrame(diagnostics, n < FRAME_HISTORY + 9 ? 10 : 30)
+    const reading = readDiagnostics(diagnostics)
+    assert.equal(reading.history.length, FRAME_HISTORY)
+    assert.equal(reading.history.at(-1), 30)
+    assert.equal(reading.maxFrameMs, 30)
+    assert.ok(Math.abs(reading.frameMs - (10 * (FRAME_HISTORY - 1) + 30) / FRAME_HISTORY) < 1e-9)
+    assert.ok(Math.abs(reading.fps - 1000 / reading.frameMs) < 1e-9)
+})
@@ -0,0 +1,115 @@
+// forceFields.test.js — Attractors, repulsors, vortices, wind and the camera shield
+// Run with: npm test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from 'three'
+import { FALLOFFS, VORTEX_PULL, createForceField } from '../src/forceFields.js'
+import { PhysicsSimulator } from '../src/physics.js'
+
+const FAR_CAMERA = new THREE.Vector3(0, 0, 500)
+
+function accelerationAt(field, x, y, z) {
+    const acc = [0, 0, 0]
+    field.accelerate(x, y, z, acc)
+    return acc
+}
+
+test('falloffs run from 1 at the centre to 0 at the edge', () => {
+    for (const [name, weight] of Object.entries(FALLOFFS)) {
+        assert.equal(weight(1), 1, name)
+        if (name !== 'constant') assert.equal(weight(0), 0, name)
+    }
+    assert.equal(FALLOFFS.smooth(0.5), 0.5)
+})
+
+test('attractors pull toward the centre and repulsors push away, within the radius', () => {
+    const spec = { position: [10, 0, 0], radius: 20, strength: 0.02, falloff: 'constant' }
+    const attractor = createForceField({ ...spec, type: 'attractor' })
+    const repulsor = createForceField({ ...spec, type: 'repulsor' })
+    assert.deepEqual(accelerationAt(attractor, 0, 0, 0), [0.02, 0, 0])
+    assert.deepEqual(accelerationAt(repulsor, 0, 0, 0), [-0.02, 0, 0])
+    assert.deepEqual(accelerationAt(attractor, 40, 0, 0), [0, 0, 0]) // out of reach
+    assert.deepEqual(accelerationAt(attractor, 10, 0, 0), [0, 0, 0]) // no direction at the centre
+
+    attractor.update({ falloff: 'linear' })
+    assert.ok(Math.abs(accelerationAt(attractor, 0, 0, 0)[0] - 0.01) < 1e-12) // halfway out: half strength
+    assert.throws(() => attractor.update({ falloff: 'cubic' }))
+})
+
+test('vortices swirl around their axis with a slight inward pull', () => {
+    const vortex = createForceField({ type: 'vortex', axis: [0, 0, 2], radius: 50, strength: 0.04, falloff: 'constant' })
+    assert.deepEqual(vortex.axis, [0, 0, 1])
+    const [x, y, z] = accelerationAt(vortex, 10, 0, 5)
+    assert.ok(Math.abs(y - 0.04) < 1e-12) // counter-clockwise about +Z
+    assert.ok(Math.abs(x + 0.04 * VORTEX_PULL) < 1e-12)
+    assert.equal(z, 0) // nothing along the axis
+})
+
+test('wind pushes along its direction and fields sum', () => {
+    const wind = createForceField({ type: 'wind', direction: [0, 3, 4], radius: Infinity, strength: 0.05 })
+    const acc = accelerationAt(wind, 1000, -1000, 0)
+    assert.ok(Math.abs(acc[1] - 0.03) < 1e-12 && Math.abs(acc[2] - 0.04) < 1e-12)
+    wind.accelerate(0, 0, 0, acc)
+    assert.ok(Math.abs(acc[2] - 0.08) < 1e-12)
+    assert.throws(() => createForceField({ type: 'tornado' }))
+})
+
+test('simulator fields can be added, moved and removed, and pull the pile', () => {
+    const physics = new PhysicsSimulator(20, 2, { seed: 4 })
+    const id = physics.addForceField({ type: 'attractor', position: [25, 0, 0], radius: 100, strength: 0.03, falloff: 'constant' })
+    assert.equal(id, 1)
+    assert.equal(physics.addForceField({ type: 'wind', strength: 0 }), 2)
+
+    const meanX = () => physics.positions.filter((_, k) => k % 3 === 0).reduce((sum, x) => sum + x, 0) / physics.count
+    const before = meanX()
+    for (let n = 0; n < 60; n++) physics.step(FAR_CAMERA)
+    assert.ok(meanX() > before + 5, `pile centre moved from ${before.toFixed(2)} to ${meanX().toFixed(2)}`)
+
+    physics.updateForceField(id, { position: [-25, 0, 0] })
+    assert.deepEqual(physics.getForceFields().find(f => f.id === id).position, [-25, 0, 0])
+    physics.removeForceField(id)
+    physics.removeForceField(2)
+    assert.deepEqual(physics.getForceFields(), [])
+})
+
+test('the held ball ignores soft fields', () => {
+    const physics = new PhysicsSimulator(2, 2, { seed: 1 })
+    physics.positions.set([-10, 0, 0, 10, 0, 0])
+    physics.velocities.fill(0)
+    physics.grab(0, new THREE.Vector3(-10, 0, 0))
+    physics.addForceField({ type: 'wind', direction: [0, 1, 0], radius: Infinity, strength: 0.02 })
+    physics.step(FAR_CAMERA)
+    assert.ok(Math.abs(physics.velocities[1]) < 1e-9)
+    assert.ok(physics.velocities[4] > 0)
+})
+
+test('the camera forcefield is field 0 and snapshots carry added fields', () => {
+    const physics = new PhysicsSimulator(30, 2, { seed: 6 })
+    const camera = new THREE.Vector3(0, 0, 0)
+    physics.removeForceField(0)
+    for (let n = 0; n < 30; n++) physics.step(camera)
+    const inside = Array.from({ length: physics.count }, (_, i) => Math.hypot(...physics.positions.slice(i * 3, i * 3 + 3)))
+        .some(d => d < physics.cameraSafeRadius)
+    assert.ok(inside, 'without the camera field balls reach the camera')
+
+    const a = new PhysicsSimulator(30, 2, { seed: 7 })
+    a.addForceField({ type: 'vortex', axis: [1, 0, 0], radius: 40, strength: 0.02 })
+    for (let n = 0; n < 10; n++) a.step(FAR_CAMERA)
+    const b = new PhysicsSimulator(30, 2, { seed: 1 })
+    b.restore(a.snapshot())
+    assert.deepEqual(b.getForceFields(), a.getForceFields())
+    for (let n = 0; n < 10; n++) { a.step(FAR_CAMERA); b.step(FAR_CAMERA) }
+    assert.deepEqual(Array.from(b.positions), Array.from(a.positions))
+})
+
+test('an everywhere wind survives a JSON round trip of the snapshot', () => {
+    const a = new PhysicsSimulator(30, 2, { seed: 8 })
+    a.addForceField({ type: 'wind', direction: [0, 1, 0], radius: Infinity, strength: 0.02 })
+    for (let n = 0; n < 10; n++) a.step(FAR_CAMERA)
+    const b = new PhysicsSimulator(30, 2, { seed: 1 })
+    b.restore(JSON.parse(JSON.stringify(a.snapshot())))
+    assert.equal(b.forceFields.find(field => field.type === 'wind').radius, Infinity)
+    for (let n = 0; n < 50; n++) { a.step(FAR_CAMERA); b.step(FAR_CAMERA) }
+    assert.deepEqual(Array.from(b.positions), Array.from(a.positions))
+})
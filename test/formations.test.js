@@ -0,0 +1,157 @@
+// formations.test.js — Formation shapes, target assignment, the timeline and steering
+// Run with: npm test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from 'three'
+import {
+    FormationTimeline, assignTargets, buildFormation, gridPoints, maskPoints, ringPoints, spherePoints,
+} from '../src/formations.js'
+import { PhysicsSimulator } from '../src/physics.js'
+
+const FAR_CAMERA = new THREE.Vector3(0, 0, 500)
+
+function minDistance(points) {
+    let min = Infinity
+    for (let a = 0; a < points.length; a += 3) {
+        for (let b = a + 3; b < points.length; b += 3) {
+            min = Math.min(min, Math.hypot(points[a] - points[b], points[a + 1] - points[b + 1], points[a + 2] - points[b + 2]))
+        }
+    }
+    return min
+}
+
+function maxDistance(points) {
+    let max = 0
+    for (let o = 0; o < points.length; o += 3) max = Math.max(max, Math.hypot(points[o], points[o + 1], points[o + 2]))
+    return max
+}
+
+function totalSquaredDistance(positions, targets, assignment) {
+    let sum = 0
+    assignment.forEach((t, i) => {
+        for (let d = 0; d < 3; d++) sum += (positions[i * 3 + d] - targets[t * 3 + d]) ** 2
+    })
+    return sum
+}
+
+test('grid and ring lay out n points, spacing apart, in the camera-facing plane', () => {
+    for (const generate of [gridPoints, ringPoints]) {
+        const points = generate(23, 5)
+        assert.equal(points.length, 23 * 3)
+        assert.ok(minDistance(points) > 5 - 1e-4, generate.name)
+        for (let o = 1; o < points.length; o += 3) assert.equal(points[o], 0) // flat: no depth
+    }
+})
+
+test('sphere shells keep their points apart and nest inside maxExtent', () => {
+    const points = spherePoints(200, 4)
+    assert.ok(minDistance(points) > 3)
+    const nested = spherePoints(400, 4, 20)
+    assert.equal(nested.length, 400 * 3)
+    assert.ok(maxDistance(nested) <= 20 + 1e-4)
+})
+
+test('mask sampling fills the shape with the requested count, upright', () => {
+    // An "L": a 4-wide stem down the left and a 4-tall foot along the bottom of a 20×20 raster
+    const width = 20, height = 20
+    const data = new Uint8Array(width * height)
+    for (let y = 0; y < height; y++) for (let x = 0; x < width; x++) data[y * width + x] = x < 4 || y >= 16 ? 1 : 0
+    const points = maskPoints({ data, width, height }, 30, 2)
+    assert.equal(points.length, 30 * 3)
+    assert.ok(minDistance(points) > 2 - 1e-4)
+
+    // The stem is at the left, reaching up (+z) from the foot
+    const top = points.reduce((best, _, o) => o % 3 === 2 && points[o] > best.z ? { z: points[o], x: points[o - 2] } : best, { z: -Infinity })
+    assert.ok(top.x < 0)
+    assert.equal(maskPoints({ data: new Uint8Array(4), width: 2, height: 2 }, 5, 1).length, 0)
+})
+
+test('flat formations stack layers in depth, then shrink, to stay inside maxExtent', () => {
+    const loose = buildFormation({ shape: 'grid' }, 80, { ballRadius: 3.5 })
+    assert.equal(loose.length, 80 * 3)
+    assert.ok(maxDistance(loose) > 34)
+
+    const fitted = buildFormation({ shape: 'grid' }, 80, { ballRadius: 3.5, maxExtent: 34 })
+    assert.equal(fitted.length, 80 * 3)
+    assert.ok(maxDistance(fitted) <= 34 + 1e-4)
+    assert.ok(new Set(Array.from(fitted).filter((_, k) => k % 3 === 1)).size > 1) // more than one depth
+    assert.ok(minDistance(fitted) >= 7 - 1e-4) // still a ball diameter apart
+
+    assert.throws(() => buildFormation({ shape: 'hexagon' }, 10, { ballRadius: 1 }))
+})
+
+test('assignment uncrosses paths: balls on a line keep their order', () => {
+    // Balls shuffled along x at y = 0, targets along x at y = 10 — any crossing would swap order
+    const n = 40
+    const xs = Array.from({ length: n }, (_, k) => ((k * 17) % n) * 2)
+    const positions = new Float32Array(n * 3)
+    xs.forEach((x, i) => { positions[i * 3] = x })
+    const targets = new Float32Array(n * 3)
+    for (let t = 0; t < n; t++) { targets[t * 3] = t * 2 + 1; targets[t * 3 + 1] = 10 }
+
+    const assignment = assignTargets(positions, n, targets)
+    for (let i = 0; i < n; i++) assert.equal(targets[assignment[i] * 3], positions[i * 3] + 1)
+})
+
+test('assignment beats matching by index and covers every target once', () => {
+    const sim = new PhysicsSimulator(60, 3.5, { seed: 3 })
+    const targets = buildFormation({ shape: 'sphere' }, 60, { ballRadius: 3.5, maxExtent: 34 })
+    const assignment = assignTargets(sim.positions, 60, targets)
+    assert.equal(new Set(assignment).size, 60)
+    const byIndex = Int32Array.from({ length: 60 }, (_, i) => i)
+    assert.ok(totalSquaredDistance(sim.positions, targets, assignment) < totalSquaredDistance(sim.positions, targets, byIndex) * 0.5)
+
+    // Fewer targets than balls: the rest are left free
+    const few = assignTargets(sim.positions, 60, targets.subarray(0, 10 * 3))
+    assert.equal(few.filter(t => t >= 0).length, 10)
+})
+
+test('the timeline starts each step in turn and loops', () => {
+    const timeline = new FormationTimeline([{ shape: 'grid', hold: 1 }, { shape: null, hold: 0.5 }])
+    assert.equal(timeline.update(0.1).shape, 'grid')
+    assert.equal(timeline.update(0.5), null)
+    assert.equal(timeline.update(0.5).shape, null) // 1.1 s: the drift step
+    assert.equal(timeline.update(0.5).shape, 'grid') // looped
+    const once = new FormationTimeline([{ shape: 'ring', hold: 1 }], { loop: false })
+    once.update(0)
+    assert.equal(once.update(2), null)
+    assert.throws(() => new FormationTimeline([{ shape: 'grid', hold: 0 }]))
+    assert.throws(() => new FormationTimeline([{ shape: 'cube', hold: 1 }]))
+})
+
+test('steering brings balls to their targets alongside collisions, then scatter releases them', () => {
+    const sim = new PhysicsSimulator(80, 3.5, { seed: 7 })
+    for (let k = 0; k < 60; k++) sim.step(FAR_CAMERA)
+    sim.setFormation(buildFormation({ shape: 'ring' }, 80, { ballRadius: 3.5, maxExtent: 34 }))
+    assert.equal(sim.diffusionEnabled, false)
+    for (let k = 0; k < 300; k++) sim.step(FAR_CAMERA)
+
+    const targets = sim.formationTargets
+    let error = 0
+    for (let o = 0; o < targets.length; o++) error = Math.max(error, Math.abs(targets[o] - sim.positions[o]))
+    assert.ok(error < 1, `max error ${error}`)
+    assert.ok(sim.getStats().maxPenetration < 0.5)
+
+    // Snapshots carry the formation and its assignment
+    const copy = new PhysicsSimulator(80, 3.5, { seed: 7 })
+    copy.restore(JSON.parse(JSON.stringify(sim.snapshot())))
+    assert.deepEqual(Array.from(copy.formationTargets), Array.from(targets))
+
+    sim.clearFormation()
+    assert.equal(sim.getFormation(), null)
+    assert.equal(sim.diffusionEnabled, true)
+    let speed = 0
+    for (let o = 0; o < sim.velocities.length; o += 3) speed += Math.hypot(sim.velocities[o], sim.velocities[o + 1], sim.velocities[o + 2])
+    assert.ok(speed / 80 > 0.02) // bursting outward
+})
+
+test('steered balls hover in court mode and a held ball ignores its target', () => {
+    const sim = new PhysicsSimulator(20, 3.5, { seed: 2, mode: 'court' })
+    sim.setFormation(gridPoints(20, 8))
+    sim.grab(0, new THREE.Vector3(30, 30, 30))
+    for (let k = 0; k < 300; k++) sim.step(FAR_CAMERA)
+    const t = sim.formationTargets
+    for (let i = 1; i < 20; i++) assert.ok(Math.abs(sim.positions[i * 3 + 2] - t[i * 3 + 2]) < 1, `ball ${i}`)
+    assert.ok(Math.hypot(sim.positions[0] - t[0], sim.positions[2] - t[2]) > 5)
+})
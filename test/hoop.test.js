@@ -0,0 +1,143 @@
+// hoop.test.js — Hoop colliders, made-basket detection, per-ball gravity and the game's rules
+// Run with: npm test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from 'three'
+import { BoxCollider, DEFAULT_HOOP_POSITION, Hoop, TorusCollider } from '../src/hoop.js'
+import { BASKET_POINTS, BEST_SCORE_KEY, HoopGame, SHOT_SECONDS } from '../src/hoopGame.js'
+import { PhysicsSimulator } from '../src/physics.js'
+
+const FAR_CAMERA = new THREE.Vector3(0, 0, 500)
+
+function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial))
+    return { getItem: key => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) }
+}
+
+test('the box collider pushes a ball out to touching, through the nearest face from inside', () => {
+    const box = new BoxCollider([-5, -1, -5], [5, 1, 5], 0.7)
+    const pos = new Float32Array([0, -2, 0])
+    const normal = new Float32Array(3)
+    assert.ok(box.project(pos, 0, 3, normal))
+    assert.deepEqual(Array.from(normal), [0, -1, 0])
+    assert.equal(pos[1], -4)
+    assert.equal(box.project(pos, 0, 3, normal), false)
+
+    pos.set([4, 0.5, 0]) // inside, nearest the +y face
+    assert.ok(box.project(pos, 0, 1, normal))
+    assert.deepEqual(Array.from(normal), [0, 1, 0])
+    assert.equal(pos[1], 2)
+
+    pos.set([7, 0, 7]) // off an edge: pushed out diagonally
+    assert.ok(box.project(pos, 0, 3, normal))
+    assert.ok(Math.abs(normal[0] - Math.SQRT1_2) < 1e-6 && Math.abs(normal[2] - Math.SQRT1_2) < 1e-6)
+})
+
+test('the torus collider keeps balls off the tube but lets them through the middle', () => {
+    const rim = new TorusCollider([0, 0, 0], 6, 0.5, 0.55)
+    const normal = new Float32Array(3)
+    const pos = new Float32Array([0, 0, 0]) // dead centre of the ring
+    assert.equal(rim.project(pos, 0, 3, normal), false)
+
+    pos.set([6, 0, 2]) // resting on top of the tube
+    assert.ok(rim.project(pos, 0, 3, normal))
+    assert.ok(Math.abs(normal[2] - 1) < 1e-6)
+    assert.ok(Math.abs(pos[2] - 3.5) < 1e-5)
+    assert.equal(rim.project(pos, 0, 3, normal), false)
+})
+
+test('a ball dropped into the hoop counts once, one dropped beside it doesn\'t', () => {
+    const sim = new PhysicsSimulator(2, 3.5, { seed: 1, config: { auraMultiplier: 0 } })
+    sim.setHoop({})
+    const [x, y, z] = DEFAULT_HOOP_POSITION
+    sim.positions.set([x, y, z + 10, x + 15, y - 15, z + 10])
+    sim.velocities.fill(0)
+    sim.setBallGravity(0, true)
+    sim.setBallGravity(1, true)
+    const made = []
+    for (let k = 0; k < 120; k++) {
+        sim.step(FAR_CAMERA)
+        made.push(...sim.drainBaskets())
+    }
+    assert.deepEqual(made, [0])
+    assert.ok(sim.positions[2] < z - 10, 'fell on through')
+})
+
+test('only balls given gravity fall while the rest float', () => {
+    const sim = new PhysicsSimulator(2, 3.5, { seed: 1 })
+    sim.positions.set([-15, 0, 0, 15, 0, 0])
+    sim.velocities.fill(0)
+    sim.setIdleDiffusion(false)
+    sim.setBallGravity(0, true)
+    for (let k = 0; k < 30; k++) sim.step(FAR_CAMERA)
+    assert.ok(sim.positions[2] < -5, `shot ball at z ${sim.positions[2]}`)
+    assert.ok(Math.abs(sim.positions[5]) < 0.5)
+
+    // A throw keeps court speed instead of the zero-g limit
+    sim.positions.set([-15, 0, 0, 15, 0, 0])
+    sim.velocities.fill(0)
+    sim.grab(0, new THREE.Vector3(-15, 0, 0))
+    sim.release(new THREE.Vector3(0, 2, 0))
+    sim.step(FAR_CAMERA)
+    assert.ok(sim.positions[1] > 1.5)
+
+    sim.setBallGravity(0, false)
+    sim.setHoop({ position: [0, 5, 0] })
+    const copy = new PhysicsSimulator(2, 3.5, { seed: 1 })
+    sim.setBallGravity(1, true)
+    copy.restore(JSON.parse(JSON.stringify(sim.snapshot())))
+    assert.deepEqual(Array.from(copy.ballGravity), [0, 1])
+    assert.deepEqual(copy.hoop.position, [0, 5, 0])
+})
+
+test('the backboard is behind the rim, away from the camera, and the rim sizes with the balls', () => {
+    const hoop = new Hoop({}, 3.5)
+    const small = new Hoop({}, 1)
+    assert.ok(hoop.backboard.min[1] > hoop.position[1] + hoop.rimRadius + hoop.tubeRadius)
+    assert.ok(hoop.backboard.min[2] < hoop.position[2] && hoop.backboard.max[2] > hoop.position[2])
+    assert.ok(hoop.rimRadius > 3.5 && Math.abs(small.rimRadius * 3.5 - hoop.rimRadius) < 1e-9)
+    assert.ok(hoop.throughRim(0, 10, 6.1, 5.9) && !hoop.throughRim(0, 10, 5.9, 6.1) && !hoop.throughRim(0, 0, 6.1, 5.9))
+})
+
+test('the game scores shots through the rim, builds streaks and ends them on a miss', () => {
+    const changes = []
+    const game = new HoopGame({ storage: memoryStorage(), onChange: state => changes.push(state) })
+    assert.equal(game.running, false)
+    game.shoot(3)
+    assert.equal(game.running, true)
+    assert.equal(game.basket(4), 0) // never shot
+    assert.equal(game.basket(3), BASKET_POINTS)
+    assert.equal(game.basket(3), 0) // already counted
+
+    game.shoot(3); game.basket(3)
+    game.shoot(5); assert.equal(game.basket(5), BASKET_POINTS + 1) // third in a row
+    assert.equal(game.streak, 3)
+    assert.deepEqual(game.update(SHOT_SECONDS).sort(), [3, 5])
+    assert.equal(game.streak, 3) // made shots landing don't break it
+
+    game.shoot(7)
+    assert.deepEqual(game.update(SHOT_SECONDS + 0.1), [7])
+    assert.equal(game.streak, 0)
+    assert.equal(changes.at(-1).streak, 0)
+})
+
+test('the clock ends the round, keeps the best score, and the next shot starts over', () => {
+    const storage = memoryStorage({ [BEST_SCORE_KEY]: '3' })
+    const game = new HoopGame({ storage, roundSeconds: 10 })
+    assert.equal(game.best, 3)
+    game.shoot(0); game.basket(0); game.shoot(1); game.basket(1)
+    assert.equal(game.state().timeLeft, 10)
+    game.update(4.5)
+    assert.equal(game.state().timeLeft, 6)
+    game.update(6)
+    assert.equal(game.running, false)
+    assert.equal(game.basket(1), 0) // too late
+    assert.ok(game.state().newBest)
+    assert.equal(storage.getItem(BEST_SCORE_KEY), '4')
+
+    game.shoot(2)
+    assert.equal(game.running, true)
+    assert.equal(game.score, 0)
+    assert.equal(new HoopGame({ storage: { getItem() { throw new Error('blocked') } } }).best, 0)
+})
@@ -0,0 +1,124 @@
+// invariants.test.js — Long headless PhysicsSimulator runs against a moving synthetic camera
+// Every few steps: no NaNs, every ball inside the boundary, no pair deeper than MIN_DIST allows,
+// nothing inside the camera forcefield, kinetic energy bounded. Then park the camera and check
+// the pile calms down instead of gaining energy.
+// Run with: npm test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from 'three'
+import { PhysicsSimulator, DEFAULT_BALL_RADIUS, IDLE_ENERGY_THRESHOLD, ballScaleForCount } from '../src/physics.js'
+
+const STEPS = 3000
+const CHECK_EVERY = 25
+
+// The solver runs a fixed number of iterations and integration moves balls after the last one,
+// so contacts and the forcefield are satisfied to within a sliver, not exactly. Under gravity the
+// stack's weight presses deeper. Slack is a share of MIN_DIST / BALL_RADIUS, or absolute units
+// for the camera. A ball arriving at a wall crosses it during integration and is projected back
+// at the start of the next sub-step, so the boundary check also allows one sub-step of travel.
+const SLACK = {
+    float: { overlap: 0.1, boundary: 0.1, camera: 0.25 },
+    court: { overlap: 0.15, boundary: 0.1, camera: 0.25 },
+}
+
+function kineticEnergy(physics) {
+    let ke = 0
+    for (const v of physics.velocities) ke += v * v
+    return ke
+}
+
+function assertInvariants(physics, camera, slack, label) {
+    const pos = physics.positions
+    const vel = physics.velocities
+    const n = physics.count
+    const minDist = physics.MIN_DIST * (1 - slack.overlap)
+    const minDistSq = minDist * minDist
+    const minCam = physics.cameraSafeRadius - slack.camera
+    const boundaryRadius = physics.BALL_RADIUS * (1 - slack.boundary)
+
+    for (const v of pos) assert.ok(Number.isFinite(v), `${label}: NaN/Infinity in positions`)
+    for (const v of vel) assert.ok(Number.isFinite(v), `${label}: NaN/Infinity in velocities`)
+    for (const v of physics.quaternions) assert.ok(Number.isFinite(v), `${label}: NaN/Infinity in quaternions`)
+
+    for (let i = 0; i < n; i++) {
+        const o = i * 3
+        const travel = Math.hypot(vel[o], vel[o + 1], vel[o + 2])
+        assert.ok(physics.activeBoundary.contains(pos[o], pos[o + 1], pos[o + 2], boundaryRadius - travel),
+            `${label}: ball ${i} escaped the ${physics.activeBoundary.type} boundary`)
+
+        const camDist = Math.hypot(pos[o] - camera.x, pos[o + 1] - camera.y, pos[o + 2] - camera.z)
+        assert.ok(camDist >= minCam, `${label}: ball ${i} is ${camDist.toFixed(2)} from the camera (safe radius ${physics.cameraSafeRadius})`)
+
+        for (let j = i + 1; j < n; j++) {
+            const b = j * 3
+            const dx = pos[o] - pos[b], dy = pos[o + 1] - pos[b + 1], dz = pos[o + 2] - pos[b + 2]
+            const distSq = dx * dx + dy * dy + dz * dz
+            assert.ok(distSq >= minDistSq, `${label}: balls ${i} and ${j} overlap at ${Math.sqrt(distSq).toFixed(3)} (MIN_DIST ${physics.MIN_DIST.toFixed(3)})`)
+        }
+    }
+
+    // The speed clamp caps every ball, so the total can never exceed count · maxSpeed²
+    const ke = kineticEnergy(physics)
+    assert.ok(ke <= n * physics.maxSpeedSq * (1 + 1e-4), `${label}: kinetic energy ${ke} exceeds the speed clamp bound`)
+}
+
+// Camera sweeps an orbit through the pile while bobbing vertically. The path keeps the forcefield a
+// ball's width clear of every wall — a ball pinned between the camera and a wall stays contained,
+// so the camera check is only meaningful where there is room to get out of the way.
+function runWithCamera({ count, mode = 'float', seed = 42, boundary }) {
+    const radius = DEFAULT_BALL_RADIUS * ballScaleForCount(count)
+    const physics = new PhysicsSimulator(count, radius, { seed, mode, boundary })
+    const label = `${count} balls, ${mode}${boundary ? `, ${boundary}` : ''}`
+    const camera = new THREE.Vector3()
+
+    for (let step = 1; step <= STEPS; step++) {
+        const t = step * 0.01
+        camera.set(Math.cos(t) * 15, Math.sin(t) * 15, Math.sin(t * 0.7) * 5)
+        physics.step(camera)
+        if (step % CHECK_EVERY === 0) assertInvariants(physics, camera, SLACK[mode], `${label} @${step}`)
+    }
+    return { physics, camera, label }
+}
+
+// Camera parked far outside: the pile must shed the energy the sweep put in
+function assertSettles(physics, label) {
+    const camera = new THREE.Vector3(0, 0, 500)
+    for (let i = 0; i < 2000; i++) physics.step(camera)
+    const ke = kineticEnergy(physics)
+    assert.ok(ke < IDLE_ENERGY_THRESHOLD, `${label}: kinetic energy ${ke} did not settle below ${IDLE_ENERGY_THRESHOLD}`)
+}
+
+test('zero-g pile holds every invariant under a sweeping camera', () => {
+    const { physics, label } = runWithCamera({ count: 80 })
+    assertSettles(physics, label)
+})
+
+test('court mode (gravity, box walls) holds every invariant and comes to rest', () => {
+    const { physics, label } = runWithCamera({ count: 80, mode: 'court' })
+    assertSettles(physics, label)
+})
+
+test('500 scaled-down balls hold every invariant', () => {
+    runWithCamera({ count: 500 })
+})
+
+test('invariants hold inside a non-spherical boundary', () => {
+    runWithCamera({ count: 80, boundary: 'box' })
+})
+
+test('a flung ball never tunnels through the pile or the wall', () => {
+    const physics = new PhysicsSimulator(80, DEFAULT_BALL_RADIUS, { seed: 7 })
+    const camera = new THREE.Vector3(0, 0, 500)
+    const target = new THREE.Vector3()
+    for (let round = 0; round < 20; round++) {
+        const index = (round * 13) % physics.count
+        physics.grab(index, physics.getPosition(index, target))
+        for (let i = 0; i < 10; i++) physics.step(camera)
+        physics.release(new THREE.Vector3(Math.cos(round) * 8, Math.sin(round) * 8, (round % 3 - 1) * 8))
+        for (let i = 0; i < 60; i++) {
+            physics.step(camera)
+            if (i % 5 === 0) assertInvariants(physics, camera, SLACK.float, `fling ${round} +${i}`)
+        }
+    }
+})
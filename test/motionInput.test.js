@@ -0,0 +1,99 @@
+// motionInput.test.js — Tilt/shake/gamepad/simulated input and the forces it applies to the simulator
+// Run with: npm test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from 'three'
+import {
+    GAMEPAD_IMPULSE, MotionInput, SHAKE_COOLDOWN_MS, SHAKE_IMPULSE, SHAKE_THRESHOLD, SIMULATED_PERIOD_MS, TILT_ACCELERATION,
+} from '../src/motionInput.js'
+import { PhysicsSimulator } from '../src/physics.js'
+
+const FAR_CAMERA = new THREE.Vector3(0, 0, 500)
+
+function close(actual, expected, message) {
+    actual.forEach((v, k) => assert.ok(Math.abs(v - expected[k]) < 1e-9, `${message}: ${actual} vs ${expected}`))
+}
+
+test('tilt is measured from the pose at enable time and follows screen rotation', () => {
+    const input = new MotionInput()
+    input.handleOrientation({ beta: 10, gamma: 0 })
+    assert.equal(input.read().acceleration[0], 0) // ignored while disabled
+
+    input.setEnabled('motion', true)
+    input.handleOrientation({ beta: 45, gamma: 0 }) // held at 45° — this is level
+    close(input.read().acceleration, [0, 0, 0], 'neutral')
+
+    input.handleOrientation({ beta: 45, gamma: 90 }) // right side fully down
+    close(input.read().acceleration, [TILT_ACCELERATION, 0, 0], 'portrait')
+
+    input.handleOrientation({ beta: 45, gamma: 90 }, 90) // same tilt with the screen turned to landscape
+    close(input.read().acceleration, [0, TILT_ACCELERATION, 0], 'landscape')
+})
+
+test('a shake above the threshold kicks once per cooldown, against its direction', () => {
+    const input = new MotionInput()
+    input.setEnabled('motion', true)
+    input.handleMotion({ acceleration: { x: SHAKE_THRESHOLD - 1, y: 0, z: 0 } }, 0, 0)
+    assert.equal(input.read().impulse, null)
+
+    input.handleMotion({ acceleration: { x: 20, y: 0, z: 0 } }, 0, 1000)
+    input.handleMotion({ acceleration: { x: 20, y: 0, z: 0 } }, 0, 1000 + SHAKE_COOLDOWN_MS / 2)
+    close(input.read().impulse, [-20 * SHAKE_IMPULSE, 0, 0], 'impulse')
+    assert.equal(input.read().impulse, null) // handed out once
+})
+
+test('the gamepad stick tilts past its deadzone and button A jolts on press only', () => {
+    const pad = { connected: true, axes: [0.05, -0.05], buttons: [{ pressed: false }] }
+    const input = new MotionInput({ getGamepads: () => [null, pad] })
+    input.setEnabled('gamepad', true)
+
+    input.update(0)
+    close(input.read().acceleration, [0, 0, 0], 'deadzone')
+
+    pad.axes = [0, -1] // stick pushed up
+    pad.buttons[0].pressed = true
+    input.update(16)
+    const { acceleration, impulse } = input.read()
+    close(acceleration, [0, TILT_ACCELERATION, 0], 'stick')
+    close(impulse, [0, GAMEPAD_IMPULSE, 0], 'jolt')
+
+    input.update(32) // still held
+    assert.equal(input.read().impulse, null)
+})
+
+test('sources add up but never exceed a full tilt; simulated input shakes twice a period', () => {
+    const pad = { connected: true, axes: [1, 0], buttons: [] }
+    const input = new MotionInput({ getGamepads: () => [pad] })
+    input.setEnabled('gamepad', true)
+    input.setEnabled('simulated', true)
+
+    input.update(0) // simulated tilt points right too (phase 0)
+    const { acceleration } = input.read()
+    close(acceleration, [TILT_ACCELERATION, 0, 0], 'clamped')
+
+    let shakes = 0
+    for (let ms = 0; ms <= SIMULATED_PERIOD_MS * 2; ms += 100) {
+        input.update(ms)
+        if (input.read().impulse) shakes++
+    }
+    assert.equal(shakes, 4)
+})
+
+test('external acceleration and impulses move every free ball alike', () => {
+    const physics = new PhysicsSimulator(2, 4, { seed: 1 })
+    physics.positions.set([-15, 0, 0, 15, 0, 0])
+    physics.velocities.fill(0)
+    physics.grab(1, new THREE.Vector3(15, 0, 0))
+
+    physics.setExternalAcceleration(0.01, 0, 0)
+    physics.step(FAR_CAMERA)
+    assert.ok(physics.velocities[0] > 0, 'free ball accelerates')
+    assert.ok(Math.abs(physics.velocities[3]) < 1e-3, 'held ball is exempt')
+
+    physics.setExternalAcceleration(0, 0, 0)
+    const before = physics.velocities[1]
+    physics.applyImpulse(0, 0.2, 0)
+    assert.ok(Math.abs(physics.velocities[1] - before - 0.2 / physics.subSteps) < 1e-6)
+    assert.equal(physics.velocities[4], 0)
+})
@@ -0,0 +1,273 @@
+// multiplayer.test.js — Snapshot quantization, WebSocket framing, the room's rules and a live server
+// Run with: npm test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { connect } from 'node:net'
+import { randomBytes } from 'node:crypto'
+import { PhysicsSimulator, TRANSFORM_STRIDE } from '../src/physics.js'
+import {
+    BALL_BYTES, MAX_CLIENT_FIELDS, POSITION_RANGE, SNAPSHOT_HEADER_BYTES, decodeMessage, decodeSnapshot, encodeMessage, encodeSnapshot, readVector,
+} from '../src/multiplayerProtocol.js'
+import { OPCODES, acceptKey, acceptWebSocket, decodeFrame, encodeFrame, isAllowedOrigin } from '../server/websocket.js'
+import { MAX_FIELD_STRENGTH, Room, sanitizeFieldSpec } from '../server/room.js'
+import { createMultiplayerServer } from '../server/index.js'
+import { MultiplayerClient } from '../src/multiplayerClient.js'
+
+// What a browser sends: a masked frame
+function clientFrame(opcode, payload) {
+    const frame = encodeFrame(opcode, payload)
+    const header = frame.subarray(0, frame.length - payload.length)
+    const mask = randomBytes(4)
+    header[1] |= 0x80
+    const masked = Buffer.from(payload)
+    for (let k = 0; k < masked.length; k++) masked[k] ^= mask[k & 3]
+    return Buffer.concat([header, mask, masked])
+}
+
+// Stands in for a WebSocketConnection in the room
+function fakeConnection() {
+    return {
+        sent: [], backlog: 0,
+        send(data) { this.sent.push(data) },
+        close() { this.onclose?.() },
+        messages(type) { return this.sent.filter(d => typeof d === 'string').map(decodeMessage).filter(m => m.type === type) },
+    }
+}
+
+const WAIT_MS = 5000 // a handshake or message that hasn't come by then isn't coming
+
+// A raw TCP client that does the handshake and collects decoded frames. Waits reject after WAIT_MS.
+function openClient(port) {
+    return new Promise((resolve, reject) => {
+        const socket = connect(port, '127.0.0.1')
+        const handshake = setTimeout(() => { socket.destroy(); reject(new Error('no handshake response')) }, WAIT_MS)
+        const key = randomBytes(16).toString('base64')
+        const client = { socket, texts: [], snapshots: [], waiters: [] }
+        let buffer = Buffer.alloc(0)
+        let upgraded = false
+        const settle = () => { client.waiters = client.waiters.filter(w => !w()) }
+        socket.on('error', reject)
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk])
+            if (!upgraded) {
+                const end = buffer.indexOf('\r\n\r\n')
+                if (end < 0) return
+                const head = buffer.subarray(0, end).toString()
+                assert.match(head, /^HTTP\/1.1 101/)
+                assert.ok(head.includes(`Sec-WebSocket-Accept: ${acceptKey(key)}`))
+                buffer = buffer.subarray(end + 4)
+                upgraded = true
+                clearTimeout(handshake)
+                resolve(client)
+            }
+            let frame
+            while ((frame = decodeFrame(buffer, Infinity))) {
+                buffer = buffer.subarray(frame.size)
+                if (frame.opcode === OPCODES.text) client.texts.push(decodeMessage(frame.payload.toString()))
+                else if (frame.opcode === OPCODES.binary) client.snapshots.push(frame.payload)
+            }
+            settle()
+        })
+        client.send = message => socket.write(clientFrame(OPCODES.text, Buffer.from(encodeMessage(message))))
+        client.until = check => new Promise((done, fail) => {
+            const deadline = setTimeout(() => fail(new Error(`gave up after ${WAIT_MS} ms: ${check}`)), WAIT_MS)
+            const waiter = () => check() && (clearTimeout(deadline), done(), true)
+            if (!waiter()) client.waiters.push(waiter)
+        })
+        socket.write([
+            'GET / HTTP/1.1', 'Host: localhost', 'Upgrade: websocket', 'Connection: Upgrade',
+            `Sec-WebSocket-Key: ${key}`, 'Sec-WebSocket-Version: 13', '', '',
+        ].join('\r\n'))
+    })
+}
+
+test('snapshots quantize positions to a few thousandths and keep rotations unit length', () => {
+    const sim = new PhysicsSimulator(50, 3.5, { seed: 4 })
+    for (let k = 0; k < 30; k++) sim.step({ x: 0, y: -90, z: 20 })
+    const transforms = new Float32Array(50 * TRANSFORM_STRIDE)
+    sim.writeTransforms(transforms, 0)
+
+    const buffer = encodeSnapshot(transforms, 50, 1234)
+    assert.equal(buffer.byteLength, SNAPSHOT_HEADER_BYTES + 50 * BALL_BYTES)
+    const out = new Float32Array(50 * TRANSFORM_STRIDE)
+    assert.deepEqual(decodeSnapshot(buffer, out), { count: 50, step: 1234 })
+    for (let i = 0; i < 50; i++) {
+        const o = i * TRANSFORM_STRIDE
+        for (let d = 0; d < 3; d++) assert.ok(Math.abs(out[o + d] - transforms[o + d]) < POSITION_RANGE / 32767)
+        let dot = 0
+        for (let d = 3; d < 7; d++) dot += out[o + d] * transforms[o + d]
+        assert.ok(Math.abs(Math.abs(dot) - 1) < 1e-4, `ball ${i} rotation`)
+    }
+
+    const fewer = new Float32Array(10 * TRANSFORM_STRIDE)
+    assert.equal(decodeSnapshot(buffer, fewer, 10).count, 50) // only 10 written
+    assert.equal(decodeSnapshot(buffer.slice(0, 100), out), null)
+    assert.equal(decodeSnapshot(new ArrayBuffer(8), out), null)
+    assert.equal(decodeMessage('{"type":'), null)
+    assert.equal(decodeMessage('[1]'), null)
+    assert.equal(readVector([1, NaN, 2]), null)
+})
+
+test('frames decode once complete, unmask, and refuse oversize payloads', () => {
+    const payload = Buffer.from('x'.repeat(300))
+    const frame = clientFrame(OPCODES.text, payload)
+    assert.equal(decodeFrame(frame.subarray(0, 10)), null)
+    const decoded = decodeFrame(frame)
+    assert.equal(decoded.masked, true)
+    assert.equal(decoded.size, frame.length)
+    assert.equal(decoded.payload.toString(), payload.toString())
+    assert.throws(() => decodeFrame(encodeFrame(OPCODES.binary, Buffer.alloc(70000))), RangeError)
+    assert.equal(acceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=') // RFC 6455 §1.3
+})
+
+test('handshakes from pages on other hosts are refused unless listed', () => {
+    const request = (origin) => ({ headers: { host: 'localhost:8787', origin } })
+    assert.equal(isAllowedOrigin(request(undefined)), true) // not a browser
+    assert.equal(isAllowedOrigin(request('http://localhost:5173')), true)
+    assert.equal(isAllowedOrigin(request('https://example.com')), false)
+    assert.equal(isAllowedOrigin(request('null')), false)
+    assert.equal(isAllowedOrigin(request('http://192.168.1.20:5173'), ['http://192.168.1.20:5173']), true)
+
+    const socket = { end(text) { this.response = text } }
+    const upgrade = { headers: { ...request('https://example.com').headers, upgrade: 'websocket', 'sec-websocket-key': 'x' } }
+    assert.equal(acceptWebSocket(upgrade, socket), null)
+    assert.match(socket.response, /^HTTP\/1.1 403/)
+})
+
+test('a camera\'s shield keeps its velocity between camera messages and stops after them', () => {
+    const room = new Room({ count: 20, seed: 3 })
+    const a = fakeConnection()
+    room.join(a)
+    a.onmessage(encodeMessage({ type: 'camera', position: [0, -60, 0] }))
+    const shield = room.physics.forceFields.find(field => field.type === 'shield')
+    const velocity = () => Array.from(shield.velocity)
+
+    for (let k = 0; k < 3; k++) room.tick()
+    a.onmessage(encodeMessage({ type: 'camera', position: [0, -57, 0] })) // 3 units over 3 steps
+    const perStep = [0, Math.fround(1 / room.physics.subSteps), 0]
+    assert.deepEqual(velocity(), perStep)
+    for (let k = 0; k < 3; k++) room.tick()
+    assert.deepEqual(velocity(), perStep) // held, not zero on the ticks without a camera
+    for (let k = 0; k < 3; k++) room.tick()
+    assert.deepEqual(velocity(), [0, 0, 0])
+    assert.deepEqual(Array.from(shield.position), [0, -57, 0])
+})
+
+test('the room gives each camera a shield, one grab at a time, and checks what clients send', () => {
+    const room = new Room({ count: 20, seed: 3 })
+    const a = fakeConnection()
+    const b = fakeConnection()
+    const idA = room.join(a)
+    const idB = room.join(b)
+    assert.equal(a.messages('welcome')[0].count, 20)
+    assert.deepEqual(b.messages('users').at(-1).ids, [idA, idB])
+    assert.equal(room.physics.forceFields.length, 0) // no camera forcefield at the origin
+
+    a.onmessage(encodeMessage({ type: 'camera', position: [0, -60, 0] }))
+    a.onmessage(encodeMessage({ type: 'camera', position: [0, -50, 0] }))
+    b.onmessage(encodeMessage({ type: 'camera', position: [NaN, 0, 0] }))
+    assert.equal(room.physics.forceFields.length, 1)
+
+    a.onmessage(encodeMessage({ type: 'grab', index: 2, target: [0, 0, 0] }))
+    b.onmessage(encodeMessage({ type: 'grab', index: 5, target: [0, 0, 0] }))
+    assert.equal(room.physics.grabbedIndex, 2)
+    b.onmessage(encodeMessage({ type: 'release', velocity: [0, 0, 0] }))
+    assert.equal(room.physics.grabbedIndex, 2)
+    b.onmessage(encodeMessage({ type: 'grab', index: 99, target: [0, 0, 0] }))
+    a.onmessage('not json')
+    a.onmessage(Buffer.from([1, 2, 3]))
+
+    for (let id = 1; id <= MAX_CLIENT_FIELDS + 2; id++) {
+        b.onmessage(encodeMessage({ type: 'addForceField', spec: { id, type: 'repulsor', position: [0, 0, 0], strength: 5 } }))
+    }
+    b.onmessage(encodeMessage({ type: 'addForceField', spec: { id: 50, type: 'shield', position: [0, 0, 0], radius: 40 } }))
+    const added = room.physics.getForceFields().filter(spec => spec.type === 'repulsor')
+    assert.equal(added.length, MAX_CLIENT_FIELDS)
+    assert.ok(added.every(spec => spec.strength === MAX_FIELD_STRENGTH))
+    assert.equal(sanitizeFieldSpec({ type: 'wind', position: [0, 0, 0], radius: 1e6 }).radius, 40)
+    assert.equal(sanitizeFieldSpec({ strength: -1 }, true).strength, -MAX_FIELD_STRENGTH)
+
+    for (let k = 0; k < 6; k++) room.tick()
+    assert.equal(a.sent.filter(d => d instanceof ArrayBuffer).length, 2) // every third step
+
+    // Leaving hands back the grab and takes the camera's shield and the fields along
+    a.close()
+    assert.equal(room.physics.grabbedIndex, -1)
+    b.close()
+    assert.equal(room.physics.forceFields.length, 0)
+    assert.equal(room.clients.size, 0)
+})
+
+test('a client picks at the server\'s ball size and reports a count it doesn\'t match', () => {
+    const reports = []
+    const client = new MultiplayerClient('ws://localhost:1', 10, 3.5, { seed: 1, onUsersChange: users => reports.push(users) })
+    client.receiveMessage({ type: 'welcome', id: 1, users: [1], count: 12, ballRadius: 2 })
+    assert.deepEqual(reports.at(-1), { connected: true, id: 1, ids: [1], ballCount: 12, ballRadius: 2, inSync: false })
+    assert.equal(client.BALL_RADIUS, 2)
+    assert.ok(client.radii.every(r => r === 2))
+
+    const rebuilt = new MultiplayerClient('ws://localhost:1', 12, 2, { seed: 1, onUsersChange: users => reports.push(users) })
+    rebuilt.receiveMessage({ type: 'welcome', id: 2, users: [1, 2], count: 12, ballRadius: 2 })
+    assert.equal(reports.at(-1).inSync, true)
+})
+
+test('a client keeps only the fields the server accepts, and sends nothing for refused ones', () => {
+    const hadWebSocket = 'WebSocket' in globalThis
+    globalThis.WebSocket ??= { OPEN: 1 } // Node 20 has no WebSocket global; only OPEN is read here
+    try {
+        const client = new MultiplayerClient('ws://localhost:1', 10, 3.5, { seed: 1 })
+        const sent = []
+        client.socket = { readyState: globalThis.WebSocket.OPEN, send: text => sent.push(decodeMessage(text)) }
+        const spec = { type: 'attractor', position: [0, 0, 0], radius: 20, strength: 0.02 }
+
+        assert.equal(client.addForceField({ ...spec, type: 'shield' }), -1)
+        assert.equal(client.addForceField({ type: 'wind', direction: [1, 0, 0] }), -1) // no position
+        const ids = Array.from({ length: MAX_CLIENT_FIELDS }, () => client.addForceField(spec))
+        assert.ok(ids.every(id => id > 0))
+        assert.equal(client.addForceField(spec), -1)
+        assert.equal(client.addForceField({ ...spec, id: ids[0] }), -1)
+        assert.equal(client.getForceFields().length, MAX_CLIENT_FIELDS)
+        assert.equal(sent.length, MAX_CLIENT_FIELDS)
+
+        client.updateForceField(-1, { position: [1, 0, 0] })
+        client.removeForceField(-1)
+        assert.equal(sent.length, MAX_CLIENT_FIELDS)
+        client.removeForceField(ids[0])
+        assert.equal(client.addForceField(spec), MAX_CLIENT_FIELDS + 1) // room again
+    } finally {
+        if (!hadWebSocket) delete globalThis.WebSocket
+    }
+})
+
+test('the server welcomes clients, streams snapshots and announces joins and leaves', { timeout: 30_000 }, async () => {
+    const server = createMultiplayerServer({ count: 12, seed: 1 })
+    const { port } = await server.listen(0)
+    const clients = []
+    try {
+        const first = await openClient(port)
+        clients.push(first)
+        await first.until(() => first.texts.some(m => m.type === 'welcome'))
+        const welcome = first.texts.find(m => m.type === 'welcome')
+        assert.equal(welcome.count, 12)
+
+        const second = await openClient(port)
+        clients.push(second)
+        await first.until(() => first.texts.at(-1).type === 'users' && first.texts.at(-1).ids.length === 2)
+
+        second.send({ type: 'camera', position: [0, -60, 10] })
+        await second.until(() => second.snapshots.length >= 2)
+        const out = new Float32Array(12 * TRANSFORM_STRIDE)
+        const latest = second.snapshots.at(-1)
+        const { count, step } = decodeSnapshot(latest.buffer.slice(latest.byteOffset, latest.byteOffset + latest.byteLength), out)
+        assert.equal(count, 12)
+        assert.ok(step > 0)
+
+        second.socket.destroy()
+        await first.until(() => first.texts.at(-1).ids?.length === 1)
+        assert.equal(server.room.clients.size, 1)
+    } finally {
+        for (const client of clients) client.socket.destroy() // a failed wait leaves them open, and close() waits for them
+        await server.close()
+    }
+})
@@ -0,0 +1,115 @@
+// physicsWorker.test.js — Worker-mode physics: the client's fallback and the worker's own loop
+// Run with: npm test
+
+import { mock, test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from 'three'
+import { FIXED_TIMESTEP, PhysicsSimulator } from '../src/physics.js'
+import { PhysicsWorkerClient, createPhysics } from '../src/physicsWorkerClient.js'
+import { STEP_INTERVAL_MS } from '../src/physicsBuffer.js'
+
+const CAMERA = new THREE.Vector3(0, -90, 20)
+
+// physics.worker.js run in this thread: what the client posts reaches its onmessage and back
+let inProcess = null
+globalThis.self = { postMessage: (data) => inProcess?.onmessage?.({ data }), close() {} }
+await import('../src/physics.worker.js')
+class InProcessWorker {
+    constructor() { inProcess = this }
+    postMessage(data) { globalThis.self.onmessage({ data }) }
+    terminate() { globalThis.self.onmessage({ data: { type: 'stop' } }) }
+}
+
+function waitFor(check) {
+    return new Promise(resolve => {
+        const poll = () => check() ? resolve() : setTimeout(poll, 5)
+        poll()
+    })
+}
+
+test('?worker on a page that isn\'t cross-origin isolated simulates in-thread', () => {
+    assert.ok(createPhysics(10, 3.5, { seed: 1, worker: true }) instanceof PhysicsSimulator)
+})
+
+test('a worker that can\'t start hands over to an in-thread simulator with the same settings', () => {
+    const client = new PhysicsWorkerClient(10, 3.5, { seed: 5 })
+    client.setMode('court')
+    client.addForceField({ type: 'attractor', position: [0, 0, 0], radius: 30, strength: 0.02 })
+    client.start() // no Worker in Node: the constructor throws
+    assert.ok(client.local instanceof PhysicsSimulator)
+    assert.equal(client.local.mode, 'court')
+    assert.equal(client.local.getForceFields().length, 1)
+
+    // Same steps as a simulator set up directly
+    const reference = new PhysicsSimulator(10, 3.5, { seed: 5 })
+    reference.setMode('court')
+    reference.addForceField({ type: 'attractor', position: [0, 0, 0], radius: 30, strength: 0.02, id: 1 })
+    assert.equal(client.advance(FIXED_TIMESTEP * 3, CAMERA), 3)
+    reference.advance(FIXED_TIMESTEP * 3, CAMERA)
+    assert.deepEqual(client.getPosition(4, new THREE.Vector3()), reference.getPosition(4, new THREE.Vector3()))
+
+    client.applyImpulse(0, 0, 1) // later calls reach the in-thread simulator
+    assert.ok(client.local.velocities.some(v => v !== 0))
+    client.start()
+    assert.equal(client.worker, null)
+})
+
+test('an offline export steps worker physics in-thread and hands it back afterwards', async () => {
+    globalThis.Worker = InProcessWorker
+    const client = new PhysicsWorkerClient(10, 3.5, { seed: 5 })
+    try {
+        client.start()
+        client.addForceField({ type: 'attractor', position: [0, 0, 0], radius: 30, strength: 0.02 })
+        const steps = () => Atomics.load(client.views.control, 1)
+        await waitFor(() => steps() >= 3)
+
+        await client.takeOver()
+        assert.equal(client.worker, null)
+        assert.ok(client.local instanceof PhysicsSimulator)
+        assert.equal(client.local.getForceFields().length, 1) // once, not again from the settings
+        const stepped = steps()
+        assert.equal(client.advance(FIXED_TIMESTEP * 2, CAMERA), 2) // the caller's clock drives it now
+        await new Promise(resolve => setTimeout(resolve, 40))
+        assert.equal(steps(), stepped)
+
+        // A new worker carries on from the in-thread state
+        const position = client.local.getPosition(3, new THREE.Vector3())
+        client.handBack()
+        assert.equal(client.local, null)
+        assert.ok(client.worker instanceof InProcessWorker)
+        assert.deepEqual(client.getPosition(3, new THREE.Vector3()).toArray(), position.toArray().map(Math.fround))
+        await waitFor(() => steps() > stepped)
+    } finally {
+        client.stop()
+        delete globalThis.Worker
+    }
+})
+
+test('a slowed clock (reduced motion) reaches the worker, which steps less often', () => {
+    globalThis.Worker = InProcessWorker
+    mock.timers.enable({ apis: ['setInterval'] })
+    const client = new PhysicsWorkerClient(10, 3.5, { seed: 5 })
+    const steps = () => Atomics.load(client.views.control, 1)
+    try {
+        client.start()
+        mock.timers.tick(STEP_INTERVAL_MS * 20)
+        assert.equal(steps(), 20)
+
+        client.setTimeScale(0.35)
+        mock.timers.tick(STEP_INTERVAL_MS * 20)
+        assert.equal(steps(), 20 + 7)
+
+        // Restarted workers and the in-thread fallback start out slowed down too
+        client.stop()
+        client.start()
+        mock.timers.tick(STEP_INTERVAL_MS * 20)
+        assert.equal(steps(), 27 + 7)
+        client.fallBack()
+        assert.equal(client.advance(FIXED_TIMESTEP * 20, CAMERA), 4) // 7 owed, capped by the catch-up budget
+        assert.equal(client.advance(FIXED_TIMESTEP * 3, CAMERA), 1)
+    } finally {
+        client.stop()
+        mock.timers.reset()
+        delete globalThis.Worker
+    }
+})
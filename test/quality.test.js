@@ -0,0 +1,70 @@
+// quality.test.js — Quality tiers and the adaptive governor's hysteresis
+// Run with: npm test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { QUALITY_TIERS, QualityGovernor, applyQualityTier, qualityIndex } from '../src/quality.js'
+import { ALL_EFFECTS_ON } from '../src/config.js'
+import { DEFAULT_PHYSICS_CONFIG } from '../src/physics.js'
+
+const OPTIONS = { windowFrames: 10, downWindows: 2, upWindows: 3, settleFrames: 5 }
+
+// Feed `frames` frames of `ms` each; returns the tier after every change
+function run(governor, ms, frames) {
+    const changes = []
+    for (let n = 0; n < frames; n++) if (governor.sample(ms)) changes.push(governor.tier)
+    return changes
+}
+
+test('qualityIndex accepts names and indices', () => {
+    assert.equal(qualityIndex('high'), 0)
+    assert.equal(qualityIndex('minimal'), QUALITY_TIERS.length - 1)
+    assert.equal(qualityIndex(2), 2)
+    assert.equal(qualityIndex('ultra'), -1)
+    assert.equal(qualityIndex(QUALITY_TIERS.length), -1)
+})
+
+test('applyQualityTier filters effects, caps physics and scales the count', () => {
+    const minimal = QUALITY_TIERS.at(-1)
+    const applied = applyQualityTier(minimal, { effects: ALL_EFFECTS_ON, physicsConfig: DEFAULT_PHYSICS_CONFIG, count: 80 })
+    assert.ok(Object.values(applied.effects).every(on => !on))
+    assert.equal(applied.physicsConfig.subSteps, minimal.maxSubSteps)
+    assert.equal(applied.physicsConfig.restitution, DEFAULT_PHYSICS_CONFIG.restitution)
+    assert.equal(applied.count, 40)
+
+    const high = applyQualityTier(QUALITY_TIERS[0], { effects: { ...ALL_EFFECTS_ON, Bloom: false }, physicsConfig: { ...DEFAULT_PHYSICS_CONFIG, subSteps: 6 }, count: 80 })
+    assert.equal(high.effects.Bloom, false) // a tier never turns an effect on
+    assert.equal(high.effects.Noise, true)
+    assert.equal(high.physicsConfig.subSteps, 6)
+})
+
+test('sustained slow frames step down one tier at a time, a single bad window does not', () => {
+    const governor = new QualityGovernor(OPTIONS)
+    assert.deepEqual(run(governor, 30, 5 + 10), []) // settle + one bad window
+    assert.deepEqual(run(governor, 16, 10), [])     // a good window in between resets the count
+    assert.deepEqual(run(governor, 30, 20), [1])
+    assert.deepEqual(run(governor, 30, 5 + 20), [2]) // settles again after the change
+})
+
+test('stepping up needs longer than stepping down, and frames between the thresholds hold', () => {
+    const governor = new QualityGovernor({ ...OPTIONS, tier: 2 })
+    assert.deepEqual(run(governor, 20, 5 + 100), []) // 50 fps: neither slow nor fast
+    assert.deepEqual(run(governor, 16, 20), [])
+    assert.deepEqual(run(governor, 16, 10), [1])
+})
+
+test('an upgrade that cannot hold doubles the wait before it is tried again', () => {
+    const governor = new QualityGovernor({ ...OPTIONS, tier: 1 })
+    assert.deepEqual(run(governor, 16, 5 + 30), [0])
+    assert.deepEqual(run(governor, 30, 5 + 20), [1])
+    assert.equal(governor.upWindows, 6)
+    assert.deepEqual(run(governor, 16, 5 + 50), [])
+    assert.deepEqual(run(governor, 16, 10), [0])
+})
+
+test('stalls are ignored and the last tier is the floor', () => {
+    const governor = new QualityGovernor({ ...OPTIONS, tier: QUALITY_TIERS.length - 1 })
+    assert.deepEqual(run(governor, 1000, 100), [])
+    assert.deepEqual(run(governor, 40, 100), [])
+    assert.equal(governor.tier, QUALITY_TIERS.length - 1)
+})
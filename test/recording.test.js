@@ -0,0 +1,118 @@
+// recording.test.js — ZIP writer and the offline frame schedule (fake R3F root, no browser)
+// Run with: npm test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { crc32, createZip } from '../src/zip.js'
+import { SIM_FRAME_RATE, createRecorder, frameName, maxSequenceSeconds, renderFrameSequence } from '../src/recording.js'
+
+// Reads the central directory back: [{ name, crc, size, data }]
+async function readZip(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer())
+    const view = new DataView(bytes.buffer)
+    const end = bytes.length - 22
+    assert.equal(view.getUint32(end, true), 0x06054B50)
+    const entries = []
+    let o = view.getUint32(end + 16, true)
+    for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+        assert.equal(view.getUint32(o, true), 0x02014B50)
+        const size = view.getUint32(o + 20, true)
+        const nameLength = view.getUint16(o + 28, true)
+        const local = view.getUint32(o + 42, true)
+        const name = new TextDecoder().decode(bytes.subarray(o + 46, o + 46 + nameLength))
+        const start = local + 30 + view.getUint16(local + 26, true)
+        entries.push({ name, crc: view.getUint32(o + 16, true), size, data: bytes.subarray(start, start + size) })
+        o += 46 + nameLength
+    }
+    return entries
+}
+
+test('crc32 matches the standard check value', () => {
+    assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926)
+})
+
+test('createZip stores Blob and byte entries that read back intact', async () => {
+    const zip = await createZip([
+        { name: 'a.txt', data: new TextEncoder().encode('hello') },
+        { name: 'dir/b.bin', data: new Blob([new Uint8Array([1, 2, 3])]) },
+    ])
+    assert.equal(zip.type, 'application/zip')
+    const entries = await readZip(zip)
+    assert.deepEqual(entries.map(e => e.name), ['a.txt', 'dir/b.bin'])
+    assert.equal(new TextDecoder().decode(entries[0].data), 'hello')
+    assert.deepEqual(Array.from(entries[1].data), [1, 2, 3])
+    for (const e of entries) assert.equal(crc32(e.data), e.crc)
+})
+
+// Just enough of an R3F root for renderFrameSequence: records advance() times and captures
+function fakeRoot() {
+    const calls = { advance: [], frameloop: [], sizes: [], dpr: [] }
+    let time = 0
+    const state = {
+        frameloop: 'always',
+        size: { width: 800, height: 600, top: 0, left: 0, updateStyle: true },
+        viewport: { dpr: 1.5 },
+        gl: { domElement: { toBlob: (cb, type) => cb(new Blob([`${type} @ ${time.toFixed(4)}`])) } },
+        advance: (t) => { time = t; calls.advance.push(t) },
+        setFrameloop: (mode) => calls.frameloop.push(mode),
+        setSize: (width, height) => calls.sizes.push([width, height]),
+        setDpr: (dpr) => calls.dpr.push(dpr),
+    }
+    return { state, calls }
+}
+
+test('offline frames advance on a fixed clock and capture every 1 / fps', async () => {
+    const { state, calls } = fakeRoot()
+    const progress = []
+    const zip = await renderFrameSequence(state, { width: 1920, height: 1080, fps: 30, seconds: 0.5, onProgress: (n, total) => progress.push([n, total]) })
+
+    // 15 frames at 30 fps = 30 simulation frames of exactly 1/60 s
+    assert.equal(calls.advance.length, 0.5 * SIM_FRAME_RATE)
+    calls.advance.forEach((t, k) => assert.equal(t, (k + 1) / SIM_FRAME_RATE))
+    assert.deepEqual(progress.at(-1), [15, 15])
+
+    const entries = await readZip(zip)
+    assert.equal(entries.length, 15)
+    assert.equal(entries[0].name, frameName(1))
+    assert.equal(new TextDecoder().decode(entries[14].data), 'image/png @ 0.5000')
+
+    // Loop, size and DPR are handed back afterwards
+    assert.deepEqual(calls.frameloop, ['never', 'always'])
+    assert.deepEqual(calls.sizes, [[1920, 1080], [800, 600]])
+    assert.deepEqual(calls.dpr, [1, 1.5])
+})
+
+test('an aborted render restores the live loop', async () => {
+    const { state, calls } = fakeRoot()
+    const abort = new AbortController()
+    const render = renderFrameSequence(state, {
+        width: 640, height: 360, seconds: 1, signal: abort.signal,
+        onProgress: (n) => { if (n === 3) abort.abort() },
+    })
+    await assert.rejects(render, { name: 'AbortError' })
+    assert.equal(calls.advance.length, 3)
+    assert.deepEqual(calls.frameloop, ['never', 'always'])
+})
+
+test('sequences past the memory cap are refused before anything renders', async () => {
+    assert.equal(maxSequenceSeconds(1920, 1080, 60), 5)
+    assert.equal(maxSequenceSeconds(1920, 1080, 30), 10)
+    assert.equal(maxSequenceSeconds(1280, 720, 60), 11)
+    const { state, calls } = fakeRoot()
+    await assert.rejects(renderFrameSequence(state, { width: 1920, height: 1080, fps: 60, seconds: 6 }), RangeError)
+    assert.deepEqual(calls.frameloop, [])
+})
+
+test('the recorder runs its hooks around a sequence, even one that fails', async () => {
+    const { state, calls } = fakeRoot()
+    const order = []
+    const recorder = createRecorder(() => state, {
+        beforeFrames: async () => order.push(['before', calls.advance.length]),
+        afterFrames: async () => order.push(['after', calls.advance.length]),
+    })
+    await recorder.renderFrames({ width: 640, height: 360, fps: 60, seconds: 0.1 })
+    assert.deepEqual(order, [['before', 0], ['after', 6]])
+    await assert.rejects(recorder.renderFrames({ width: 1920, height: 1080, seconds: 60 }), RangeError)
+    assert.deepEqual(order.at(-1), ['after', 6])
+    assert.equal(recorder.isRendering(), false)
+})
@@ -0,0 +1,55 @@
+// shortcuts.test.js — The shortcut list and which keydowns the page may take
+// Run with: npm test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { SHORTCUTS, isShortcutEvent } from '../src/shortcuts.js'
+
+const doc = { body: null, documentElement: null }
+doc.body = { tagName: 'BODY', ownerDocument: doc }
+doc.documentElement = { tagName: 'HTML', ownerDocument: doc }
+
+function element(tagName, extra = {}) {
+    return { tagName, ownerDocument: doc, isContentEditable: false, ...extra }
+}
+
+function fakeRoot(...inside) {
+    return { contains: (node) => inside.includes(node) }
+}
+
+test('shortcut keys are unique, lower-case and documented', () => {
+    const keys = SHORTCUTS.map(s => s.key)
+    assert.equal(new Set(keys).size, keys.length)
+    for (const s of SHORTCUTS) {
+        assert.equal(s.key, s.key.toLowerCase())
+        assert.ok(s.label && s.name && s.description, s.key)
+    }
+    assert.ok(keys.includes('?'))
+    assert.ok(Object.isFrozen(SHORTCUTS))
+})
+
+test('keys on the page body or inside the app are taken', () => {
+    const canvas = element('CANVAS')
+    const root = fakeRoot(canvas)
+    assert.equal(isShortcutEvent({ key: 'l', target: doc.body }, root), true)
+    assert.equal(isShortcutEvent({ key: 'l', target: doc.documentElement }, root), true)
+    assert.equal(isShortcutEvent({ key: 'l', target: canvas }, root), true)
+})
+
+test('form fields, editable content and outside widgets keep their keys', () => {
+    const input = element('INPUT'), textarea = element('TEXTAREA'), select = element('SELECT')
+    const editable = element('DIV', { isContentEditable: true })
+    const outside = element('BUTTON')
+    const root = fakeRoot(input, textarea, select, editable)
+    for (const target of [input, textarea, select, editable, outside]) {
+        assert.equal(isShortcutEvent({ key: 'l', target }, root), false, target.tagName)
+    }
+})
+
+test('modifier chords and handled events are left to the browser', () => {
+    const root = fakeRoot()
+    for (const modifier of ['ctrlKey', 'altKey', 'metaKey', 'defaultPrevented']) {
+        assert.equal(isShortcutEvent({ key: 'r', target: doc.body, [modifier]: true }, root), false, modifier)
+    }
+    assert.equal(isShortcutEvent({ key: '?', shiftKey: true, target: doc.body }, root), true)
+})
@@ -0,0 +1,69 @@
+// themes.test.js — Theme presets, registration and the L cycle
+// Run with: npm test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    BUILT_IN_THEMES, DARK_THEME, LIGHT_THEME, getTheme, nextThemeName, registerTheme, resolveTheme, themeNames,
+} from '../src/themes.js'
+
+const FIELDS = Object.keys(DARK_THEME)
+
+test('built-in themes are complete and frozen', () => {
+    assert.deepEqual(themeNames().slice(0, BUILT_IN_THEMES.length), BUILT_IN_THEMES.map(t => t.name))
+    for (const theme of BUILT_IN_THEMES) {
+        assert.deepEqual(Object.keys(theme).sort(), [...FIELDS].sort(), theme.name)
+        assert.ok(Object.isFrozen(theme) && Object.isFrozen(theme.sun), theme.name)
+        assert.equal(theme.glow.length, 3)
+    }
+})
+
+test('dark and light keep the original look', () => {
+    assert.equal(DARK_THEME.background, '#020202')
+    assert.equal(LIGHT_THEME.background, '#f0f0f0')
+    assert.equal(DARK_THEME.sun.intensity, 2.5)
+    assert.equal(LIGHT_THEME.sun.lowPowerIntensity, 2.5)
+    assert.equal(DARK_THEME.vignette, 0.65)
+    assert.equal(LIGHT_THEME.environmentIntensity, 0.4)
+})
+
+test('L cycles through every theme and wraps', () => {
+    const names = themeNames()
+    let name = names[0]
+    for (let k = 1; k <= names.length; k++) {
+        name = nextThemeName(name)
+        assert.equal(name, names[k % names.length])
+    }
+    assert.equal(nextThemeName('no-such-theme'), names[0])
+})
+
+test('registered themes fill omitted fields from their base and join the cycle', () => {
+    const brand = registerTheme({ name: 'brand-test', base: 'studio', sun: { color: '#ff0000' }, bloom: 2 })
+    assert.equal(getTheme('brand-test'), brand)
+    assert.equal(brand.label, 'brand-test')
+    assert.equal(brand.dark, false)
+    assert.equal(brand.sun.color, '#ff0000')
+    assert.equal(brand.sun.intensity, getTheme('studio').sun.intensity)
+    assert.equal(brand.bloom, 2)
+    assert.equal('base' in brand, false)
+    assert.equal(themeNames().at(-1), 'brand-test')
+
+    const dark = registerTheme({ name: 'brand-dark', background: '#100010' })
+    assert.equal(dark.dark, true)
+    assert.equal(dark.sun.intensity, DARK_THEME.sun.intensity)
+    const light = registerTheme({ name: 'brand-light', dark: false })
+    assert.equal(light.vignette, LIGHT_THEME.vignette)
+
+    assert.throws(() => registerTheme({ label: 'No name' }), TypeError)
+    assert.throws(() => registerTheme({ name: 'has space' }), TypeError)
+})
+
+test('resolveTheme takes names or inline objects', () => {
+    assert.equal(resolveTheme('light'), LIGHT_THEME)
+    assert.equal(resolveTheme('unknown'), DARK_THEME)
+    assert.equal(resolveTheme(undefined), DARK_THEME)
+    const inline = resolveTheme({ background: '#123456', base: 'light' })
+    assert.equal(inline.background, '#123456')
+    assert.equal(inline.ambient.lowPowerIntensity, LIGHT_THEME.ambient.lowPowerIntensity)
+    assert.equal(getTheme(inline.name), LIGHT_THEME) // not registered
+})
@@ -0,0 +1,66 @@
+// timestep.test.js — Fixed-timestep driver: refresh-rate independence, catch-up budget, interpolation
+// Run with: npm test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from 'three'
+import { PhysicsSimulator, FIXED_TIMESTEP, MAX_CATCH_UP_STEPS } from '../src/physics.js'
+
+const FAR_CAMERA = new THREE.Vector3(0, 0, 500)
+
+test('60 Hz and 120 Hz frames produce the same simulation', () => {
+    const a = new PhysicsSimulator(40, 4, { seed: 5 })
+    const b = new PhysicsSimulator(40, 4, { seed: 5 })
+    let stepsA = 0, stepsB = 0
+    for (let frame = 0; frame < 120; frame++) stepsA += a.advance(1 / 60, FAR_CAMERA)
+    for (let frame = 0; frame < 240; frame++) stepsB += b.advance(1 / 120, FAR_CAMERA)
+
+    assert.equal(stepsA, 120)
+    assert.equal(stepsB, 120)
+    assert.deepEqual(Array.from(b.positions), Array.from(a.positions))
+    assert.deepEqual(Array.from(b.quaternions), Array.from(a.quaternions))
+})
+
+test('a long stall runs at most MAX_CATCH_UP_STEPS and drops the rest', () => {
+    const physics = new PhysicsSimulator(10, 4, { seed: 1 })
+    assert.equal(physics.advance(1, FAR_CAMERA), MAX_CATCH_UP_STEPS)
+    assert.ok(physics.accumulator < FIXED_TIMESTEP)
+    assert.equal(physics.advance(0, FAR_CAMERA), 0)
+})
+
+test('the frame after a dropped backlog draws the state the simulation reached', () => {
+    const physics = new PhysicsSimulator(1, 4, { seed: 1 })
+    physics.velocities.set([0.5, 0, 0])
+    physics.advance(1, FAR_CAMERA)
+    assert.equal(physics.accumulator, 0)
+    assert.equal(physics.interpolation, 1)
+    assert.notDeepEqual(Array.from(physics.prevPositions), Array.from(physics.positions))
+
+    const mesh = { instanceMatrix: { array: new Float32Array(16), needsUpdate: false } }
+    physics.updateInstances([{ mesh, prim: null, start: 0, count: 1 }])
+    assert.deepEqual(Array.from(mesh.instanceMatrix.array.subarray(12, 15)), Array.from(physics.positions))
+})
+
+test('updateInstances draws the blend between the last two states', () => {
+    const physics = new PhysicsSimulator(1, 4, { seed: 1 })
+    physics.advance(FIXED_TIMESTEP, FAR_CAMERA)
+    physics.prevPositions.set([0, 0, 0])
+    physics.positions.set([2, 4, -6])
+    physics.advance(FIXED_TIMESTEP / 4 - 1e-12, FAR_CAMERA) // a quarter step, no step taken
+    assert.ok(Math.abs(physics.interpolation - 0.25) < 1e-6)
+
+    const mesh = { instanceMatrix: { array: new Float32Array(16), needsUpdate: false } }
+    physics.updateInstances([{ mesh, prim: null, start: 0, count: 1 }])
+    const translation = Array.from(mesh.instanceMatrix.array.subarray(12, 15))
+    translation.forEach((v, k) => assert.ok(Math.abs(v - [0.5, 1, -1.5][k]) < 1e-5, `translation ${translation}`))
+    assert.equal(mesh.instanceMatrix.needsUpdate, true)
+})
+
+test('restore() snaps straight to the restored state', () => {
+    const a = new PhysicsSimulator(5, 4, { seed: 3 })
+    a.advance(FIXED_TIMESTEP * 1.5, FAR_CAMERA)
+    const b = new PhysicsSimulator(5, 4, { seed: 9 })
+    b.restore(a.snapshot())
+    assert.equal(b.interpolation, 1)
+    assert.deepEqual(Array.from(b.prevPositions), Array.from(b.positions))
+})
@@ -0,0 +1,71 @@
+// urlState.test.js — Query string parsing and replaceState writes
+// Run with: npm test
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readUrlState, writeUrlParams } from '../src/urlState.js'
+
+// Minimal location + history so writeUrlParams can run outside a browser
+function fakeWindow(search) {
+    const win = {
+        location: { pathname: '/', search, hash: '' },
+        history: {
+            state: null,
+            calls: 0,
+            replaceState(state, title, url) {
+                this.calls++
+                const q = url.indexOf('?')
+                win.location.search = q < 0 ? '' : url.slice(q)
+            },
+        },
+    }
+    globalThis.window = win
+    return win
+}
+
+test('readUrlState parses every shareable parameter', () => {
+    const state = readUrlState('?theme=light&compat&quality=low&wireframe=0&reducedMotion&off=Bloom,Noise&court&boundary=tube&count=300&seed=abc&cam=1.5,2,-3&target=0,4,0')
+    assert.deepEqual(state, {
+        theme: 'light',
+        isLowPower: true,
+        quality: 'low',
+        isPrimitive: false,
+        reducedMotion: true,
+        disabledEffects: ['Bloom', 'Noise'],
+        isCourt: true,
+        boundary: 'tube',
+        count: '300',
+        seed: 'abc',
+        cameraPosition: [1.5, 2, -3],
+        cameraTarget: [0, 4, 0],
+    })
+})
+
+test('readUrlState treats absent or malformed values as unset', () => {
+    const state = readUrlState('?theme=purple&compat=0&cam=1,2&target=a,b,c')
+    assert.equal(state.theme, null)
+    assert.equal(readUrlState('?theme=arena-night').theme, 'arena-night')
+    assert.equal(state.isLowPower, false)
+    assert.equal(state.isPrimitive, null)
+    assert.equal(state.reducedMotion, null)
+    assert.deepEqual(state.disabledEffects, [])
+    assert.equal(state.seed, undefined)
+    assert.equal(state.cameraPosition, null)
+    assert.equal(state.cameraTarget, null)
+})
+
+test('writeUrlParams merges into the query, keeps unknown params and writes bare flags', () => {
+    const win = fakeWindow('?worker&seed=7')
+    writeUrlParams({ compat: true, court: false, off: 'Bloom,Noise', cam: [1.23456, -20, 90.004] })
+    assert.equal(win.location.search, '?worker&seed=7&compat&off=Bloom,Noise&cam=1.23,-20,90')
+
+    writeUrlParams({ compat: false, off: null })
+    assert.equal(win.location.search, '?worker&seed=7&cam=1.23,-20,90')
+})
+
+test('writeUrlParams skips replaceState when nothing changed', () => {
+    const win = fakeWindow('?seed=7')
+    writeUrlParams({ seed: '7' })
+    assert.equal(win.history.calls, 0)
+    assert.equal(readUrlState(win.location.search).seed, '7')
+})
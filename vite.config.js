@@ -2,20 +2,52 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
-export default defineConfig({
+// Cross-origin isolation — required for SharedArrayBuffer (?worker physics). Mirrored in netlify.toml.
+// `credentialless` rather than `require-corp`, so cross-origin assets without CORP still load.
+const isolationHeaders = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'credentialless',
+}
+
+// Library build (`vite build --mode lib`): the embeddable <FloatingBasketballs> component as an
+// ES module. React, three and the R3F/postprocessing packages stay external (peer dependencies).
+const libraryBuild = {
+  outDir: 'dist-lib',
+  copyPublicDir: false,
+  lib: {
+    entry: 'src/lib.js',
+    formats: ['es'],
+    fileName: 'floating-basketballs',
+  },
+  rollupOptions: {
+    external: [/^react($|\/)/, /^react-dom($|\/)/, /^three($|\/)/, /^@react-three\//, /^postprocessing($|\/)/],
+  },
+}
+
+// App build (default): the full-page site
+const appBuild = {
+  rollupOptions: {
+    output: {
+      manualChunks: {
+        'react-vendor': ['react', 'react-dom'],
+        'three-vendor': ['three', '@react-three/fiber', '@react-three/drei', 'postprocessing', '@react-three/postprocessing']
+      }
+    }
+  }
+}
+
+export default defineConfig(({ mode }) => ({
   plugins: [react()],
   server: {
     // Allow Netlify deploy preview subdomains (scoped, not blanket allow-all)
     allowedHosts: ['.netlify.app'],
+    headers: isolationHeaders,
   },
-  build: {
-    rollupOptions: {
-      output: {
-        manualChunks: {
-          'react-vendor': ['react', 'react-dom'],
-          'three-vendor': ['three', '@react-three/fiber', '@react-three/drei', 'postprocessing', '@react-three/postprocessing']
-        }
-      }
-    }
-  }
-})
+  preview: {
+    headers: isolationHeaders,
+  },
+  worker: {
+    format: 'es',
+  },
+  build: mode === 'lib' ? libraryBuild : appBuild,
+}))